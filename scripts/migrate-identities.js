@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * One-off migration: move the legacy `googleId` field into `identities`.
+ *
+ * Usage: npm run migrate:identities
+ */
+require('dotenv').config();
+const database = require('../src/config/database');
+const { User } = require('../src/models');
+
+const migrate = async () => {
+  await database.connect();
+
+  // googleId is no longer part of the schema, so go through the raw collection
+  const collection = User.collection;
+  const cursor = collection.find({ googleId: { $exists: true, $ne: null } });
+
+  let migrated = 0;
+
+  for await (const user of cursor) {
+    const identities = user.identities || [];
+    const alreadyLinked = identities.some(identity => identity.provider === 'google');
+
+    await collection.updateOne(
+      { _id: user._id },
+      {
+        ...(!alreadyLinked && {
+          $push: {
+            identities: {
+              provider: 'google',
+              subject: String(user.googleId),
+              email: user.email,
+              emailVerified: !!user.isEmailVerified,
+              linkedAt: user.createdAt || new Date()
+            }
+          }
+        }),
+        $unset: { googleId: '' }
+      }
+    );
+
+    migrated += 1;
+  }
+
+  console.log(`✅ Migrated ${migrated} user(s) from googleId to identities`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => database.disconnect());
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/**
+ * Rotate the JWT signing key: create a new active key and keep the previous one
+ * verifying tokens for JWT_KEY_RETENTION_DAYS. Running instances pick the new key
+ * up within a few minutes.
+ *
+ * Usage: npm run keys:rotate [-- RS256|ES256]   (defaults to JWT_ALGORITHM, RS256 in HS256 mode)
+ */
+require('dotenv').config();
+const database = require('../src/config/database');
+const signingKeyService = require('../src/services/signingKeyService');
+
+const rotate = async () => {
+  await database.connect();
+
+  const key = await signingKeyService.rotate(process.argv[2] ? process.argv[2].toUpperCase() : undefined);
+  console.log(`✅ New ${key.alg} signing key ${key.kid} is active`);
+
+  const keys = await signingKeyService.load();
+  for (const { kid, alg, status, expiresAt } of keys) {
+    console.log(`   ${kid} ${alg} ${status}${expiresAt ? ` (removed ${expiresAt.toISOString()})` : ''}`);
+  }
+};
+
+rotate()
+  .catch(error => {
+    console.error('❌ Key rotation failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => database.disconnect());
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Verify the audit log: walk the hash chain in order, recompute every entry's hash
+ * and check it against the signed checkpoints. Exits with 1 at the first broken link.
+ *
+ * Usage: npm run audit:verify [-- --from <sequence>] [-- --to <sequence>]
+ */
+require('dotenv').config();
+const database = require('../src/config/database');
+const auditChainService = require('../src/services/auditChainService');
+
+const option = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : parseInt(process.argv[index + 1], 10) || undefined;
+};
+
+const verify = async () => {
+  await database.connect();
+
+  const report = await auditChainService.verify({ fromSequence: option('from'), toSequence: option('to') });
+
+  if (report.valid) {
+    console.log(`✅ Audit log intact: ${report.checkedEntries} entries checked${report.checkedEntries ? ` (${report.firstSequence} to ${report.lastSequence})` : ''}`);
+  } else {
+    const { sequence, logId, reason, message } = report.brokenLink;
+    console.error(`❌ Audit log broken at entry ${sequence}${logId ? ` (${logId})` : ''}: ${message} [${reason}]`);
+    console.error(`   ${report.checkedEntries} entries before it are intact`);
+    process.exitCode = 1;
+  }
+
+  if (report.headHash) {
+    console.log(`   Head: ${report.headHash}`);
+  }
+
+  if (report.latestCheckpoint) {
+    const { sequence, signedAt } = report.latestCheckpoint;
+    console.log(`   ${report.checkedCheckpoints} checkpoints matched, the latest at entry ${sequence} (${signedAt.toISOString()})`);
+  }
+
+  if (report.startCheckpoint) {
+    const { sequence, signedAt } = report.startCheckpoint;
+    console.log(`   Entries up to ${sequence} expired and were deleted (${signedAt.toISOString()})`);
+  }
+
+    if (report.unchainedEntries) {
+    console.log(`   ${report.unchainedEntries} entries written before chaining are not covered`);
+  }
+};
+
+verify()
+  .catch(error => {
+    console.error('❌ Audit log verification failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => database.disconnect());
@@ -0,0 +1,44 @@
+/**
+ * Audit log integrity settings.
+ *
+ * Every audit entry carries a hash that covers its content and the hash of the entry
+ * before it, so editing or deleting an entry breaks the chain from there on. The head
+ * of the chain is checkpointed periodically with a signature that needs a secret the
+ * database does not hold, so the chain cannot be quietly rewritten either.
+ *
+ *   AUDIT_CHECKPOINT_INTERVAL   How often the head of the chain is checkpointed, e.g. 1h
+ *   AUDIT_CHECKPOINT_SECRET     Key that signs checkpoints (default JWT_SECRET); changing it
+ *                               invalidates the existing checkpoints
+ *   AUDIT_RETENTION_DAYS        How long entries are kept (default 730, 0 keeps them forever).
+ *                               Expired entries are deleted from the start of the chain with
+ *                               the checkpoints, and a signed checkpoint records where the
+ *                               chain now starts
+ *
+ * Entries that cannot be written to the database are kept in a local outbox file and
+ * retried until they are written.
+ *
+ *   AUDIT_OUTBOX_PATH             Outbox file (default logs/audit-outbox.jsonl); keep it on
+ *                                 persistent storage
+ *   AUDIT_OUTBOX_RETRY_INTERVAL   How often queued entries are retried, e.g. 30s
+ *   AUDIT_OUTBOX_MAX_ATTEMPTS     Retries before an entry is dropped (0, the default, retries
+ *                                 until it is written)
+ *   AUDIT_FAIL_CLOSED             true to record admin and SCIM requests before they are
+ *                                 handled, and refuse them while audit entries cannot be written
+ */
+
+const path = require('path');
+const { parseDuration } = require('./lockout');
+
+const AUDIT = {
+  checkpointInterval: parseDuration(process.env.AUDIT_CHECKPOINT_INTERVAL, 60 * 60 * 1000),
+  retentionDays: Math.max(0, parseInt(process.env.AUDIT_RETENTION_DAYS || '730', 10) || 0),
+  maxAppendAttempts: 5, // Another instance can take the same sequence number; retry on top of it
+  outboxPath: path.resolve(process.env.AUDIT_OUTBOX_PATH || 'logs/audit-outbox.jsonl'),
+  outboxRetryInterval: parseDuration(process.env.AUDIT_OUTBOX_RETRY_INTERVAL, 30 * 1000),
+  outboxMaxAttempts: Math.max(0, parseInt(process.env.AUDIT_OUTBOX_MAX_ATTEMPTS, 10) || 0),
+  failClosed: process.env.AUDIT_FAIL_CLOSED === 'true'
+};
+
+module.exports = {
+  AUDIT
+};
@@ -0,0 +1,64 @@
+/**
+ * Failed login lockout settings.
+ *
+ * Accounts (User.loginAttempts) and the per-email and per-IP login counters
+ * (models/LoginThrottle) lock once their threshold is reached. The first lock lasts
+ * LOCK_BASE_TIME and every further failure doubles it, up to LOCK_TIME.
+ *
+ *   MAX_LOGIN_ATTEMPTS          Failures per account or email before the first lock
+ *   MAX_LOGIN_ATTEMPTS_PER_IP   Failures per IP address before the first lock
+ *   LOCK_BASE_TIME              Length of the first lock, e.g. 1m
+ *   LOCK_TIME                   Longest lock, e.g. 2h
+ *   LOGIN_ATTEMPT_WINDOW        Quiet period after which failures are forgotten, e.g. 24h
+ *
+ * Durations are milliseconds or a number with an s, m, h or d suffix.
+ */
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration setting
+ * @param {string} value - Milliseconds, or a number with an s/m/h/d suffix
+ * @param {number} fallback - Default in milliseconds
+ * @returns {number} Duration in milliseconds
+ */
+const parseDuration = (value, fallback) => {
+  const match = /^(\d+)\s*([smhd])?$/.exec(String(value || '').trim());
+  if (!match) return fallback;
+
+  return parseInt(match[1], 10) * (match[2] ? UNITS[match[2]] : 1);
+};
+
+const parseCount = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 1 ? fallback : parsed;
+};
+
+const LOCKOUT = {
+  maxAttempts: parseCount(process.env.MAX_LOGIN_ATTEMPTS, 5),
+  maxAttemptsPerIp: parseCount(process.env.MAX_LOGIN_ATTEMPTS_PER_IP, 20),
+  baseLockTime: parseDuration(process.env.LOCK_BASE_TIME, UNITS.m),
+  maxLockTime: parseDuration(process.env.LOCK_TIME, 2 * UNITS.h),
+  attemptWindow: parseDuration(process.env.LOGIN_ATTEMPT_WINDOW, UNITS.d)
+};
+
+/**
+ * How long to lock after a failure (exponential backoff once the threshold is reached)
+ * @param {number} failures - Consecutive failures including this one
+ * @param {number} threshold - Failures before the first lock
+ * @param {Object} settings - Lockout settings
+ * @returns {number} Lock duration in milliseconds (0 for no lock)
+ */
+const getLockDuration = (failures, threshold, settings = LOCKOUT) => {
+  if (failures < threshold) return 0;
+
+  // Cap the exponent so the doubling can't overflow
+  const doublings = Math.min(failures - threshold, 30);
+  return Math.min(settings.baseLockTime * 2 ** doublings, settings.maxLockTime);
+};
+
+module.exports = {
+  LOCKOUT,
+  parseDuration,
+  getLockDuration
+};
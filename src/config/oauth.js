@@ -0,0 +1,45 @@
+/**
+ * OAuth 2.0 / OpenID Connect authorization server settings.
+ *
+ *   OAUTH_ISSUER                    Public base URL of this API: the `iss` of ID tokens and the
+ *                                   base of the discovery document (default http://localhost:PORT)
+ *   OAUTH_LOGIN_URL                 Page of the login app that signs the user in and asks for
+ *                                   consent; GET /api/oauth/authorize redirects there
+ *   OAUTH_ID_TOKEN_EXPIRES_IN       Lifetime of ID tokens, e.g. 1h
+ *   OAUTH_CLIENT_TOKEN_EXPIRES_IN   Lifetime of client_credentials access tokens, e.g. 1h
+ */
+
+const OAUTH = {
+  issuer: (process.env.OAUTH_ISSUER || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, ''),
+  loginUrl: process.env.OAUTH_LOGIN_URL || `${process.env.APP_URL || 'http://localhost:3000'}/oauth/authorize`,
+  idTokenExpiresIn: process.env.OAUTH_ID_TOKEN_EXPIRES_IN || '1h',
+  clientTokenExpiresIn: process.env.OAUTH_CLIENT_TOKEN_EXPIRES_IN || '1h',
+  codeTtl: 60 * 1000 // Authorization codes are exchanged right after the redirect
+};
+
+// Scopes defined by OpenID Connect, with the text shown on the consent screen.
+// Clients may also be allowed custom scopes, which are passed on in the scope claim.
+const SCOPES = {
+  openid: 'Sign you in with your account',
+  profile: 'See your name and profile picture',
+  email: 'See your email address'
+};
+
+// Claims released by each scope (ID token and /userinfo)
+const SCOPE_CLAIMS = {
+  profile: ['name', 'picture', 'updated_at'],
+  email: ['email', 'email_verified']
+};
+
+const GRANT_TYPES = ['authorization_code', 'refresh_token', 'client_credentials'];
+
+// Confidential clients keep a secret (servers); public clients can't (SPAs, CLIs, mobile apps)
+const CLIENT_TYPES = ['confidential', 'public'];
+
+module.exports = {
+  OAUTH,
+  SCOPES,
+  SCOPE_CLAIMS,
+  GRANT_TYPES,
+  CLIENT_TYPES
+};
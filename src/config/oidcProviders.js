@@ -0,0 +1,155 @@
+/**
+ * Identity provider configuration.
+ *
+ * Providers are enabled with OIDC_PROVIDERS (comma-separated names) and configured
+ * with OIDC_<NAME>_* variables. Known providers ship presets, so usually only the
+ * client ID and secret are needed. Google is also enabled by GOOGLE_CLIENT_ID alone.
+ *
+ *   OIDC_<NAME>_ISSUER                  Issuer URL (discovery is read from <issuer>/.well-known/openid-configuration)
+ *   OIDC_<NAME>_CLIENT_ID               Client ID (expected ID token audience)
+ *   OIDC_<NAME>_CLIENT_SECRET           Client secret (authorization code exchange)
+ *   OIDC_<NAME>_DISPLAY_NAME            Name shown to users
+ *   OIDC_<NAME>_SCOPES                  Requested scopes
+ *   OIDC_<NAME>_CLAIM_MAPPING           JSON object overriding the claim mapping, e.g. {"email":"upn"}
+ *   OIDC_<NAME>_TYPE                    'oidc' (default) or 'oauth2' for providers without ID tokens
+ *   OIDC_<NAME>_DISCOVERY_URL           Discovery document URL, if not under the issuer
+ *   OIDC_<NAME>_TOKEN_ENDPOINT          Endpoints for 'oauth2' providers (or to skip discovery)
+ *   OIDC_<NAME>_USERINFO_ENDPOINT
+ *   OIDC_<NAME>_AUTHORIZATION_ENDPOINT
+ */
+
+// Maps profile fields to claim names (dotted paths are allowed)
+const DEFAULT_CLAIM_MAPPING = {
+  subject: 'sub',
+  email: 'email',
+  emailVerified: 'email_verified',
+  name: 'name',
+  avatar: 'picture'
+};
+
+const PRESETS = {
+  google: {
+    displayName: 'Google',
+    issuer: 'https://accounts.google.com',
+    // Google ID tokens use either form of the issuer
+    allowedIssuers: ['https://accounts.google.com', 'accounts.google.com'],
+    scopes: 'openid email profile'
+  },
+  microsoft: {
+    displayName: 'Microsoft',
+    issuer: `https://login.microsoftonline.com/${process.env.OIDC_MICROSOFT_TENANT || 'common'}/v2.0`,
+    scopes: 'openid email profile'
+  },
+  github: {
+    displayName: 'GitHub',
+    type: 'oauth2',
+    authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+    tokenEndpoint: 'https://github.com/login/oauth/access_token',
+    userinfoEndpoint: 'https://api.github.com/user',
+    scopes: 'read:user user:email',
+    claimMapping: {
+      subject: 'id',
+      email: 'email',
+      // GitHub only returns a public email, which it has verified
+      emailVerified: null,
+      name: 'name',
+      avatar: 'avatar_url'
+    },
+    trustEmail: true
+  }
+};
+
+/**
+ * Read the OIDC_<NAME>_* variables of a provider
+ * @param {string} name - Provider name
+ * @returns {Object} Provider overrides from the environment
+ */
+const readProviderEnv = (name) => {
+  const prefix = `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const env = (key) => process.env[`${prefix}${key}`];
+
+  let claimMapping;
+  if (env('CLAIM_MAPPING')) {
+    try {
+      claimMapping = JSON.parse(env('CLAIM_MAPPING'));
+    } catch (error) {
+      throw new Error(`${prefix}CLAIM_MAPPING must be a JSON object`);
+    }
+  }
+
+  const overrides = {
+    type: env('TYPE'),
+    displayName: env('DISPLAY_NAME'),
+    issuer: env('ISSUER'),
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET'),
+    scopes: env('SCOPES'),
+    discoveryUrl: env('DISCOVERY_URL'),
+    authorizationEndpoint: env('AUTHORIZATION_ENDPOINT'),
+    tokenEndpoint: env('TOKEN_ENDPOINT'),
+    userinfoEndpoint: env('USERINFO_ENDPOINT'),
+    claimMapping
+  };
+
+  // Drop unset values so they don't hide the presets
+  return Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Build a complete provider definition from a preset and overrides
+ * @param {string} name - Provider name
+ * @param {Object} overrides - Provider settings
+ * @returns {Object} Provider definition
+ */
+const buildProvider = (name, overrides = {}) => {
+  const preset = PRESETS[name] || {};
+
+  return {
+    name,
+    type: 'oidc',
+    displayName: name.charAt(0).toUpperCase() + name.slice(1),
+    scopes: 'openid email profile',
+    trustEmail: false,
+    ...preset,
+    ...overrides,
+    claimMapping: {
+      ...DEFAULT_CLAIM_MAPPING,
+      ...preset.claimMapping,
+      ...overrides.claimMapping
+    }
+  };
+};
+
+/**
+ * Load the enabled providers from the environment
+ * @returns {Array<Object>} Provider definitions
+ */
+const loadProviders = () => {
+  const names = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  // Keep the existing Google configuration working
+  if (process.env.GOOGLE_CLIENT_ID && !names.includes('google')) {
+    names.push('google');
+  }
+
+  return names.map(name => {
+    const overrides = readProviderEnv(name);
+
+    if (name === 'google') {
+      overrides.clientId = overrides.clientId || process.env.GOOGLE_CLIENT_ID;
+      overrides.clientSecret = overrides.clientSecret || process.env.GOOGLE_CLIENT_SECRET;
+    }
+
+    return buildProvider(name, overrides);
+  });
+};
+
+module.exports = {
+  DEFAULT_CLAIM_MAPPING,
+  PRESETS,
+  buildProvider,
+  loadProviders
+};
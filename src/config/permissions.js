@@ -0,0 +1,66 @@
+/**
+ * Permission catalog and built-in roles.
+ *
+ * Roles are stored in the database and can be created or edited through the admin
+ * API; the built-in roles below are created on startup and used as a fallback
+ * until they exist. Every user can always read their own audit trail, so no
+ * permission is needed for that.
+ *
+ * Organization roles are separate and fixed: they only grant permissions inside
+ * the organization the membership belongs to.
+ */
+
+const PERMISSIONS = {
+  'audit:read:any': 'Read the audit logs and statistics of every user',
+  'audit:export': 'Export audit logs',
+  'audit:verify': 'Verify that the audit log has not been tampered with',
+  'users:manage': 'Manage user accounts and their sessions',
+  'users:impersonate': 'Act as another user to see what they see',
+  'roles:manage': 'Create, edit and assign roles',
+  'clients:manage': 'Register OAuth clients and manage their credentials',
+  'provisioning:manage': 'Issue and revoke SCIM provisioning tokens'
+};
+
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Full access',
+    // The admin role always holds every permission
+    permissions: Object.keys(PERMISSIONS)
+  },
+  user: {
+    description: 'Regular user',
+    permissions: []
+  },
+  auditor: {
+    description: 'Can read and export every audit log, but not manage users',
+    permissions: ['audit:read:any', 'audit:export']
+  }
+};
+
+const ORGANIZATION_PERMISSIONS = {
+  'org:manage': 'Rename or delete the organization',
+  'members:manage': 'Invite, remove and change the role of members',
+  'audit:read': 'Read and export the audit logs of the organization'
+};
+
+const ORGANIZATION_ROLES = {
+  owner: {
+    description: 'Full control of the organization',
+    permissions: Object.keys(ORGANIZATION_PERMISSIONS)
+  },
+  admin: {
+    description: 'Manages members and reads the audit logs',
+    permissions: ['members:manage', 'audit:read']
+  },
+  member: {
+    description: 'Regular member',
+    permissions: []
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  ORGANIZATION_PERMISSIONS,
+  ORGANIZATION_ROLES
+};
@@ -0,0 +1,83 @@
+/**
+ * Rate limit policies.
+ *
+ * Every policy counts requests per client in a fixed window. Routes pick a policy by
+ * name (see middleware/rateLimiter); the default policy applies to all of /api/.
+ *
+ *   RATE_LIMIT_STORE                Where counters live: memory (per process, the default)
+ *                                   or mongo (shared between instances, survives restarts)
+ *   RATE_LIMIT_WINDOW_MS            Window of the default policy
+ *   RATE_LIMIT_MAX_REQUESTS         Requests per window allowed by the default policy
+ *   RATE_LIMIT_AUTH_WINDOW_MS       Window of the strict policy for signin, the 2FA challenge and password reset
+ *   RATE_LIMIT_AUTH_MAX_REQUESTS    Requests per window allowed by the strict policy
+ *   RATE_LIMIT_OAUTH_WINDOW_MS      Window of the policy for the OAuth endpoints (/api/oauth)
+ *   RATE_LIMIT_OAUTH_MAX_REQUESTS   Requests per window allowed per OAuth client
+ *   RATE_LIMIT_SCIM_WINDOW_MS       Window of the policy for the SCIM API (/scim/v2)
+ *   RATE_LIMIT_SCIM_MAX_REQUESTS    Requests per window allowed per IP address on the SCIM API
+ *
+ * Policy keys:
+ *   client   The signed-in user when the request carries a valid access token, else the IP address
+ *   email    The IP address together with the email in the request body
+ *   oauthClient  The client ID of the OAuth client credentials together with the IP address
+ *
+ * Paths listed in a policy's skipPaths have a budget of their own.
+ */
+
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE === 'mongo' ? 'mongo' : 'memory';
+
+const POLICIES = {
+  default: {
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+    key: 'client',
+    skipPaths: ['/api/oauth/'],
+    message: 'Too many requests, please try again later.'
+  },
+  auth: {
+    windowMs: parseInt(process.env.RATE_LIMIT_AUTH_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+    max: parseInt(process.env.RATE_LIMIT_AUTH_MAX_REQUESTS) || 10,
+    key: 'client',
+    message: 'Too many attempts, please try again later.'
+  },
+  oauth: {
+    windowMs: parseInt(process.env.RATE_LIMIT_OAUTH_WINDOW_MS) || 60 * 1000, // 1 minute
+    max: parseInt(process.env.RATE_LIMIT_OAUTH_MAX_REQUESTS) || 600,
+    key: 'oauthClient',
+    message: 'Too many requests from this client, please try again later.'
+  },
+  scim: {
+    windowMs: parseInt(process.env.RATE_LIMIT_SCIM_WINDOW_MS) || 60 * 1000, // 1 minute
+    max: parseInt(process.env.RATE_LIMIT_SCIM_MAX_REQUESTS) || 600,
+    key: 'client',
+    message: 'Too many provisioning requests, please try again later.'
+  },
+  verifyEmail: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    key: 'client',
+    message: 'Too many verification attempts, please try again later.'
+  },
+  resendVerification: {
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 3,
+    key: 'email',
+    message: 'Too many verification emails requested, please try again later.'
+  },
+  magicLink: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 3,
+    key: 'email',
+    message: 'Too many sign-in links requested, please try again later.'
+  },
+  magicLinkVerify: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    key: 'client',
+    message: 'Too many sign-in attempts, please try again later.'
+  }
+};
+
+module.exports = {
+  RATE_LIMIT_STORE,
+  POLICIES
+};
@@ -0,0 +1,133 @@
+/**
+ * SAML 2.0 identity provider (enterprise SSO) configuration. This API is the service
+ * provider (SP); each IdP is given the metadata served at /api/auth/saml/<name>/metadata.
+ *
+ * Providers are enabled with SAML_PROVIDERS (comma-separated names) and configured
+ * with SAML_<NAME>_* variables:
+ *
+ *   SAML_<NAME>_ENTRY_POINT             IdP single sign-on URL (HTTP-Redirect binding)
+ *   SAML_<NAME>_IDP_ENTITY_ID           IdP entity ID (expected issuer of the assertions)
+ *   SAML_<NAME>_CERT                    IdP signing certificate, PEM or base64 (comma-separated during a rollover)
+ *   SAML_<NAME>_DISPLAY_NAME            Name shown to users
+ *   SAML_<NAME>_SP_ENTITY_ID            Our entity ID at the IdP (default <base>/api/auth/saml/<name>/metadata)
+ *   SAML_<NAME>_ATTRIBUTE_MAPPING       JSON object overriding the attribute mapping, e.g. {"email":"mail"}
+ *   SAML_<NAME>_JIT                     Create accounts on first signin (default true); false admits existing users only
+ *   SAML_<NAME>_TRUST_EMAIL             Treat asserted emails as verified (default true)
+ *   SAML_<NAME>_ALLOW_IDP_INITIATED     Accept responses that were not requested by us (default false)
+ *
+ *   SAML_SP_BASE_URL                    Public base URL of this API (default OAUTH_ISSUER)
+ *   SAML_CALLBACK_URL                   Login app page that receives the signin code (default APP_URL/sso/callback)
+ */
+
+const { OAUTH } = require('./oauth');
+
+const SAML = {
+  baseUrl: (process.env.SAML_SP_BASE_URL || OAUTH.issuer).replace(/\/+$/, ''),
+  callbackUrl: process.env.SAML_CALLBACK_URL || `${process.env.APP_URL || 'http://localhost:3000'}/sso/callback`,
+  requestTtl: 10 * 60 * 1000, // Time the user has to sign in at the IdP
+  codeTtl: 60 * 1000, // The login app exchanges the code right after the redirect
+  clockSkew: 60 * 1000
+};
+
+// Maps profile fields to attribute names; the first attribute present wins.
+// 'nameID' is the assertion's subject NameID.
+const DEFAULT_ATTRIBUTE_MAPPING = {
+  subject: 'nameID',
+  email: [
+    'email',
+    'mail',
+    'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress',
+    'urn:oid:0.9.2342.19200300.100.1.3'
+  ],
+  name: ['displayName', 'name', 'urn:oid:2.16.840.1.113730.3.1.241'],
+  firstName: ['firstName', 'givenName', 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/givenname', 'urn:oid:2.5.4.42'],
+  lastName: ['lastName', 'sn', 'surname', 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/surname', 'urn:oid:2.5.4.4'],
+  avatar: null
+};
+
+/**
+ * Read a boolean variable
+ * @param {string|undefined} value - Variable value
+ * @returns {boolean|undefined} Parsed value, undefined when unset
+ */
+const readBoolean = (value) => (value === undefined ? undefined : value === 'true');
+
+/**
+ * Read the SAML_<NAME>_* variables of a provider
+ * @param {string} name - Provider name
+ * @returns {Object} Provider settings from the environment
+ */
+const readProviderEnv = (name) => {
+  const prefix = `SAML_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const env = (key) => process.env[`${prefix}${key}`];
+
+  let attributeMapping;
+  if (env('ATTRIBUTE_MAPPING')) {
+    try {
+      attributeMapping = JSON.parse(env('ATTRIBUTE_MAPPING'));
+    } catch (error) {
+      throw new Error(`${prefix}ATTRIBUTE_MAPPING must be a JSON object`);
+    }
+  }
+
+  const settings = {
+    displayName: env('DISPLAY_NAME'),
+    entryPoint: env('ENTRY_POINT'),
+    idpEntityId: env('IDP_ENTITY_ID'),
+    certificates: env('CERT') ? env('CERT').split(',').map(cert => cert.trim()).filter(Boolean) : undefined,
+    spEntityId: env('SP_ENTITY_ID'),
+    jit: readBoolean(env('JIT')),
+    trustEmail: readBoolean(env('TRUST_EMAIL')),
+    allowIdpInitiated: readBoolean(env('ALLOW_IDP_INITIATED')),
+    attributeMapping
+  };
+
+  // Drop unset values so they don't hide the defaults
+  return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Build a complete provider definition from its settings
+ * @param {string} name - Provider name
+ * @param {Object} settings - Provider settings
+ * @returns {Object} Provider definition
+ */
+const buildProvider = (name, settings = {}) => {
+  const base = `${SAML.baseUrl}/api/auth/saml/${name}`;
+
+  return {
+    name,
+    type: 'saml',
+    displayName: name.charAt(0).toUpperCase() + name.slice(1),
+    certificates: [],
+    spEntityId: `${base}/metadata`,
+    acsUrl: `${base}/acs`,
+    jit: true,
+    trustEmail: true,
+    allowIdpInitiated: false,
+    ...settings,
+    attributeMapping: {
+      ...DEFAULT_ATTRIBUTE_MAPPING,
+      ...settings.attributeMapping
+    }
+  };
+};
+
+/**
+ * Load the enabled providers from the environment
+ * @returns {Array<Object>} Provider definitions
+ */
+const loadProviders = () => {
+  return (process.env.SAML_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map(name => buildProvider(name, readProviderEnv(name)));
+};
+
+module.exports = {
+  SAML,
+  DEFAULT_ATTRIBUTE_MAPPING,
+  buildProvider,
+  loadProviders
+};
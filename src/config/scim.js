@@ -0,0 +1,40 @@
+/**
+ * SCIM 2.0 provisioning settings.
+ *
+ *   SCIM_BASE_URL        Public URL of the SCIM API, used in resource locations
+ *                        (default <OAUTH_ISSUER>/scim/v2)
+ *   SCIM_MAX_RESULTS     Most resources returned by one list request
+ *   SCIM_ALLOW_PRIVILEGED_GROUPS
+ *                        true to let SCIM change the members of roles that grant
+ *                        permissions and of the built-in roles (off: an admin manages
+ *                        those in the admin API)
+ *
+ * Users map onto accounts (userName is the email); Groups map onto roles, and a user
+ * is a member of the group of its role. Calls are authenticated with provisioning
+ * tokens issued under /api/admin/provisioning-tokens.
+ */
+
+const { OAUTH } = require('./oauth');
+
+const SCIM = {
+  baseUrl: (process.env.SCIM_BASE_URL || `${OAUTH.issuer}/scim/v2`).replace(/\/+$/, ''),
+  maxResults: parseInt(process.env.SCIM_MAX_RESULTS) || 200,
+  defaultRole: 'user', // Role of users removed from their group
+  allowPrivilegedGroups: process.env.SCIM_ALLOW_PRIVILEGED_GROUPS === 'true'
+};
+
+const SCHEMAS = {
+  user: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  group: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  listResponse: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  patchOp: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  error: 'urn:ietf:params:scim:api:messages:2.0:Error',
+  serviceProviderConfig: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+  resourceType: 'urn:ietf:params:scim:schemas:core:2.0:ResourceType',
+  schema: 'urn:ietf:params:scim:schemas:core:2.0:Schema'
+};
+
+module.exports = {
+  SCIM,
+  SCHEMAS
+};
@@ -6,7 +6,7 @@ const swaggerDefinition = {
   info: {
     title: 'BE Image Builder API',
     version: '1.0.0',
-    description: 'A comprehensive Node.js backend API with MongoDB, featuring authentication (email/password and Google OAuth), audit logging, and robust security measures.',
+    description: 'A comprehensive Node.js backend API with MongoDB, featuring authentication (email/password and Google OAuth), audit logging, and robust security measures.\n\nEvery /api/ request is rate limited per user (with a valid access token) or per IP address; signin, the two-factor challenge, forgot-password and reset-password share a stricter budget. Responses carry the RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers, and requests over the limit get a 429 with a Retry-After header.',
     contact: {
       name: 'API Support',
       email: 'support@yourapp.com'
@@ -31,7 +31,67 @@ const swaggerDefinition = {
       bearerAuth: {
         type: 'http',
         scheme: 'bearer',
-        bearerFormat: 'JWT'
+        bearerFormat: 'JWT',
+        description: 'Access token of a signed-in session. Access tokens issued to OAuth clients are only accepted by the endpoints that name the scopes they need (userinfo); elsewhere they get 403 OAUTH_TOKEN_NOT_ALLOWED.'
+      },
+      apiKeyAuth: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'Authorization',
+        description: 'Personal API key, sent as `ApiKey <key>`'
+      },
+      clientBasic: {
+        type: 'http',
+        scheme: 'basic',
+        description: 'OAuth client credentials (client ID and secret). They can also be sent as client_id and client_secret form fields.'
+      },
+      provisioningToken: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'SCIM provisioning token issued under /api/admin/provisioning-tokens'
+      }
+    },
+    parameters: {
+      OrganizationId: {
+        name: 'X-Organization-Id',
+        in: 'header',
+        required: false,
+        schema: { type: 'string' },
+        description: 'Organization the request acts in (overrides the org claim of the access token)'
+      }
+    },
+    headers: {
+      'RateLimit-Limit': {
+        schema: { type: 'integer' },
+        description: 'Requests allowed in the current window'
+      },
+      'RateLimit-Remaining': {
+        schema: { type: 'integer' },
+        description: 'Requests left in the current window'
+      },
+      'RateLimit-Reset': {
+        schema: { type: 'integer' },
+        description: 'Seconds until the current window ends'
+      },
+      'Retry-After': {
+        schema: { type: 'integer' },
+        description: 'Seconds to wait before retrying'
+      }
+    },
+    responses: {
+      TooManyRequests: {
+        description: 'Rate limit exceeded (RATE_LIMIT_EXCEEDED)',
+        headers: {
+          'RateLimit-Limit': { $ref: '#/components/headers/RateLimit-Limit' },
+          'RateLimit-Remaining': { $ref: '#/components/headers/RateLimit-Remaining' },
+          'RateLimit-Reset': { $ref: '#/components/headers/RateLimit-Reset' },
+          'Retry-After': { $ref: '#/components/headers/Retry-After' }
+        },
+        content: {
+          'application/json': {
+            schema: { $ref: '#/components/schemas/Error' }
+          }
+        }
       }
     },
     schemas: {
@@ -53,8 +113,8 @@ const swaggerDefinition = {
           },
           role: {
             type: 'string',
-            enum: ['user', 'admin'],
-            description: 'User role'
+            description: 'Role name (user, admin, auditor or a custom role)',
+            example: 'user'
           },
           avatar: {
             type: 'string',
@@ -65,6 +125,19 @@ const swaggerDefinition = {
             type: 'boolean',
             description: 'Whether user email is verified'
           },
+          isActive: {
+            type: 'boolean',
+            description: 'Whether the account can sign in'
+          },
+          passwordResetRequired: {
+            type: 'boolean',
+            description: 'Whether an admin required a password reset'
+          },
+          passwordChangedAt: {
+            type: 'string',
+            format: 'date-time',
+            description: 'When the password was last set (used for PASSWORD_MAX_AGE_DAYS)'
+          },
           lastLogin: {
             type: 'string',
             format: 'date-time',
@@ -93,6 +166,11 @@ const swaggerDefinition = {
             type: 'string',
             description: 'User who performed the action'
           },
+          organizationId: {
+            type: 'string',
+            nullable: true,
+            description: 'Organization the action happened in'
+          },
           action: {
             type: 'string',
             enum: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
@@ -145,6 +223,20 @@ const swaggerDefinition = {
               requestId: {
                 type: 'string',
                 description: 'Unique request identifier'
+              },
+              authMethod: {
+                type: 'string',
+                enum: ['jwt', 'oauth', 'api_key', 'impersonation', 'client_credentials', 'scim'],
+                description: 'How the request was authenticated'
+              },
+              actor: {
+                type: 'string',
+                description: 'Who made a change without a user behind it (userId is null)',
+                example: 'SCIM'
+              },
+              impersonatorId: {
+                type: 'string',
+                description: 'Admin who made the request while impersonating the user (the real actor)'
               }
             }
           },
@@ -156,235 +248,6878 @@ const swaggerDefinition = {
           description: {
             type: 'string',
             description: 'Human-readable description of the action'
+          },
+          sequence: {
+            type: 'integer',
+            description: 'Position in the hash chain (absent on entries written before chaining)'
+          },
+          prevHash: {
+            type: 'string',
+            description: 'Hash of the entry before this one'
+          },
+          hash: {
+            type: 'string',
+            description: 'SHA-256 over the entry and prevHash'
+          },
+          eventId: {
+            type: 'string',
+            description: 'Set by the audit outbox so that a retried entry is never written twice'
           }
         }
       },
-      AuthTokens: {
+      AuditOutboxMetrics: {
         type: 'object',
+        description: 'Audit entries that could not be written right away, since the process started',
         properties: {
-          accessToken: {
-            type: 'string',
-            description: 'JWT access token'
+          written: {
+            type: 'integer',
+            description: 'Entries written on the first attempt'
           },
-          refreshToken: {
-            type: 'string',
-            description: 'JWT refresh token'
+          queued: {
+            type: 'integer',
+            description: 'Entries queued in the outbox after a failed write'
           },
-          expiresIn: {
-            type: 'string',
-            description: 'Access token expiration time'
+          retries: {
+            type: 'integer',
+            description: 'Retry attempts of queued entries'
+          },
+          recovered: {
+            type: 'integer',
+            description: 'Queued entries written by a retry'
+          },
+          dropped: {
+            type: 'integer',
+            description: 'Entries given up on (invalid, out of attempts, or the outbox could not be written); each is logged in full'
+          },
+          pending: {
+            type: 'integer',
+            description: 'Entries waiting in the outbox'
+          },
+          healthy: {
+            type: 'boolean',
+            description: 'Whether the database is up and nothing waits in the outbox (fail-closed routes refuse requests otherwise)'
+          },
+          lastFailure: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              message: { type: 'string' },
+              at: { type: 'string', format: 'date-time' }
+            }
           }
         }
       },
-      Error: {
+      AuditVerification: {
         type: 'object',
+        description: 'Result of walking the audit log hash chain',
         properties: {
-          success: {
+          valid: {
             type: 'boolean',
-            example: false
+            description: 'Whether every checked entry and checkpoint is intact'
           },
-          error: {
+          checkedEntries: {
+            type: 'integer',
+            description: 'Entries verified before the first broken link'
+          },
+          firstSequence: {
+            type: 'integer',
+            nullable: true
+          },
+          lastSequence: {
+            type: 'integer',
+            nullable: true
+          },
+          headHash: {
+            type: 'string',
+            nullable: true,
+            description: 'Hash of the last verified entry'
+          },
+          checkedCheckpoints: {
+            type: 'integer'
+          },
+          latestCheckpoint: {
             type: 'object',
+            nullable: true,
             properties: {
-              message: {
-                type: 'string',
-                description: 'Error message'
-              },
-              code: {
+              sequence: { type: 'integer' },
+              hash: { type: 'string' },
+              signedAt: { type: 'string', format: 'date-time' }
+            }
+          },
+          startCheckpoint: {
+            type: 'object',
+            nullable: true,
+            description: 'Signed when the retention period deleted the entries up to sequence; the chain starts after it',
+            properties: {
+              sequence: { type: 'integer' },
+              hash: { type: 'string' },
+              signedAt: { type: 'string', format: 'date-time' }
+            }
+          },
+          unchainedEntries: {
+            type: 'integer',
+            description: 'Entries written before chaining was enabled (only reported for a full walk)'
+          },
+          brokenLink: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              sequence: { type: 'integer' },
+              logId: { type: 'string', nullable: true },
+              reason: {
                 type: 'string',
-                description: 'Error code'
-              },
-              statusCode: {
-                type: 'number',
-                description: 'HTTP status code'
+                enum: ['missing_entries', 'prev_hash_mismatch', 'hash_mismatch', 'invalid_checkpoint', 'checkpoint_mismatch', 'truncated']
               },
-              details: {
-                type: 'object',
-                description: 'Additional error details'
-              },
-              requestId: {
+              message: {
                 type: 'string',
-                description: 'Request identifier for tracking'
+                example: 'The entry does not match its hash (it was modified)'
               }
             }
           }
         }
       },
-      SuccessResponse: {
+      ApiKey: {
         type: 'object',
         properties: {
-          success: {
-            type: 'boolean',
-            example: true
+          id: {
+            type: 'string'
           },
-          message: {
+          name: {
             type: 'string',
-            description: 'Success message'
+            example: 'CI deploy'
           },
-          data: {
-            type: 'object',
-            description: 'Response data'
-          }
-        }
-      }
-    }
-  },
-  paths: {
-    '/health': {
-      get: {
-        summary: 'Health check',
-        description: 'Check if the server is running and healthy',
-        tags: ['System'],
-        responses: {
-          200: {
-            description: 'Server is healthy',
-            content: {
-              'application/json': {
-                schema: {
-                  allOf: [
-                    { $ref: '#/components/schemas/SuccessResponse' },
-                    {
-                      type: 'object',
-                      properties: {
-                        data: {
-                          type: 'object',
-                          properties: {
-                            uptime: {
-                              type: 'number',
-                              description: 'Server uptime in seconds'
-                            },
-                            environment: {
-                              type: 'string',
-                              description: 'Current environment'
-                            },
-                            timestamp: {
-                              type: 'string',
-                              format: 'date-time'
-                            }
-                          }
-                        }
-                      }
-                    }
-                  ]
-                }
-              }
+          prefix: {
+            type: 'string',
+            description: 'Public part of the key',
+            example: 'bib_3f9a1c0b7d2e'
+          },
+          scopes: {
+            type: 'array',
+            items: {
+              type: 'string',
+              enum: ['read', 'write']
             }
+          },
+          expiresAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          lastUsedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          lastUsedIp: {
+            type: 'string',
+            nullable: true
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time'
           }
         }
-      }
-    },
-    '/api/auth/signup': {
-      post: {
-        summary: 'User signup',
-        description: 'Register a new user with email and password',
-        tags: ['Authentication'],
-        requestBody: {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                required: ['name', 'email', 'password'],
-                properties: {
-                  name: {
-                    type: 'string',
-                    minLength: 2,
-                    maxLength: 50,
-                    example: 'John Doe'
-                  },
-                  email: {
-                    type: 'string',
-                    format: 'email',
-                    example: 'john@example.com'
-                  },
-                  password: {
-                    type: 'string',
-                    minLength: 6,
-                    pattern: '^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)',
-                    example: 'Password123',
-                    description: 'Must contain at least one lowercase letter, one uppercase letter, and one number'
-                  }
-                }
-              }
-            }
-          }
-        },
-        responses: {
-          201: {
-            description: 'User registered successfully',
-            content: {
-              'application/json': {
-                schema: {
-                  allOf: [
-                    { $ref: '#/components/schemas/SuccessResponse' },
-                    {
-                      type: 'object',
-                      properties: {
-                        data: {
-                          type: 'object',
-                          properties: {
-                            user: { $ref: '#/components/schemas/User' },
-                            accessToken: { type: 'string' },
-                            refreshToken: { type: 'string' },
-                            expiresIn: { type: 'string' }
-                          }
-                        }
-                      }
-                    }
-                  ]
-                }
-              }
-            }
+      },
+      Organization: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string'
           },
-          400: {
-            description: 'Validation error',
-            content: {
-              'application/json': {
-                schema: { $ref: '#/components/schemas/Error' }
-              }
-            }
+          name: {
+            type: 'string',
+            example: 'Acme Inc.'
           },
-          409: {
-            description: 'User already exists',
-            content: {
-              'application/json': {
-                schema: { $ref: '#/components/schemas/Error' }
-              }
-            }
+          slug: {
+            type: 'string',
+            example: 'acme-inc'
+          },
+          createdBy: {
+            type: 'string'
+          },
+          role: {
+            type: 'string',
+            enum: ['owner', 'admin', 'member'],
+            description: 'Role of the current user (in listings)'
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time'
           }
         }
-      }
-    },
-    '/api/auth/signin': {
-      post: {
-        summary: 'User signin',
-        description: 'Login user with email and password',
+      },
+      OrganizationMember: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string'
+          },
+          name: {
+            type: 'string'
+          },
+          email: {
+            type: 'string',
+            format: 'email'
+          },
+          avatar: {
+            type: 'string'
+          },
+          role: {
+            type: 'string',
+            enum: ['owner', 'admin', 'member']
+          },
+          joinedAt: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      Invitation: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string'
+          },
+          organizationId: {
+            type: 'string',
+            nullable: true,
+            description: 'Organization to join (null for account invitations)'
+          },
+          email: {
+            type: 'string',
+            format: 'email'
+          },
+          role: {
+            type: 'string',
+            description: 'Organization role, or the account role for account invitations',
+            example: 'member'
+          },
+          invitedBy: {
+            type: 'string'
+          },
+          status: {
+            type: 'string',
+            enum: ['pending', 'accepted', 'revoked', 'expired']
+          },
+          expiresAt: {
+            type: 'string',
+            format: 'date-time'
+          },
+          acceptedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      Lockout: {
+        type: 'object',
+        description: 'Failed signin counter for an IP address or an email',
+        properties: {
+          id: {
+            type: 'string'
+          },
+          type: {
+            type: 'string',
+            enum: ['ip', 'email']
+          },
+          value: {
+            type: 'string',
+            description: 'IP address or email (the email does not have to belong to a user)',
+            example: '203.0.113.7'
+          },
+          failures: {
+            type: 'integer',
+            description: 'Failed signins since the counter was last cleared'
+          },
+          isLocked: {
+            type: 'boolean'
+          },
+          lockUntil: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          lastFailureAt: {
+            type: 'string',
+            format: 'date-time'
+          },
+          expiresAt: {
+            type: 'string',
+            format: 'date-time',
+            description: 'When the counter is forgotten if no further failures happen'
+          }
+        }
+      },
+      OAuthClient: {
+        type: 'object',
+        description: 'Service that calls the OAuth endpoints with client credentials',
+        properties: {
+          id: {
+            type: 'string'
+          },
+          name: {
+            type: 'string',
+            example: 'Billing service'
+          },
+          clientId: {
+            type: 'string',
+            example: 'cli_5c1f0e7a9b3d2c4e6f8a0b1c'
+          },
+          type: {
+            type: 'string',
+            enum: ['confidential', 'public'],
+            description: 'Public clients (browser and native apps) have no secret and must use PKCE'
+          },
+          trusted: {
+            type: 'boolean',
+            description: 'May introspect and revoke every token; other clients only see the tokens issued to them'
+          },
+          redirectUris: {
+            type: 'array',
+            items: { type: 'string', format: 'uri' },
+            example: ['https://app.example.com/callback']
+          },
+          grantTypes: {
+            type: 'array',
+            items: { type: 'string', enum: ['authorization_code', 'refresh_token', 'client_credentials'] }
+          },
+          scopes: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Scopes the client may request',
+            example: ['openid', 'profile', 'email']
+          },
+          skipConsent: {
+            type: 'boolean',
+            description: 'First-party client whose users are not asked for consent'
+          },
+          createdBy: {
+            type: 'string',
+            nullable: true
+          },
+          lastUsedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          revokedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      IntrospectionResponse: {
+        type: 'object',
+        description: 'RFC 7662 introspection response. Inactive tokens only have active: false.',
+        properties: {
+          active: { type: 'boolean' },
+          scope: {
+            type: 'string',
+            description: 'Space-separated scopes; tokens issued by this API grant the permissions of the user\'s role',
+            example: 'audit:read:any audit:export'
+          },
+          client_id: { type: 'string', description: 'Client the token was issued to (absent for first-party tokens)' },
+          username: { type: 'string', example: 'john@example.com' },
+          token_type: { type: 'string', enum: ['Bearer', 'refresh_token'] },
+          exp: { type: 'integer', description: 'Expiry (seconds since the epoch)' },
+          iat: { type: 'integer', description: 'Issue time (seconds since the epoch)' },
+          sub: { type: 'string', description: 'User ID' },
+          aud: { type: 'string', example: 'user' },
+          iss: { type: 'string' },
+          jti: { type: 'string' },
+          sid: { type: 'string', description: 'Session the token belongs to' },
+          org: { type: 'string', description: 'Organization the token acts in' },
+          act: {
+            type: 'object',
+            description: 'Admin impersonating the user',
+            properties: {
+              sub: { type: 'string' }
+            }
+          }
+        }
+      },
+      ProvisioningToken: {
+        type: 'object',
+        description: 'Bearer token an identity provider uses to call the SCIM API',
+        properties: {
+          id: {
+            type: 'string'
+          },
+          name: {
+            type: 'string',
+            example: 'Okta'
+          },
+          prefix: {
+            type: 'string',
+            description: 'Public part of the token, shown to tell tokens apart',
+            example: 'scim_3f9a1c2b7d4e'
+          },
+          expiresAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          lastUsedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          lastUsedIp: {
+            type: 'string',
+            nullable: true
+          },
+          revokedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          createdBy: {
+            type: 'string',
+            nullable: true
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      ScimMeta: {
+        type: 'object',
+        properties: {
+          resourceType: { type: 'string', enum: ['User', 'Group'] },
+          created: { type: 'string', format: 'date-time' },
+          lastModified: { type: 'string', format: 'date-time' },
+          location: { type: 'string', format: 'uri' },
+          version: {
+            type: 'string',
+            description: 'Weak ETag, also sent in the ETag header; send it in If-Match to update safely',
+            example: 'W/"q3V1mJ0Hc2bXfT8w"'
+          }
+        }
+      },
+      ScimUser: {
+        type: 'object',
+        description: 'SCIM User mapped onto an account: userName is the email, displayName (or name.formatted, or givenName and familyName) the name, active the account status',
+        required: ['userName'],
+        properties: {
+          schemas: {
+            type: 'array',
+            items: { type: 'string' },
+            example: ['urn:ietf:params:scim:schemas:core:2.0:User']
+          },
+          id: {
+            type: 'string',
+            readOnly: true
+          },
+          externalId: {
+            type: 'string',
+            example: '00u1abcd2EFGH3ijk4x7'
+          },
+          userName: {
+            type: 'string',
+            description: 'Email address; if it is not one, the primary email is used',
+            example: 'jane@acme.com'
+          },
+          name: {
+            type: 'object',
+            properties: {
+              formatted: { type: 'string', example: 'Jane Doe' },
+              givenName: { type: 'string', writeOnly: true },
+              familyName: { type: 'string', writeOnly: true }
+            }
+          },
+          displayName: {
+            type: 'string',
+            example: 'Jane Doe'
+          },
+          emails: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                value: { type: 'string' },
+                type: { type: 'string', example: 'work' },
+                primary: { type: 'boolean' }
+              }
+            }
+          },
+          active: {
+            type: 'boolean',
+            description: 'false deactivates the account and ends its sessions'
+          },
+          password: {
+            type: 'string',
+            writeOnly: true,
+            description: 'Optional; provisioned users can sign in with their identity provider without one'
+          },
+          groups: {
+            type: 'array',
+            readOnly: true,
+            description: 'The group of the user\'s role',
+            items: { $ref: '#/components/schemas/ScimMember' }
+          },
+          meta: {
+            allOf: [{ $ref: '#/components/schemas/ScimMeta' }],
+            readOnly: true
+          }
+        }
+      },
+      ScimGroup: {
+        type: 'object',
+        description: 'SCIM Group mapped onto a role: members are the users with the role. A user has one role, so joining a group leaves the previous one, and leaving a group gives the user the "user" role.',
+        required: ['displayName'],
+        properties: {
+          schemas: {
+            type: 'array',
+            items: { type: 'string' },
+            example: ['urn:ietf:params:scim:schemas:core:2.0:Group']
+          },
+          id: {
+            type: 'string',
+            readOnly: true
+          },
+          displayName: {
+            type: 'string',
+            description: 'Role name (lowercase letters, numbers, "-" and "_"); cannot be changed',
+            example: 'engineering'
+          },
+          members: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/ScimMember' }
+          },
+          meta: {
+            allOf: [{ $ref: '#/components/schemas/ScimMeta' }],
+            readOnly: true
+          }
+        }
+      },
+      ScimMember: {
+        type: 'object',
+        properties: {
+          value: { type: 'string', description: 'User or group ID' },
+          display: { type: 'string', readOnly: true },
+          $ref: { type: 'string', format: 'uri', readOnly: true }
+        }
+      },
+      ScimListResponse: {
+        type: 'object',
+        properties: {
+          schemas: {
+            type: 'array',
+            items: { type: 'string' },
+            example: ['urn:ietf:params:scim:api:messages:2.0:ListResponse']
+          },
+          totalResults: { type: 'integer' },
+          startIndex: { type: 'integer' },
+          itemsPerPage: { type: 'integer' },
+          Resources: {
+            type: 'array',
+            items: { type: 'object' }
+          }
+        }
+      },
+      ScimPatchOp: {
+        type: 'object',
+        required: ['schemas', 'Operations'],
+        properties: {
+          schemas: {
+            type: 'array',
+            items: { type: 'string' },
+            example: ['urn:ietf:params:scim:api:messages:2.0:PatchOp']
+          },
+          Operations: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['op'],
+              properties: {
+                op: { type: 'string', enum: ['add', 'remove', 'replace'], description: 'Case-insensitive' },
+                path: {
+                  type: 'string',
+                  description: 'Attribute path, optionally with a value filter',
+                  example: 'members[value eq "2819c223-7f76-453a-919d-413861904646"]'
+                },
+                value: {
+                  description: 'New value; without a path, an object of attributes (keys may be paths)'
+                }
+              }
+            },
+            example: [{ op: 'replace', path: 'active', value: false }]
+          }
+        }
+      },
+      ScimError: {
+        type: 'object',
+        description: 'SCIM error (RFC 7644 section 3.12)',
+        properties: {
+          schemas: {
+            type: 'array',
+            items: { type: 'string' },
+            example: ['urn:ietf:params:scim:api:messages:2.0:Error']
+          },
+          status: { type: 'string', example: '400' },
+          scimType: {
+            type: 'string',
+            enum: ['invalidFilter', 'tooMany', 'uniqueness', 'mutability', 'invalidSyntax', 'invalidPath', 'noTarget', 'invalidValue', 'invalidVers', 'sensitive']
+          },
+          detail: { type: 'string' }
+        }
+      },
+      OAuthError: {
+        type: 'object',
+        description: 'OAuth 2.0 error (RFC 6749 section 5.2)',
+        properties: {
+          error: {
+            type: 'string',
+            enum: ['invalid_request', 'invalid_client', 'invalid_grant', 'unauthorized_client', 'unsupported_grant_type', 'invalid_scope', 'insufficient_scope']
+          },
+          error_description: { type: 'string' }
+        }
+      },
+      TokenResponse: {
+        type: 'object',
+        description: 'OAuth 2.0 token response (RFC 6749 section 5.1)',
+        properties: {
+          access_token: { type: 'string' },
+          token_type: { type: 'string', example: 'Bearer' },
+          expires_in: { type: 'integer', description: 'Lifetime of the access token in seconds', example: 900 },
+          refresh_token: { type: 'string', description: 'Only when the client may use the refresh_token grant' },
+          id_token: { type: 'string', description: 'OpenID Connect ID token, when the openid scope was granted' },
+          scope: { type: 'string', example: 'openid email' }
+        }
+      },
+      OAuthConsent: {
+        type: 'object',
+        properties: {
+          clientId: { type: 'string', example: 'cli_5c1f0e7a9b3d2c4e6f8a0b1c' },
+          clientName: { type: 'string', nullable: true, example: 'Dashboard' },
+          scopes: {
+            type: 'array',
+            items: { type: 'string' },
+            example: ['openid', 'email']
+          },
+          grantedAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Role: {
+        type: 'object',
+        properties: {
+          _id: {
+            type: 'string'
+          },
+          name: {
+            type: 'string',
+            example: 'auditor'
+          },
+          description: {
+            type: 'string'
+          },
+          permissions: {
+            type: 'array',
+            items: {
+              type: 'string',
+              enum: ['audit:read:any', 'audit:export', 'users:manage', 'users:impersonate', 'roles:manage']
+            }
+          },
+          isSystem: {
+            type: 'boolean',
+            description: 'Built-in roles cannot be deleted'
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time'
+          },
+          updatedAt: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      Session: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            description: 'Session identifier (also the refresh token family ID)'
+          },
+          device: {
+            type: 'string',
+            description: 'Human-readable device label',
+            example: 'Chrome on macOS'
+          },
+          ip: {
+            type: 'string',
+            description: 'Client IP address last seen for the session'
+          },
+          userAgent: {
+            type: 'string',
+            description: 'Client user agent last seen for the session'
+          },
+          authMethod: {
+            type: 'string',
+            description: 'How the session was started',
+            example: 'password'
+          },
+          clientId: {
+            type: 'string',
+            nullable: true,
+            description: 'OAuth client the session\'s tokens were issued to (null for first-party sign-ins)'
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time',
+            description: 'When the session was started'
+          },
+          lastSeenAt: {
+            type: 'string',
+            format: 'date-time',
+            description: 'When the session last signed in or refreshed its tokens'
+          },
+          expiresAt: {
+            type: 'string',
+            format: 'date-time',
+            description: 'When the session expires unless refreshed'
+          },
+          current: {
+            type: 'boolean',
+            description: 'Whether this is the session making the request'
+          }
+        }
+      },
+      IdentityProvider: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            example: 'google'
+          },
+          displayName: {
+            type: 'string',
+            example: 'Google'
+          },
+          type: {
+            type: 'string',
+            enum: ['oidc', 'oauth2', 'saml']
+          },
+          issuer: {
+            type: 'string'
+          },
+          clientId: {
+            type: 'string'
+          },
+          scopes: {
+            type: 'string',
+            example: 'openid email profile'
+          },
+          authorizationEndpoint: {
+            type: 'string'
+          },
+          loginUrl: {
+            type: 'string',
+            description: 'SAML providers: where to send the browser to sign in',
+            example: '/api/auth/saml/acme/login'
+          },
+          metadataUrl: {
+            type: 'string',
+            description: 'SAML providers: SP metadata to register with the IdP'
+          }
+        }
+      },
+      LinkedIdentity: {
+        type: 'object',
+        properties: {
+          provider: {
+            type: 'string',
+            example: 'google'
+          },
+          email: {
+            type: 'string',
+            format: 'email'
+          },
+          emailVerified: {
+            type: 'boolean'
+          },
+          linkedAt: {
+            type: 'string',
+            format: 'date-time'
+          },
+          lastUsedAt: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      Passkey: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            description: 'Credential ID (base64url)'
+          },
+          name: {
+            type: 'string',
+            example: 'MacBook Touch ID'
+          },
+          deviceType: {
+            type: 'string',
+            enum: ['singleDevice', 'multiDevice'],
+            description: 'Whether the passkey is bound to one device or synced'
+          },
+          backedUp: {
+            type: 'boolean',
+            description: 'Whether the passkey is backed up (synced)'
+          },
+          transports: {
+            type: 'array',
+            items: { type: 'string' },
+            example: ['internal', 'hybrid']
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time'
+          },
+          lastUsedAt: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      WebAuthnOptions: {
+        type: 'object',
+        properties: {
+          options: {
+            type: 'object',
+            description: 'PublicKeyCredentialCreationOptionsJSON or PublicKeyCredentialRequestOptionsJSON for the browser'
+          },
+          challengeToken: {
+            type: 'string',
+            description: 'Short-lived, single-use token to send back with the authenticator response'
+          }
+        }
+      },
+      WebAuthnCredential: {
+        type: 'object',
+        description: 'RegistrationResponseJSON or AuthenticationResponseJSON as produced by the browser',
+        required: ['id', 'rawId', 'type', 'response'],
+        properties: {
+          id: { type: 'string' },
+          rawId: { type: 'string' },
+          type: { type: 'string', example: 'public-key' },
+          response: { type: 'object' },
+          clientExtensionResults: { type: 'object' }
+        }
+      },
+      MfaChallenge: {
+        type: 'object',
+        properties: {
+          mfaRequired: {
+            type: 'boolean',
+            example: true
+          },
+          mfaToken: {
+            type: 'string',
+            description: 'Short-lived, single-use token to submit with the second factor'
+          },
+          methods: {
+            type: 'array',
+            items: { type: 'string' },
+            example: ['totp', 'recovery_code', 'webauthn']
+          }
+        }
+      },
+      AuthTokens: {
+        type: 'object',
+        properties: {
+          accessToken: {
+            type: 'string',
+            description: 'JWT access token'
+          },
+          refreshToken: {
+            type: 'string',
+            description: 'JWT refresh token'
+          },
+          expiresIn: {
+            type: 'string',
+            description: 'Access token expiration time'
+          }
+        }
+      },
+      Error: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            example: false
+          },
+          error: {
+            type: 'object',
+            properties: {
+              message: {
+                type: 'string',
+                description: 'Error message'
+              },
+              code: {
+                type: 'string',
+                description: 'Error code'
+              },
+              statusCode: {
+                type: 'number',
+                description: 'HTTP status code'
+              },
+              details: {
+                type: 'object',
+                description: 'Additional error details'
+              },
+              requestId: {
+                type: 'string',
+                description: 'Request identifier for tracking'
+              }
+            }
+          }
+        }
+      },
+      SuccessResponse: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            example: true
+          },
+          message: {
+            type: 'string',
+            description: 'Success message'
+          },
+          data: {
+            type: 'object',
+            description: 'Response data'
+          }
+        }
+      }
+    }
+  },
+  paths: {
+    '/health': {
+      get: {
+        summary: 'Health check',
+        description: 'Check if the server is running and healthy',
+        tags: ['System'],
+        responses: {
+          200: {
+            description: 'Server is healthy',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            uptime: {
+                              type: 'number',
+                              description: 'Server uptime in seconds'
+                            },
+                            environment: {
+                              type: 'string',
+                              description: 'Current environment'
+                            },
+                            timestamp: {
+                              type: 'string',
+                              format: 'date-time'
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/.well-known/jwks.json': {
+      get: {
+        summary: 'JSON Web Key Set',
+        description: 'Public keys that verify the tokens issued by this API (RFC 7517). Tokens signed with RS256 or ES256 (JWT_ALGORITHM) and OpenID Connect ID tokens name their key in the kid header; the set holds the active key and the previous keys that still verify. Not wrapped in the usual success envelope.',
+        tags: ['System'],
+        responses: {
+          200: {
+            description: 'Key set (cacheable for 5 minutes)',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    keys: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          kid: { type: 'string', example: '3f9a1c0d5e7b2a64' },
+                          alg: { type: 'string', enum: ['RS256', 'ES256'] },
+                          kty: { type: 'string', enum: ['RSA', 'EC'] },
+                          use: { type: 'string', example: 'sig' },
+                          n: { type: 'string', description: 'RSA modulus' },
+                          e: { type: 'string', description: 'RSA exponent' },
+                          crv: { type: 'string', description: 'EC curve', example: 'P-256' },
+                          x: { type: 'string', description: 'EC x coordinate' },
+                          y: { type: 'string', description: 'EC y coordinate' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/.well-known/openid-configuration': {
+      get: {
+        summary: 'OpenID Connect discovery',
+        description: 'OpenID Provider metadata for the authorization server (also served at /.well-known/oauth-authorization-server, RFC 8414). URLs are built from OAUTH_ISSUER. Not wrapped in the usual success envelope.',
+        tags: ['System'],
+        responses: {
+          200: {
+            description: 'Provider metadata (cacheable for 5 minutes)',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    issuer: { type: 'string', example: 'https://auth.example.com' },
+                    authorization_endpoint: { type: 'string' },
+                    token_endpoint: { type: 'string' },
+                    userinfo_endpoint: { type: 'string' },
+                    jwks_uri: { type: 'string' },
+                    revocation_endpoint: { type: 'string' },
+                    introspection_endpoint: { type: 'string' },
+                    scopes_supported: { type: 'array', items: { type: 'string' } },
+                    response_types_supported: { type: 'array', items: { type: 'string' } },
+                    grant_types_supported: { type: 'array', items: { type: 'string' } },
+                    id_token_signing_alg_values_supported: { type: 'array', items: { type: 'string' } },
+                    token_endpoint_auth_methods_supported: { type: 'array', items: { type: 'string' } },
+                    code_challenge_methods_supported: { type: 'array', items: { type: 'string' }, example: ['S256'] },
+                    claims_supported: { type: 'array', items: { type: 'string' } }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/signup': {
+      post: {
+        summary: 'User signup',
+        description: 'Register a new user with email and password. Disabled with 403 INVITE_ONLY when INVITE_ONLY=true; accounts are then created from invitations.',
+        tags: ['Authentication'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'email', 'password'],
+                properties: {
+                  name: {
+                    type: 'string',
+                    minLength: 2,
+                    maxLength: 50,
+                    example: 'John Doe'
+                  },
+                  email: {
+                    type: 'string',
+                    format: 'email',
+                    example: 'john@example.com'
+                  },
+                  password: {
+                    type: 'string',
+                    example: 'Password123',
+                    description: 'Must satisfy the password policy (PASSWORD_* settings; by default at least 6 characters with a lowercase letter, an uppercase letter and a number). Breached passwords are refused with PASSWORD_BREACHED.'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'User registered successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            user: { $ref: '#/components/schemas/User' },
+                            accessToken: { type: 'string' },
+                            refreshToken: { type: 'string' },
+                            expiresIn: { type: 'string' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Validation error, or the password is breached (PASSWORD_BREACHED)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Signup is by invitation only (INVITE_ONLY)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          409: {
+            description: 'User already exists',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/invitations/accept': {
+      post: {
+        summary: 'Accept an account invitation',
+        description: 'Create a password account with the role of the invitation. The email address is taken from the invitation and counts as verified. To sign up with Google or another provider instead, pass invitationToken to POST /api/auth/google or /api/auth/providers/{provider}.',
+        tags: ['Invitations'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['token', 'name', 'password'],
+                properties: {
+                  token: {
+                    type: 'string',
+                    description: 'Token from the invitation email'
+                  },
+                  name: {
+                    type: 'string',
+                    minLength: 2,
+                    maxLength: 50,
+                    example: 'Jane Doe'
+                  },
+                  password: {
+                    type: 'string',
+                    example: 'Password123',
+                    description: 'Must satisfy the password policy (PASSWORD_* settings; by default at least 6 characters with a lowercase letter, an uppercase letter and a number). Breached passwords are refused with PASSWORD_BREACHED.'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Invitation accepted and account created',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            user: { $ref: '#/components/schemas/User' },
+                            accessToken: { type: 'string' },
+                            refreshToken: { type: 'string' },
+                            expiresIn: { type: 'string' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Invitation is invalid or has expired, or the password breaks the policy or is breached',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          409: {
+            description: 'A user with this email already exists',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/signin': {
+      post: {
+        summary: 'User signin',
+        description: 'Login user with email and password. If the user has two-factor authentication enabled, the response contains an MFA challenge (see MfaChallenge) instead of tokens; complete it with POST /api/auth/2fa/challenge. Rate limited by the strict auth policy (RATE_LIMIT_AUTH_* settings).',
+        tags: ['Authentication'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['email', 'password'],
+                properties: {
+                  email: {
+                    type: 'string',
+                    format: 'email',
+                    example: 'john@example.com'
+                  },
+                  password: {
+                    type: 'string',
+                    example: 'Password123'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Login successful',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            user: { $ref: '#/components/schemas/User' },
+                            accessToken: { type: 'string' },
+                            refreshToken: { type: 'string' },
+                            expiresIn: { type: 'string' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Invalid credentials',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Password reset required by an admin (PASSWORD_RESET_REQUIRED), or the password is older than PASSWORD_MAX_AGE_DAYS (PASSWORD_EXPIRED)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          423: {
+            description: 'Account locked after MAX_LOGIN_ATTEMPTS failed attempts (the lock doubles with each further failure, up to LOCK_TIME)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          429: {
+            description: 'Too many failed signins from this IP address or for this email (LOGIN_THROTTLED), or too many signin requests (RATE_LIMIT_EXCEEDED); see the Retry-After header',
+            headers: {
+              'Retry-After': { $ref: '#/components/headers/Retry-After' }
+            },
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/google': {
+      post: {
+        summary: 'Google authentication',
+        description: 'Authenticate user with Google ID token from frontend. Shortcut for POST /api/auth/providers/google.',
+        tags: ['Authentication'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['token'],
+                properties: {
+                  token: {
+                    type: 'string',
+                    description: 'Google ID token received from frontend',
+                    example: 'eyJhbGciOiJSUzI1NiIsImtpZCI6Ij...'
+                  },
+                  invitationToken: {
+                    type: 'string',
+                    description: 'Account invitation to accept; the new account gets the invited role. The Google email must match the invited address.'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Google authentication successful',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            user: { $ref: '#/components/schemas/User' },
+                            accessToken: { type: 'string' },
+                            refreshToken: { type: 'string' },
+                            expiresIn: { type: 'string' },
+                            isNewUser: {
+                              type: 'boolean',
+                              description: 'Whether this is a new user account'
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          403: {
+            description: 'Signup is by invitation only, or the invitation was sent to a different email',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          401: {
+            description: 'Invalid Google token',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'Google authentication is not configured',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/providers': {
+      get: {
+        summary: 'List identity providers',
+        description: 'List the configured OpenID Connect / OAuth 2.0 identity providers',
+        tags: ['Authentication'],
+        responses: {
+          200: {
+            description: 'Providers retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            providers: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/IdentityProvider' }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/providers/{provider}': {
+      post: {
+        summary: 'Identity provider authentication',
+        description: 'Sign in or sign up with an identity provider. Send either an ID token obtained by the frontend, or an authorization code (with its redirect URI and PKCE verifier) for the server to exchange.',
+        tags: ['Authentication'],
+        parameters: [
+          {
+            name: 'provider',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Provider name',
+            example: 'google'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  idToken: {
+                    type: 'string',
+                    description: 'ID token issued by the provider'
+                  },
+                  code: {
+                    type: 'string',
+                    description: 'Authorization code'
+                  },
+                  redirectUri: {
+                    type: 'string',
+                    description: 'Redirect URI used to obtain the code'
+                  },
+                  codeVerifier: {
+                    type: 'string',
+                    description: 'PKCE code verifier'
+                  },
+                  nonce: {
+                    type: 'string',
+                    description: 'Nonce sent in the authorization request'
+                  },
+                  invitationToken: {
+                    type: 'string',
+                    description: 'Account invitation to accept when signing up'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Authentication successful (or two-factor authentication required)',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            user: { $ref: '#/components/schemas/User' },
+                            accessToken: { type: 'string' },
+                            refreshToken: { type: 'string' },
+                            expiresIn: { type: 'string' },
+                            isNewUser: {
+                              type: 'boolean',
+                              description: 'Whether this is a new user account'
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Validation error or the provider did not share an email address',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          401: {
+            description: 'Provider token or code could not be verified',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'Provider is not configured',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          409: {
+            description: 'Account is linked to a different account at this provider, or an account with the (unverified) provider email already exists and must link the provider explicitly',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/saml/{provider}/metadata': {
+      get: {
+        summary: 'SAML SP metadata',
+        description: 'Service provider metadata (entity ID and assertion consumer service) to register with the IdP',
+        tags: ['Authentication'],
+        parameters: [
+          {
+            name: 'provider',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'SAML provider name',
+            example: 'acme'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'EntityDescriptor',
+            content: {
+              'application/samlmetadata+xml': {
+                schema: { type: 'string' }
+              }
+            }
+          },
+          404: {
+            description: 'Provider is not configured',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/saml/{provider}/login': {
+      get: {
+        summary: 'Start a SAML signin',
+        description: 'Redirect the browser to the IdP with an AuthnRequest (HTTP-Redirect binding). Only responses to pending requests are accepted, unless the provider allows IdP-initiated signin.',
+        tags: ['Authentication'],
+        parameters: [
+          {
+            name: 'provider',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'SAML provider name',
+            example: 'acme'
+          },
+          {
+            name: 'state',
+            in: 'query',
+            schema: { type: 'string', maxLength: 80 },
+            description: 'Returned to the login app with the result (RelayState)'
+          }
+        ],
+        responses: {
+          302: {
+            description: 'Redirect to the IdP'
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'Provider is not configured',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/saml/{provider}/acs': {
+      post: {
+        summary: 'SAML assertion consumer service',
+        description: 'Receives the IdP response (HTTP-POST binding). The assertion (or the whole response) must be signed with the configured IdP certificate using RSA-SHA256 or stronger; issuer, audience, recipient, time conditions and InResponseTo are checked, and each assertion is accepted once. Redirects to SAML_CALLBACK_URL with a one-time code valid for 60 seconds, or with error and error_description, plus state.',
+        tags: ['Authentication'],
+        parameters: [
+          {
+            name: 'provider',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'SAML provider name',
+            example: 'acme'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/x-www-form-urlencoded': {
+              schema: {
+                type: 'object',
+                required: ['SAMLResponse'],
+                properties: {
+                  SAMLResponse: {
+                    type: 'string',
+                    description: 'Base64-encoded SAML response'
+                  },
+                  RelayState: {
+                    type: 'string'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          302: {
+            description: 'Redirect to the login app with code or error'
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/saml/exchange': {
+      post: {
+        summary: 'Complete a SAML signin',
+        description: 'Exchange the one-time code from the ACS redirect. Creates the account on first signin (JIT provisioning, also in invite-only mode) unless the provider disables it, links the SAML identity to an existing account with the same email, and answers like the other signin endpoints.',
+        tags: ['Authentication'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['code'],
+                properties: {
+                  code: {
+                    type: 'string',
+                    description: 'One-time code from the ACS redirect'
+                  },
+                  invitationToken: {
+                    type: 'string',
+                    description: 'Account invitation to accept when signing up'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Authentication successful (or two-factor authentication required)',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            user: { $ref: '#/components/schemas/User' },
+                            accessToken: { type: 'string' },
+                            refreshToken: { type: 'string' },
+                            expiresIn: { type: 'string' },
+                            isNewUser: {
+                              type: 'boolean',
+                              description: 'Whether the account was created by this signin'
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Invalid or expired code, or the IdP did not share an email address',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          401: {
+            description: 'Account is deactivated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'No account for this user and JIT provisioning is disabled (ACCOUNT_NOT_PROVISIONED)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          409: {
+            description: 'Account is linked to a different user at this provider',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          429: {
+            $ref: '#/components/responses/TooManyRequests'
+          }
+        }
+      }
+    },
+    '/api/auth/forgot-password': {
+      post: {
+        summary: 'Forgot password',
+        description: 'Send password reset email to user. Rate limited by the strict auth policy (RATE_LIMIT_AUTH_* settings).',
+        tags: ['Authentication'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['email'],
+                properties: {
+                  email: {
+                    type: 'string',
+                    format: 'email',
+                    example: 'john@example.com'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Password reset email sent (if user exists)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          429: {
+            $ref: '#/components/responses/TooManyRequests'
+          },
+          500: {
+            description: 'Email service error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/reset-password': {
+      post: {
+        summary: 'Reset password',
+        description: 'Reset user password using token from email. Rate limited by the strict auth policy (RATE_LIMIT_AUTH_* settings).',
+        tags: ['Authentication'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['token', 'password'],
+                properties: {
+                  token: {
+                    type: 'string',
+                    description: 'Password reset token from email',
+                    example: 'abc123def456...'
+                  },
+                  password: {
+                    type: 'string',
+                    example: 'NewPassword123',
+                    description: 'Must satisfy the password policy (PASSWORD_* settings; by default at least 6 characters with a lowercase letter, an uppercase letter and a number). Breached passwords are refused with PASSWORD_BREACHED. Any of the last PASSWORD_HISTORY passwords is refused with PASSWORD_REUSED.'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Password reset successful',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          400: {
+            description: 'Invalid or expired token, or the password breaks the policy, is breached or was used recently',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          429: {
+            $ref: '#/components/responses/TooManyRequests'
+          }
+        }
+      }
+    },
+    '/api/auth/verify-email': {
+      post: {
+        summary: 'Verify email',
+        description: 'Verify the user email address using the token from the verification email. Rate limited to 10 attempts per 15 minutes per IP.',
+        tags: ['Authentication'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['token'],
+                properties: {
+                  token: {
+                    type: 'string',
+                    description: 'Email verification token from email',
+                    example: 'abc123def456...'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Email verified successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          400: {
+            description: 'Invalid or expired token',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          429: {
+            $ref: '#/components/responses/TooManyRequests'
+          }
+        }
+      }
+    },
+    '/api/auth/resend-verification': {
+      post: {
+        summary: 'Resend verification email',
+        description: 'Send a new email verification link. The previous link stops working. Rate limited to 3 emails per hour per IP and email.',
+        tags: ['Authentication'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['email'],
+                properties: {
+                  email: {
+                    type: 'string',
+                    format: 'email',
+                    example: 'john@example.com'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Verification email sent (if an unverified account exists)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          429: {
+            $ref: '#/components/responses/TooManyRequests'
+          },
+          500: {
+            description: 'Email service error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/magic-link': {
+      post: {
+        summary: 'Request a magic sign-in link',
+        description: 'Email a single-use sign-in link valid for 10 minutes. The response contains a nonce that the requesting browser must keep and send back with the link token. Rate limited to 3 links per 15 minutes per IP and email.',
+        tags: ['Authentication'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['email'],
+                properties: {
+                  email: {
+                    type: 'string',
+                    format: 'email',
+                    example: 'john@example.com'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Sign-in link sent (if an account exists)',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            nonce: {
+                              type: 'string',
+                              description: 'Browser-bound nonce required to use the link'
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          429: {
+            $ref: '#/components/responses/TooManyRequests'
+          },
+          500: {
+            description: 'Email service error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/magic-link/verify': {
+      post: {
+        summary: 'Sign in with a magic link',
+        description: 'Exchange the link token and the nonce from the request for the access and refresh tokens. Returns an MFA challenge instead when two-factor authentication is enabled. Rate limited to 10 attempts per 15 minutes per IP.',
+        tags: ['Authentication'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['token', 'nonce'],
+                properties: {
+                  token: {
+                    type: 'string',
+                    description: 'Token from the emailed link'
+                  },
+                  nonce: {
+                    type: 'string',
+                    description: 'Nonce returned by POST /api/auth/magic-link'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Login successful (or two-factor authentication required)',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          oneOf: [
+                            {
+                              type: 'object',
+                              properties: {
+                                user: { $ref: '#/components/schemas/User' },
+                                accessToken: { type: 'string' },
+                                refreshToken: { type: 'string' },
+                                expiresIn: { type: 'string' }
+                              }
+                            },
+                            { $ref: '#/components/schemas/MfaChallenge' }
+                          ]
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Invalid, expired or already used link, or wrong nonce',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          423: {
+            description: 'Account locked',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          429: {
+            $ref: '#/components/responses/TooManyRequests'
+          }
+        }
+      }
+    },
+    '/api/auth/refresh-token': {
+      post: {
+        summary: 'Refresh access token',
+        description: 'Exchange a refresh token for a new token pair. Each refresh token can be used once; presenting an already-rotated token revokes every token in its family.',
+        tags: ['Authentication'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['refreshToken'],
+                properties: {
+                  refreshToken: {
+                    type: 'string',
+                    description: 'Valid refresh token',
+                    example: 'eyJhbGciOiJIUzI1NiIs...'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Tokens refreshed successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            user: { $ref: '#/components/schemas/User' },
+                            accessToken: { type: 'string' },
+                            refreshToken: { type: 'string' },
+                            expiresIn: { type: 'string' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Invalid, expired, revoked or reused refresh token (codes REFRESH_TOKEN_REVOKED, REFRESH_TOKEN_REUSED)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/me': {
+      get: {
+        summary: 'Get user profile',
+        description: 'Get current authenticated user profile',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'User profile retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            user: { $ref: '#/components/schemas/User' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Unauthorized',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/profile': {
+      get: {
+        summary: 'Get user profile (alternative)',
+        description: 'Alternative endpoint to get current user profile',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'User profile retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            user: { $ref: '#/components/schemas/User' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          }
+        }
+      },
+      put: {
+        summary: 'Update user profile',
+        description: 'Update current user profile information',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: {
+                    type: 'string',
+                    minLength: 2,
+                    maxLength: 50,
+                    example: 'Updated Name'
+                  },
+                  avatar: {
+                    type: 'string',
+                    format: 'uri',
+                    example: 'https://example.com/avatar.jpg'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Profile updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            user: { $ref: '#/components/schemas/User' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/change-password': {
+      post: {
+        summary: 'Change password',
+        description: 'Change user password (requires current password for non-Google users)',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['newPassword'],
+                properties: {
+                  currentPassword: {
+                    type: 'string',
+                    description: 'Current password (not required for Google users)',
+                    example: 'OldPassword123'
+                  },
+                  newPassword: {
+                    type: 'string',
+                    example: 'NewPassword123',
+                    description: 'Must satisfy the password policy (PASSWORD_* settings; by default at least 6 characters with a lowercase letter, an uppercase letter and a number). Breached passwords are refused with PASSWORD_BREACHED. Any of the last PASSWORD_HISTORY passwords is refused with PASSWORD_REUSED.'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Password changed successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          400: {
+            description: 'Invalid current password, or the new password breaks the policy, is breached (PASSWORD_BREACHED) or was used recently (PASSWORD_REUSED)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/logout': {
+      post: {
+        summary: 'Logout',
+        description: 'Logout user. Revokes the presented access token and the refresh token family of the current session.',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'Logged out successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/logout-all': {
+      post: {
+        summary: 'Logout from all sessions',
+        description: 'Invalidate every outstanding access and refresh token for the current user',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'Logged out of all sessions successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          401: {
+            description: 'Unauthorized',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/2fa/setup': {
+      post: {
+        summary: 'Start two-factor setup',
+        description: 'Generate a TOTP secret for the current user. Returns the secret and an otpauth URI to show as a QR code.',
+        tags: ['Two-Factor Authentication'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'Enrollment started',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            secret: { type: 'string' },
+                            otpauthUri: { type: 'string' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          409: {
+            description: 'Two-factor authentication is already enabled',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/2fa/verify': {
+      post: {
+        summary: 'Confirm two-factor setup',
+        description: 'Confirm enrollment with a code from the authenticator app. Enables 2FA and returns one-time recovery codes (shown only once).',
+        tags: ['Two-Factor Authentication'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['code'],
+                properties: {
+                  code: {
+                    type: 'string',
+                    description: '6-digit TOTP code',
+                    example: '123456'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Two-factor authentication enabled',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            recoveryCodes: { type: 'array', items: { type: 'string' } }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Invalid two-factor code',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/2fa/disable': {
+      post: {
+        summary: 'Disable two-factor authentication',
+        description: 'Disable 2FA. Requires the current password (if the account has one) and either a TOTP code or a recovery code.',
+        tags: ['Two-Factor Authentication'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  password: {
+                    type: 'string',
+                    description: 'Current password',
+                    example: 'Password123'
+                  },
+                  code: {
+                    type: 'string',
+                    description: '6-digit TOTP code',
+                    example: '123456'
+                  },
+                  recoveryCode: {
+                    type: 'string',
+                    description: 'Unused recovery code',
+                    example: 'a1b2c-3d4e5'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Two-factor authentication disabled',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          400: {
+            description: 'Invalid two-factor code',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/2fa/recovery-codes': {
+      post: {
+        summary: 'Regenerate recovery codes',
+        description: 'Replace all recovery codes. Requires a TOTP code.',
+        tags: ['Two-Factor Authentication'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['code'],
+                properties: {
+                  code: {
+                    type: 'string',
+                    description: '6-digit TOTP code',
+                    example: '123456'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Recovery codes regenerated',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            recoveryCodes: { type: 'array', items: { type: 'string' } }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Invalid two-factor code',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/2fa/challenge': {
+      post: {
+        summary: 'Complete two-factor signin',
+        description: 'Exchange the MFA token returned by signin and a TOTP or recovery code for the access and refresh tokens. Failed codes count towards the account lockout.',
+        tags: ['Two-Factor Authentication'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['mfaToken'],
+                properties: {
+                  mfaToken: {
+                    type: 'string',
+                    description: 'MFA token from signin',
+                    example: 'eyJhbGciOiJIUzI1NiIs...'
+                  },
+                  code: {
+                    type: 'string',
+                    description: '6-digit TOTP code',
+                    example: '123456'
+                  },
+                  recoveryCode: {
+                    type: 'string',
+                    description: 'Unused recovery code',
+                    example: 'a1b2c-3d4e5'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Login successful',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            user: { $ref: '#/components/schemas/User' },
+                            accessToken: { type: 'string' },
+                            refreshToken: { type: 'string' },
+                            expiresIn: { type: 'string' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Invalid MFA token or code',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          423: {
+            description: 'Account locked',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          429: {
+            $ref: '#/components/responses/TooManyRequests'
+          }
+        }
+      }
+    },
+    '/api/auth/webauthn/register/options': {
+      post: {
+        summary: 'Start passkey registration',
+        description: 'Get the options to pass to navigator.credentials.create(). Already registered passkeys are excluded.',
+        tags: ['Passkeys'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'Registration options generated',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: { $ref: '#/components/schemas/WebAuthnOptions' }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Unauthorized',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/webauthn/register/verify': {
+      post: {
+        summary: 'Finish passkey registration',
+        description: 'Verify the authenticator attestation and store the passkey on the current user.',
+        tags: ['Passkeys'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['response', 'challengeToken'],
+                properties: {
+                  response: { $ref: '#/components/schemas/WebAuthnCredential' },
+                  challengeToken: {
+                    type: 'string',
+                    description: 'Challenge token returned with the options'
+                  },
+                  name: {
+                    type: 'string',
+                    description: 'Label for the passkey',
+                    example: 'MacBook Touch ID'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Passkey registered successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            passkey: { $ref: '#/components/schemas/Passkey' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Attestation could not be verified',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          401: {
+            description: 'Unauthorized or invalid challenge token',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          409: {
+            description: 'Passkey is already registered',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/webauthn/login/options': {
+      post: {
+        summary: 'Start passkey signin',
+        description: 'Get the options to pass to navigator.credentials.get(). Without an email any discoverable passkey can be used.',
+        tags: ['Passkeys'],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  email: {
+                    type: 'string',
+                    format: 'email',
+                    example: 'john.doe@example.com'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Authentication options generated',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: { $ref: '#/components/schemas/WebAuthnOptions' }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/webauthn/login/verify': {
+      post: {
+        summary: 'Sign in with a passkey',
+        description: 'Verify a passkey assertion (with user verification) and return the access and refresh tokens. No TOTP challenge follows.',
+        tags: ['Passkeys'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['response', 'challengeToken'],
+                properties: {
+                  response: { $ref: '#/components/schemas/WebAuthnCredential' },
+                  challengeToken: {
+                    type: 'string',
+                    description: 'Challenge token returned with the options'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Login successful',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            user: { $ref: '#/components/schemas/User' },
+                            accessToken: { type: 'string' },
+                            refreshToken: { type: 'string' },
+                            expiresIn: { type: 'string' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Invalid passkey, assertion or challenge token',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          423: {
+            description: 'Account locked',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/webauthn/mfa/options': {
+      post: {
+        summary: 'Start passkey second factor',
+        description: 'Get assertion options for completing a two-step signin with a passkey.',
+        tags: ['Passkeys'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['mfaToken'],
+                properties: {
+                  mfaToken: {
+                    type: 'string',
+                    description: 'MFA token from signin',
+                    example: 'eyJhbGciOiJIUzI1NiIs...'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Authentication options generated',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: { $ref: '#/components/schemas/WebAuthnOptions' }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'No passkeys are registered',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          401: {
+            description: 'Invalid MFA token',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/webauthn/mfa/verify': {
+      post: {
+        summary: 'Complete two-factor signin with a passkey',
+        description: 'Exchange the MFA token and a passkey assertion for the access and refresh tokens. Failed assertions count towards the account lockout.',
+        tags: ['Passkeys'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['mfaToken', 'response', 'challengeToken'],
+                properties: {
+                  mfaToken: {
+                    type: 'string',
+                    description: 'MFA token from signin',
+                    example: 'eyJhbGciOiJIUzI1NiIs...'
+                  },
+                  response: { $ref: '#/components/schemas/WebAuthnCredential' },
+                  challengeToken: {
+                    type: 'string',
+                    description: 'Challenge token returned with the options'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Login successful',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            user: { $ref: '#/components/schemas/User' },
+                            accessToken: { type: 'string' },
+                            refreshToken: { type: 'string' },
+                            expiresIn: { type: 'string' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Invalid MFA token, assertion or challenge token',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          423: {
+            description: 'Account locked',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/webauthn/credentials': {
+      get: {
+        summary: 'List passkeys',
+        description: 'List the passkeys registered by the current user',
+        tags: ['Passkeys'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'Passkeys retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            passkeys: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/Passkey' }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Unauthorized',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/webauthn/credentials/{credentialId}': {
+      delete: {
+        summary: 'Remove a passkey',
+        tags: ['Passkeys'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'credentialId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Credential ID (base64url)'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Passkey removed successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          400: {
+            description: 'Cannot remove the last login method',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'Passkey not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/identities': {
+      get: {
+        summary: 'List linked identities',
+        description: 'List the identity provider accounts linked to the current user',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'Linked identities retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            identities: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/LinkedIdentity' }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Unauthorized',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/identities/{provider}/link': {
+      post: {
+        summary: 'Link an identity provider account',
+        description: 'Link an identity provider account to the signed-in user. Send the same credentials as for provider signin (an ID token, or an authorization code with its redirect URI and PKCE verifier).',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'provider',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Provider name',
+            example: 'google'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  idToken: { type: 'string' },
+                  code: { type: 'string' },
+                  redirectUri: { type: 'string' },
+                  codeVerifier: { type: 'string' },
+                  nonce: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Identity linked successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            identity: { $ref: '#/components/schemas/LinkedIdentity' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Unauthorized, or the provider token or code could not be verified',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'Provider is not configured',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          409: {
+            description: 'A provider account is already linked, or this provider account belongs to another user',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/identities/{provider}/unlink': {
+      delete: {
+        summary: 'Unlink an identity provider account',
+        description: 'Remove a linked identity. The last remaining login method (password, linked identity or passkey) cannot be removed.',
         tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'provider',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Provider name',
+            example: 'google'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Identity unlinked successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          400: {
+            description: 'Cannot remove the last login method',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          401: {
+            description: 'Unauthorized',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'Linked identity not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/api-keys': {
+      get: {
+        summary: 'List API keys',
+        description: 'List the current user\'s active API keys',
+        tags: ['API Keys'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'API keys retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            apiKeys: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/ApiKey' }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Unauthorized',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Not available when authenticated with an API key',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        summary: 'Create an API key',
+        description: 'Create a personal API key for machine access. The full key is returned only once; send it as `Authorization: ApiKey <key>`. The `read` scope allows GET requests, `write` allows POST, PUT, PATCH and DELETE.',
+        tags: ['API Keys'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                  name: {
+                    type: 'string',
+                    maxLength: 50,
+                    example: 'CI deploy'
+                  },
+                  scopes: {
+                    type: 'array',
+                    items: {
+                      type: 'string',
+                      enum: ['read', 'write']
+                    },
+                    default: ['read']
+                  },
+                  expiresAt: {
+                    type: 'string',
+                    format: 'date-time',
+                    description: 'Optional expiry (the key never expires otherwise)'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'API key created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            apiKey: { $ref: '#/components/schemas/ApiKey' },
+                            key: {
+                              type: 'string',
+                              description: 'Full API key (shown only once)'
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          401: {
+            description: 'Unauthorized',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Not available when authenticated with an API key',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/api-keys/{id}': {
+      delete: {
+        summary: 'Revoke an API key',
+        tags: ['API Keys'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'API key ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'API key revoked successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          403: {
+            description: 'Not available when authenticated with an API key',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'API key not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/sessions': {
+      get: {
+        summary: 'List active sessions',
+        description: 'List the devices the current user is signed in on',
+        tags: ['Sessions'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'Active sessions retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            sessions: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/Session' }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Unauthorized',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/auth/sessions/{id}': {
+      delete: {
+        summary: 'Revoke a session',
+        description: 'Sign out one of the current user\'s devices. Its refresh and access tokens stop working immediately.',
+        tags: ['Sessions'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Session ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Session revoked successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          404: {
+            description: 'Session not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/users': {
+      get: {
+        summary: 'List users',
+        description: 'Search, filter and paginate users (requires users:manage)',
+        tags: ['User Management'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'page',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, default: 1 }
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+          },
+          {
+            name: 'search',
+            in: 'query',
+            schema: { type: 'string' },
+            description: 'Case-insensitive match on name or email'
+          },
+          {
+            name: 'role',
+            in: 'query',
+            schema: { type: 'string' }
+          },
+          {
+            name: 'isActive',
+            in: 'query',
+            schema: { type: 'boolean' }
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Users retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            users: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/User' }
+                            },
+                            pagination: {
+                              type: 'object',
+                              properties: {
+                                currentPage: { type: 'integer' },
+                                totalPages: { type: 'integer' },
+                                totalItems: { type: 'integer' },
+                                itemsPerPage: { type: 'integer' },
+                                hasNextPage: { type: 'boolean' },
+                                hasPrevPage: { type: 'boolean' }
+                              }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/users/{userId}': {
+      get: {
+        summary: 'Get a user',
+        description: 'Get a user by ID (requires users:manage)',
+        tags: ['User Management'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'userId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'User retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            user: { $ref: '#/components/schemas/User' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      },
+      delete: {
+        summary: 'Delete a user',
+        description: 'Delete a user with their sessions, refresh tokens and API keys. Audit logs are kept. (requires users:manage)',
+        tags: ['User Management'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'userId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'User deleted successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          400: {
+            description: 'You cannot perform this action on your own account',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions, or the user holds permissions the admin does not (INSUFFICIENT_PERMISSIONS)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/users/{userId}/deactivate': {
+      post: {
+        summary: 'Deactivate a user',
+        description: 'Deactivate the account and revoke all of its sessions (requires users:manage)',
+        tags: ['User Management'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'userId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'User deactivated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            user: { $ref: '#/components/schemas/User' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'You cannot perform this action on your own account',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions, or the user holds permissions the admin does not (INSUFFICIENT_PERMISSIONS)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          409: {
+            description: 'User is already deactivated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/users/{userId}/reactivate': {
+      post: {
+        summary: 'Reactivate a user',
+        description: 'Reactivate a deactivated account (requires users:manage)',
+        tags: ['User Management'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'userId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'User reactivated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            user: { $ref: '#/components/schemas/User' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'You cannot perform this action on your own account',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          409: {
+            description: 'User is already active',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/users/{userId}/unlock': {
+      post: {
+        summary: 'Unlock a user',
+        description: 'Clear failed login attempts, the account lock and the failed signin counter for the user\'s email (requires users:manage)',
+        tags: ['User Management'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'userId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'User unlocked successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            user: { $ref: '#/components/schemas/User' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/users/{userId}/force-password-reset': {
+      post: {
+        summary: 'Force a password reset',
+        description: 'Revoke all sessions, refuse password signin until the password is reset and email the user a reset link (requires users:manage)',
+        tags: ['User Management'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'userId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Password reset required',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            emailSent: {
+                              type: 'boolean',
+                              description: 'Whether the reset link could be emailed'
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'You cannot perform this action on your own account',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions, or the user holds permissions the admin does not (INSUFFICIENT_PERMISSIONS)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/users/{userId}/impersonate': {
+      post: {
+        summary: 'Impersonate a user',
+        description: 'Issue a short-lived access token (IMPERSONATION_EXPIRES_IN, default 15m) to act as the user. No refresh token is issued. Requests made with it are audited with the admin in metadata.impersonatorId; changing the password, two-factor settings, passkeys, linked identities, sessions and API keys is refused with 403 IMPERSONATION_NOT_ALLOWED. Users with permissions the admin does not hold cannot be impersonated. (requires users:impersonate)',
+        tags: ['User Management'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'userId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Impersonation started',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            accessToken: { type: 'string' },
+                            expiresIn: { type: 'string', example: '15m' },
+                            user: {
+                              type: 'object',
+                              properties: {
+                                id: { type: 'string' },
+                                name: { type: 'string' },
+                                email: { type: 'string' },
+                                role: { type: 'string' }
+                              }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'You cannot impersonate yourself',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions, already impersonating, or the user holds permissions the admin does not (IMPERSONATION_NOT_ALLOWED)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          409: {
+            description: 'Deactivated users cannot be impersonated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/impersonation/stop': {
+      post: {
+        summary: 'Stop impersonating',
+        description: 'Revoke the impersonation token the request is made with. Call it with the impersonation token.',
+        tags: ['User Management'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'Impersonation ended',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          400: {
+            description: 'The request is not made with an impersonation token (NOT_IMPERSONATING)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          401: {
+            description: 'Unauthorized',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/users/{userId}/sessions': {
+      get: {
+        summary: 'List sessions of a user',
+        description: 'List the active sessions of any user (requires users:manage)',
+        tags: ['Sessions'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'userId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Active sessions retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            userId: { type: 'string' },
+                            sessions: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/Session' }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      },
+      delete: {
+        summary: 'Revoke all sessions of a user',
+        description: 'Sign a user out of every device (requires users:manage)',
+        tags: ['Sessions'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'userId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'All sessions revoked successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/users/{userId}/sessions/{sessionId}': {
+      delete: {
+        summary: 'Revoke a session of a user',
+        description: 'Sign a user out of a single device (requires users:manage)',
+        tags: ['Sessions'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'userId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User ID'
+          },
+          {
+            name: 'sessionId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Session ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Session revoked successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          404: {
+            description: 'Session not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/lockouts': {
+      get: {
+        summary: 'List signin lockouts',
+        description: 'List the per-IP and per-email failed signin counters. They count failures for unknown emails too and are forgotten after LOGIN_ATTEMPT_WINDOW without failures. (requires users:manage)',
+        tags: ['User Management'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'type',
+            in: 'query',
+            schema: { type: 'string', enum: ['ip', 'email'] }
+          },
+          {
+            name: 'value',
+            in: 'query',
+            schema: { type: 'string' },
+            description: 'IP address or email'
+          },
+          {
+            name: 'locked',
+            in: 'query',
+            schema: { type: 'boolean' },
+            description: 'Only counters that are (or are not) locked now'
+          },
+          {
+            name: 'page',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, default: 1 }
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Lockouts retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            lockouts: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/Lockout' }
+                            },
+                            pagination: { type: 'object' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/lockouts/{lockoutId}': {
+      delete: {
+        summary: 'Clear a signin lockout',
+        description: 'Delete a failed signin counter, lifting its lock (requires users:manage)',
+        tags: ['User Management'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'lockoutId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Lockout ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Lockout cleared successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'Lockout not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/oauth-clients': {
+      get: {
+        summary: 'List OAuth clients',
+        description: 'List the clients allowed to call /api/oauth (requires clients:manage)',
+        tags: ['OAuth Clients'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'includeRevoked',
+            in: 'query',
+            schema: { type: 'boolean', default: false }
+          }
+        ],
+        responses: {
+          200: {
+            description: 'OAuth clients retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            clients: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/OAuthClient' }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        summary: 'Register an OAuth client',
+        description: 'Register a client and return its secret once (public clients have none). Trusted clients may introspect and revoke every token. (requires clients:manage and a signed-in session)',
+        tags: ['OAuth Clients'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                  name: {
+                    type: 'string',
+                    maxLength: 100,
+                    example: 'Billing service'
+                  },
+                  type: {
+                    type: 'string',
+                    enum: ['confidential', 'public'],
+                    default: 'confidential'
+                  },
+                  trusted: {
+                    type: 'boolean',
+                    default: false,
+                    description: 'Not allowed for public clients'
+                  },
+                  grantTypes: {
+                    type: 'array',
+                    items: { type: 'string', enum: ['authorization_code', 'refresh_token', 'client_credentials'] },
+                    description: 'Public clients may only use authorization_code and refresh_token',
+                    default: []
+                  },
+                  redirectUris: {
+                    type: 'array',
+                    items: { type: 'string', format: 'uri' },
+                    description: 'Required with the authorization_code grant. https, or http on a loopback address (any port is then accepted).'
+                  },
+                  scopes: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    default: ['openid', 'profile', 'email']
+                  },
+                  skipConsent: {
+                    type: 'boolean',
+                    default: false
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'OAuth client registered',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            client: { $ref: '#/components/schemas/OAuthClient' },
+                            clientSecret: {
+                              type: 'string',
+                              description: 'Client secret, shown only once'
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/oauth-clients/{clientId}': {
+      delete: {
+        summary: 'Revoke an OAuth client',
+        description: 'Revoke a client; its credentials stop working (requires clients:manage)',
+        tags: ['OAuth Clients'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'clientId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'OAuth client ID (the document ID, not the client_id)'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'OAuth client revoked successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'OAuth client not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/oauth-clients/{clientId}/secret': {
+      post: {
+        summary: 'Rotate a client secret',
+        description: 'Issue a new secret; the old one stops working immediately (requires clients:manage and a signed-in session)',
+        tags: ['OAuth Clients'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'clientId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'OAuth client ID (the document ID, not the client_id)'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Client secret rotated',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            client: { $ref: '#/components/schemas/OAuthClient' },
+                            clientSecret: {
+                              type: 'string',
+                              description: 'Client secret, shown only once'
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'OAuth client not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/provisioning-tokens': {
+      get: {
+        summary: 'List provisioning tokens',
+        description: 'List the bearer tokens identity providers use to call the SCIM API (requires provisioning:manage)',
+        tags: ['SCIM'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'includeRevoked',
+            in: 'query',
+            schema: { type: 'boolean', default: false }
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Provisioning tokens retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            tokens: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/ProvisioningToken' }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        summary: 'Issue a provisioning token',
+        description: 'Issue a SCIM provisioning token and return it once. The token can create, change and delete users and their roles; the members of roles with permissions are only changed with SCIM_ALLOW_PRIVILEGED_GROUPS. (requires provisioning:manage and a signed-in session)',
+        tags: ['SCIM'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                  name: {
+                    type: 'string',
+                    maxLength: 100,
+                    example: 'Okta'
+                  },
+                  expiresAt: {
+                    type: 'string',
+                    format: 'date-time',
+                    description: 'Optional expiry (never expires when omitted)'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Provisioning token issued',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            provisioningToken: { $ref: '#/components/schemas/ProvisioningToken' },
+                            token: {
+                              type: 'string',
+                              description: 'Bearer token for the SCIM API (shown only once)',
+                              example: 'scim_3f9a1c2b7d4e_Qm9vZ2xlIGlzIG5vdCBhIHNlY3JldA'
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions, or the request was not made with a signed-in session',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/provisioning-tokens/{tokenId}': {
+      delete: {
+        summary: 'Revoke a provisioning token',
+        description: 'Revoke a SCIM provisioning token; it stops working immediately (requires provisioning:manage)',
+        tags: ['SCIM'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'tokenId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Provisioning token ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Provisioning token revoked successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'Provisioning token not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/invitations': {
+      get: {
+        summary: 'List invitations',
+        description: 'List account invitations (requires users:manage)',
+        tags: ['Invitations'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'status',
+            in: 'query',
+            schema: { type: 'string', enum: ['pending', 'accepted', 'revoked', 'expired'] }
+          },
+          {
+            name: 'email',
+            in: 'query',
+            schema: { type: 'string', format: 'email' }
+          },
+          {
+            name: 'page',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, default: 1 }
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Invitations retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            invitations: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/Invitation' }
+                            },
+                            pagination: { type: 'object' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        summary: 'Invite a user',
+        description: 'Email an invitation to create an account with a pre-assigned role, replacing any pending invitation for the address (requires users:manage, and roles:manage for roles other than user). Invitations expire after 7 days.',
+        tags: ['Invitations'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['email'],
+                properties: {
+                  email: {
+                    type: 'string',
+                    format: 'email',
+                    example: 'jane@example.com'
+                  },
+                  role: {
+                    type: 'string',
+                    default: 'user',
+                    example: 'auditor'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Invitation created',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            invitation: { $ref: '#/components/schemas/Invitation' },
+                            emailSent: { type: 'boolean' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'Role not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          409: {
+            description: 'A user with this email already exists',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/invitations/{invitationId}': {
+      delete: {
+        summary: 'Revoke an invitation',
+        description: 'Revoke a pending invitation (requires users:manage)',
+        tags: ['Invitations'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'invitationId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Invitation ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Invitation revoked successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          404: {
+            description: 'Invitation not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          409: {
+            description: 'Invitation was already accepted or revoked',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/invitations/{invitationId}/resend': {
+      post: {
+        summary: 'Resend an invitation',
+        description: 'Email the invitation again with a new link and a fresh 7-day expiry; the previous link stops working (requires users:manage)',
+        tags: ['Invitations'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'invitationId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Invitation ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Invitation resent',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            invitation: { $ref: '#/components/schemas/Invitation' },
+                            emailSent: { type: 'boolean' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          404: {
+            description: 'Invitation not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          409: {
+            description: 'Invitation was already accepted or revoked',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/permissions': {
+      get: {
+        summary: 'List permissions',
+        description: 'List the permissions that can be granted to roles (requires roles:manage)',
+        tags: ['Roles'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'Permissions retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            permissions: {
+                              type: 'array',
+                              items: {
+                                type: 'object',
+                                properties: {
+                                  name: { type: 'string' },
+                                  description: { type: 'string' }
+                                }
+                              }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/roles': {
+      get: {
+        summary: 'List roles',
+        description: 'List roles and their permissions (requires roles:manage)',
+        tags: ['Roles'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'Roles retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            roles: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/Role' }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        summary: 'Create a role',
+        description: 'Create a role with a set of permissions (requires roles:manage)',
+        tags: ['Roles'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                  name: {
+                    type: 'string',
+                    example: 'auditor'
+                  },
+                  description: {
+                    type: 'string',
+                    maxLength: 200
+                  },
+                  permissions: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    example: ['audit:read:any', 'audit:export']
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Role created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            role: { $ref: '#/components/schemas/Role' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          409: {
+            description: 'A role with this name already exists',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/roles/{name}': {
+      put: {
+        summary: 'Update a role',
+        description: 'Change the description or permissions of a role (requires roles:manage). The admin role always keeps every permission.',
+        tags: ['Roles'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'name',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Role name',
+            example: 'auditor'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  description: {
+                    type: 'string',
+                    maxLength: 200
+                  },
+                  permissions: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    example: ['audit:read:any', 'audit:export']
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Role updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            role: { $ref: '#/components/schemas/Role' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Validation error, or the change would remove permissions from the admin role or your own role management',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'Role not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      },
+      delete: {
+        summary: 'Delete a role',
+        description: 'Delete a custom role that is not assigned to any user (requires roles:manage)',
+        tags: ['Roles'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'name',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Role name',
+            example: 'auditor'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Role deleted successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          400: {
+            description: 'Built-in roles cannot be deleted',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'Role not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          409: {
+            description: 'Role is still assigned to users',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/users/{userId}/role': {
+      put: {
+        summary: 'Assign a role',
+        description: 'Assign a role to a user (requires roles:manage)',
+        tags: ['Roles'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'userId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User ID'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['role'],
+                properties: {
+                  role: {
+                    type: 'string',
+                    example: 'auditor'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Role assigned successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            userId: { type: 'string' },
+                            role: { type: 'string' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Validation error, or the change would remove your own role management',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'User or role not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/organizations': {
+      get: {
+        summary: 'List my organizations',
+        description: 'List the organizations the current user belongs to, with their role in each',
+        tags: ['Organizations'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'Organizations retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            organizations: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/Organization' }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        summary: 'Create an organization',
+        description: 'Create an organization; the creator becomes its owner. The slug is derived from the name when omitted.',
+        tags: ['Organizations'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                  name: {
+                    type: 'string',
+                    example: 'Acme Inc.'
+                  },
+                  slug: {
+                    type: 'string',
+                    example: 'acme-inc'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Organization created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            organization: { $ref: '#/components/schemas/Organization' },
+                            role: { type: 'string', example: 'owner' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          409: {
+            description: 'Slug already taken',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/organizations/switch': {
+      post: {
+        summary: 'Switch organization',
+        description: 'Rotate the refresh token into a token pair whose org claim names another organization, or none when organizationId is null',
+        tags: ['Organizations'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['refreshToken', 'organizationId'],
+                properties: {
+                  refreshToken: {
+                    type: 'string'
+                  },
+                  organizationId: {
+                    type: 'string',
+                    nullable: true
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Organization switched',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            organization: { $ref: '#/components/schemas/Organization' },
+                            role: { type: 'string', example: 'owner' },
+                            accessToken: { type: 'string' },
+                            refreshToken: { type: 'string' },
+                            expiresIn: { type: 'string' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Expired, invalid, revoked or reused refresh token, or one of another user',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Not a member of the organization',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/organizations/invitations/accept': {
+      post: {
+        summary: 'Accept an invitation',
+        description: 'Join the organization of an invitation. The invitation must have been sent to the email address of the current user.',
+        tags: ['Organizations'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['token'],
+                properties: {
+                  token: {
+                    type: 'string',
+                    description: 'Token from the invitation email'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Invitation accepted successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            organization: { $ref: '#/components/schemas/Organization' },
+                            role: { type: 'string', example: 'owner' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Invitation is invalid or has expired',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Invitation was sent to a different email address',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          409: {
+            description: 'Already a member',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/organizations/{orgId}': {
+      get: {
+        summary: 'Get an organization',
+        description: 'Get an organization with the role and permissions of the current user',
+        tags: ['Organizations'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'orgId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Organization ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Organization retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            organization: { $ref: '#/components/schemas/Organization' },
+                            role: { type: 'string', example: 'owner' },
+                            permissions: {
+                              type: 'array',
+                              items: { type: 'string' },
+                              example: ['org:manage', 'members:manage', 'audit:read']
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          403: {
+            description: 'Not a member of the organization',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      },
+      patch: {
+        summary: 'Update an organization',
+        description: 'Rename an organization or change its slug (requires org:manage)',
+        tags: ['Organizations'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'orgId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Organization ID'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: {
+                    type: 'string',
+                    example: 'Acme Inc.'
+                  },
+                  slug: {
+                    type: 'string',
+                    example: 'acme-inc'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Organization updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            organization: { $ref: '#/components/schemas/Organization' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient organization permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          409: {
+            description: 'Slug already taken',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      },
+      delete: {
+        summary: 'Delete an organization',
+        description: 'Delete an organization with its memberships and invitations; its audit logs are kept (requires org:manage)',
+        tags: ['Organizations'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'orgId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Organization ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Organization deleted successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient organization permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/organizations/{orgId}/members': {
+      get: {
+        summary: 'List members',
+        description: 'List the members of an organization',
+        tags: ['Organizations'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'orgId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Organization ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Members retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            members: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/OrganizationMember' }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          403: {
+            description: 'Not a member of the organization',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/organizations/{orgId}/members/{userId}': {
+      patch: {
+        summary: 'Change a member role',
+        description: 'Change the organization role of a member (requires members:manage; only owners can grant or remove the owner role)',
+        tags: ['Organizations'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'orgId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Organization ID'
+          },
+          {
+            name: 'userId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User ID'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['role'],
+                properties: {
+                  role: {
+                    type: 'string',
+                    enum: ['owner', 'admin', 'member']
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Member updated successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          400: {
+            description: 'An organization must keep at least one owner',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient organization permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'Member not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      },
+      delete: {
+        summary: 'Remove a member',
+        description: 'Remove a member (requires members:manage), or leave the organization by removing yourself',
+        tags: ['Organizations'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'orgId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Organization ID'
+          },
+          {
+            name: 'userId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Member removed successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          400: {
+            description: 'An organization must keep at least one owner',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient organization permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'Member not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/organizations/{orgId}/invitations': {
+      get: {
+        summary: 'List invitations',
+        description: 'List the invitations of an organization (requires members:manage)',
+        tags: ['Organizations'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'orgId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Organization ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Invitations retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            invitations: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/Invitation' }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient organization permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        summary: 'Invite a member',
+        description: 'Email an invitation to join the organization, replacing any pending invitation for the address (requires members:manage). Invitations expire after 7 days.',
+        tags: ['Organizations'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'orgId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Organization ID'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['email'],
+                properties: {
+                  email: {
+                    type: 'string',
+                    format: 'email'
+                  },
+                  role: {
+                    type: 'string',
+                    enum: ['owner', 'admin', 'member'],
+                    default: 'member'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Invitation created',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            invitation: { $ref: '#/components/schemas/Invitation' },
+                            emailSent: { type: 'boolean' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient organization permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          409: {
+            description: 'Already a member',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/organizations/{orgId}/invitations/{invitationId}': {
+      delete: {
+        summary: 'Revoke an invitation',
+        description: 'Revoke a pending invitation (requires members:manage)',
+        tags: ['Organizations'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'orgId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Organization ID'
+          },
+          {
+            name: 'invitationId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Invitation ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Invitation revoked successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              }
+            }
+          },
+          403: {
+            description: 'Insufficient organization permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          404: {
+            description: 'Invitation not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          409: {
+            description: 'Invitation is no longer pending',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/oauth/authorize': {
+      get: {
+        summary: 'Authorization endpoint',
+        description: 'Start the authorization code flow (with PKCE). Valid requests are redirected to the login app (OAUTH_LOGIN_URL) with the same query. Errors are redirected back to the client once its redirect URI is trusted; an unknown client or redirect URI gets a 400 error instead.',
+        tags: ['OAuth'],
+        parameters: [
+          {
+            name: 'response_type',
+            in: 'query',
+            required: true,
+            schema: { type: 'string' },
+            description: 'code'
+          },
+          {
+            name: 'client_id',
+            in: 'query',
+            required: true,
+            schema: { type: 'string' }
+          },
+          {
+            name: 'redirect_uri',
+            in: 'query',
+            required: true,
+            schema: { type: 'string' },
+            description: 'One of the client\'s registered redirect URIs'
+          },
+          {
+            name: 'scope',
+            in: 'query',
+            required: false,
+            schema: { type: 'string' },
+            description: 'Space-separated; defaults to every scope of the client'
+          },
+          {
+            name: 'state',
+            in: 'query',
+            required: false,
+            schema: { type: 'string' },
+            description: 'Returned unchanged to the client'
+          },
+          {
+            name: 'nonce',
+            in: 'query',
+            required: false,
+            schema: { type: 'string' },
+            description: 'Copied into the ID token'
+          },
+          {
+            name: 'code_challenge',
+            in: 'query',
+            required: true,
+            schema: { type: 'string' },
+            description: 'BASE64URL(SHA256(code_verifier))'
+          },
+          {
+            name: 'code_challenge_method',
+            in: 'query',
+            required: true,
+            schema: { type: 'string' },
+            description: 'S256'
+          },
+          {
+            name: 'prompt',
+            in: 'query',
+            required: false,
+            schema: { type: 'string' },
+            description: 'none (fail instead of asking) or consent (always ask)'
+          }
+        ],
+        responses: {
+          302: {
+            description: 'Redirect to the login app, or to the client with error and state'
+          },
+          400: {
+            description: 'Unknown client or unregistered redirect URI',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          429: {
+            $ref: '#/components/responses/TooManyRequests'
+          }
+        }
+      },
+      post: {
+        summary: 'Approve or deny an authorization request',
+        description: 'Posted by the login app with the signed-in user\'s session and the query of the authorization request. Without approve, answers with what to ask on the consent screen unless consent was already given (or the client skips it). Once decided, answers with the URL to send the browser to: the redirect URI with a single-use code (valid 60 seconds), or with an error. Tokens issued to OAuth clients are rejected (403 OAUTH_TOKEN_NOT_ALLOWED).',
+        tags: ['OAuth'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['response_type', 'client_id', 'redirect_uri', 'code_challenge', 'code_challenge_method'],
+                properties: {
+                  response_type: { type: 'string', enum: ['code'] },
+                  client_id: { type: 'string' },
+                  redirect_uri: { type: 'string', format: 'uri' },
+                  scope: { type: 'string', description: 'Space-separated; defaults to every scope of the client', example: 'openid email' },
+                  state: { type: 'string' },
+                  nonce: { type: 'string', description: 'Copied into the ID token' },
+                  code_challenge: { type: 'string', description: 'BASE64URL(SHA256(code_verifier))' },
+                  code_challenge_method: { type: 'string', enum: ['S256'] },
+                  prompt: { type: 'string', enum: ['none', 'consent'] },
+                  approve: {
+                    type: 'boolean',
+                    description: 'The user\'s decision on the consent screen'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Consent to ask for, or where to send the browser',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            consentRequired: { type: 'boolean' },
+                            client: {
+                              type: 'object',
+                              properties: {
+                                clientId: { type: 'string' },
+                                name: { type: 'string' }
+                              }
+                            },
+                            scopes: {
+                              type: 'array',
+                              items: {
+                                type: 'object',
+                                properties: {
+                                  name: { type: 'string', example: 'email' },
+                                  description: { type: 'string', nullable: true }
+                                }
+                              }
+                            },
+                            redirectTo: {
+                              type: 'string',
+                              description: 'Redirect URI with code, state and iss (or error and error_description)'
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Unknown client or unregistered redirect URI',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          401: {
+            description: 'Authentication required',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Not a signed-in session',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          429: {
+            $ref: '#/components/responses/TooManyRequests'
+          }
+        }
+      }
+    },
+    '/api/oauth/token': {
+      post: {
+        summary: 'Token endpoint',
+        description: 'Exchange an authorization code (with its PKCE code_verifier), rotate a refresh token, or get a client token with client_credentials. Public clients send client_id alone. Presenting a code twice revokes the tokens issued for it. Refresh tokens only rotate for the client they were issued to; scope may narrow them.',
+        tags: ['OAuth'],
+        security: [{ clientBasic: [] }, {}],
         requestBody: {
           required: true,
           content: {
-            'application/json': {
+            'application/x-www-form-urlencoded': {
               schema: {
                 type: 'object',
-                required: ['email', 'password'],
+                required: ['grant_type'],
                 properties: {
-                  email: {
+                  grant_type: {
                     type: 'string',
-                    format: 'email',
-                    example: 'john@example.com'
+                    enum: ['authorization_code', 'refresh_token', 'client_credentials']
                   },
-                  password: {
+                  code: { type: 'string', description: 'authorization_code' },
+                  redirect_uri: { type: 'string', description: 'authorization_code; the one used to get the code' },
+                  code_verifier: { type: 'string', description: 'authorization_code' },
+                  refresh_token: { type: 'string', description: 'refresh_token' },
+                  scope: { type: 'string', description: 'refresh_token (narrowing) and client_credentials' },
+                  client_id: { type: 'string', description: 'Client ID (when not using HTTP Basic)' },
+                  client_secret: { type: 'string', description: 'Client secret (confidential clients, when not using HTTP Basic)' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Tokens issued',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/TokenResponse' }
+              }
+            }
+          },
+          400: {
+            description: 'Invalid, expired or replayed code or refresh token (invalid_grant), grant not allowed for the client (unauthorized_client), unsupported grant or invalid scope',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/OAuthError' }
+              }
+            }
+          },
+          401: {
+            description: 'Client authentication failed (invalid_client)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/OAuthError' }
+              }
+            }
+          },
+          429: {
+            $ref: '#/components/responses/TooManyRequests'
+          }
+        }
+      }
+    },
+    '/api/oauth/userinfo': {
+      get: {
+        summary: 'OpenID Connect userinfo',
+        description: 'Claims about the user of an access token issued to a client with the openid scope. First-party tokens and tokens without openid get 403 insufficient_scope.',
+        tags: ['OAuth'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'Claims released by the granted scopes',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    sub: { type: 'string' },
+                    name: { type: 'string', description: 'profile scope' },
+                    picture: { type: 'string', description: 'profile scope' },
+                    updated_at: { type: 'integer', description: 'profile scope' },
+                    email: { type: 'string', description: 'email scope' },
+                    email_verified: { type: 'boolean', description: 'email scope' }
+                  }
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Invalid or expired access token',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Missing openid scope (insufficient_scope)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/OAuthError' }
+              }
+            }
+          },
+          429: {
+            $ref: '#/components/responses/TooManyRequests'
+          }
+        }
+      },
+      post: {
+        summary: 'OpenID Connect userinfo',
+        description: 'Claims about the user of an access token issued to a client with the openid scope. First-party tokens and tokens without openid get 403 insufficient_scope.',
+        tags: ['OAuth'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'Claims released by the granted scopes',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    sub: { type: 'string' },
+                    name: { type: 'string', description: 'profile scope' },
+                    picture: { type: 'string', description: 'profile scope' },
+                    updated_at: { type: 'integer', description: 'profile scope' },
+                    email: { type: 'string', description: 'email scope' },
+                    email_verified: { type: 'boolean', description: 'email scope' }
+                  }
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Invalid or expired access token',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          },
+          403: {
+            description: 'Missing openid scope (insufficient_scope)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/OAuthError' }
+              }
+            }
+          },
+          429: {
+            $ref: '#/components/responses/TooManyRequests'
+          }
+        }
+      }
+    },
+    '/api/oauth/introspect': {
+      post: {
+        summary: 'Introspect a token',
+        description: 'RFC 7662 token introspection for other services. Tokens that are invalid, expired, revoked (logout, logout-all, session revocation, deactivated or locked account, ended impersonation) or were issued to another client are reported as inactive. Only trusted clients see tokens issued to users directly.',
+        tags: ['OAuth'],
+        security: [{ clientBasic: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/x-www-form-urlencoded': {
+              schema: {
+                type: 'object',
+                required: ['token'],
+                properties: {
+                  token: {
                     type: 'string',
-                    example: 'Password123'
+                    description: 'Access or refresh token'
+                  },
+                  token_type_hint: {
+                    type: 'string',
+                    enum: ['access_token', 'refresh_token']
+                  },
+                  client_id: {
+                    type: 'string',
+                    description: 'Client ID (when not using HTTP Basic)'
+                  },
+                  client_secret: {
+                    type: 'string',
+                    description: 'Client secret (when not using HTTP Basic)'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Token state',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/IntrospectionResponse' }
+              }
+            }
+          },
+          400: {
+            description: 'Missing token (invalid_request)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/OAuthError' }
+              }
+            }
+          },
+          401: {
+            description: 'Client authentication failed (invalid_client)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/OAuthError' }
+              }
+            }
+          },
+          429: {
+            $ref: '#/components/responses/TooManyRequests'
+          }
+        }
+      }
+    },
+    '/api/oauth/revoke': {
+      post: {
+        summary: 'Revoke a token',
+        description: 'RFC 7009 token revocation. Revoking a refresh token ends its session, including the access tokens issued in it. Invalid and already revoked tokens also get 200.',
+        tags: ['OAuth'],
+        security: [{ clientBasic: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/x-www-form-urlencoded': {
+              schema: {
+                type: 'object',
+                required: ['token'],
+                properties: {
+                  token: {
+                    type: 'string',
+                    description: 'Access or refresh token'
+                  },
+                  token_type_hint: {
+                    type: 'string',
+                    enum: ['access_token', 'refresh_token']
+                  },
+                  client_id: {
+                    type: 'string',
+                    description: 'Client ID (when not using HTTP Basic)'
+                  },
+                  client_secret: {
+                    type: 'string',
+                    description: 'Client secret (when not using HTTP Basic)'
                   }
                 }
               }
             }
           }
-        },
+        },
+        responses: {
+          200: {
+            description: 'Token revoked (or it was not valid)'
+          },
+          400: {
+            description: 'Missing token (invalid_request) or the token was issued to another client (unauthorized_client)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/OAuthError' }
+              }
+            }
+          },
+          401: {
+            description: 'Client authentication failed (invalid_client)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/OAuthError' }
+              }
+            }
+          },
+          429: {
+            $ref: '#/components/responses/TooManyRequests'
+          }
+        }
+      }
+    },
+    '/api/oauth/consents': {
+      get: {
+        summary: 'List consents',
+        description: 'Clients the current user has authorized, with the granted scopes',
+        tags: ['OAuth'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'Consents retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            consents: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/OAuthConsent' }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Authentication required',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/oauth/consents/{clientId}': {
+      delete: {
+        summary: 'Withdraw consent',
+        description: 'Withdraw consent for a client and sign out the sessions it holds for the user',
+        tags: ['OAuth'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'clientId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'OAuth client_id',
+            example: 'cli_5c1f0e7a9b3d2c4e6f8a0b1c'
+          }
+        ],
         responses: {
           200: {
-            description: 'Login successful',
+            description: 'Consent withdrawn successfully',
             content: {
               'application/json': {
                 schema: {
@@ -396,10 +7131,7 @@ const swaggerDefinition = {
                         data: {
                           type: 'object',
                           properties: {
-                            user: { $ref: '#/components/schemas/User' },
-                            accessToken: { type: 'string' },
-                            refreshToken: { type: 'string' },
-                            expiresIn: { type: 'string' }
+                            revokedSessions: { type: 'integer', example: 1 }
                           }
                         }
                       }
@@ -410,15 +7142,15 @@ const swaggerDefinition = {
             }
           },
           401: {
-            description: 'Invalid credentials',
+            description: 'Authentication required',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/Error' }
               }
             }
           },
-          423: {
-            description: 'Account locked',
+          404: {
+            description: 'Consent not found',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/Error' }
@@ -428,32 +7160,66 @@ const swaggerDefinition = {
         }
       }
     },
-    '/api/auth/google': {
-      post: {
-        summary: 'Google authentication',
-        description: 'Authenticate user with Google ID token from frontend',
-        tags: ['Authentication'],
-        requestBody: {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                required: ['token'],
-                properties: {
-                  token: {
-                    type: 'string',
-                    description: 'Google ID token received from frontend',
-                    example: 'eyJhbGciOiJSUzI1NiIsImtpZCI6Ij...'
-                  }
-                }
-              }
-            }
+    '/api/audit/logs': {
+      get: {
+        summary: 'Get audit logs',
+        description: 'Get audit logs with filtering and pagination. Users see their own logs; the audit:read:any permission sees all. In an organization context only the logs of that organization are returned, and its owners and admins see all of them.',
+        tags: ['Audit Logs'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { $ref: '#/components/parameters/OrganizationId' },
+          {
+            name: 'page',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, default: 1 },
+            description: 'Page number'
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+            description: 'Items per page'
+          },
+          {
+            name: 'action',
+            in: 'query',
+            schema: { type: 'string', enum: ['CREATE', 'READ', 'UPDATE', 'DELETE'] },
+            description: 'Filter by action type'
+          },
+          {
+            name: 'entity',
+            in: 'query',
+            schema: { type: 'string' },
+            description: 'Filter by entity type'
+          },
+          {
+            name: 'entityId',
+            in: 'query',
+            schema: { type: 'string' },
+            description: 'Filter by entity ID'
+          },
+          {
+            name: 'userId',
+            in: 'query',
+            schema: { type: 'string' },
+            description: 'Filter by user ID (requires audit:read:any)'
+          },
+          {
+            name: 'startDate',
+            in: 'query',
+            schema: { type: 'string', format: 'date-time' },
+            description: 'Filter from date'
+          },
+          {
+            name: 'endDate',
+            in: 'query',
+            schema: { type: 'string', format: 'date-time' },
+            description: 'Filter to date'
           }
-        },
+        ],
         responses: {
           200: {
-            description: 'Google authentication successful',
+            description: 'Audit logs retrieved successfully',
             content: {
               'application/json': {
                 schema: {
@@ -465,13 +7231,20 @@ const swaggerDefinition = {
                         data: {
                           type: 'object',
                           properties: {
-                            user: { $ref: '#/components/schemas/User' },
-                            accessToken: { type: 'string' },
-                            refreshToken: { type: 'string' },
-                            expiresIn: { type: 'string' },
-                            isNewUser: {
-                              type: 'boolean',
-                              description: 'Whether this is a new user account'
+                            auditLogs: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/AuditLog' }
+                            },
+                            pagination: {
+                              type: 'object',
+                              properties: {
+                                currentPage: { type: 'integer' },
+                                totalPages: { type: 'integer' },
+                                totalItems: { type: 'integer' },
+                                itemsPerPage: { type: 'integer' },
+                                hasNextPage: { type: 'boolean' },
+                                hasPrevPage: { type: 'boolean' }
+                              }
                             }
                           }
                         }
@@ -481,52 +7254,89 @@ const swaggerDefinition = {
                 }
               }
             }
-          },
-          400: {
-            description: 'Invalid Google token',
-            content: {
-              'application/json': {
-                schema: { $ref: '#/components/schemas/Error' }
-              }
-            }
           }
         }
       }
     },
-    '/api/auth/forgot-password': {
-      post: {
-        summary: 'Forgot password',
-        description: 'Send password reset email to user',
-        tags: ['Authentication'],
-        requestBody: {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                required: ['email'],
-                properties: {
-                  email: {
-                    type: 'string',
-                    format: 'email',
-                    example: 'john@example.com'
-                  }
-                }
-              }
-            }
+    '/api/audit/entity/{entity}/{entityId}': {
+      get: {
+        summary: 'Get entity audit logs',
+        description: 'Get audit logs for a specific entity',
+        tags: ['Audit Logs'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { $ref: '#/components/parameters/OrganizationId' },
+          {
+            name: 'entity',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Entity type'
+          },
+          {
+            name: 'entityId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Entity ID'
+          },
+          {
+            name: 'page',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, default: 1 }
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+          },
+          {
+            name: 'action',
+            in: 'query',
+            schema: { type: 'string', enum: ['CREATE', 'READ', 'UPDATE', 'DELETE'] }
+          },
+          {
+            name: 'startDate',
+            in: 'query',
+            schema: { type: 'string', format: 'date-time' }
+          },
+          {
+            name: 'endDate',
+            in: 'query',
+            schema: { type: 'string', format: 'date-time' }
           }
-        },
+        ],
         responses: {
           200: {
-            description: 'Password reset email sent (if user exists)',
+            description: 'Entity audit logs retrieved successfully',
             content: {
               'application/json': {
-                schema: { $ref: '#/components/schemas/SuccessResponse' }
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            entity: { type: 'string' },
+                            entityId: { type: 'string' },
+                            auditLogs: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/AuditLog' }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
               }
             }
           },
-          500: {
-            description: 'Email service error',
+          403: {
+            description: 'Access denied',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/Error' }
@@ -536,81 +7346,119 @@ const swaggerDefinition = {
         }
       }
     },
-    '/api/auth/reset-password': {
-      post: {
-        summary: 'Reset password',
-        description: 'Reset user password using token from email',
-        tags: ['Authentication'],
-        requestBody: {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                required: ['token', 'password'],
-                properties: {
-                  token: {
-                    type: 'string',
-                    description: 'Password reset token from email',
-                    example: 'abc123def456...'
-                  },
-                  password: {
-                    type: 'string',
-                    minLength: 6,
-                    pattern: '^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)',
-                    example: 'NewPassword123'
-                  }
-                }
-              }
-            }
+    '/api/audit/user/{userId}/activity': {
+      get: {
+        summary: 'Get user activity',
+        description: 'Get activity logs for a specific user',
+        tags: ['Audit Logs'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { $ref: '#/components/parameters/OrganizationId' },
+          {
+            name: 'userId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User ID'
+          },
+          {
+            name: 'page',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, default: 1 }
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+          },
+          {
+            name: 'action',
+            in: 'query',
+            schema: { type: 'string', enum: ['CREATE', 'READ', 'UPDATE', 'DELETE'] }
+          },
+          {
+            name: 'entity',
+            in: 'query',
+            schema: { type: 'string' }
+          },
+          {
+            name: 'startDate',
+            in: 'query',
+            schema: { type: 'string', format: 'date-time' }
+          },
+          {
+            name: 'endDate',
+            in: 'query',
+            schema: { type: 'string', format: 'date-time' }
           }
-        },
+        ],
         responses: {
           200: {
-            description: 'Password reset successful',
-            content: {
-              'application/json': {
-                schema: { $ref: '#/components/schemas/SuccessResponse' }
-              }
-            }
-          },
-          400: {
-            description: 'Invalid or expired token',
+            description: 'User activity retrieved successfully',
             content: {
               'application/json': {
-                schema: { $ref: '#/components/schemas/Error' }
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            userId: { type: 'string' },
+                            activityLogs: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/AuditLog' }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
               }
             }
           }
         }
       }
     },
-    '/api/auth/refresh-token': {
-      post: {
-        summary: 'Refresh access token',
-        description: 'Get new access token using refresh token',
-        tags: ['Authentication'],
-        requestBody: {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                required: ['refreshToken'],
-                properties: {
-                  refreshToken: {
-                    type: 'string',
-                    description: 'Valid refresh token',
-                    example: 'eyJhbGciOiJIUzI1NiIs...'
-                  }
-                }
-              }
-            }
+    '/api/audit/stats': {
+      get: {
+        summary: 'Get audit statistics',
+        description: 'Get audit log statistics (requires audit:read:any, or organization audit:read; limited to the organization context)',
+        tags: ['Audit Logs'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { $ref: '#/components/parameters/OrganizationId' },
+          {
+            name: 'startDate',
+            in: 'query',
+            schema: { type: 'string', format: 'date-time' },
+            description: 'Statistics from date'
+          },
+          {
+            name: 'endDate',
+            in: 'query',
+            schema: { type: 'string', format: 'date-time' },
+            description: 'Statistics to date'
+          },
+          {
+            name: 'userId',
+            in: 'query',
+            schema: { type: 'string' },
+            description: 'Filter by user ID'
+          },
+          {
+            name: 'entity',
+            in: 'query',
+            schema: { type: 'string' },
+            description: 'Filter by entity'
           }
-        },
+        ],
         responses: {
           200: {
-            description: 'Tokens refreshed successfully',
+            description: 'Audit statistics retrieved successfully',
             content: {
               'application/json': {
                 schema: {
@@ -622,10 +7470,34 @@ const swaggerDefinition = {
                         data: {
                           type: 'object',
                           properties: {
-                            user: { $ref: '#/components/schemas/User' },
-                            accessToken: { type: 'string' },
-                            refreshToken: { type: 'string' },
-                            expiresIn: { type: 'string' }
+                            statistics: {
+                              type: 'array',
+                              items: {
+                                type: 'object',
+                                properties: {
+                                  _id: { type: 'string' },
+                                  actions: {
+                                    type: 'array',
+                                    items: {
+                                      type: 'object',
+                                      properties: {
+                                        action: { type: 'string' },
+                                        count: { type: 'integer' },
+                                        lastActivity: { type: 'string', format: 'date-time' }
+                                      }
+                                    }
+                                  },
+                                  totalCount: { type: 'integer' }
+                                }
+                              }
+                            },
+                            period: {
+                              type: 'object',
+                              properties: {
+                                startDate: { type: 'string' },
+                                endDate: { type: 'string' }
+                              }
+                            }
                           }
                         }
                       }
@@ -635,8 +7507,8 @@ const swaggerDefinition = {
               }
             }
           },
-          401: {
-            description: 'Invalid or expired refresh token',
+          403: {
+            description: 'Insufficient permissions',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/Error' }
@@ -646,15 +7518,25 @@ const swaggerDefinition = {
         }
       }
     },
-    '/api/auth/me': {
+    '/api/audit/log/{logId}': {
       get: {
-        summary: 'Get user profile',
-        description: 'Get current authenticated user profile',
-        tags: ['Authentication'],
+        summary: 'Get audit log by ID',
+        description: 'Get specific audit log by ID (requires audit:read:any, or organization audit:read; limited to the organization context)',
+        tags: ['Audit Logs'],
         security: [{ bearerAuth: [] }],
+        parameters: [
+          { $ref: '#/components/parameters/OrganizationId' },
+          {
+            name: 'logId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Audit log ID'
+          }
+        ],
         responses: {
           200: {
-            description: 'User profile retrieved successfully',
+            description: 'Audit log retrieved successfully',
             content: {
               'application/json': {
                 schema: {
@@ -666,7 +7548,7 @@ const swaggerDefinition = {
                         data: {
                           type: 'object',
                           properties: {
-                            user: { $ref: '#/components/schemas/User' }
+                            auditLog: { $ref: '#/components/schemas/AuditLog' }
                           }
                         }
                       }
@@ -676,8 +7558,8 @@ const swaggerDefinition = {
               }
             }
           },
-          401: {
-            description: 'Unauthorized',
+          404: {
+            description: 'Audit log not found',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/Error' }
@@ -687,15 +7569,49 @@ const swaggerDefinition = {
         }
       }
     },
-    '/api/auth/profile': {
+    '/api/audit/export': {
       get: {
-        summary: 'Get user profile (alternative)',
-        description: 'Alternative endpoint to get current user profile',
-        tags: ['Authentication'],
+        summary: 'Export audit logs',
+        description: 'Export audit logs in JSON or CSV format (requires audit:export, or organization audit:read; limited to the organization context)',
+        tags: ['Audit Logs'],
         security: [{ bearerAuth: [] }],
+        parameters: [
+          { $ref: '#/components/parameters/OrganizationId' },
+          {
+            name: 'format',
+            in: 'query',
+            schema: { type: 'string', enum: ['json', 'csv'], default: 'json' },
+            description: 'Export format'
+          },
+          {
+            name: 'startDate',
+            in: 'query',
+            schema: { type: 'string', format: 'date-time' }
+          },
+          {
+            name: 'endDate',
+            in: 'query',
+            schema: { type: 'string', format: 'date-time' }
+          },
+          {
+            name: 'action',
+            in: 'query',
+            schema: { type: 'string', enum: ['CREATE', 'READ', 'UPDATE', 'DELETE'] }
+          },
+          {
+            name: 'entity',
+            in: 'query',
+            schema: { type: 'string' }
+          },
+          {
+            name: 'userId',
+            in: 'query',
+            schema: { type: 'string' }
+          }
+        ],
         responses: {
           200: {
-            description: 'User profile retrieved successfully',
+            description: 'Audit logs exported successfully',
             content: {
               'application/json': {
                 schema: {
@@ -707,49 +7623,53 @@ const swaggerDefinition = {
                         data: {
                           type: 'object',
                           properties: {
-                            user: { $ref: '#/components/schemas/User' }
+                            auditLogs: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/AuditLog' }
+                            },
+                            exportDate: { type: 'string', format: 'date-time' },
+                            totalRecords: { type: 'integer' }
                           }
                         }
                       }
                     }
                   ]
                 }
+              },
+              'text/csv': {
+                schema: {
+                  type: 'string',
+                  description: 'CSV formatted audit logs'
+                }
               }
             }
           }
         }
-      },
-      put: {
-        summary: 'Update user profile',
-        description: 'Update current user profile information',
-        tags: ['Authentication'],
-        security: [{ bearerAuth: [] }],
-        requestBody: {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  name: {
-                    type: 'string',
-                    minLength: 2,
-                    maxLength: 50,
-                    example: 'Updated Name'
-                  },
-                  avatar: {
-                    type: 'string',
-                    format: 'uri',
-                    example: 'https://example.com/avatar.jpg'
-                  }
-                }
-              }
-            }
+      }
+    },
+    '/api/audit/verify': {
+      get: {
+        summary: 'Verify the audit log',
+        description: 'Walk the audit log hash chain, recompute every hash and check the signed checkpoints, reporting the first broken link (requires audit:verify). A broken chain is reported with valid false, not as an error.',
+        tags: ['Audit Logs'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'fromSequence',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1 },
+            description: 'Start at this entry (e.g. a checkpoint) instead of the start of the chain'
+          },
+          {
+            name: 'toSequence',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1 },
+            description: 'Stop at this entry'
           }
-        },
+        ],
         responses: {
           200: {
-            description: 'Profile updated successfully',
+            description: 'Verification report',
             content: {
               'application/json': {
                 schema: {
@@ -761,7 +7681,7 @@ const swaggerDefinition = {
                         data: {
                           type: 'object',
                           properties: {
-                            user: { $ref: '#/components/schemas/User' }
+                            verification: { $ref: '#/components/schemas/AuditVerification' }
                           }
                         }
                       }
@@ -778,51 +7698,50 @@ const swaggerDefinition = {
                 schema: { $ref: '#/components/schemas/Error' }
               }
             }
+          },
+          403: {
+            description: 'Insufficient permissions',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
           }
         }
       }
     },
-    '/api/auth/change-password': {
-      post: {
-        summary: 'Change password',
-        description: 'Change user password (requires current password for non-Google users)',
-        tags: ['Authentication'],
+    '/api/audit/outbox': {
+      get: {
+        summary: 'Get audit outbox metrics',
+        description: 'Audit entries waiting to be written, and how many were retried, recovered and dropped (requires audit:verify). With AUDIT_FAIL_CLOSED, admin and SCIM requests fail with 503 AUDIT_UNAVAILABLE while the outbox is not healthy.',
+        tags: ['Audit Logs'],
         security: [{ bearerAuth: [] }],
-        requestBody: {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                required: ['newPassword'],
-                properties: {
-                  currentPassword: {
-                    type: 'string',
-                    description: 'Current password (not required for Google users)',
-                    example: 'OldPassword123'
-                  },
-                  newPassword: {
-                    type: 'string',
-                    minLength: 6,
-                    pattern: '^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)',
-                    example: 'NewPassword123'
-                  }
-                }
-              }
-            }
-          }
-        },
         responses: {
           200: {
-            description: 'Password changed successfully',
+            description: 'Outbox metrics',
             content: {
               'application/json': {
-                schema: { $ref: '#/components/schemas/SuccessResponse' }
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            outbox: { $ref: '#/components/schemas/AuditOutboxMetrics' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
               }
             }
           },
-          400: {
-            description: 'Invalid current password or validation error',
+          403: {
+            description: 'Insufficient permissions',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/Error' }
@@ -832,499 +7751,841 @@ const swaggerDefinition = {
         }
       }
     },
-    '/api/auth/logout': {
-      post: {
-        summary: 'Logout',
-        description: 'Logout user (client should delete tokens)',
-        tags: ['Authentication'],
-        security: [{ bearerAuth: [] }],
+    '/scim/v2/ServiceProviderConfig': {
+      get: {
+        summary: 'SCIM service provider configuration',
+        description: 'Supported features: PATCH, filter, sort, ETags and password changes (no bulk operations)',
+        tags: ['SCIM'],
         responses: {
           200: {
-            description: 'Logged out successfully',
+            description: 'ServiceProviderConfig',
             content: {
-              'application/json': {
-                schema: { $ref: '#/components/schemas/SuccessResponse' }
+              'application/scim+json': {
+                schema: { type: 'object' }
               }
             }
           }
         }
       }
     },
-    '/api/audit/logs': {
+    '/scim/v2/ResourceTypes': {
       get: {
-        summary: 'Get audit logs',
-        description: 'Get audit logs with filtering and pagination. Users see their own logs, admins see all.',
-        tags: ['Audit Logs'],
-        security: [{ bearerAuth: [] }],
+        summary: 'SCIM resource types',
+        description: 'The User and Group resource types',
+        tags: ['SCIM'],
+        responses: {
+          200: {
+            description: 'ResourceType list',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimListResponse' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/scim/v2/Schemas': {
+      get: {
+        summary: 'SCIM schemas',
+        description: 'Attributes of the User and Group schemas',
+        tags: ['SCIM'],
+        responses: {
+          200: {
+            description: 'Schema list',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimListResponse' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/scim/v2/Users': {
+      get: {
+        summary: 'List users',
+        description: 'List the users provisioned over SCIM with filtering, sorting and pagination (userName, emails.value, externalId, displayName, name.formatted, active, id, meta.created and meta.lastModified)',
+        tags: ['SCIM'],
+        security: [{ provisioningToken: [] }],
         parameters: [
           {
-            name: 'page',
+            name: 'filter',
             in: 'query',
-            schema: { type: 'integer', minimum: 1, default: 1 },
-            description: 'Page number'
+            schema: { type: 'string' },
+            description: 'SCIM filter: eq, ne, co, sw, ew, gt, ge, lt, le, pr, and, or, not and value filters',
+            example: 'userName eq "jane@acme.com"'
           },
           {
-            name: 'limit',
+            name: 'startIndex',
             in: 'query',
-            schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
-            description: 'Items per page'
+            schema: { type: 'integer', minimum: 1, default: 1 }
           },
           {
-            name: 'action',
+            name: 'count',
             in: 'query',
-            schema: { type: 'string', enum: ['CREATE', 'READ', 'UPDATE', 'DELETE'] },
-            description: 'Filter by action type'
+            schema: { type: 'integer', minimum: 0 },
+            description: 'Page size (at most SCIM_MAX_RESULTS, the default)'
           },
           {
-            name: 'entity',
+            name: 'sortBy',
             in: 'query',
-            schema: { type: 'string' },
-            description: 'Filter by entity type'
+            schema: { type: 'string' }
           },
           {
-            name: 'entityId',
+            name: 'sortOrder',
             in: 'query',
-            schema: { type: 'string' },
-            description: 'Filter by entity ID'
+            schema: { type: 'string', enum: ['ascending', 'descending'] }
           },
           {
-            name: 'userId',
+            name: 'attributes',
             in: 'query',
             schema: { type: 'string' },
-            description: 'Filter by user ID (admin only)'
+            description: 'Comma-separated attributes to return'
           },
           {
-            name: 'startDate',
+            name: 'excludedAttributes',
             in: 'query',
-            schema: { type: 'string', format: 'date-time' },
-            description: 'Filter from date'
+            schema: { type: 'string' },
+            description: 'Comma-separated attributes to leave out (e.g. members)'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'User list',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimListResponse' }
+              }
+            }
+          },
+          400: {
+            description: 'Invalid filter or parameters',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          401: {
+            description: 'Missing, invalid or expired provisioning token',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        summary: 'Create a user',
+        description: 'Create an account. userName must be an email address (or the primary email is used); the user signs in with their identity provider, or with the password if one is sent.',
+        tags: ['SCIM'],
+        security: [{ provisioningToken: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/scim+json': {
+              schema: { $ref: '#/components/schemas/ScimUser' }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'User created (Location and ETag headers)',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimUser' }
+              }
+            }
+          },
+          400: {
+            description: 'Invalid attributes',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          401: {
+            description: 'Missing, invalid or expired provisioning token',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          409: {
+            description: 'A user with this userName already exists',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/scim/v2/Users/{id}': {
+      get: {
+        summary: 'Get a user',
+        tags: ['SCIM'],
+        security: [{ provisioningToken: [] }],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User ID'
           },
           {
-            name: 'endDate',
-            in: 'query',
-            schema: { type: 'string', format: 'date-time' },
-            description: 'Filter to date'
+            name: 'If-None-Match',
+            in: 'header',
+            schema: { type: 'string' },
+            description: 'Answer 304 when the resource still has this version'
           }
         ],
         responses: {
           200: {
-            description: 'Audit logs retrieved successfully',
+            description: 'User',
             content: {
-              'application/json': {
-                schema: {
-                  allOf: [
-                    { $ref: '#/components/schemas/SuccessResponse' },
-                    {
-                      type: 'object',
-                      properties: {
-                        data: {
-                          type: 'object',
-                          properties: {
-                            auditLogs: {
-                              type: 'array',
-                              items: { $ref: '#/components/schemas/AuditLog' }
-                            },
-                            pagination: {
-                              type: 'object',
-                              properties: {
-                                currentPage: { type: 'integer' },
-                                totalPages: { type: 'integer' },
-                                totalItems: { type: 'integer' },
-                                itemsPerPage: { type: 'integer' },
-                                hasNextPage: { type: 'boolean' },
-                                hasPrevPage: { type: 'boolean' }
-                              }
-                            }
-                          }
-                        }
-                      }
-                    }
-                  ]
-                }
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimUser' }
+              }
+            }
+          },
+          304: {
+            description: 'Not modified'
+          },
+          401: {
+            description: 'Missing, invalid or expired provisioning token',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          }
+        }
+      },
+      put: {
+        summary: 'Replace a user',
+        description: 'Replace the name, email, status and externalId. Setting active to false deactivates the account and ends its sessions. Only users provisioned over SCIM can be changed, and a user whose role grants permissions cannot be given a password or another userName, or be deactivated.',
+        tags: ['SCIM'],
+        security: [{ provisioningToken: [] }],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User ID'
+          },
+          {
+            name: 'If-Match',
+            in: 'header',
+            schema: { type: 'string' },
+            description: 'Only change the resource if it still has this version (412 otherwise)'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/scim+json': {
+              schema: { $ref: '#/components/schemas/ScimUser' }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'User replaced',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimUser' }
+              }
+            }
+          },
+          400: {
+            description: 'Invalid attributes',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          401: {
+            description: 'Missing, invalid or expired provisioning token',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          403: {
+            description: 'A user whose role grants permissions cannot be given a password or another userName, or be deactivated (PRIVILEGED_USER)',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          412: {
+            description: 'The resource changed since the version in If-Match',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
               }
             }
           }
         }
-      }
-    },
-    '/api/audit/entity/{entity}/{entityId}': {
-      get: {
-        summary: 'Get entity audit logs',
-        description: 'Get audit logs for a specific entity',
-        tags: ['Audit Logs'],
-        security: [{ bearerAuth: [] }],
+      },
+      patch: {
+        summary: 'Update a user',
+        description: 'Apply add, remove and replace operations, e.g. replace active with false to deactivate the account. Only users provisioned over SCIM can be changed, and a user whose role grants permissions cannot be given a password or another userName, or be deactivated.',
+        tags: ['SCIM'],
+        security: [{ provisioningToken: [] }],
         parameters: [
           {
-            name: 'entity',
+            name: 'id',
             in: 'path',
             required: true,
             schema: { type: 'string' },
-            description: 'Entity type'
+            description: 'User ID'
           },
           {
-            name: 'entityId',
-            in: 'path',
-            required: true,
+            name: 'If-Match',
+            in: 'header',
             schema: { type: 'string' },
-            description: 'Entity ID'
+            description: 'Only change the resource if it still has this version (412 otherwise)'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/scim+json': {
+              schema: { $ref: '#/components/schemas/ScimPatchOp' }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'User updated',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimUser' }
+              }
+            }
           },
-          {
-            name: 'page',
-            in: 'query',
-            schema: { type: 'integer', minimum: 1, default: 1 }
+          400: {
+            description: 'Invalid operation, path or value',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
           },
-          {
-            name: 'limit',
-            in: 'query',
-            schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+          401: {
+            description: 'Missing, invalid or expired provisioning token',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
           },
-          {
-            name: 'action',
-            in: 'query',
-            schema: { type: 'string', enum: ['CREATE', 'READ', 'UPDATE', 'DELETE'] }
+          403: {
+            description: 'A user whose role grants permissions cannot be given a password or another userName, or be deactivated (PRIVILEGED_USER)',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
           },
+          412: {
+            description: 'The resource changed since the version in If-Match',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          }
+        }
+      },
+      delete: {
+        summary: 'Delete a user',
+        description: 'Delete the account with its sessions, tokens, API keys and organization memberships',
+        tags: ['SCIM'],
+        security: [{ provisioningToken: [] }],
+        parameters: [
           {
-            name: 'startDate',
-            in: 'query',
-            schema: { type: 'string', format: 'date-time' }
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User ID'
           },
           {
-            name: 'endDate',
-            in: 'query',
-            schema: { type: 'string', format: 'date-time' }
+            name: 'If-Match',
+            in: 'header',
+            schema: { type: 'string' },
+            description: 'Only change the resource if it still has this version (412 otherwise)'
           }
         ],
         responses: {
-          200: {
-            description: 'Entity audit logs retrieved successfully',
+          204: {
+            description: 'User deleted'
+          },
+          401: {
+            description: 'Missing, invalid or expired provisioning token',
             content: {
-              'application/json': {
-                schema: {
-                  allOf: [
-                    { $ref: '#/components/schemas/SuccessResponse' },
-                    {
-                      type: 'object',
-                      properties: {
-                        data: {
-                          type: 'object',
-                          properties: {
-                            entity: { type: 'string' },
-                            entityId: { type: 'string' },
-                            auditLogs: {
-                              type: 'array',
-                              items: { $ref: '#/components/schemas/AuditLog' }
-                            }
-                          }
-                        }
-                      }
-                    }
-                  ]
-                }
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
               }
             }
           },
           403: {
-            description: 'Access denied',
+            description: 'A user whose role grants permissions cannot be deleted (PRIVILEGED_USER)',
             content: {
-              'application/json': {
-                schema: { $ref: '#/components/schemas/Error' }
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          412: {
+            description: 'The resource changed since the version in If-Match',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
               }
             }
           }
         }
       }
     },
-    '/api/audit/user/{userId}/activity': {
+    '/scim/v2/Groups': {
       get: {
-        summary: 'Get user activity',
-        description: 'Get activity logs for a specific user',
-        tags: ['Audit Logs'],
-        security: [{ bearerAuth: [] }],
+        summary: 'List groups',
+        description: 'List groups with filtering, sorting and pagination (displayName, id, meta.created and meta.lastModified). Use excludedAttributes=members to leave out members.',
+        tags: ['SCIM'],
+        security: [{ provisioningToken: [] }],
         parameters: [
           {
-            name: 'userId',
-            in: 'path',
-            required: true,
+            name: 'filter',
+            in: 'query',
             schema: { type: 'string' },
-            description: 'User ID'
+            description: 'SCIM filter: eq, ne, co, sw, ew, gt, ge, lt, le, pr, and, or, not and value filters',
+            example: 'userName eq "jane@acme.com"'
           },
           {
-            name: 'page',
+            name: 'startIndex',
             in: 'query',
             schema: { type: 'integer', minimum: 1, default: 1 }
           },
           {
-            name: 'limit',
+            name: 'count',
             in: 'query',
-            schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+            schema: { type: 'integer', minimum: 0 },
+            description: 'Page size (at most SCIM_MAX_RESULTS, the default)'
           },
           {
-            name: 'action',
+            name: 'sortBy',
             in: 'query',
-            schema: { type: 'string', enum: ['CREATE', 'READ', 'UPDATE', 'DELETE'] }
+            schema: { type: 'string' }
           },
           {
-            name: 'entity',
+            name: 'sortOrder',
             in: 'query',
-            schema: { type: 'string' }
+            schema: { type: 'string', enum: ['ascending', 'descending'] }
           },
           {
-            name: 'startDate',
+            name: 'attributes',
             in: 'query',
-            schema: { type: 'string', format: 'date-time' }
+            schema: { type: 'string' },
+            description: 'Comma-separated attributes to return'
           },
           {
-            name: 'endDate',
+            name: 'excludedAttributes',
             in: 'query',
-            schema: { type: 'string', format: 'date-time' }
+            schema: { type: 'string' },
+            description: 'Comma-separated attributes to leave out (e.g. members)'
           }
         ],
         responses: {
           200: {
-            description: 'User activity retrieved successfully',
+            description: 'Group list',
             content: {
-              'application/json': {
-                schema: {
-                  allOf: [
-                    { $ref: '#/components/schemas/SuccessResponse' },
-                    {
-                      type: 'object',
-                      properties: {
-                        data: {
-                          type: 'object',
-                          properties: {
-                            userId: { type: 'string' },
-                            activityLogs: {
-                              type: 'array',
-                              items: { $ref: '#/components/schemas/AuditLog' }
-                            }
-                          }
-                        }
-                      }
-                    }
-                  ]
-                }
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimListResponse' }
+              }
+            }
+          },
+          400: {
+            description: 'Invalid filter or parameters',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          401: {
+            description: 'Missing, invalid or expired provisioning token',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        summary: 'Create a group',
+        description: 'Create a role without permissions (an admin grants them) and give it to the members',
+        tags: ['SCIM'],
+        security: [{ provisioningToken: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/scim+json': {
+              schema: { $ref: '#/components/schemas/ScimGroup' }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Group created (Location and ETag headers)',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimGroup' }
+              }
+            }
+          },
+          400: {
+            description: 'Invalid attributes',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          401: {
+            description: 'Missing, invalid or expired provisioning token',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          409: {
+            description: 'A group (role) with this displayName already exists',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
               }
             }
           }
         }
       }
     },
-    '/api/audit/stats': {
+    '/scim/v2/Groups/{id}': {
       get: {
-        summary: 'Get audit statistics',
-        description: 'Get audit log statistics (admin only)',
-        tags: ['Audit Logs'],
-        security: [{ bearerAuth: [] }],
+        summary: 'Get a group',
+        tags: ['SCIM'],
+        security: [{ provisioningToken: [] }],
         parameters: [
           {
-            name: 'startDate',
-            in: 'query',
-            schema: { type: 'string', format: 'date-time' },
-            description: 'Statistics from date'
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Group ID'
           },
           {
-            name: 'endDate',
-            in: 'query',
-            schema: { type: 'string', format: 'date-time' },
-            description: 'Statistics to date'
+            name: 'If-None-Match',
+            in: 'header',
+            schema: { type: 'string' },
+            description: 'Answer 304 when the resource still has this version'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Group',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimGroup' }
+              }
+            }
           },
+          304: {
+            description: 'Not modified'
+          },
+          401: {
+            description: 'Missing, invalid or expired provisioning token',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          404: {
+            description: 'Group not found',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          }
+        }
+      },
+      put: {
+        summary: 'Replace a group',
+        description: 'Set the members of the group; users no longer listed get the "user" role. The displayName cannot change.',
+        tags: ['SCIM'],
+        security: [{ provisioningToken: [] }],
+        parameters: [
           {
-            name: 'userId',
-            in: 'query',
+            name: 'id',
+            in: 'path',
+            required: true,
             schema: { type: 'string' },
-            description: 'Filter by user ID'
+            description: 'Group ID'
           },
           {
-            name: 'entity',
-            in: 'query',
+            name: 'If-Match',
+            in: 'header',
             schema: { type: 'string' },
-            description: 'Filter by entity'
+            description: 'Only change the resource if it still has this version (412 otherwise)'
           }
         ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/scim+json': {
+              schema: { $ref: '#/components/schemas/ScimGroup' }
+            }
+          }
+        },
         responses: {
           200: {
-            description: 'Audit statistics retrieved successfully',
+            description: 'Group replaced',
             content: {
-              'application/json': {
-                schema: {
-                  allOf: [
-                    { $ref: '#/components/schemas/SuccessResponse' },
-                    {
-                      type: 'object',
-                      properties: {
-                        data: {
-                          type: 'object',
-                          properties: {
-                            statistics: {
-                              type: 'array',
-                              items: {
-                                type: 'object',
-                                properties: {
-                                  _id: { type: 'string' },
-                                  actions: {
-                                    type: 'array',
-                                    items: {
-                                      type: 'object',
-                                      properties: {
-                                        action: { type: 'string' },
-                                        count: { type: 'integer' },
-                                        lastActivity: { type: 'string', format: 'date-time' }
-                                      }
-                                    }
-                                  },
-                                  totalCount: { type: 'integer' }
-                                }
-                              }
-                            },
-                            period: {
-                              type: 'object',
-                              properties: {
-                                startDate: { type: 'string' },
-                                endDate: { type: 'string' }
-                              }
-                            }
-                          }
-                        }
-                      }
-                    }
-                  ]
-                }
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimGroup' }
+              }
+            }
+          },
+          400: {
+            description: 'Invalid attributes',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          401: {
+            description: 'Missing, invalid or expired provisioning token',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
               }
             }
           },
           403: {
-            description: 'Admin access required',
+            description: 'The group or a member\'s previous group is a role with permissions (PRIVILEGED_GROUP)',
             content: {
-              'application/json': {
-                schema: { $ref: '#/components/schemas/Error' }
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          404: {
+            description: 'Group not found',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          412: {
+            description: 'The resource changed since the version in If-Match',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
               }
             }
           }
         }
-      }
-    },
-    '/api/audit/log/{logId}': {
-      get: {
-        summary: 'Get audit log by ID',
-        description: 'Get specific audit log by ID (admin only)',
-        tags: ['Audit Logs'],
-        security: [{ bearerAuth: [] }],
+      },
+      patch: {
+        summary: 'Update a group',
+        description: 'Add and remove members, e.g. remove with the path members[value eq "<user id>"]',
+        tags: ['SCIM'],
+        security: [{ provisioningToken: [] }],
         parameters: [
           {
-            name: 'logId',
+            name: 'id',
             in: 'path',
             required: true,
             schema: { type: 'string' },
-            description: 'Audit log ID'
+            description: 'Group ID'
+          },
+          {
+            name: 'If-Match',
+            in: 'header',
+            schema: { type: 'string' },
+            description: 'Only change the resource if it still has this version (412 otherwise)'
           }
         ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/scim+json': {
+              schema: { $ref: '#/components/schemas/ScimPatchOp' }
+            }
+          }
+        },
         responses: {
           200: {
-            description: 'Audit log retrieved successfully',
+            description: 'Group updated',
             content: {
-              'application/json': {
-                schema: {
-                  allOf: [
-                    { $ref: '#/components/schemas/SuccessResponse' },
-                    {
-                      type: 'object',
-                      properties: {
-                        data: {
-                          type: 'object',
-                          properties: {
-                            auditLog: { $ref: '#/components/schemas/AuditLog' }
-                          }
-                        }
-                      }
-                    }
-                  ]
-                }
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimGroup' }
+              }
+            }
+          },
+          400: {
+            description: 'Invalid operation, path or value',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          401: {
+            description: 'Missing, invalid or expired provisioning token',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          403: {
+            description: 'The group or a member\'s previous group is a role with permissions (PRIVILEGED_GROUP)',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
               }
             }
           },
           404: {
-            description: 'Audit log not found',
+            description: 'Group not found',
             content: {
-              'application/json': {
-                schema: { $ref: '#/components/schemas/Error' }
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          412: {
+            description: 'The resource changed since the version in If-Match',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
               }
             }
           }
         }
-      }
-    },
-    '/api/audit/export': {
-      get: {
-        summary: 'Export audit logs',
-        description: 'Export audit logs in JSON or CSV format (admin only)',
-        tags: ['Audit Logs'],
-        security: [{ bearerAuth: [] }],
+      },
+      delete: {
+        summary: 'Delete a group',
+        description: 'Delete the role; its members get the "user" role',
+        tags: ['SCIM'],
+        security: [{ provisioningToken: [] }],
         parameters: [
           {
-            name: 'format',
-            in: 'query',
-            schema: { type: 'string', enum: ['json', 'csv'], default: 'json' },
-            description: 'Export format'
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Group ID'
           },
           {
-            name: 'startDate',
-            in: 'query',
-            schema: { type: 'string', format: 'date-time' }
+            name: 'If-Match',
+            in: 'header',
+            schema: { type: 'string' },
+            description: 'Only change the resource if it still has this version (412 otherwise)'
+          }
+        ],
+        responses: {
+          204: {
+            description: 'Group deleted'
           },
-          {
-            name: 'endDate',
-            in: 'query',
-            schema: { type: 'string', format: 'date-time' }
+          400: {
+            description: 'Built-in roles cannot be deleted',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
           },
-          {
-            name: 'action',
-            in: 'query',
-            schema: { type: 'string', enum: ['CREATE', 'READ', 'UPDATE', 'DELETE'] }
+          401: {
+            description: 'Missing, invalid or expired provisioning token',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
           },
-          {
-            name: 'entity',
-            in: 'query',
-            schema: { type: 'string' }
+          403: {
+            description: 'The group or a member\'s previous group is a role with permissions (PRIVILEGED_GROUP)',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
           },
-          {
-            name: 'userId',
-            in: 'query',
-            schema: { type: 'string' }
-          }
-        ],
-        responses: {
-          200: {
-            description: 'Audit logs exported successfully',
+          404: {
+            description: 'Group not found',
             content: {
-              'application/json': {
-                schema: {
-                  allOf: [
-                    { $ref: '#/components/schemas/SuccessResponse' },
-                    {
-                      type: 'object',
-                      properties: {
-                        data: {
-                          type: 'object',
-                          properties: {
-                            auditLogs: {
-                              type: 'array',
-                              items: { $ref: '#/components/schemas/AuditLog' }
-                            },
-                            exportDate: { type: 'string', format: 'date-time' },
-                            totalRecords: { type: 'integer' }
-                          }
-                        }
-                      }
-                    }
-                  ]
-                }
-              },
-              'text/csv': {
-                schema: {
-                  type: 'string',
-                  description: 'CSV formatted audit logs'
-                }
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
+              }
+            }
+          },
+          412: {
+            description: 'The resource changed since the version in If-Match',
+            content: {
+              'application/scim+json': {
+                schema: { $ref: '#/components/schemas/ScimError' }
               }
             }
           }
@@ -1341,6 +8602,50 @@ const swaggerDefinition = {
       name: 'Authentication',
       description: 'User authentication and profile management'
     },
+    {
+      name: 'Two-Factor Authentication',
+      description: 'TOTP enrollment, recovery codes and two-step signin'
+    },
+    {
+      name: 'Passkeys',
+      description: 'WebAuthn passkey registration, passwordless signin and second factor'
+    },
+    {
+      name: 'API Keys',
+      description: 'Personal API keys for machine access'
+    },
+    {
+      name: 'Sessions',
+      description: 'Active session (device) management'
+    },
+    {
+      name: 'User Management',
+      description: 'Admin management of user accounts'
+    },
+    {
+      name: 'Invitations',
+      description: 'Account invitations with a pre-assigned role'
+    },
+    {
+      name: 'Roles',
+      description: 'Roles, permissions and role assignment'
+    },
+    {
+      name: 'Organizations',
+      description: 'Organizations (tenants), members and invitations'
+    },
+    {
+      name: 'OAuth',
+      description: 'OAuth 2.0 / OpenID Connect authorization server: authorization, tokens, userinfo, consents, introspection and revocation'
+    },
+    {
+      name: 'OAuth Clients',
+      description: 'Registration of the clients that call the OAuth endpoints'
+    },
+    {
+      name: 'SCIM',
+      description: 'SCIM 2.0 provisioning of users and groups (roles) by identity providers, and the provisioning tokens they use'
+    },
     {
       name: 'Audit Logs',
       description: 'Audit trail and activity logging'
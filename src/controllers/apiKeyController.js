@@ -0,0 +1,89 @@
+const apiKeyService = require('../services/apiKeyService');
+const auditLogService = require('../services/auditLogService');
+const { createError } = require('../utils/errorUtils');
+
+class ApiKeyController {
+  /**
+   * List the current user's API keys
+   */
+  static async listKeys(req, res, next) {
+    try {
+      const apiKeys = await apiKeyService.listForUser(req.user._id);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          apiKeys: apiKeys.map(apiKey => apiKeyService.toResponse(apiKey))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create an API key for the current user
+   */
+  static async createKey(req, res, next) {
+    try {
+      const { name, scopes, expiresAt } = req.body;
+
+      const { apiKey, key } = await apiKeyService.createKey(req.user, { name, scopes, expiresAt });
+
+      // Log the creation
+      await auditLogService.logCreate({
+        userId: req.user._id,
+        entity: 'ApiKey',
+        entityId: apiKey._id,
+        data: apiKeyService.toResponse(apiKey),
+        req,
+        description: 'API key created'
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Copy it now, it will not be shown again.',
+        data: {
+          apiKey: apiKeyService.toResponse(apiKey),
+          key
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke one of the current user's API keys
+   */
+  static async revokeKey(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const apiKey = await apiKeyService.revokeKey(req.user._id, id);
+
+      if (!apiKey) {
+        return next(createError(404, 'API key not found'));
+      }
+
+      // Log the revocation
+      await auditLogService.logDelete({
+        userId: req.user._id,
+        entity: 'ApiKey',
+        entityId: apiKey._id,
+        data: apiKeyService.toResponse(apiKey),
+        req,
+        description: 'API key revoked'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'API key revoked successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = ApiKeyController;
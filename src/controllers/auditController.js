@@ -1,4 +1,7 @@
 const auditLogService = require('../services/auditLogService');
+const auditChainService = require('../services/auditChainService');
+const auditOutbox = require('../services/auditOutbox');
+const roleService = require('../services/roleService');
 const { createError } = require('../utils/errorUtils');
 
 class AuditController {
@@ -36,20 +39,18 @@ class AuditController {
         if (endDate) query.timestamp.$lte = new Date(endDate);
       }
 
-      // Check permissions - users can only see their own logs unless admin
-      if (req.user.role !== 'admin') {
-        query.userId = req.user._id;
-      }
+      // Limit the query to the organization and/or the user's own logs
+      Object.assign(query, await AuditController.getScope(req));
 
-      // Get audit logs
-      const auditLogs = await auditLogService.getEntityLogs('', '', {
-        page: pageNum,
-        limit: limitNum,
-        ...query
-      });
+      const { AuditLog } = require('../models');
+      const auditLogs = await AuditLog.find(query)
+        .populate('userId', 'name email')
+        .sort({ timestamp: -1 })
+        .limit(limitNum)
+        .skip((pageNum - 1) * limitNum)
+        .lean();
 
       // Get total count for pagination
-      const { AuditLog } = require('../models');
       const totalCount = await AuditLog.countDocuments(query);
       const totalPages = Math.ceil(totalCount / limitNum);
 
@@ -103,16 +104,17 @@ class AuditController {
       if (startDate) options.startDate = startDate;
       if (endDate) options.endDate = endDate;
 
-      // Check permissions - users can only see logs for their own data unless admin
-      if (req.user.role !== 'admin') {
+      // Check permissions - users can only see logs for their own data without audit access
+      const scope = await AuditController.getScope(req);
+      if (scope.userId) {
         // For User entity, check if user is requesting their own logs
         if (entity === 'User' && entityId !== req.user._id.toString()) {
           return next(createError(403, 'Access denied. You can only view your own audit logs.'));
         }
-        
-        // For other entities, add userId filter to ensure user can only see their own data
-        options.userId = req.user._id;
       }
+      
+      // Other entities are filtered to the user's own data and/or the organization
+      Object.assign(options, scope);
 
       const auditLogs = await auditLogService.getEntityLogs(entity, entityId, options);
 
@@ -144,8 +146,9 @@ class AuditController {
         endDate
       } = req.query;
 
-      // Check permissions - users can only see their own activity unless admin
-      if (req.user.role !== 'admin' && userId !== req.user._id.toString()) {
+      // Check permissions - users can only see their own activity without audit access
+      const scope = await AuditController.getScope(req);
+      if (scope.userId && userId !== req.user._id.toString()) {
         return next(createError(403, 'Access denied. You can only view your own activity.'));
       }
 
@@ -161,6 +164,7 @@ class AuditController {
       if (entity) options.entity = entity;
       if (startDate) options.startDate = startDate;
       if (endDate) options.endDate = endDate;
+      if (scope.organizationId) options.organizationId = scope.organizationId;
 
       const activityLogs = await auditLogService.getUserActivity(userId, options);
 
@@ -177,7 +181,7 @@ class AuditController {
   }
 
   /**
-   * Get audit statistics (admin only)
+   * Get audit statistics (audit:read:any, or audit:read in an organization)
    */
   static async getAuditStats(req, res, next) {
     try {
@@ -195,6 +199,8 @@ class AuditController {
       if (userId) options.userId = userId;
       if (entity) options.entity = entity;
 
+      Object.assign(options, await AuditController.getScope(req));
+
       const stats = await auditLogService.getStats(options);
 
       res.status(200).json({
@@ -213,14 +219,15 @@ class AuditController {
   }
 
   /**
-   * Get audit log by ID (admin only)
+   * Get audit log by ID (audit:read:any, or audit:read in an organization)
    */
   static async getAuditLogById(req, res, next) {
     try {
       const { logId } = req.params;
 
       const { AuditLog } = require('../models');
-      const auditLog = await AuditLog.findById(logId).populate('userId', 'name email');
+      const auditLog = await AuditLog.findOne({ _id: logId, ...(await AuditController.getScope(req)) })
+        .populate('userId', 'name email');
 
       if (!auditLog) {
         return next(createError(404, 'Audit log not found'));
@@ -238,7 +245,7 @@ class AuditController {
   }
 
   /**
-   * Export audit logs (admin only)
+   * Export audit logs (audit:export, or audit:read in an organization)
    */
   static async exportAuditLogs(req, res, next) {
     try {
@@ -264,6 +271,8 @@ class AuditController {
         if (endDate) query.timestamp.$lte = new Date(endDate);
       }
 
+      Object.assign(query, await AuditController.getScope(req, 'audit:export'));
+
       const { AuditLog } = require('../models');
       const auditLogs = await AuditLog.find(query)
         .populate('userId', 'name email')
@@ -296,6 +305,65 @@ class AuditController {
     }
   }
 
+  /**
+   * Verify the audit log hash chain against the signed checkpoints (audit:verify)
+   */
+  static async verifyAuditLog(req, res, next) {
+    try {
+      const { fromSequence, toSequence } = req.query;
+
+      const verification = await auditChainService.verify({ fromSequence, toSequence });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          verification
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Audit outbox metrics: entries queued, retried, recovered and dropped (audit:verify)
+   */
+  static async getAuditOutbox(req, res, next) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: {
+          outbox: auditOutbox.getMetrics()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Work out which audit logs a request may see. Inside an organization only its
+   * logs are visible; users without audit access only see their own.
+   * @param {Object} req - Express request object
+   * @param {string} permission - Permission that grants access to every user's logs
+   * @returns {Promise<Object>} Query filters (organizationId and/or userId)
+   */
+  static async getScope(req, permission = 'audit:read:any') {
+    const scope = {};
+    let canReadAll = await roleService.hasPermission(req.user, permission);
+
+    if (req.organization) {
+      scope.organizationId = req.organization._id;
+      canReadAll = canReadAll || req.membership.hasPermission('audit:read');
+    }
+
+    if (!canReadAll) {
+      scope.userId = req.user._id;
+    }
+
+    return scope;
+  }
+
   /**
    * Convert audit logs to CSV format
    */
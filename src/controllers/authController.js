@@ -1,10 +1,16 @@
 const crypto = require('crypto');
 const { User } = require('../models');
-const jwtService = require('../utils/jwtService');
-const googleAuthService = require('../services/googleAuthService');
+const refreshTokenService = require('../services/refreshTokenService');
+const tokenRevocationService = require('../services/tokenRevocationService');
+const twoFactorService = require('../services/twoFactorService');
+const oidcService = require('../services/oidcService');
 const emailService = require('../services/emailService');
 const auditLogService = require('../services/auditLogService');
+const invitationService = require('../services/invitationService');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const lockoutService = require('../services/lockoutService');
 const { createError } = require('../utils/errorUtils');
+const IdentityController = require('./identityController');
 
 class AuthController {
   /**
@@ -14,12 +20,19 @@ class AuthController {
     try {
       const { name, email, password } = req.body;
 
+      // Accounts are only created from invitations in invite-only mode
+      if (invitationService.isInviteOnly()) {
+        return next(createError(403, 'Signup is by invitation only', 'INVITE_ONLY'));
+      }
+
       // Check if user already exists
       const existingUser = await User.findOne({ email: email.toLowerCase() });
       if (existingUser) {
         return next(createError(409, 'User with this email already exists'));
       }
 
+      await passwordPolicyService.assertAllowed(password);
+
       // Create new user
       const user = new User({
         name: name.trim(),
@@ -39,7 +52,7 @@ class AuthController {
       }
 
       // Generate JWT tokens
-      const tokens = jwtService.generateTokens(user);
+      const tokens = await refreshTokenService.issueTokens(user, { req, authMethod: 'password' });
 
       // Log the signup
       await auditLogService.logCreate({
@@ -82,10 +95,19 @@ class AuthController {
     try {
       const { email, password } = req.body;
 
+      // Too many recent failures from this IP address or for this email
+      const retryAfter = await lockoutService.getRetryAfter(req, email);
+      if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+        return next(createError(429, 'Too many failed login attempts, please try again later', 'LOGIN_THROTTLED'));
+      }
+
       // Find user and include password field
       const user = await User.findOne({ email: email.toLowerCase() }).select('+password +loginAttempts +lockUntil');
       
       if (!user) {
+        // Unknown emails count too, so guessing addresses is throttled
+        await lockoutService.recordFailure(req, email);
         return next(createError(401, 'Invalid email or password'));
       }
 
@@ -104,7 +126,8 @@ class AuthController {
       
       if (!isPasswordValid) {
         // Increment failed login attempts
-        await user.incLoginAttempts();
+        await lockoutService.registerFailure(user, req);
+        await lockoutService.recordFailure(req, email, user);
         return next(createError(401, 'Invalid email or password'));
       }
 
@@ -112,13 +135,41 @@ class AuthController {
       if (user.loginAttempts > 0) {
         await user.resetLoginAttempts();
       }
+      await lockoutService.recordSuccess(email);
+
+      // An admin required this password to be replaced
+      if (user.passwordResetRequired) {
+        return next(createError(403, 'Your password must be reset. Use the reset link sent to your email.', 'PASSWORD_RESET_REQUIRED'));
+      }
+
+      // The password is older than the maximum age and must be rotated
+      if (passwordPolicyService.isExpired(user)) {
+        return next(createError(403, 'Your password has expired. Request a reset link to choose a new one.', 'PASSWORD_EXPIRED'));
+      }
+
+      // Require a second factor before issuing tokens
+      if (user.twoFactor && user.twoFactor.enabled) {
+        await auditLogService.logRead({
+          userId: user._id,
+          entity: 'User',
+          entityId: user._id,
+          req,
+          description: 'User passed password check; two-factor authentication required'
+        });
+
+        return res.status(200).json({
+          success: true,
+          message: 'Two-factor authentication required',
+          data: twoFactorService.createChallenge(user, 'password')
+        });
+      }
 
       // Update last login
       user.lastLogin = new Date();
       await user.save();
 
       // Generate JWT tokens
-      const tokens = jwtService.generateTokens(user);
+      const tokens = await refreshTokenService.issueTokens(user, { req, authMethod: 'password' });
 
       // Log the signin
       await auditLogService.logRead({
@@ -155,119 +206,17 @@ class AuthController {
    */
   static async googleAuth(req, res, next) {
     try {
-      const { token } = req.body;
+      const { token, invitationToken } = req.body;
 
       if (!token) {
         return next(createError(400, 'Google token is required'));
       }
 
-      // Verify Google token
-      const googleUser = await googleAuthService.verifyGoogleToken(token);
-
-      // Check if user exists by email or Google ID
-      let user = await User.findOne({
-        $or: [
-          { email: googleUser.email },
-          { googleId: googleUser.googleId }
-        ]
-      });
-
-      let isNewUser = false;
-
-      if (!user) {
-        // Create new user from Google data
-        user = new User({
-          name: googleUser.name,
-          email: googleUser.email,
-          googleId: googleUser.googleId,
-          avatar: googleUser.avatar,
-          isEmailVerified: googleUser.isEmailVerified,
-          role: 'user'
-        });
-        
-        await user.save();
-        isNewUser = true;
-
-        // Log user creation
-        await auditLogService.logCreate({
-          userId: user._id,
-          entity: 'User',
-          entityId: user._id,
-          data: {
-            name: user.name,
-            email: user.email,
-            googleId: user.googleId,
-            role: user.role
-          },
-          req,
-          description: 'User signed up with Google OAuth'
-        });
-      } else {
-        // Update existing user with Google data if needed
-        let shouldUpdate = false;
-        
-        if (!user.googleId) {
-          user.googleId = googleUser.googleId;
-          shouldUpdate = true;
-        }
-        
-        if (!user.avatar && googleUser.avatar) {
-          user.avatar = googleUser.avatar;
-          shouldUpdate = true;
-        }
-        
-        if (!user.isEmailVerified && googleUser.isEmailVerified) {
-          user.isEmailVerified = googleUser.isEmailVerified;
-          shouldUpdate = true;
-        }
-
-        if (shouldUpdate) {
-          await user.save();
-        }
-
-        // Update last login
-        user.lastLogin = new Date();
-        await user.save();
-
-        // Log the signin
-        await auditLogService.logRead({
-          userId: user._id,
-          entity: 'User',
-          entityId: user._id,
-          req,
-          description: 'User signed in with Google OAuth'
-        });
-      }
-
-      // Check if account is active
-      if (!user.isActive) {
-        return next(createError(401, 'Account is deactivated'));
-      }
+      // Verify the Google ID token through the generic provider layer
+      const profile = await oidcService.authenticate('google', { idToken: token });
 
-      // Generate JWT tokens
-      const tokens = jwtService.generateTokens(user);
-
-      res.status(200).json({
-        success: true,
-        message: isNewUser ? 'Account created and login successful' : 'Login successful',
-        data: {
-          user: {
-            id: user._id,
-            name: user.name,
-            email: user.email,
-            role: user.role,
-            avatar: user.avatar,
-            isEmailVerified: user.isEmailVerified,
-            lastLogin: user.lastLogin
-          },
-          ...tokens,
-          isNewUser
-        }
-      });
+      await IdentityController.completeSignin(req, res, profile, { invitationToken });
     } catch (error) {
-      if (error.message.includes('Google')) {
-        return next(createError(400, error.message));
-      }
       next(error);
     }
   }
@@ -360,7 +309,7 @@ class AuthController {
       const user = await User.findOne({
         passwordResetToken: hashedToken,
         passwordResetTokenExpires: { $gt: Date.now() }
-      });
+      }).select('+passwordHistory');
 
       if (!user) {
         return next(createError(400, 'Invalid or expired password reset token'));
@@ -371,10 +320,13 @@ class AuthController {
         return next(createError(401, 'Account is deactivated'));
       }
 
+      await passwordPolicyService.assertAllowed(password, user);
+
       // Update password and clear reset token
       user.password = password;
       user.passwordResetToken = undefined;
       user.passwordResetTokenExpires = undefined;
+      user.passwordResetRequired = false;
       
       // Reset login attempts if any
       if (user.loginAttempts > 0) {
@@ -403,6 +355,275 @@ class AuthController {
     }
   }
 
+  /**
+   * Verify email address with token
+   */
+  static async verifyEmail(req, res, next) {
+    try {
+      const { token } = req.body;
+
+      // Hash the token
+      const hashedToken = crypto
+        .createHash('sha256')
+        .update(token)
+        .digest('hex');
+
+      // Find user with valid verification token
+      const user = await User.findOne({
+        emailVerificationToken: hashedToken,
+        emailVerificationTokenExpires: { $gt: Date.now() }
+      });
+
+      if (!user) {
+        return next(createError(400, 'Invalid or expired email verification token'));
+      }
+
+      // Check if account is active
+      if (!user.isActive) {
+        return next(createError(401, 'Account is deactivated'));
+      }
+
+      // Mark email as verified and clear verification token
+      user.isEmailVerified = true;
+      user.emailVerificationToken = undefined;
+      user.emailVerificationTokenExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      // Log the verification
+      await auditLogService.logUpdate({
+        userId: user._id,
+        entity: 'User',
+        entityId: user._id,
+        before: { isEmailVerified: false },
+        after: { isEmailVerified: true },
+        req,
+        description: 'Email address verified'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Email verified successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Resend email verification link
+   */
+  static async resendVerification(req, res, next) {
+    try {
+      const { email } = req.body;
+      const genericResponse = {
+        success: true,
+        message: 'If an unverified account with that email exists, a verification link has been sent.'
+      };
+
+      const user = await User.findOne({ email: email.toLowerCase() });
+
+      // Don't reveal if user exists or is already verified
+      if (!user || !user.isActive || user.isEmailVerified) {
+        return res.status(200).json(genericResponse);
+      }
+
+      if (!emailService.isConfigured()) {
+        return next(createError(500, 'Email service is not configured'));
+      }
+
+      // Generate a fresh verification token (invalidates the previous one)
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await emailService.sendEmailVerification(user.email, verificationToken, user.name);
+      } catch (emailError) {
+        console.error('Failed to send verification email:', emailError);
+        return next(createError(500, 'Failed to send verification email. Please try again.'));
+      }
+
+      // Log the resend
+      await auditLogService.logUpdate({
+        userId: user._id,
+        entity: 'User',
+        entityId: user._id,
+        before: { verificationEmailResent: false },
+        after: { verificationEmailResent: true },
+        req,
+        description: 'Email verification link resent'
+      });
+
+      res.status(200).json(genericResponse);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Send a one-time sign-in link by email
+   */
+  static async requestMagicLink(req, res, next) {
+    try {
+      const { email } = req.body;
+
+      // The nonce stays with the requesting browser; the link only works together with it
+      const nonce = crypto.randomBytes(32).toString('hex');
+      const genericResponse = {
+        success: true,
+        message: 'If an account with that email exists, a sign-in link has been sent.',
+        data: {
+          nonce
+        }
+      };
+
+      const user = await User.findOne({ email: email.toLowerCase() });
+
+      // Don't reveal if user exists or not for security
+      if (!user || !user.isActive) {
+        return res.status(200).json(genericResponse);
+      }
+
+      if (!emailService.isConfigured()) {
+        return next(createError(500, 'Email service is not configured'));
+      }
+
+      // Generate a fresh link (invalidates the previous one)
+      const magicLinkToken = user.createMagicLinkToken(nonce);
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await emailService.sendMagicLinkEmail(user.email, magicLinkToken, user.name);
+      } catch (emailError) {
+        console.error('Failed to send magic link email:', emailError);
+        // Reset the token if email failed
+        user.magicLinkToken = undefined;
+        user.magicLinkNonce = undefined;
+        user.magicLinkTokenExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        return next(createError(500, 'Failed to send sign-in link. Please try again.'));
+      }
+
+      // Log the magic link request
+      await auditLogService.logUpdate({
+        userId: user._id,
+        entity: 'User',
+        entityId: user._id,
+        before: { magicLinkRequested: false },
+        after: { magicLinkRequested: true },
+        req,
+        description: 'Magic sign-in link requested'
+      });
+
+      res.status(200).json(genericResponse);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sign in with a magic link token and the nonce of the browser that requested it
+   */
+  static async verifyMagicLink(req, res, next) {
+    try {
+      const { token, nonce } = req.body;
+
+      // Hash the token and nonce
+      const hashedToken = crypto
+        .createHash('sha256')
+        .update(token)
+        .digest('hex');
+      const hashedNonce = crypto
+        .createHash('sha256')
+        .update(nonce)
+        .digest('hex');
+
+      // Claim the link atomically so it can only be used once
+      const user = await User.findOneAndUpdate(
+        {
+          magicLinkToken: hashedToken,
+          magicLinkNonce: hashedNonce,
+          magicLinkTokenExpires: { $gt: Date.now() }
+        },
+        {
+          $unset: { magicLinkToken: 1, magicLinkNonce: 1, magicLinkTokenExpires: 1 }
+        },
+        { new: true }
+      ).select('+loginAttempts +lockUntil');
+
+      if (!user) {
+        return next(createError(400, 'Invalid or expired sign-in link', 'INVALID_MAGIC_LINK'));
+      }
+
+      // Check if account is locked
+      if (user.isLocked) {
+        return next(createError(423, 'Account is temporarily locked due to multiple failed login attempts'));
+      }
+
+      // Check if account is active
+      if (!user.isActive) {
+        return next(createError(401, 'Account is deactivated'));
+      }
+
+      // Following the link proves ownership of the email address
+      user.isEmailVerified = true;
+
+      // Require a second factor before issuing tokens
+      if (user.twoFactor && user.twoFactor.enabled) {
+        await user.save({ validateBeforeSave: false });
+
+        await auditLogService.logRead({
+          userId: user._id,
+          entity: 'User',
+          entityId: user._id,
+          req,
+          description: 'User passed magic link check; two-factor authentication required'
+        });
+
+        return res.status(200).json({
+          success: true,
+          message: 'Two-factor authentication required',
+          data: twoFactorService.createChallenge(user, 'magic_link')
+        });
+      }
+
+      // Update last login
+      user.lastLogin = new Date();
+      await user.save({ validateBeforeSave: false });
+
+      // Generate JWT tokens
+      const tokens = await refreshTokenService.issueTokens(user, { req, authMethod: 'magic_link' });
+
+      // Log the signin
+      await auditLogService.logRead({
+        userId: user._id,
+        entity: 'User',
+        entityId: user._id,
+        req,
+        description: 'User signed in with a magic link'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        data: {
+          user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            avatar: user.avatar,
+            isEmailVerified: user.isEmailVerified,
+            lastLogin: user.lastLogin
+          },
+          ...tokens
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get current user profile
    */
@@ -501,7 +722,7 @@ class AuthController {
   static async changePassword(req, res, next) {
     try {
       const { currentPassword, newPassword } = req.body;
-      const user = await User.findById(req.user._id).select('+password');
+      const user = await User.findById(req.user._id).select('+password +passwordHistory');
 
       // Verify current password
       if (user.password) {
@@ -510,14 +731,17 @@ class AuthController {
           return next(createError(400, 'Current password is incorrect'));
         }
       } else {
-        // User signed up with Google, no current password
+        // User signed up with an identity provider, no current password
         if (currentPassword) {
-          return next(createError(400, 'You signed up with Google. Current password is not required.'));
+          return next(createError(400, 'You signed up with an identity provider. Current password is not required.'));
         }
       }
 
+      await passwordPolicyService.assertAllowed(newPassword, user);
+
       // Update password
       user.password = newPassword;
+      user.passwordResetRequired = false;
       await user.save();
 
       // Log the password change
@@ -541,10 +765,12 @@ class AuthController {
   }
 
   /**
-   * Logout (invalidate token - client-side implementation recommended)
+   * Logout - revoke the current access token and its refresh token family
    */
   static async logout(req, res, next) {
     try {
+      await tokenRevocationService.revokeSession(req.tokenPayload, 'logout');
+
       // Log the logout
       await auditLogService.logRead({
         userId: req.user._id,
@@ -562,6 +788,36 @@ class AuthController {
       next(error);
     }
   }
+
+  /**
+   * Logout everywhere - invalidate every outstanding token for the user
+   */
+  static async logoutAll(req, res, next) {
+    try {
+      const user = req.user;
+      const previousVersion = user.tokenVersion || 0;
+
+      await tokenRevocationService.revokeAllForUser(user, 'logout_all');
+
+      // Log the global logout
+      await auditLogService.logUpdate({
+        userId: user._id,
+        entity: 'User',
+        entityId: user._id,
+        before: { tokenVersion: previousVersion },
+        after: { tokenVersion: user.tokenVersion },
+        req,
+        description: 'User logged out of all sessions'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Logged out of all sessions successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = AuthController;
\ No newline at end of file
@@ -0,0 +1,362 @@
+const { User } = require('../models');
+const oidcService = require('../services/oidcService');
+const samlService = require('../services/samlService');
+const refreshTokenService = require('../services/refreshTokenService');
+const twoFactorService = require('../services/twoFactorService');
+const auditLogService = require('../services/auditLogService');
+const invitationService = require('../services/invitationService');
+const { createError } = require('../utils/errorUtils');
+
+class IdentityController {
+  /**
+   * List the configured identity providers (OIDC / OAuth 2.0 and SAML)
+   */
+  static async listProviders(req, res, next) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: {
+          providers: [...oidcService.listProviders(), ...samlService.listProviders()]
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sign in (or sign up) with an identity provider using an ID token or authorization code
+   */
+  static async signin(req, res, next) {
+    try {
+      const { provider } = req.params;
+      const { idToken, code, redirectUri, codeVerifier, nonce, invitationToken } = req.body;
+
+      const profile = await oidcService.authenticate(provider, { idToken, code, redirectUri, codeVerifier, nonce });
+
+      await IdentityController.completeSignin(req, res, profile, { invitationToken });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List the current user's linked identities
+   */
+  static async listIdentities(req, res, next) {
+    try {
+      const user = await User.findById(req.user._id);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          identities: user.identities.map(identity => IdentityController.toResponse(identity))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Link an identity provider account to the current user
+   */
+  static async link(req, res, next) {
+    try {
+      const { provider } = req.params;
+      const { idToken, code, redirectUri, codeVerifier, nonce } = req.body;
+
+      const profile = await oidcService.authenticate(provider, { idToken, code, redirectUri, codeVerifier, nonce });
+      const { displayName } = oidcService.getProvider(provider);
+
+      const user = await User.findById(req.user._id);
+
+      if (user.getIdentity(provider)) {
+        return next(createError(409, `A ${displayName} account is already linked. Unlink it first.`, 'IDENTITY_ALREADY_LINKED'));
+      }
+
+      const owner = await User.findByIdentity(profile.provider, profile.subject);
+
+      if (owner) {
+        return next(createError(409, `This ${displayName} account is already linked to another user`, 'IDENTITY_CONFLICT'));
+      }
+
+      const before = [...user.identities];
+      user.identities.push(IdentityController.buildIdentity(profile));
+      await user.save({ validateBeforeSave: false });
+
+      await IdentityController.logIdentityChange(user, req, {
+        before,
+        description: `${displayName} account linked`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `${displayName} account linked successfully`,
+        data: {
+          identity: IdentityController.toResponse(user.getIdentity(provider))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Unlink an identity provider account from the current user
+   */
+  static async unlink(req, res, next) {
+    try {
+      const { provider } = req.params;
+      const user = await User.findById(req.user._id).select('+password');
+
+      const identity = user.getIdentity(provider);
+
+      if (!identity) {
+        return next(createError(404, 'Linked identity not found'));
+      }
+
+      // Never leave the account without a way to sign in
+      if (user.getLoginMethods().length <= 1) {
+        return next(createError(400, 'Cannot remove the last login method. Set a password or add another login method first.', 'LAST_LOGIN_METHOD'));
+      }
+
+      const before = [...user.identities];
+      user.identities = user.identities.filter(item => item.provider !== provider);
+      await user.save({ validateBeforeSave: false });
+
+      await IdentityController.logIdentityChange(user, req, {
+        before,
+        description: `${identity.provider} account unlinked`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Identity unlinked successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Find or create the user for a verified provider profile and finish the signin
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} profile - Normalized profile from oidcService or samlService
+   * @param {Object} options - Signin options
+   * @param {string} options.invitationToken - Account invitation to accept when the user is new
+   * @param {string} options.displayName - Provider name shown to users (default: from oidcService)
+   * @param {boolean|null} options.allowSignup - true creates new users even in invite-only mode
+   *   (SAML JIT provisioning), false only admits existing users, null follows the signup rules
+   */
+  static async completeSignin(req, res, profile, options = {}) {
+    const { invitationToken = null, allowSignup = null } = options;
+    const displayName = options.displayName || oidcService.getProvider(profile.provider).displayName;
+    const invitation = invitationToken ? await invitationService.findPending(invitationToken) : null;
+
+    // Check if user exists by linked identity or email
+    let user = await User.findByIdentity(profile.provider, profile.subject);
+    let isLinkedByEmail = false;
+
+    if (!user && profile.email) {
+      user = await User.findOne({ email: profile.email });
+
+      // Only a provider-verified email proves ownership of the existing account
+      if (user && !profile.emailVerified) {
+        throw createError(
+          409,
+          `An account with this email already exists. Sign in and link your ${displayName} account from your account settings.`,
+          'ACCOUNT_LINK_REQUIRED'
+        );
+      }
+
+      isLinkedByEmail = !!user;
+    }
+
+    if (user && invitation) {
+      throw createError(409, 'An account with this email already exists. Sign in instead.', 'USER_EXISTS');
+    }
+
+    let isNewUser = false;
+
+    if (!user) {
+      if (!profile.email) {
+        throw createError(400, `${displayName} did not share an email address`, 'PROVIDER_EMAIL_MISSING');
+      }
+
+      if (invitation) {
+        // The provider must confirm the invited address
+        if (profile.email !== invitation.email || !profile.emailVerified) {
+          throw createError(403, `The invitation was sent to a different email address than your ${displayName} account`, 'INVITATION_EMAIL_MISMATCH');
+        }
+      } else if (allowSignup === false) {
+        throw createError(403, `There is no account for your ${displayName} user yet. Ask an administrator for access.`, 'ACCOUNT_NOT_PROVISIONED');
+      } else if (allowSignup !== true && invitationService.isInviteOnly()) {
+        throw createError(403, 'Signup is by invitation only', 'INVITE_ONLY');
+      }
+
+      // Create new user from the provider profile
+      user = new User({
+        name: profile.name || profile.email.split('@')[0],
+        email: profile.email,
+        avatar: profile.avatar,
+        isEmailVerified: profile.emailVerified,
+        identities: [IdentityController.buildIdentity(profile)],
+        role: invitation ? await invitationService.getRole(invitation) : 'user'
+      });
+
+      await user.save();
+      isNewUser = true;
+
+      if (invitation) {
+        await invitationService.markAccepted(invitation, user);
+      }
+
+      // Log user creation
+      await auditLogService.logCreate({
+        userId: user._id,
+        entity: 'User',
+        entityId: user._id,
+        data: {
+          name: user.name,
+          email: user.email,
+          provider: profile.provider,
+          role: user.role,
+          invitationId: invitation ? invitation._id : undefined
+        },
+        req,
+        description: invitation ? `User signed up with ${displayName} by invitation` : `User signed up with ${displayName}`
+      });
+    } else {
+      const identity = user.getIdentity(profile.provider);
+
+      if (identity && identity.subject !== profile.subject) {
+        throw createError(409, `This account is linked to a different ${displayName} account`, 'IDENTITY_CONFLICT');
+      }
+
+      // Check if account is active
+      if (!user.isActive) {
+        throw createError(401, 'Account is deactivated');
+      }
+
+      // Update existing user with provider data if needed
+      if (!identity) {
+        user.identities.push(IdentityController.buildIdentity(profile));
+      } else {
+        identity.email = profile.email;
+        identity.emailVerified = profile.emailVerified;
+        identity.lastUsedAt = new Date();
+      }
+
+      if (!user.avatar && profile.avatar) {
+        user.avatar = profile.avatar;
+      }
+
+      if (!user.isEmailVerified && profile.emailVerified && profile.email === user.email) {
+        user.isEmailVerified = true;
+      }
+
+      // Update last login
+      user.lastLogin = new Date();
+      await user.save();
+
+      if (isLinkedByEmail) {
+        await IdentityController.logIdentityChange(user, req, {
+          before: user.identities.filter(item => item.provider !== profile.provider),
+          description: `${displayName} account linked by verified email`
+        });
+      }
+
+      // Log the signin
+      await auditLogService.logRead({
+        userId: user._id,
+        entity: 'User',
+        entityId: user._id,
+        req,
+        description: `User signed in with ${displayName}`
+      });
+    }
+
+    // Require a second factor before issuing tokens
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: twoFactorService.createChallenge(user, profile.provider)
+      });
+    }
+
+    // Generate JWT tokens
+    const tokens = await refreshTokenService.issueTokens(user, { req, authMethod: profile.provider });
+
+    res.status(200).json({
+      success: true,
+      message: isNewUser ? 'Account created and login successful' : 'Login successful',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          avatar: user.avatar,
+          isEmailVerified: user.isEmailVerified,
+          lastLogin: user.lastLogin
+        },
+        ...tokens,
+        isNewUser
+      }
+    });
+  }
+
+  /**
+   * Record a change of linked identities in the audit log
+   * @param {Object} user - User document (after the change)
+   * @param {Object} req - Express request object
+   * @param {Object} change - Identities before the change and a description
+   */
+  static async logIdentityChange(user, req, { before, description }) {
+    await auditLogService.logUpdate({
+      userId: user._id,
+      entity: 'User',
+      entityId: user._id,
+      before: { identities: before.map(identity => `${identity.provider}:${identity.subject}`) },
+      after: { identities: user.identities.map(identity => `${identity.provider}:${identity.subject}`) },
+      req,
+      description
+    });
+  }
+
+  /**
+   * Format a linked identity for API responses
+   * @param {Object} identity - Identity subdocument
+   * @returns {Object} Identity response
+   */
+  static toResponse(identity) {
+    return {
+      provider: identity.provider,
+      email: identity.email,
+      emailVerified: identity.emailVerified,
+      linkedAt: identity.linkedAt,
+      lastUsedAt: identity.lastUsedAt
+    };
+  }
+
+  /**
+   * Build a linked identity from a provider profile
+   * @param {Object} profile - Normalized profile from oidcService
+   * @returns {Object} Identity subdocument
+   */
+  static buildIdentity(profile) {
+    return {
+      provider: profile.provider,
+      subject: profile.subject,
+      email: profile.email,
+      emailVerified: profile.emailVerified,
+      linkedAt: new Date(),
+      lastUsedAt: new Date()
+    };
+  }
+}
+
+module.exports = IdentityController;
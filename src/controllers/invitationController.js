@@ -0,0 +1,254 @@
+const { Invitation, User } = require('../models');
+const invitationService = require('../services/invitationService');
+const refreshTokenService = require('../services/refreshTokenService');
+const roleService = require('../services/roleService');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const auditLogService = require('../services/auditLogService');
+const { createError } = require('../utils/errorUtils');
+
+class InvitationController {
+  /**
+   * List account invitations with filtering and pagination
+   */
+  static async listInvitations(req, res, next) {
+    try {
+      const { page = 1, limit = 20, status, email } = req.query;
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+      // Build query (organization invitations are managed per organization)
+      const query = { organizationId: null };
+      const now = new Date();
+
+      if (email) query.email = email;
+      if (status === 'pending') Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+      if (status === 'accepted') query.acceptedAt = { $ne: null };
+      if (status === 'revoked') Object.assign(query, { acceptedAt: null, revokedAt: { $ne: null } });
+      if (status === 'expired') Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+
+      const [invitations, totalCount] = await Promise.all([
+        Invitation.find(query)
+          .sort({ createdAt: -1 })
+          .skip((pageNum - 1) * limitNum)
+          .limit(limitNum),
+        Invitation.countDocuments(query)
+      ]);
+      const totalPages = Math.ceil(totalCount / limitNum);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          invitations: invitations.map(invitation => invitationService.toResponse(invitation)),
+          pagination: {
+            currentPage: pageNum,
+            totalPages,
+            totalItems: totalCount,
+            itemsPerPage: limitNum,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Invite someone to create an account with a pre-assigned role
+   */
+  static async createInvitation(req, res, next) {
+    try {
+      const { email, role } = req.body;
+
+      // Handing out any other role is a role assignment
+      if (role !== 'user' && !(await roleService.hasPermission(req.user, 'roles:manage'))) {
+        return next(createError(403, 'Inviting with a role other than "user" requires roles:manage'));
+      }
+
+      const { invitation, token } = await invitationService.createInvitation(req.user, { email, role });
+      const emailSent = await invitationService.sendInvitation(invitation, token, req.user);
+
+      // Log the invitation
+      await auditLogService.logCreate({
+        userId: req.user._id,
+        entity: 'Invitation',
+        entityId: invitation._id,
+        data: { email: invitation.email, role: invitation.role },
+        req,
+        description: `Invited ${invitation.email} as ${invitation.role}`
+      });
+
+      res.status(201).json({
+        success: true,
+        message: emailSent
+          ? 'Invitation sent successfully'
+          : 'Invitation created, but the invitation email could not be sent',
+        data: {
+          invitation: invitationService.toResponse(invitation),
+          emailSent
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Send an invitation again with a new link and a fresh expiry
+   */
+  static async resendInvitation(req, res, next) {
+    try {
+      const invitation = await InvitationController.findInvitation(req);
+
+      if (invitation.status === 'accepted' || invitation.status === 'revoked') {
+        return next(createError(409, `Invitation is already ${invitation.status}`, 'INVITATION_NOT_PENDING'));
+      }
+
+      const before = { expiresAt: invitation.expiresAt };
+      const token = invitationService.renewToken(invitation);
+      await invitation.save();
+
+      const emailSent = await invitationService.sendInvitation(invitation, token, req.user);
+
+      // Log the resend
+      await auditLogService.logUpdate({
+        userId: req.user._id,
+        entity: 'Invitation',
+        entityId: invitation._id,
+        before,
+        after: { expiresAt: invitation.expiresAt },
+        req,
+        description: `Invitation for ${invitation.email} resent`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: emailSent
+          ? 'Invitation resent successfully'
+          : 'Invitation renewed, but the invitation email could not be sent',
+        data: {
+          invitation: invitationService.toResponse(invitation),
+          emailSent
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke a pending invitation
+   */
+  static async revokeInvitation(req, res, next) {
+    try {
+      const invitation = await InvitationController.findInvitation(req);
+
+      if (invitation.status === 'accepted' || invitation.status === 'revoked') {
+        return next(createError(409, `Invitation is already ${invitation.status}`, 'INVITATION_NOT_PENDING'));
+      }
+
+      invitation.revokedAt = new Date();
+      await invitation.save();
+
+      // Log the revocation
+      await auditLogService.logDelete({
+        userId: req.user._id,
+        entity: 'Invitation',
+        entityId: invitation._id,
+        data: { email: invitation.email, role: invitation.role },
+        req,
+        description: `Invitation for ${invitation.email} revoked`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Invitation revoked successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Accept an invitation by creating a password account with the invited role
+   */
+  static async acceptInvitation(req, res, next) {
+    try {
+      const { token, name, password } = req.body;
+
+      const invitation = await invitationService.findPending(token);
+
+      if (await User.exists({ email: invitation.email })) {
+        return next(createError(409, 'A user with this email already exists', 'USER_EXISTS'));
+      }
+
+      await passwordPolicyService.assertAllowed(password);
+
+      // The invitation link proves the email address
+      const user = await User.create({
+        name: name.trim(),
+        email: invitation.email,
+        password,
+        role: await invitationService.getRole(invitation),
+        isEmailVerified: true
+      });
+
+      await invitationService.markAccepted(invitation, user);
+
+      // Generate JWT tokens
+      const tokens = await refreshTokenService.issueTokens(user, { req, authMethod: 'password' });
+
+      // Log the signup
+      await auditLogService.logCreate({
+        userId: user._id,
+        entity: 'User',
+        entityId: user._id,
+        data: {
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          invitationId: invitation._id
+        },
+        req,
+        description: 'User signed up by invitation'
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Invitation accepted and account created successfully',
+        data: {
+          user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            avatar: user.avatar,
+            isEmailVerified: user.isEmailVerified
+          },
+          ...tokens
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Find the account invitation named in the route
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object>} Invitation document
+   */
+  static async findInvitation(req) {
+    const invitation = await Invitation.findOne({ _id: req.params.invitationId, organizationId: null });
+
+    if (!invitation) {
+      throw createError(404, 'Invitation not found');
+    }
+
+    return invitation;
+  }
+}
+
+module.exports = InvitationController;
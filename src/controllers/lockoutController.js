@@ -0,0 +1,92 @@
+const { LoginThrottle } = require('../models');
+const lockoutService = require('../services/lockoutService');
+const auditLogService = require('../services/auditLogService');
+const { createError } = require('../utils/errorUtils');
+
+class LockoutController {
+  /**
+   * List the per-IP and per-email failed signin counters
+   */
+  static async listLockouts(req, res, next) {
+    try {
+      const { page = 1, limit = 20, type, value, locked } = req.query;
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+      // Build query
+      const query = {};
+      const now = new Date();
+
+      if (type) query.type = type;
+      if (value) query.value = value;
+      if (locked === true) query.lockUntil = { $gt: now };
+      if (locked === false) query.$or = [{ lockUntil: null }, { lockUntil: { $lte: now } }];
+
+      const [throttles, totalCount] = await Promise.all([
+        LoginThrottle.find(query)
+          .sort({ lastFailureAt: -1 })
+          .skip((pageNum - 1) * limitNum)
+          .limit(limitNum),
+        LoginThrottle.countDocuments(query)
+      ]);
+      const totalPages = Math.ceil(totalCount / limitNum);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          lockouts: throttles.map(throttle => lockoutService.toResponse(throttle)),
+          pagination: {
+            currentPage: pageNum,
+            totalPages,
+            totalItems: totalCount,
+            itemsPerPage: limitNum,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Clear a failed signin counter, lifting its lock
+   */
+  static async clearLockout(req, res, next) {
+    try {
+      const throttle = await LoginThrottle.findById(req.params.lockoutId);
+
+      if (!throttle) {
+        return next(createError(404, 'Lockout not found'));
+      }
+
+      await throttle.deleteOne();
+
+      // Log the unlock
+      await auditLogService.logDelete({
+        userId: req.user._id,
+        entity: 'LoginThrottle',
+        entityId: throttle._id,
+        data: {
+          type: throttle.type,
+          value: throttle.value,
+          failures: throttle.failures,
+          lockUntil: throttle.lockUntil
+        },
+        req,
+        description: `Admin cleared the signin lockout for ${throttle.type} ${throttle.value}`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Lockout cleared successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = LockoutController;
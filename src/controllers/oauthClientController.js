@@ -0,0 +1,141 @@
+const { OAuthClient } = require('../models');
+const oauthClientService = require('../services/oauthClientService');
+const sessionService = require('../services/sessionService');
+const auditLogService = require('../services/auditLogService');
+const { createError } = require('../utils/errorUtils');
+
+class OAuthClientController {
+  /**
+   * List registered OAuth clients
+   */
+  static async listClients(req, res, next) {
+    try {
+      const query = req.query.includeRevoked ? {} : { revokedAt: null };
+      const clients = await OAuthClient.find(query).sort({ createdAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          clients: clients.map(client => oauthClientService.toResponse(client))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Register an OAuth client
+   */
+  static async createClient(req, res, next) {
+    try {
+      const { client, clientSecret } = await oauthClientService.createClient(req.body, req.user);
+
+      // Log the registration (never the secret)
+      await auditLogService.logCreate({
+        userId: req.user._id,
+        entity: 'OAuthClient',
+        entityId: client._id,
+        data: oauthClientService.toResponse(client),
+        req,
+        description: `OAuth client ${client.name} registered${client.trusted ? ' as trusted' : ''}`
+      });
+
+      res.status(201).json({
+        success: true,
+        message: clientSecret
+          ? 'OAuth client registered. Store the client secret now; it will not be shown again.'
+          : 'OAuth client registered',
+        data: {
+          client: oauthClientService.toResponse(client),
+          clientSecret
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Issue a new secret for a client (the old one stops working)
+   */
+  static async rotateSecret(req, res, next) {
+    try {
+      const client = await OAuthClientController.findClient(req.params.clientId);
+
+      if (client.type === 'public') {
+        throw createError(400, 'Public clients have no secret', 'PUBLIC_CLIENT');
+      }
+
+      const clientSecret = await oauthClientService.rotateSecret(client);
+
+      await auditLogService.logUpdate({
+        userId: req.user._id,
+        entity: 'OAuthClient',
+        entityId: client._id,
+        before: { secretRotatedAt: null },
+        after: { secretRotatedAt: new Date() },
+        req,
+        description: `OAuth client ${client.name} secret rotated`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Client secret rotated. Store it now; it will not be shown again.',
+        data: {
+          client: oauthClientService.toResponse(client),
+          clientSecret
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke a client: its credentials stop working and the sessions it signed in end
+   */
+  static async revokeClient(req, res, next) {
+    try {
+      const client = await OAuthClientController.findClient(req.params.clientId);
+
+      client.revokedAt = new Date();
+      await client.save();
+
+      const revokedSessions = await sessionService.revokeForClient(client.clientId, 'client_revoked');
+
+      await auditLogService.logDelete({
+        userId: req.user._id,
+        entity: 'OAuthClient',
+        entityId: client._id,
+        data: { ...oauthClientService.toResponse(client), revokedSessions },
+        req,
+        description: `OAuth client ${client.name} revoked`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'OAuth client revoked successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Load a client that hasn't been revoked
+   * @param {string} id - OAuth client document ID
+   * @returns {Promise<Object>} OAuth client
+   */
+  static async findClient(id) {
+    const client = await OAuthClient.findOne({ _id: id, revokedAt: null });
+
+    if (!client) {
+      throw createError(404, 'OAuth client not found');
+    }
+
+    return client;
+  }
+}
+
+module.exports = OAuthClientController;
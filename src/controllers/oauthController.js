@@ -0,0 +1,284 @@
+const oauthClientService = require('../services/oauthClientService');
+const oauthService = require('../services/oauthService');
+const tokenIntrospectionService = require('../services/tokenIntrospectionService');
+const { createError } = require('../utils/errorUtils');
+const { OAUTH, SCOPES } = require('../config/oauth');
+
+// Errors answered in the OAuth format; anything else goes to the error handler
+const OAUTH_ERRORS = [
+  'invalid_request',
+  'invalid_client',
+  'invalid_grant',
+  'unauthorized_client',
+  'unsupported_grant_type',
+  'invalid_scope',
+  'insufficient_scope'
+];
+
+/**
+ * OAuth 2.0 / OpenID Connect endpoints. The endpoints called by clients (token,
+ * introspection, revocation, userinfo) answer errors in the OAuth format
+ * ({ error, error_description }) instead of the API's usual error response.
+ */
+class OAuthController {
+  /**
+   * Authorization endpoint (browser redirect from the client). Checks the request
+   * and hands it to the login app, which signs the user in and posts it back.
+   */
+  static async startAuthorization(req, res, next) {
+    try {
+      await oauthService.validateAuthorizationRequest(req.query);
+
+      const loginUrl = new URL(OAUTH.loginUrl);
+      for (const [name, value] of Object.entries(req.query)) {
+        if (typeof value === 'string') loginUrl.searchParams.set(name, value);
+      }
+
+      res.redirect(302, loginUrl.toString());
+    } catch (error) {
+      OAuthController.handleAuthorizationError(error, res, next, true);
+    }
+  }
+
+  /**
+   * Authorization decision, posted by the login app with the user's session. Answers
+   * with the URL to send the browser to, or with what to ask on the consent screen.
+   */
+  static async authorize(req, res, next) {
+    try {
+      const request = await oauthService.validateAuthorizationRequest(req.body);
+      const { approve } = req.body;
+
+      const result = await oauthService.authorize(req.user, request, {
+        approve: approve === undefined ? undefined : approve === true || approve === 'true',
+        sessionId: req.tokenPayload.sid,
+        req
+      });
+
+      if (result.consentRequired) {
+        return res.status(200).json({
+          success: true,
+          data: {
+            consentRequired: true,
+            client: {
+              clientId: result.client.clientId,
+              name: result.client.name
+            },
+            scopes: result.scopes.map(name => ({ name, description: SCOPES[name] || null }))
+          }
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          redirectTo: result.redirectTo
+        }
+      });
+    } catch (error) {
+      OAuthController.handleAuthorizationError(error, res, next, false);
+    }
+  }
+
+  /**
+   * Token endpoint (authorization_code, refresh_token and client_credentials grants)
+   */
+  static async token(req, res, next) {
+    try {
+      const client = await OAuthController.authenticateClient(req, res, { allowPublic: true });
+      if (!client) return;
+
+      const response = await oauthService.token(client, req.body || {}, req);
+
+      res.set('Cache-Control', 'no-store');
+      res.set('Pragma', 'no-cache');
+      res.status(200).json(response);
+    } catch (error) {
+      OAuthController.handleError(error, res, next);
+    }
+  }
+
+  /**
+   * OpenID Connect userinfo endpoint (the openid scope is checked here, not by
+   * authenticateOAuth, so that the error is answered in the OAuth format)
+   */
+  static async userinfo(req, res, next) {
+    try {
+      const claims = oauthService.getUserInfo(req.user, req.tokenPayload || {});
+
+      res.set('Cache-Control', 'no-store');
+      res.status(200).json(claims);
+    } catch (error) {
+      if (error.code === 'insufficient_scope') {
+        res.set('WWW-Authenticate', 'Bearer error="insufficient_scope", scope="openid"');
+      }
+      OAuthController.handleError(error, res, next);
+    }
+  }
+
+  /**
+   * List the clients the current user has authorized
+   */
+  static async listConsents(req, res, next) {
+    try {
+      const consents = await oauthService.listConsents(req.user._id);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          consents
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Withdraw the current user's consent for a client (its sessions are signed out)
+   */
+  static async revokeConsent(req, res, next) {
+    try {
+      const revokedSessions = await oauthService.revokeConsent(req.user, req.params.clientId, req);
+
+      res.status(200).json({
+        success: true,
+        message: 'Consent withdrawn successfully',
+        data: {
+          revokedSessions
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Token introspection (RFC 7662)
+   */
+  static async introspect(req, res, next) {
+    try {
+      const client = await OAuthController.authenticateClient(req, res);
+      if (!client) return;
+
+      const { token, token_type_hint: hint } = req.body || {};
+
+      if (typeof token !== 'string' || !token) {
+        return OAuthController.sendError(res, 400, 'invalid_request', 'The token parameter is required');
+      }
+
+      const response = await tokenIntrospectionService.introspect(token, hint, client);
+
+      res.set('Cache-Control', 'no-store');
+      res.status(200).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Token revocation (RFC 7009)
+   */
+  static async revoke(req, res, next) {
+    try {
+      const client = await OAuthController.authenticateClient(req, res, { allowPublic: true });
+      if (!client) return;
+
+      const { token, token_type_hint: hint } = req.body || {};
+
+      if (typeof token !== 'string' || !token) {
+        return OAuthController.sendError(res, 400, 'invalid_request', 'The token parameter is required');
+      }
+
+      const revoked = await tokenIntrospectionService.revoke(token, hint, client, req);
+
+      if (!revoked) {
+        return OAuthController.sendError(res, 400, 'unauthorized_client', 'The token was not issued to this client');
+      }
+
+      // Invalid and already revoked tokens get the same answer (RFC 7009 section 2.2)
+      res.status(200).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Authenticate the calling client, answering 401 invalid_client when that fails
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} options - oauthClientService.authenticate options
+   * @returns {Promise<Object|null>} Client, or null once the error has been sent
+   */
+  static async authenticateClient(req, res, options = {}) {
+    const client = await oauthClientService.authenticate(req, options);
+
+    if (!client) {
+      res.set('WWW-Authenticate', 'Basic realm="oauth"');
+      OAuthController.sendError(res, 401, 'invalid_client', 'Client authentication failed');
+      return null;
+    }
+
+    req.oauthClient = client;
+    req.authMethod = 'client_credentials';
+    return client;
+  }
+
+  /**
+   * Answer OAuth errors in the OAuth format and pass anything else on
+   * @param {Error} error - Error thrown by the endpoint
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  static handleError(error, res, next) {
+    if (error.isOperational && OAUTH_ERRORS.includes(error.code)) {
+      return OAuthController.sendError(res, error.statusCode, error.code, error.message);
+    }
+
+    next(error);
+  }
+
+  /**
+   * Send authorization errors that carry a redirect back to the client (RFC 6749
+   * section 4.1.2.1). Errors without one (unknown client or redirect URI) are shown
+   * to the user by the error handler.
+   * @param {Error} error - Error thrown by the endpoint
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @param {boolean} redirect - Redirect the browser, or answer with the URL (login app)
+   */
+  static handleAuthorizationError(error, res, next, redirect) {
+    const target = error.isOperational && error.details && error.details.redirect;
+    if (!target) return next(error);
+
+    const location = oauthService.buildRedirect(target, {
+      error: error.code,
+      error_description: error.message
+    });
+
+    if (redirect) {
+      return res.redirect(302, location);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        redirectTo: location
+      }
+    });
+  }
+
+  /**
+   * Send an OAuth error response (RFC 6749 section 5.2)
+   * @param {Object} res - Express response object
+   * @param {number} status - HTTP status
+   * @param {string} error - OAuth error code
+   * @param {string} description - Human readable description
+   */
+  static sendError(res, status, error, description) {
+    res.set('Cache-Control', 'no-store');
+    res.status(status).json({ error, error_description: description });
+  }
+}
+
+module.exports = OAuthController;
@@ -0,0 +1,473 @@
+const { Organization, Membership, Invitation } = require('../models');
+const organizationService = require('../services/organizationService');
+const refreshTokenService = require('../services/refreshTokenService');
+const auditLogService = require('../services/auditLogService');
+const jwtService = require('../utils/jwtService');
+const { ORGANIZATION_ROLES } = require('../config/permissions');
+const { createError } = require('../utils/errorUtils');
+
+class OrganizationController {
+  /**
+   * List the organizations the current user belongs to
+   */
+  static async listOrganizations(req, res, next) {
+    try {
+      const organizations = await organizationService.listForUser(req.user._id);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          organizations
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create an organization owned by the current user
+   */
+  static async createOrganization(req, res, next) {
+    try {
+      const { name, slug } = req.body;
+
+      const { organization, membership } = await organizationService.createOrganization(req.user, { name, slug });
+
+      // Log the creation
+      await auditLogService.logCreate({
+        userId: req.user._id,
+        organizationId: organization._id,
+        entity: 'Organization',
+        entityId: organization._id,
+        data: organization.toJSON(),
+        req,
+        description: `Organization ${organization.slug} created`
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Organization created successfully',
+        data: {
+          organization,
+          role: membership.role
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get an organization with the current user's role in it
+   */
+  static async getOrganization(req, res, next) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: {
+          organization: req.organization,
+          role: req.membership.role,
+          permissions: ORGANIZATION_ROLES[req.membership.role].permissions
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Rename an organization or change its slug
+   */
+  static async updateOrganization(req, res, next) {
+    try {
+      const { name, slug } = req.body;
+      const organization = req.organization;
+
+      if (slug && slug !== organization.slug && await Organization.exists({ slug })) {
+        return next(createError(409, 'An organization with this slug already exists', 'SLUG_TAKEN'));
+      }
+
+      const before = organization.toJSON();
+
+      if (name) organization.name = name;
+      if (slug) organization.slug = slug;
+      await organization.save();
+
+      // Log the update
+      await auditLogService.logUpdate({
+        userId: req.user._id,
+        entity: 'Organization',
+        entityId: organization._id,
+        before,
+        after: organization.toJSON(),
+        req,
+        description: `Organization ${organization.slug} updated`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Organization updated successfully',
+        data: {
+          organization
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete an organization with its memberships and invitations
+   */
+  static async deleteOrganization(req, res, next) {
+    try {
+      const organization = req.organization;
+
+      await organizationService.deleteOrganization(organization);
+
+      // Log the deletion
+      await auditLogService.logDelete({
+        userId: req.user._id,
+        entity: 'Organization',
+        entityId: organization._id,
+        data: organization.toJSON(),
+        req,
+        description: `Organization ${organization.slug} deleted`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Organization deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Rotate the refresh token into a token pair that acts in another organization
+   * (or in none when organizationId is null)
+   */
+  static async switchOrganization(req, res, next) {
+    try {
+      const { refreshToken, organizationId } = req.body;
+
+      // The refresh token must belong to the signed-in user
+      const decoded = jwtService.decodeToken(refreshToken);
+      if (!decoded || decoded.id !== req.user._id.toString()) {
+        return next(createError(401, 'Invalid refresh token', 'INVALID_REFRESH_TOKEN'));
+      }
+
+      const context = organizationId
+        ? await organizationService.resolveContext(req.user, organizationId)
+        : null;
+
+      let tokens;
+      try {
+        ({ tokens } = await refreshTokenService.rotate(refreshToken, req, { organizationId }));
+      } catch (error) {
+        // Expired and badly signed tokens fail verification with plain errors
+        if (error.isOperational) throw error;
+        const message = error.message.includes('expired') ? 'Refresh token has expired' : 'Invalid refresh token';
+        return next(createError(401, message, 'INVALID_REFRESH_TOKEN'));
+      }
+
+      res.status(200).json({
+        success: true,
+        message: context ? `Switched to ${context.organization.name}` : 'Left the organization context',
+        data: {
+          organization: context ? context.organization : null,
+          role: context ? context.membership.role : null,
+          ...tokens
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List the members of an organization
+   */
+  static async listMembers(req, res, next) {
+    try {
+      const memberships = await Membership.find({ organizationId: req.organization._id })
+        .populate('userId', 'name email avatar')
+        .sort({ createdAt: 1 });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          members: memberships
+            .filter(membership => membership.userId)
+            .map(membership => OrganizationController.toMember(membership))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Change the role of a member
+   */
+  static async updateMember(req, res, next) {
+    try {
+      const { role } = req.body;
+
+      const membership = await OrganizationController.findMembership(req);
+
+      // Only owners can make or unmake owners
+      if ((role === 'owner' || membership.role === 'owner') && req.membership.role !== 'owner') {
+        return next(createError(403, 'Only owners can change the owners of an organization', 'OWNER_REQUIRED'));
+      }
+
+      if (role !== 'owner' && await organizationService.isLastOwner(membership)) {
+        return next(createError(400, 'An organization must keep at least one owner', 'LAST_OWNER'));
+      }
+
+      const before = { role: membership.role };
+      membership.role = role;
+      await membership.save();
+
+      // Log the change
+      await auditLogService.logUpdate({
+        userId: req.user._id,
+        entity: 'Membership',
+        entityId: membership._id,
+        before,
+        after: { role: membership.role },
+        req,
+        description: `Organization role ${role} assigned to user ${membership.userId}`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Member updated successfully',
+        data: {
+          member: {
+            userId: membership.userId,
+            role: membership.role
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a member (members:manage), or leave the organization (own membership)
+   */
+  static async removeMember(req, res, next) {
+    try {
+      const membership = await OrganizationController.findMembership(req);
+      const isSelf = membership.userId.equals(req.user._id);
+
+      if (!isSelf && !req.membership.hasPermission('members:manage')) {
+        return next(createError(403, 'Insufficient organization permissions'));
+      }
+
+      if (!isSelf && membership.role === 'owner' && req.membership.role !== 'owner') {
+        return next(createError(403, 'Only owners can change the owners of an organization', 'OWNER_REQUIRED'));
+      }
+
+      if (await organizationService.isLastOwner(membership)) {
+        return next(createError(400, 'An organization must keep at least one owner', 'LAST_OWNER'));
+      }
+
+      await membership.deleteOne();
+
+      // Log the removal
+      await auditLogService.logDelete({
+        userId: req.user._id,
+        entity: 'Membership',
+        entityId: membership._id,
+        data: { userId: membership.userId, role: membership.role },
+        req,
+        description: isSelf
+          ? `User ${membership.userId} left the organization`
+          : `User ${membership.userId} removed from the organization`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: isSelf ? 'You have left the organization' : 'Member removed successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List the invitations of an organization
+   */
+  static async listInvitations(req, res, next) {
+    try {
+      const invitations = await Invitation.find({ organizationId: req.organization._id })
+        .sort({ createdAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          invitations: invitations.map(invitation => organizationService.toInvitationResponse(invitation))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Invite someone to the organization by email
+   */
+  static async createInvitation(req, res, next) {
+    try {
+      const { email, role } = req.body;
+
+      if (role === 'owner' && req.membership.role !== 'owner') {
+        return next(createError(403, 'Only owners can change the owners of an organization', 'OWNER_REQUIRED'));
+      }
+
+      const { invitation, token } = await organizationService.createInvitation(req.organization, req.user, { email, role });
+      const emailSent = await organizationService.sendInvitation(invitation, token, {
+        organization: req.organization,
+        inviter: req.user
+      });
+
+      // Log the invitation
+      await auditLogService.logCreate({
+        userId: req.user._id,
+        entity: 'Invitation',
+        entityId: invitation._id,
+        data: { email: invitation.email, role: invitation.role },
+        req,
+        description: `Invited ${invitation.email} to the organization`
+      });
+
+      res.status(201).json({
+        success: true,
+        message: emailSent
+          ? 'Invitation sent successfully'
+          : 'Invitation created, but the invitation email could not be sent',
+        data: {
+          invitation: organizationService.toInvitationResponse(invitation),
+          emailSent
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke a pending invitation
+   */
+  static async revokeInvitation(req, res, next) {
+    try {
+      const invitation = await Invitation.findOne({
+        _id: req.params.invitationId,
+        organizationId: req.organization._id
+      });
+
+      if (!invitation) {
+        return next(createError(404, 'Invitation not found'));
+      }
+
+      if (invitation.status !== 'pending') {
+        return next(createError(409, `Invitation is already ${invitation.status}`, 'INVITATION_NOT_PENDING'));
+      }
+
+      invitation.revokedAt = new Date();
+      await invitation.save();
+
+      // Log the revocation
+      await auditLogService.logDelete({
+        userId: req.user._id,
+        entity: 'Invitation',
+        entityId: invitation._id,
+        data: { email: invitation.email, role: invitation.role },
+        req,
+        description: `Invitation for ${invitation.email} revoked`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Invitation revoked successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Accept an invitation as the signed-in user
+   */
+  static async acceptInvitation(req, res, next) {
+    try {
+      const { token } = req.body;
+
+      const { invitation, membership } = await organizationService.acceptInvitation(req.user, token);
+      const organization = await Organization.findById(membership.organizationId);
+
+      // Log the new membership
+      await auditLogService.logCreate({
+        userId: req.user._id,
+        organizationId: membership.organizationId,
+        entity: 'Membership',
+        entityId: membership._id,
+        data: { userId: membership.userId, role: membership.role, invitationId: invitation._id },
+        req,
+        description: `User ${req.user._id} joined the organization`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Invitation accepted successfully',
+        data: {
+          organization,
+          role: membership.role
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Find the membership named in the route within the current organization
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object>} Membership document
+   */
+  static async findMembership(req) {
+    const membership = await Membership.findOne({
+      organizationId: req.organization._id,
+      userId: req.params.userId
+    });
+
+    if (!membership) {
+      throw createError(404, 'Member not found');
+    }
+
+    return membership;
+  }
+
+  /**
+   * Format a membership (with populated user) for API responses
+   * @param {Object} membership - Membership document
+   * @returns {Object} Member details
+   */
+  static toMember(membership) {
+    return {
+      userId: membership.userId._id,
+      name: membership.userId.name,
+      email: membership.userId.email,
+      avatar: membership.userId.avatar,
+      role: membership.role,
+      joinedAt: membership.createdAt
+    };
+  }
+}
+
+module.exports = OrganizationController;
@@ -0,0 +1,86 @@
+const { ProvisioningToken } = require('../models');
+const provisioningTokenService = require('../services/provisioningTokenService');
+const auditLogService = require('../services/auditLogService');
+const { createError } = require('../utils/errorUtils');
+
+class ProvisioningTokenController {
+  /**
+   * List the SCIM provisioning tokens
+   */
+  static async listTokens(req, res, next) {
+    try {
+      const query = req.query.includeRevoked ? {} : { revokedAt: null };
+      const tokens = await ProvisioningToken.find(query).sort({ createdAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          tokens: tokens.map(token => provisioningTokenService.toResponse(token))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Issue a SCIM provisioning token
+   */
+  static async createToken(req, res, next) {
+    try {
+      const { provisioningToken, token } = await provisioningTokenService.createToken(req.body, req.user);
+
+      // Log the creation (never the token itself)
+      await auditLogService.logCreate({
+        userId: req.user._id,
+        entity: 'ProvisioningToken',
+        entityId: provisioningToken._id,
+        data: provisioningTokenService.toResponse(provisioningToken),
+        req,
+        description: `Provisioning token ${provisioningToken.name} issued`
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Provisioning token issued. Store it now; it will not be shown again.',
+        data: {
+          provisioningToken: provisioningTokenService.toResponse(provisioningToken),
+          token
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke a SCIM provisioning token
+   */
+  static async revokeToken(req, res, next) {
+    try {
+      const provisioningToken = await provisioningTokenService.revokeToken(req.params.tokenId);
+
+      if (!provisioningToken) {
+        return next(createError(404, 'Provisioning token not found'));
+      }
+
+      await auditLogService.logDelete({
+        userId: req.user._id,
+        entity: 'ProvisioningToken',
+        entityId: provisioningToken._id,
+        data: provisioningTokenService.toResponse(provisioningToken),
+        req,
+        description: `Provisioning token ${provisioningToken.name} revoked`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Provisioning token revoked successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = ProvisioningTokenController;
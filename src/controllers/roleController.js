@@ -0,0 +1,227 @@
+const { Role, User } = require('../models');
+const roleService = require('../services/roleService');
+const auditLogService = require('../services/auditLogService');
+const { PERMISSIONS } = require('../config/permissions');
+const { createError } = require('../utils/errorUtils');
+
+class RoleController {
+  /**
+   * List the available permissions
+   */
+  static async listPermissions(req, res, next) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: {
+          permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List roles
+   */
+  static async listRoles(req, res, next) {
+    try {
+      const roles = await Role.find().sort({ name: 1 });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          roles
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a role
+   */
+  static async createRole(req, res, next) {
+    try {
+      const { name, description, permissions } = req.body;
+
+      if (await roleService.exists(name)) {
+        return next(createError(409, 'A role with this name already exists', 'ROLE_EXISTS'));
+      }
+
+      const role = await Role.create({ name, description, permissions });
+
+      // Log the creation
+      await auditLogService.logCreate({
+        userId: req.user._id,
+        entity: 'Role',
+        entityId: role._id,
+        data: role.toJSON(),
+        req,
+        description: `Role ${role.name} created`
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        data: {
+          role
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a role's description or permissions
+   */
+  static async updateRole(req, res, next) {
+    try {
+      const { name } = req.params;
+      const { description, permissions } = req.body;
+
+      const role = await Role.findOne({ name });
+
+      if (!role) {
+        return next(createError(404, 'Role not found'));
+      }
+
+      if (permissions && role.name === 'admin') {
+        return next(createError(400, 'The admin role always has every permission', 'ROLE_NOT_EDITABLE'));
+      }
+
+      // Don't let admins take away their own ability to manage roles
+      if (permissions && role.name === req.user.role && !permissions.includes('roles:manage')) {
+        return next(createError(400, 'You cannot remove role management from your own role', 'SELF_LOCKOUT'));
+      }
+
+      const before = role.toJSON();
+
+      if (description !== undefined) role.description = description;
+      if (permissions) role.permissions = permissions;
+      await role.save();
+
+      roleService.clearCache(role.name);
+
+      // Log the update
+      await auditLogService.logUpdate({
+        userId: req.user._id,
+        entity: 'Role',
+        entityId: role._id,
+        before,
+        after: role.toJSON(),
+        req,
+        description: `Role ${role.name} updated`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Role updated successfully',
+        data: {
+          role
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a role that is not assigned to any user
+   */
+  static async deleteRole(req, res, next) {
+    try {
+      const { name } = req.params;
+
+      const role = await Role.findOne({ name });
+
+      if (!role) {
+        return next(createError(404, 'Role not found'));
+      }
+
+      if (role.isSystem) {
+        return next(createError(400, 'Built-in roles cannot be deleted', 'ROLE_NOT_EDITABLE'));
+      }
+
+      if (await User.exists({ role: role.name })) {
+        return next(createError(409, 'Role is still assigned to users', 'ROLE_IN_USE'));
+      }
+
+      await role.deleteOne();
+      roleService.clearCache(role.name);
+
+      // Log the deletion
+      await auditLogService.logDelete({
+        userId: req.user._id,
+        entity: 'Role',
+        entityId: role._id,
+        data: role.toJSON(),
+        req,
+        description: `Role ${role.name} deleted`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Role deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Assign a role to a user
+   */
+  static async assignRole(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      if (!(await roleService.exists(role))) {
+        return next(createError(404, 'Role not found'));
+      }
+
+      const user = await User.findById(userId);
+
+      if (!user) {
+        return next(createError(404, 'User not found'));
+      }
+
+      // Don't let admins take away their own ability to manage roles
+      if (user._id.equals(req.user._id) &&
+          !(await roleService.getPermissions(role)).includes('roles:manage')) {
+        return next(createError(400, 'You cannot remove role management from yourself', 'SELF_LOCKOUT'));
+      }
+
+      const before = { role: user.role };
+      user.role = role;
+      await user.save({ validateBeforeSave: false });
+
+      // Log the assignment
+      await auditLogService.logUpdate({
+        userId: req.user._id,
+        entity: 'User',
+        entityId: user._id,
+        before,
+        after: { role: user.role },
+        req,
+        description: `Role ${role} assigned to user ${user._id}`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Role assigned successfully',
+        data: {
+          userId: user._id,
+          role: user.role
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = RoleController;
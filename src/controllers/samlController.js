@@ -0,0 +1,80 @@
+const samlService = require('../services/samlService');
+const IdentityController = require('./identityController');
+
+/**
+ * SAML single sign-on. The IdP posts its response to the ACS in the browser; the ACS
+ * redirects to the login app with a one-time code, which the app exchanges for the
+ * usual signin response (tokens or a two-factor challenge).
+ */
+class SamlController {
+  /**
+   * SP metadata to register with the IdP
+   */
+  static async metadata(req, res, next) {
+    try {
+      const metadata = samlService.getMetadata(req.params.provider);
+
+      res.type('application/samlmetadata+xml').status(200).send(metadata);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start an SP-initiated signin by redirecting the browser to the IdP
+   */
+  static async login(req, res, next) {
+    try {
+      const { url } = await samlService.createLoginRequest(req.params.provider, { relayState: req.query.state });
+
+      res.redirect(302, url);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Assertion consumer service (HTTP-POST binding). Always answers with a redirect to
+   * the login app, carrying either a one-time code or the error.
+   */
+  static async acs(req, res, next) {
+    const { SAMLResponse: samlResponse, RelayState: state } = req.body;
+
+    try {
+      const { code } = await samlService.consumeResponse(req.params.provider, samlResponse);
+
+      res.redirect(302, samlService.buildCallbackUrl({ code, state }));
+    } catch (error) {
+      if (!error.isOperational) {
+        return next(error);
+      }
+
+      res.redirect(302, samlService.buildCallbackUrl({
+        error: error.code,
+        error_description: error.message,
+        state
+      }));
+    }
+  }
+
+  /**
+   * Exchange the one-time code from the ACS redirect and sign the user in
+   * (creating the account on first signin when the provider allows it)
+   */
+  static async exchange(req, res, next) {
+    try {
+      const { code, invitationToken } = req.body;
+      const { provider, profile } = await samlService.exchangeCode(code);
+
+      await IdentityController.completeSignin(req, res, profile, {
+        invitationToken,
+        displayName: provider.displayName,
+        allowSignup: provider.jit
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = SamlController;
@@ -0,0 +1,703 @@
+const mongoose = require('mongoose');
+const { User, Role, Session, RefreshToken, ApiKey, Membership } = require('../models');
+const scimService = require('../services/scimService');
+const roleService = require('../services/roleService');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const tokenRevocationService = require('../services/tokenRevocationService');
+const auditLogService = require('../services/auditLogService');
+const { createError } = require('../utils/errorUtils');
+const { SCIM } = require('../config/scim');
+const { DEFAULT_ROLES } = require('../config/permissions');
+
+// Users SCIM reads and changes: the accounts it created. Local accounts, such as the
+// admins who issue provisioning tokens, are out of reach of a provisioning token.
+const MANAGED_USERS = { provisionedAt: { $ne: null } };
+
+/**
+ * SCIM 2.0 provisioning endpoints (RFC 7643 / 7644). Identity providers create, update
+ * and deactivate accounts (Users) and set their role through group membership
+ * (Groups). Requests carry a provisioning token instead of a user, so every change is
+ * audit logged without a userId and with "SCIM" as the actor. Responses and errors
+ * use the SCIM format (application/scim+json).
+ */
+class ScimController {
+  /**
+   * Features supported by this service provider
+   */
+  static async serviceProviderConfig(req, res, next) {
+    try {
+      ScimController.send(res, 200, scimService.getServiceProviderConfig());
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Resource types served (User and Group)
+   */
+  static async resourceTypes(req, res, next) {
+    try {
+      const resourceTypes = scimService.getResourceTypes();
+      ScimController.send(res, 200, scimService.listResponse(resourceTypes, resourceTypes.length));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Attribute definitions of the User and Group schemas
+   */
+  static async schemas(req, res, next) {
+    try {
+      const schemas = scimService.getSchemas();
+      ScimController.send(res, 200, scimService.listResponse(schemas, schemas.length));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List users with filtering, sorting and pagination
+   */
+  static async listUsers(req, res, next) {
+    try {
+      const { filter, startIndex, sortBy, sortOrder } = req.query;
+      const query = { $and: [scimService.buildQuery('User', filter), MANAGED_USERS] };
+      const sort = scimService.buildSort('User', sortBy, sortOrder);
+      const count = ScimController.getPageSize(req.query);
+
+      const [totalResults, users] = await Promise.all([
+        User.countDocuments(query),
+        count ? User.find(query).sort(sort).skip(startIndex - 1).limit(count) : []
+      ]);
+
+      const roles = await ScimController.findRoles(users.map(user => user.role));
+      const resources = users.map(user => scimService.project(
+        scimService.toUserResource(user, roles.get(user.role)),
+        req.query
+      ));
+
+      ScimController.send(res, 200, scimService.listResponse(resources, totalResults, startIndex));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a user
+   */
+  static async getUser(req, res, next) {
+    try {
+      const user = await ScimController.findUser(req.params.id);
+
+      if (scimService.isNotModified(req, user)) {
+        return res.status(304).set('ETag', scimService.version(user)).end();
+      }
+
+      await ScimController.sendUser(res, 200, user, req.query);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a user (userName is the email)
+   */
+  static async createUser(req, res, next) {
+    try {
+      const { email, name, isActive, externalId, password } = scimService.readUser(req.body);
+
+      if (await User.exists({ email })) {
+        throw createError(409, `A user with userName ${email} already exists`, 'uniqueness');
+      }
+
+      if (password !== undefined) {
+        await ScimController.checkPassword(password);
+      }
+
+      const user = new User({
+        name,
+        email,
+        isActive,
+        externalId,
+        password,
+        provisionedAt: new Date()
+      });
+      await user.save();
+
+      await auditLogService.logCreate({
+        userId: null,
+        entity: 'User',
+        entityId: user._id,
+        data: ScimController.toSnapshot(user),
+        req,
+        description: `SCIM provisioned user ${user.email}`
+      });
+
+      res.set('Location', `${SCIM.baseUrl}/Users/${user._id}`);
+      await ScimController.sendUser(res, 201, user);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Replace a user's attributes
+   */
+  static async replaceUser(req, res, next) {
+    try {
+      const user = await ScimController.findUser(req.params.id);
+      scimService.checkPrecondition(req, user);
+
+      await ScimController.updateUser(req, user, scimService.readUser(req.body));
+      await ScimController.sendUser(res, 200, user);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a user with PATCH operations
+   */
+  static async patchUser(req, res, next) {
+    try {
+      const user = await ScimController.findUser(req.params.id);
+      scimService.checkPrecondition(req, user);
+
+      const patched = scimService.applyPatch(scimService.toUserResource(user), req.body);
+
+      await ScimController.updateUser(req, user, scimService.readUser(patched));
+      await ScimController.sendUser(res, 200, user);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a user with their sessions, tokens, API keys and memberships
+   */
+  static async deleteUser(req, res, next) {
+    try {
+      const user = await ScimController.findUser(req.params.id);
+      scimService.checkPrecondition(req, user);
+      await ScimController.checkUnprivileged(user, 'deleted');
+
+      const before = ScimController.toSnapshot(user);
+
+      await Promise.all([
+        Session.deleteMany({ userId: user._id }),
+        RefreshToken.deleteMany({ userId: user._id }),
+        ApiKey.deleteMany({ userId: user._id }),
+        Membership.deleteMany({ userId: user._id })
+      ]);
+      await user.deleteOne();
+
+      await auditLogService.logDelete({
+        userId: null,
+        entity: 'User',
+        entityId: user._id,
+        data: before,
+        req,
+        description: `SCIM deleted user ${before.email}`
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List groups (roles) with filtering, sorting and pagination
+   */
+  static async listGroups(req, res, next) {
+    try {
+      const { filter, startIndex, sortBy, sortOrder } = req.query;
+      const query = scimService.buildQuery('Group', filter);
+      const sort = scimService.buildSort('Group', sortBy, sortOrder);
+      const count = ScimController.getPageSize(req.query);
+
+      const [totalResults, roles] = await Promise.all([
+        Role.countDocuments(query),
+        count ? Role.find(query).sort(sort).skip(startIndex - 1).limit(count) : []
+      ]);
+
+      // Members are only loaded when they are returned
+      const withMembers = scimService.isRequested(req.query, 'members');
+      const resources = await Promise.all(roles.map(async role => scimService.project(
+        scimService.toGroupResource(role, withMembers ? await ScimController.findMembers(role) : null),
+        req.query
+      )));
+
+      ScimController.send(res, 200, scimService.listResponse(resources, totalResults, startIndex));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a group (role) and its members
+   */
+  static async getGroup(req, res, next) {
+    try {
+      const role = await ScimController.findRole(req.params.id);
+
+      if (scimService.isNotModified(req, role)) {
+        return res.status(304).set('ETag', scimService.version(role)).end();
+      }
+
+      const members = scimService.isRequested(req.query, 'members') ? await ScimController.findMembers(role) : null;
+      ScimController.sendGroup(res, 200, role, members, req.query);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a group: a role without permissions (an admin grants them) and its members
+   */
+  static async createGroup(req, res, next) {
+    try {
+      const { name, memberIds } = scimService.readGroup(req.body);
+
+      if (await Role.exists({ name })) {
+        throw createError(409, `A group named ${name} already exists`, 'uniqueness');
+      }
+
+      const role = await Role.create({
+        name,
+        description: 'Created by SCIM provisioning',
+        permissions: []
+      });
+
+      await auditLogService.logCreate({
+        userId: null,
+        entity: 'Role',
+        entityId: role._id,
+        data: role.toJSON(),
+        req,
+        description: `SCIM created group ${role.name}`
+      });
+
+      const members = await ScimController.setMembers(req, role, memberIds);
+
+      res.set('Location', `${SCIM.baseUrl}/Groups/${role._id}`);
+      ScimController.sendGroup(res, 201, role, members);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Replace a group's members
+   */
+  static async replaceGroup(req, res, next) {
+    try {
+      const role = await ScimController.findRole(req.params.id);
+      scimService.checkPrecondition(req, role);
+
+      const group = scimService.readGroup(req.body);
+      ScimController.checkRename(role, group.name);
+
+      const members = await ScimController.setMembers(req, role, group.memberIds);
+      ScimController.sendGroup(res, 200, role, members);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a group's members with PATCH operations
+   */
+  static async patchGroup(req, res, next) {
+    try {
+      const role = await ScimController.findRole(req.params.id);
+      scimService.checkPrecondition(req, role);
+
+      const current = await ScimController.findMembers(role);
+      const patched = scimService.applyPatch(scimService.toGroupResource(role, current), req.body);
+
+      const group = scimService.readGroup(patched);
+      ScimController.checkRename(role, group.name);
+
+      const members = await ScimController.setMembers(req, role, group.memberIds, current);
+      ScimController.sendGroup(res, 200, role, members);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a group: its members go back to the default role and the role is deleted
+   */
+  static async deleteGroup(req, res, next) {
+    try {
+      const role = await ScimController.findRole(req.params.id);
+      scimService.checkPrecondition(req, role);
+
+      if (role.isSystem) {
+        throw createError(400, 'Built-in roles cannot be deleted', 'mutability');
+      }
+
+      await ScimController.checkManageable([role.name]);
+      await ScimController.setMembers(req, role, []);
+
+      await role.deleteOne();
+      roleService.clearCache(role.name);
+
+      await auditLogService.logDelete({
+        userId: null,
+        entity: 'Role',
+        entityId: role._id,
+        data: role.toJSON(),
+        req,
+        description: `SCIM deleted group ${role.name}`
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Apply SCIM attributes to a user: deactivation ends the user's sessions
+   * @param {Object} req - Express request object
+   * @param {Object} user - User document
+   * @param {Object} changes - Account attributes from scimService.readUser
+   */
+  static async updateUser(req, user, { email, name, isActive, externalId, password }) {
+    const deactivated = user.isActive && !isActive;
+
+    // Changes that would let the token sign in as the user or lock them out
+    if (password !== undefined) {
+      await ScimController.checkUnprivileged(user, 'given a password');
+    } else if (email !== user.email) {
+      await ScimController.checkUnprivileged(user, 'given another userName');
+    } else if (deactivated) {
+      await ScimController.checkUnprivileged(user, 'deactivated');
+    }
+
+    if (email !== user.email && await User.exists({ email, _id: { $ne: user._id } })) {
+      throw createError(409, `A user with userName ${email} already exists`, 'uniqueness');
+    }
+
+    const before = ScimController.toSnapshot(user);
+
+    user.email = email;
+    user.name = name;
+    user.isActive = isActive;
+    user.externalId = externalId;
+
+    if (password !== undefined) {
+      await ScimController.checkPassword(password, user);
+      user.password = password;
+    }
+
+    await user.save();
+
+    if (deactivated) {
+      await tokenRevocationService.revokeAllForUser(user, 'deactivated_by_scim');
+    }
+
+    const after = ScimController.toSnapshot(user);
+
+    // Nothing changed (identity providers often resend the same attributes)
+    if (JSON.stringify(before) === JSON.stringify(after) && password === undefined) {
+      return;
+    }
+
+    await auditLogService.logUpdate({
+      userId: null,
+      entity: 'User',
+      entityId: user._id,
+      before,
+      after: password === undefined ? after : { ...after, passwordChanged: true },
+      req,
+      description: deactivated ? `SCIM deactivated user ${user.email}` : `SCIM updated user ${user.email}`
+    });
+  }
+
+  /**
+   * Make a role's members exactly the given users: new members get the role and
+   * removed members go back to the default role
+   * @param {Object} req - Express request object
+   * @param {Object} role - Role document
+   * @param {Array<string>} memberIds - User IDs
+   * @param {Array<Object>} current - Current members, if already loaded
+   * @returns {Promise<Array<Object>>} Members after the change
+   */
+  static async setMembers(req, role, memberIds, current = null) {
+    const members = await User.find({ _id: { $in: memberIds }, ...MANAGED_USERS });
+
+    if (members.length !== memberIds.length) {
+      const found = members.map(user => String(user._id));
+      throw createError(400, `Unknown member "${memberIds.find(id => !found.includes(id))}"`, 'invalidValue');
+    }
+
+    const previous = current || await ScimController.findMembers(role);
+    const added = members.filter(user => user.role !== role.name);
+    const removed = role.name === SCIM.defaultRole
+      ? [] // Everyone without another role is a member of the default role
+      : previous.filter(user => !memberIds.includes(String(user._id)));
+
+    // Both the group and the groups the added users leave must be open to SCIM
+    if (added.length || removed.length) {
+      await ScimController.checkManageable([role.name, ...added.map(user => user.role)]);
+    }
+
+    for (const [users, newRole] of [[added, role.name], [removed, SCIM.defaultRole]]) {
+      for (const user of users) {
+        const before = { role: user.role };
+        user.role = newRole;
+        await user.save({ validateBeforeSave: false });
+
+        await auditLogService.logUpdate({
+          userId: null,
+          entity: 'User',
+          entityId: user._id,
+          before,
+          after: { role: newRole },
+          req,
+          description: newRole === role.name
+            ? `SCIM added user ${user.email} to group ${role.name}`
+            : `SCIM removed user ${user.email} from group ${role.name}`
+        });
+      }
+    }
+
+    // Membership is part of the group's version
+    if (added.length || removed.length) {
+      role.updatedAt = new Date();
+      await role.save();
+    }
+
+    return role.name === SCIM.defaultRole ? ScimController.findMembers(role) : members;
+  }
+
+  /**
+   * Refuse membership changes of privileged roles: roles that grant permissions and
+   * the built-in roles other than the default role. Otherwise a provisioning token
+   * could make users admins or remove the real ones (see SCIM_ALLOW_PRIVILEGED_GROUPS).
+   * @param {Array<string>} names - Roles whose members would change
+   */
+  static async checkManageable(names) {
+    if (SCIM.allowPrivilegedGroups) return;
+
+    const roles = await ScimController.findRoles(names);
+    const privileged = [...new Set(names)].find(name => ScimController.isPrivileged(roles.get(name), name));
+
+    if (privileged) {
+      throw createError(403, `The members of group ${privileged} can only be changed by an admin, as the role grants permissions`, 'PRIVILEGED_GROUP');
+    }
+  }
+
+  /**
+   * Refuse to set the password or userName of a user whose role grants permissions,
+   * or to deactivate or delete them: the token could otherwise sign in as them (with
+   * the password, or through a password reset or magic link sent to the new email)
+   * or lock them out. Unlike group membership, SCIM_ALLOW_PRIVILEGED_GROUPS doesn't
+   * lift this; the identity provider first moves the user out of the group.
+   * @param {Object} user - User document
+   * @param {string} action - What would be done to the user, for the error message
+   */
+  static async checkUnprivileged(user, action) {
+    const role = await Role.findOne({ name: user.role });
+
+    if (ScimController.isPrivileged(role, user.role)) {
+      throw createError(403, `${user.email} cannot be ${action} over SCIM, as their role grants permissions`, 'PRIVILEGED_USER');
+    }
+  }
+
+  /**
+   * Apply the password policy that signup and password resets apply: breached or
+   * recently used passwords are an invalid value
+   * @param {string} password - Plain text password
+   * @param {Object} user - User document with passwordHistory selected (omit for new users)
+   */
+  static async checkPassword(password, user = null) {
+    try {
+      await passwordPolicyService.assertAllowed(password, user);
+    } catch (error) {
+      if (!error.isOperational) throw error;
+      throw createError(400, error.message, 'invalidValue');
+    }
+  }
+
+  /**
+   * Whether a role grants permissions or is built in (the default role aside)
+   * @param {Object} role - Role document (null until a built-in role is created)
+   * @param {string} name - Role name
+   * @returns {boolean} Privileged
+   */
+  static isPrivileged(role, name) {
+    if (name === SCIM.defaultRole) {
+      return Boolean(role && role.permissions.length);
+    }
+
+    return role ? role.isSystem || role.permissions.length > 0 : Boolean(DEFAULT_ROLES[name]);
+  }
+
+  /**
+   * Reject a new displayName: a role's name is referenced by its users
+   * @param {Object} role - Role document
+   * @param {string} name - Requested displayName
+   */
+  static checkRename(role, name) {
+    if (name !== role.name) {
+      throw createError(400, 'Groups cannot be renamed', 'mutability');
+    }
+  }
+
+  /**
+   * Number of resources to return on a list page
+   * @param {Object} query - Validated list parameters
+   * @returns {number} Page size
+   */
+  static getPageSize({ count }) {
+    return Math.min(count === undefined ? SCIM.maxResults : count, SCIM.maxResults);
+  }
+
+  /**
+   * Load a user provisioned over SCIM by SCIM id, with the password history that a
+   * new password is checked against and added to
+   * @param {string} id - User ID
+   * @returns {Promise<Object>} User document
+   */
+  static async findUser(id) {
+    const user = mongoose.isValidObjectId(id)
+      ? await User.findOne({ _id: id, ...MANAGED_USERS }).select('+passwordHistory')
+      : null;
+
+    if (!user) {
+      throw createError(404, `User ${id} not found`);
+    }
+
+    return user;
+  }
+
+  /**
+   * Load a role by SCIM id
+   * @param {string} id - Role ID
+   * @returns {Promise<Object>} Role document
+   */
+  static async findRole(id) {
+    const role = mongoose.isValidObjectId(id) ? await Role.findById(id) : null;
+
+    if (!role) {
+      throw createError(404, `Group ${id} not found`);
+    }
+
+    return role;
+  }
+
+  /**
+   * Load the roles of a page of users
+   * @param {Array<string>} names - Role names
+   * @returns {Promise<Map>} Role documents by name
+   */
+  static async findRoles(names) {
+    const roles = await Role.find({ name: { $in: [...new Set(names)] } });
+    return new Map(roles.map(role => [role.name, role]));
+  }
+
+  /**
+   * Load the members of a role provisioned over SCIM
+   * @param {Object} role - Role document
+   * @returns {Promise<Array<Object>>} Users with the role
+   */
+  static async findMembers(role) {
+    return User.find({ role: role.name, ...MANAGED_USERS }).select('email role').sort({ _id: 1 });
+  }
+
+  /**
+   * Fields of a user recorded in audit logs
+   * @param {Object} user - User document
+   * @returns {Object} Snapshot
+   */
+  static toSnapshot(user) {
+    return {
+      name: user.name,
+      email: user.email,
+      isActive: user.isActive,
+      role: user.role,
+      externalId: user.externalId || null
+    };
+  }
+
+  /**
+   * Send a User resource with its ETag
+   * @param {Object} res - Express response object
+   * @param {number} status - HTTP status
+   * @param {Object} user - User document
+   * @param {Object} query - attributes and excludedAttributes parameters
+   */
+  static async sendUser(res, status, user, query = {}) {
+    const role = await Role.findOne({ name: user.role });
+
+    res.set('ETag', scimService.version(user));
+    ScimController.send(res, status, scimService.project(scimService.toUserResource(user, role), query));
+  }
+
+  /**
+   * Send a Group resource with its ETag
+   * @param {Object} res - Express response object
+   * @param {number} status - HTTP status
+   * @param {Object} role - Role document
+   * @param {Array<Object>} members - Users with the role (null to omit)
+   * @param {Object} query - attributes and excludedAttributes parameters
+   */
+  static sendGroup(res, status, role, members, query = {}) {
+    res.set('ETag', scimService.version(role));
+    ScimController.send(res, status, scimService.project(scimService.toGroupResource(role, members), query));
+  }
+
+  /**
+   * Send a SCIM message
+   * @param {Object} res - Express response object
+   * @param {number} status - HTTP status
+   * @param {Object} body - SCIM message
+   */
+  static send(res, status, body) {
+    res.status(status).type('application/scim+json').json(body);
+  }
+
+  /**
+   * Error middleware of the SCIM routes: answers every error in the SCIM format
+   */
+  static handleError(error, req, res, next) {
+    let status = 500;
+    let scimType = null;
+    let detail = 'Internal Server Error';
+
+    if (error.name === 'ValidationError') {
+      status = 400;
+      scimType = 'invalidValue';
+      detail = Object.values(error.errors).map(item => item.message).join('; ');
+    } else if (error.code === 11000) {
+      status = 409;
+      scimType = 'uniqueness';
+      detail = 'The resource already exists';
+    } else if (error.isOperational) {
+      status = error.statusCode;
+      detail = error.message;
+
+      if (scimService.isScimType(error.code)) {
+        scimType = error.code;
+      } else if (error.code === 'VALIDATION_ERROR') {
+        scimType = 'invalidValue';
+        detail = error.details.errors.map(item => item.message).join('; ');
+      }
+    } else {
+      console.error('SCIM request failed:', error);
+    }
+
+    if (status === 401) {
+      res.set('WWW-Authenticate', 'Bearer realm="scim"');
+    }
+
+    ScimController.send(res, status, scimService.errorResponse(status, detail, scimType));
+  }
+}
+
+module.exports = ScimController;
@@ -0,0 +1,146 @@
+const { User } = require('../models');
+const sessionService = require('../services/sessionService');
+const auditLogService = require('../services/auditLogService');
+const { createError } = require('../utils/errorUtils');
+
+class SessionController {
+  /**
+   * List the current user's active sessions
+   */
+  static async getMySessions(req, res, next) {
+    try {
+      const sessions = await sessionService.listForUser(req.user._id);
+      const currentSessionId = req.tokenPayload && req.tokenPayload.sid;
+
+      res.status(200).json({
+        success: true,
+        data: {
+          sessions: sessions.map(session => sessionService.toResponse(session, currentSessionId))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke one of the current user's sessions
+   */
+  static async revokeMySession(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const session = await sessionService.findForUser(req.user._id, id);
+
+      if (!session) {
+        return next(createError(404, 'Session not found'));
+      }
+
+      await sessionService.revokeWithAudit(session, req.user, req);
+
+      res.status(200).json({
+        success: true,
+        message: 'Session revoked successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List the active sessions of any user (admin only)
+   */
+  static async getUserSessions(req, res, next) {
+    try {
+      const { userId } = req.params;
+
+      const user = await User.findById(userId);
+
+      if (!user) {
+        return next(createError(404, 'User not found'));
+      }
+
+      const sessions = await sessionService.listForUser(user._id);
+
+      await auditLogService.logRead({
+        userId: req.user._id,
+        entity: 'Session',
+        entityId: user._id,
+        req,
+        description: `Admin listed sessions of user ${user._id}`
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          userId: user._id,
+          sessions: sessions.map(session => sessionService.toResponse(session))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke a session of any user (admin only)
+   */
+  static async revokeUserSession(req, res, next) {
+    try {
+      const { userId, sessionId } = req.params;
+
+      const session = await sessionService.findForUser(userId, sessionId);
+
+      if (!session) {
+        return next(createError(404, 'Session not found'));
+      }
+
+      await sessionService.revokeWithAudit(session, req.user, req);
+
+      res.status(200).json({
+        success: true,
+        message: 'Session revoked successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke every session of any user (admin only)
+   */
+  static async revokeAllUserSessions(req, res, next) {
+    try {
+      const { userId } = req.params;
+
+      const user = await User.findById(userId);
+
+      if (!user) {
+        return next(createError(404, 'User not found'));
+      }
+
+      const revokedCount = await sessionService.revokeAllForUser(user._id, 'revoked_by_admin');
+
+      await auditLogService.logDelete({
+        userId: req.user._id,
+        entity: 'Session',
+        entityId: user._id,
+        data: { userId: user._id, revokedCount },
+        req,
+        description: `Admin revoked all sessions of user ${user._id}`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'All sessions revoked successfully',
+        data: {
+          revokedCount
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = SessionController;
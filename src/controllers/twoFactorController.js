@@ -0,0 +1,314 @@
+const { User, RevokedToken } = require('../models');
+const jwtService = require('../utils/jwtService');
+const twoFactorService = require('../services/twoFactorService');
+const refreshTokenService = require('../services/refreshTokenService');
+const tokenRevocationService = require('../services/tokenRevocationService');
+const auditLogService = require('../services/auditLogService');
+const lockoutService = require('../services/lockoutService');
+const { createError } = require('../utils/errorUtils');
+
+const { TWO_FACTOR_FIELDS } = twoFactorService;
+
+class TwoFactorController {
+  /**
+   * Start TOTP enrollment - returns the secret and otpauth URI
+   */
+  static async setup(req, res, next) {
+    try {
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+      if (user.twoFactor.enabled) {
+        return next(createError(409, 'Two-factor authentication is already enabled'));
+      }
+
+      const enrollment = twoFactorService.startEnrollment(user);
+      await user.save({ validateBeforeSave: false });
+
+      // Log the enrollment start
+      await auditLogService.logUpdate({
+        userId: user._id,
+        entity: 'User',
+        entityId: user._id,
+        before: { twoFactorPending: false },
+        after: { twoFactorPending: true },
+        req,
+        description: 'Two-factor authentication setup started'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        data: enrollment
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Confirm TOTP enrollment with a code - enables 2FA and returns recovery codes
+   */
+  static async verify(req, res, next) {
+    try {
+      const { code } = req.body;
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+      if (user.twoFactor.enabled) {
+        return next(createError(409, 'Two-factor authentication is already enabled'));
+      }
+
+      if (!user.twoFactor.pendingSecret) {
+        return next(createError(400, 'Two-factor setup has not been started'));
+      }
+
+      const recoveryCodes = twoFactorService.confirmEnrollment(user, code);
+
+      if (!recoveryCodes) {
+        return next(createError(400, 'Invalid two-factor code', 'INVALID_MFA_CODE'));
+      }
+
+      await user.save({ validateBeforeSave: false });
+
+      // Log the enrollment
+      await auditLogService.logUpdate({
+        userId: user._id,
+        entity: 'User',
+        entityId: user._id,
+        before: { twoFactorEnabled: false },
+        after: { twoFactorEnabled: true },
+        req,
+        description: 'Two-factor authentication enabled'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+        data: {
+          recoveryCodes
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Disable 2FA (requires the password, if any, and a valid second factor)
+   */
+  static async disable(req, res, next) {
+    try {
+      const { password, code, recoveryCode } = req.body;
+      const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+      if (!user.twoFactor.enabled) {
+        return next(createError(400, 'Two-factor authentication is not enabled'));
+      }
+
+      if (user.password && !(await user.comparePassword(password || ''))) {
+        return next(createError(400, 'Current password is incorrect'));
+      }
+
+      const method = twoFactorService.verifySecondFactor(user, { code, recoveryCode });
+
+      if (!method) {
+        return next(createError(400, 'Invalid two-factor code', 'INVALID_MFA_CODE'));
+      }
+
+      if (method === 'recovery_code') {
+        await TwoFactorController.logRecoveryCodeUse(user, req);
+      }
+
+      twoFactorService.disable(user);
+      await user.save({ validateBeforeSave: false });
+
+      // Log the disable
+      await auditLogService.logUpdate({
+        userId: user._id,
+        entity: 'User',
+        entityId: user._id,
+        before: { twoFactorEnabled: true },
+        after: { twoFactorEnabled: false },
+        req,
+        description: 'Two-factor authentication disabled'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Replace all recovery codes (requires a TOTP code)
+   */
+  static async regenerateRecoveryCodes(req, res, next) {
+    try {
+      const { code } = req.body;
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+      if (!user.twoFactor.enabled) {
+        return next(createError(400, 'Two-factor authentication is not enabled'));
+      }
+
+      if (!twoFactorService.verifyTotp(user, code)) {
+        return next(createError(400, 'Invalid two-factor code', 'INVALID_MFA_CODE'));
+      }
+
+      const remaining = twoFactorService.remainingRecoveryCodes(user);
+      const recoveryCodes = user.generateRecoveryCodes();
+      await user.save({ validateBeforeSave: false });
+
+      // Log the regeneration
+      await auditLogService.logUpdate({
+        userId: user._id,
+        entity: 'User',
+        entityId: user._id,
+        before: { recoveryCodesRemaining: remaining },
+        after: { recoveryCodesRemaining: recoveryCodes.length },
+        req,
+        description: 'Two-factor recovery codes regenerated'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Recovery codes regenerated. Previous codes no longer work.',
+        data: {
+          recoveryCodes
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Complete a two-step signin by exchanging the MFA token and a second factor for tokens
+   */
+  static async challenge(req, res, next) {
+    try {
+      const { mfaToken, code, recoveryCode } = req.body;
+
+      const { decoded, user } = await TwoFactorController.resolveChallenge(mfaToken);
+
+      const method = twoFactorService.verifySecondFactor(user, { code, recoveryCode });
+
+      if (!method) {
+        // Failed codes count towards the account lockout like failed passwords
+        await lockoutService.registerFailure(user, req);
+        return next(createError(401, 'Invalid two-factor code', 'INVALID_MFA_CODE'));
+      }
+
+      if (method === 'recovery_code') {
+        await TwoFactorController.logRecoveryCodeUse(user, req);
+      }
+
+      await TwoFactorController.completeChallenge(req, res, { decoded, user, method });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Verify an MFA token and load the user who still has to pass the second factor
+   * @param {string} mfaToken - MFA token returned by signin
+   * @returns {Promise<Object>} Decoded token and user (loaded with TWO_FACTOR_FIELDS)
+   */
+  static async resolveChallenge(mfaToken) {
+    let decoded;
+    try {
+      decoded = await jwtService.verifyMfaToken(mfaToken);
+    } catch (error) {
+      throw createError(401, 'Invalid or expired MFA token', 'INVALID_MFA_TOKEN');
+    }
+
+    // MFA tokens are single-use
+    if (await RevokedToken.isRevoked(decoded.jti)) {
+      throw createError(401, 'Invalid or expired MFA token', 'INVALID_MFA_TOKEN');
+    }
+
+    const user = await User.findById(decoded.id).select(`+loginAttempts +lockUntil ${TWO_FACTOR_FIELDS}`);
+
+    if (!user || !user.twoFactor.enabled) {
+      throw createError(401, 'Invalid or expired MFA token', 'INVALID_MFA_TOKEN');
+    }
+
+    if (user.isLocked) {
+      throw createError(423, 'Account is temporarily locked due to multiple failed login attempts');
+    }
+
+    if (!user.isActive) {
+      throw createError(401, 'Account is deactivated');
+    }
+
+    return { decoded, user };
+  }
+
+  /**
+   * Finish a two-step signin once the second factor has been verified
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} challenge - Resolved challenge and the second factor that passed
+   */
+  static async completeChallenge(req, res, { decoded, user, method }) {
+    await tokenRevocationService.revokeToken(decoded, 'mfa_completed');
+
+    if (user.loginAttempts > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    const tokens = await refreshTokenService.issueTokens(user, {
+      req,
+      authMethod: `${decoded.method}+${method}`
+    });
+
+    // Log the signin
+    await auditLogService.logRead({
+      userId: user._id,
+      entity: 'User',
+      entityId: user._id,
+      req,
+      description: `User completed two-factor signin (${decoded.method} + ${method})`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          avatar: user.avatar,
+          isEmailVerified: user.isEmailVerified,
+          lastLogin: user.lastLogin
+        },
+        ...tokens
+      }
+    });
+  }
+
+  /**
+   * Record the use of a recovery code in the audit log
+   */
+  static async logRecoveryCodeUse(user, req) {
+    await auditLogService.logUpdate({
+      userId: user._id,
+      entity: 'User',
+      entityId: user._id,
+      before: { recoveryCodesRemaining: twoFactorService.remainingRecoveryCodes(user) + 1 },
+      after: { recoveryCodesRemaining: twoFactorService.remainingRecoveryCodes(user) },
+      req,
+      description: 'Two-factor recovery code used'
+    });
+  }
+}
+
+module.exports = TwoFactorController;
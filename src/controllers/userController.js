@@ -0,0 +1,399 @@
+const { User, Session, RefreshToken, ApiKey, Membership, LoginThrottle } = require('../models');
+const tokenRevocationService = require('../services/tokenRevocationService');
+const roleService = require('../services/roleService');
+const auditLogService = require('../services/auditLogService');
+const emailService = require('../services/emailService');
+const jwtService = require('../utils/jwtService');
+const { createError } = require('../utils/errorUtils');
+
+class UserController {
+  /**
+   * List users with search, filtering and pagination
+   */
+  static async listUsers(req, res, next) {
+    try {
+      const { page = 1, limit = 20, search, role, isActive } = req.query;
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+      // Build query
+      const query = {};
+
+      if (search) {
+        const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$or = [{ name: pattern }, { email: pattern }];
+      }
+      if (role) query.role = role;
+      if (isActive !== undefined) query.isActive = isActive;
+
+      const [users, totalCount] = await Promise.all([
+        User.find(query)
+          .sort({ createdAt: -1 })
+          .skip((pageNum - 1) * limitNum)
+          .limit(limitNum),
+        User.countDocuments(query)
+      ]);
+      const totalPages = Math.ceil(totalCount / limitNum);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          users,
+          pagination: {
+            currentPage: pageNum,
+            totalPages,
+            totalItems: totalCount,
+            itemsPerPage: limitNum,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a user
+   */
+  static async getUser(req, res, next) {
+    try {
+      const user = await User.findById(req.params.userId);
+
+      if (!user) {
+        return next(createError(404, 'User not found'));
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          user
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deactivate a user and sign them out everywhere
+   */
+  static async deactivateUser(req, res, next) {
+    try {
+      const user = await UserController.findOtherUser(req);
+      await UserController.checkPermissionsHeld(req, user, 'deactivate');
+
+      if (!user.isActive) {
+        return next(createError(409, 'User is already deactivated'));
+      }
+
+      const before = UserController.toSnapshot(user);
+      user.isActive = false;
+      await tokenRevocationService.revokeAllForUser(user, 'revoked_by_admin');
+
+      await UserController.logChange(req, user, before, `Admin deactivated user ${user._id}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'User deactivated successfully',
+        data: {
+          user
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reactivate a deactivated user
+   */
+  static async reactivateUser(req, res, next) {
+    try {
+      const user = await UserController.findOtherUser(req);
+
+      if (user.isActive) {
+        return next(createError(409, 'User is already active'));
+      }
+
+      const before = UserController.toSnapshot(user);
+      user.isActive = true;
+      await user.save({ validateBeforeSave: false });
+
+      await UserController.logChange(req, user, before, `Admin reactivated user ${user._id}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'User reactivated successfully',
+        data: {
+          user
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Clear a user's failed login attempts and lock, including the signin counter for their email
+   */
+  static async unlockUser(req, res, next) {
+    try {
+      const user = await User.findById(req.params.userId);
+
+      if (!user) {
+        return next(createError(404, 'User not found'));
+      }
+
+      const before = UserController.toSnapshot(user);
+      await user.resetLoginAttempts();
+      await LoginThrottle.deleteOne({ type: 'email', value: user.email });
+      user.loginAttempts = undefined;
+      user.lockUntil = undefined;
+
+      await UserController.logChange(req, user, before, `Admin unlocked user ${user._id}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'User unlocked successfully',
+        data: {
+          user
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Require a user to reset their password: signs them out, refuses password
+   * signin until the password is replaced and emails a reset link
+   */
+  static async forcePasswordReset(req, res, next) {
+    try {
+      const user = await UserController.findOtherUser(req);
+      await UserController.checkPermissionsHeld(req, user, 'reset the password of');
+
+      const before = UserController.toSnapshot(user);
+      const resetToken = user.createPasswordResetToken();
+      user.passwordResetRequired = true;
+      await tokenRevocationService.revokeAllForUser(user, 'revoked_by_admin');
+
+      let emailSent = false;
+      if (emailService.isConfigured()) {
+        try {
+          await emailService.sendPasswordResetEmail(user.email, resetToken, user.name);
+          emailSent = true;
+        } catch (emailError) {
+          console.error('Failed to send password reset email:', emailError);
+        }
+      }
+
+      await UserController.logChange(req, user, before, `Admin required user ${user._id} to reset their password`);
+
+      res.status(200).json({
+        success: true,
+        message: emailSent
+          ? 'Password reset required. A reset link has been sent to the user.'
+          : 'Password reset required. The reset email could not be sent; the user can request one with forgot-password.',
+        data: {
+          emailSent
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a user with their sessions, tokens, API keys and memberships (audit logs are kept)
+   */
+  static async deleteUser(req, res, next) {
+    try {
+      const user = await UserController.findOtherUser(req);
+      await UserController.checkPermissionsHeld(req, user, 'delete');
+
+      const before = UserController.toSnapshot(user);
+
+      await Promise.all([
+        Session.deleteMany({ userId: user._id }),
+        RefreshToken.deleteMany({ userId: user._id }),
+        ApiKey.deleteMany({ userId: user._id }),
+        Membership.deleteMany({ userId: user._id })
+      ]);
+      await user.deleteOne();
+
+      // Log the deletion
+      await auditLogService.logDelete({
+        userId: req.user._id,
+        entity: 'User',
+        entityId: user._id,
+        data: before,
+        req,
+        description: `Admin deleted user ${user._id}`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'User deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Issue a short-lived, non-refreshable token to act as another user. Requests made
+   * with it are recorded with the admin as the real actor.
+   */
+  static async impersonateUser(req, res, next) {
+    try {
+      const user = await UserController.findOtherUser(req);
+
+      if (!user.isActive) {
+        return next(createError(409, 'Deactivated users cannot be impersonated'));
+      }
+
+      // Impersonation must not grant the admin permissions they don't hold
+      await UserController.checkPermissionsHeld(req, user, 'impersonate', 'IMPERSONATION_NOT_ALLOWED');
+
+      const { accessToken, expiresIn } = jwtService.generateImpersonationToken(user, req.user);
+
+      // Log the start of the impersonation
+      await auditLogService.logCreate({
+        userId: req.user._id,
+        entity: 'Impersonation',
+        entityId: user._id,
+        data: { userId: user._id, email: user.email, expiresIn },
+        req,
+        description: `Admin started impersonating user ${user._id}`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Impersonation started successfully',
+        data: {
+          accessToken,
+          expiresIn,
+          user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * End an impersonation early by revoking the impersonation token
+   */
+  static async stopImpersonation(req, res, next) {
+    try {
+      if (!req.impersonator) {
+        return next(createError(400, 'This request is not made with an impersonation token', 'NOT_IMPERSONATING'));
+      }
+
+      await tokenRevocationService.revokeToken(req.tokenPayload, 'impersonation_ended');
+
+      // Log the end of the impersonation
+      await auditLogService.logDelete({
+        userId: req.impersonator._id,
+        entity: 'Impersonation',
+        entityId: req.user._id,
+        data: { userId: req.user._id, email: req.user.email },
+        req,
+        description: `Admin stopped impersonating user ${req.user._id}`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Impersonation ended successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Find the target user of an admin action, refusing actions on oneself
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object>} User document
+   */
+  static async findOtherUser(req) {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      throw createError(404, 'User not found');
+    }
+
+    if (user._id.equals(req.user._id)) {
+      throw createError(400, 'You cannot perform this action on your own account', 'CANNOT_MODIFY_SELF');
+    }
+
+    return user;
+  }
+
+  /**
+   * Refuse an admin action on a user whose role grants permissions the admin doesn't
+   * hold, so that users:manage can't be used to lock out a more privileged admin
+   * @param {Object} req - Express request object
+   * @param {Object} user - Target user
+   * @param {string} action - The action, for the error message (e.g. 'delete')
+   * @param {string} code - Error code
+   */
+  static async checkPermissionsHeld(req, user, action, code = 'INSUFFICIENT_PERMISSIONS') {
+    const [granted, required] = await Promise.all([
+      roleService.getPermissions(req.user.role),
+      roleService.getPermissions(user.role)
+    ]);
+
+    if (!required.every(permission => granted.includes(permission))) {
+      throw createError(403, `You cannot ${action} a user with permissions you do not hold`, code);
+    }
+  }
+
+  /**
+   * Record an admin change to a user in the audit log
+   * @param {Object} req - Express request object
+   * @param {Object} user - User document (after the change)
+   * @param {Object} before - Snapshot taken before the change
+   * @param {string} description - Log description
+   */
+  static async logChange(req, user, before, description) {
+    await auditLogService.logUpdate({
+      userId: req.user._id,
+      entity: 'User',
+      entityId: user._id,
+      before,
+      after: UserController.toSnapshot(user),
+      req,
+      description
+    });
+  }
+
+  /**
+   * Account state recorded in audit log snapshots
+   * @param {Object} user - User document
+   * @returns {Object} Snapshot
+   */
+  static toSnapshot(user) {
+    return {
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      isActive: user.isActive,
+      isEmailVerified: user.isEmailVerified,
+      loginAttempts: user.loginAttempts || 0,
+      lockUntil: user.lockUntil || null,
+      passwordResetRequired: !!user.passwordResetRequired
+    };
+  }
+}
+
+module.exports = UserController;
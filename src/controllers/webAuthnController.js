@@ -0,0 +1,324 @@
+const { User, RevokedToken } = require('../models');
+const webAuthnService = require('../services/webAuthnService');
+const refreshTokenService = require('../services/refreshTokenService');
+const tokenRevocationService = require('../services/tokenRevocationService');
+const auditLogService = require('../services/auditLogService');
+const lockoutService = require('../services/lockoutService');
+const TwoFactorController = require('./twoFactorController');
+const { createError } = require('../utils/errorUtils');
+
+class WebAuthnController {
+  /**
+   * Start registering a passkey for the current user
+   */
+  static async registrationOptions(req, res, next) {
+    try {
+      const user = await User.findById(req.user._id);
+
+      const { options, challengeToken } = await webAuthnService.createRegistrationOptions(user);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          options,
+          challengeToken
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Verify the authenticator's attestation and store the passkey
+   */
+  static async registrationVerify(req, res, next) {
+    try {
+      const { response, challengeToken, name } = req.body;
+      const user = await User.findById(req.user._id);
+
+      const decoded = await WebAuthnController.consumeChallenge(challengeToken, 'registration', {
+        id: user._id.toString()
+      });
+
+      const passkey = await webAuthnService.verifyRegistration(response, decoded);
+
+      // A credential can only ever belong to one account
+      if (await User.exists({ 'passkeys.credentialId': passkey.credentialId })) {
+        return next(createError(409, 'Passkey is already registered'));
+      }
+
+      const before = user.passkeys.length;
+      user.passkeys.push({ ...passkey, name: name || 'Passkey' });
+      await user.save({ validateBeforeSave: false });
+      await tokenRevocationService.revokeToken(decoded, 'webauthn_completed');
+
+      // Log the registration
+      await auditLogService.logUpdate({
+        userId: user._id,
+        entity: 'User',
+        entityId: user._id,
+        before: { passkeys: before },
+        after: { passkeys: user.passkeys.length },
+        req,
+        description: 'Passkey registered'
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Passkey registered successfully',
+        data: {
+          passkey: webAuthnService.toResponse(user.passkeys[user.passkeys.length - 1])
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start a passwordless signin (email is optional; without it any discoverable passkey may be used)
+   */
+  static async loginOptions(req, res, next) {
+    try {
+      const { email } = req.body;
+
+      let user = null;
+      if (email) {
+        user = await User.findOne({ email: email.toLowerCase() });
+      }
+
+      // Unknown emails fall back to a discoverable-credential challenge so accounts can't be probed
+      const { options, challengeToken } = await webAuthnService.createAuthenticationOptions({
+        user: user && user.passkeys.length > 0 ? user : null,
+        purpose: 'login'
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          options,
+          challengeToken
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Complete a passwordless signin with a passkey assertion
+   */
+  static async loginVerify(req, res, next) {
+    try {
+      const { response, challengeToken } = req.body;
+
+      const decoded = await WebAuthnController.consumeChallenge(challengeToken, 'login');
+
+      const user = await User.findOne({ 'passkeys.credentialId': response.id }).select('+loginAttempts +lockUntil');
+
+      if (!user || (decoded.id && decoded.id !== user._id.toString())) {
+        return next(createError(401, 'Passkey is not registered', 'WEBAUTHN_UNKNOWN_CREDENTIAL'));
+      }
+
+      // Check if account is locked
+      if (user.isLocked) {
+        return next(createError(423, 'Account is temporarily locked due to multiple failed login attempts'));
+      }
+
+      // Check if account is active
+      if (!user.isActive) {
+        return next(createError(401, 'Account is deactivated'));
+      }
+
+      try {
+        await webAuthnService.verifyAuthentication(user, response, decoded);
+      } catch (error) {
+        await lockoutService.registerFailure(user, req);
+        throw error;
+      }
+
+      await tokenRevocationService.revokeToken(decoded, 'webauthn_completed');
+
+      if (user.loginAttempts > 0) {
+        await user.resetLoginAttempts();
+      }
+
+      // Update last login (and the passkey's signature counter)
+      user.lastLogin = new Date();
+      await user.save({ validateBeforeSave: false });
+
+      // A user-verified passkey is already multi-factor, so no TOTP challenge follows
+      const tokens = await refreshTokenService.issueTokens(user, { req, authMethod: 'webauthn' });
+
+      // Log the signin
+      await auditLogService.logRead({
+        userId: user._id,
+        entity: 'User',
+        entityId: user._id,
+        req,
+        description: 'User signed in with a passkey'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        data: {
+          user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            avatar: user.avatar,
+            isEmailVerified: user.isEmailVerified,
+            lastLogin: user.lastLogin
+          },
+          ...tokens
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start a passkey assertion as the second factor of a two-step signin
+   */
+  static async mfaOptions(req, res, next) {
+    try {
+      const { mfaToken } = req.body;
+
+      const { decoded, user } = await TwoFactorController.resolveChallenge(mfaToken);
+
+      if (user.passkeys.length === 0) {
+        return next(createError(400, 'No passkeys are registered for this account'));
+      }
+
+      // Bind the WebAuthn challenge to this MFA token
+      const { options, challengeToken } = await webAuthnService.createAuthenticationOptions({
+        user,
+        purpose: 'mfa',
+        claims: { mfa: decoded.jti }
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          options,
+          challengeToken
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Complete a two-step signin with a passkey assertion
+   */
+  static async mfaVerify(req, res, next) {
+    try {
+      const { mfaToken, response, challengeToken } = req.body;
+
+      const { decoded, user } = await TwoFactorController.resolveChallenge(mfaToken);
+
+      const challenge = await WebAuthnController.consumeChallenge(challengeToken, 'mfa', {
+        id: user._id.toString(),
+        mfa: decoded.jti
+      });
+
+      try {
+        await webAuthnService.verifyAuthentication(user, response, challenge);
+      } catch (error) {
+        // Failed assertions count towards the account lockout like failed passwords
+        await lockoutService.registerFailure(user, req);
+        throw error;
+      }
+
+      await tokenRevocationService.revokeToken(challenge, 'webauthn_completed');
+
+      await TwoFactorController.completeChallenge(req, res, { decoded, user, method: 'webauthn' });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List the current user's passkeys
+   */
+  static async listCredentials(req, res, next) {
+    try {
+      const user = await User.findById(req.user._id);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          passkeys: user.passkeys.map(passkey => webAuthnService.toResponse(passkey))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove one of the current user's passkeys
+   */
+  static async deleteCredential(req, res, next) {
+    try {
+      const { credentialId } = req.params;
+      const user = await User.findById(req.user._id).select('+password');
+
+      const passkey = user.passkeys.find(item => item.credentialId === credentialId);
+
+      if (!passkey) {
+        return next(createError(404, 'Passkey not found'));
+      }
+
+      // Never leave the account without a way to sign in
+      if (user.getLoginMethods().length <= 1) {
+        return next(createError(400, 'Cannot remove the last login method. Set a password or add another login method first.', 'LAST_LOGIN_METHOD'));
+      }
+
+      user.passkeys.pull(passkey._id);
+      await user.save({ validateBeforeSave: false });
+
+      // Log the removal
+      await auditLogService.logDelete({
+        userId: user._id,
+        entity: 'User',
+        entityId: user._id,
+        data: webAuthnService.toResponse(passkey),
+        req,
+        description: 'Passkey removed'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Passkey removed successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Verify a challenge token for a ceremony and make sure it has not been used yet
+   * @param {string} challengeToken - Token returned with the options
+   * @param {string} purpose - Expected purpose
+   * @param {Object} expected - Claims that must match
+   * @returns {Promise<Object>} Decoded challenge token
+   */
+  static async consumeChallenge(challengeToken, purpose, expected) {
+    const decoded = await webAuthnService.resolveChallengeToken(challengeToken, purpose, expected);
+
+    // Challenge tokens are single-use
+    if (await RevokedToken.isRevoked(decoded.jti)) {
+      throw createError(401, 'Invalid or expired challenge token', 'INVALID_CHALLENGE_TOKEN');
+    }
+
+    return decoded;
+  }
+}
+
+module.exports = WebAuthnController;
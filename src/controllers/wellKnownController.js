@@ -0,0 +1,31 @@
+const jwtService = require('../utils/jwtService');
+const oauthService = require('../services/oauthService');
+
+class WellKnownController {
+  /**
+   * Publish the public keys that verify our tokens (RFC 7517 JSON Web Key Set)
+   */
+  static async getJwks(req, res, next) {
+    try {
+      // Verifiers may cache the set; rotated keys are reloaded on the same schedule
+      res.set('Cache-Control', 'public, max-age=300');
+      res.status(200).json(jwtService.getJwks());
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Publish the OpenID Connect discovery document (also the RFC 8414 metadata)
+   */
+  static async getOpenIdConfiguration(req, res, next) {
+    try {
+      res.set('Cache-Control', 'public, max-age=300');
+      res.status(200).json(oauthService.getDiscovery());
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = WellKnownController;
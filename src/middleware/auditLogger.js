@@ -1,4 +1,7 @@
 const AuditLogService = require('../services/auditLogService');
+const auditOutbox = require('../services/auditOutbox');
+const { AUDIT } = require('../config/audit');
+const { createError } = require('../utils/errorUtils');
 
 /**
  * Middleware to automatically log API requests
@@ -52,8 +55,9 @@ const auditLogger = (req, res, next) => {
  */
 const logRequest = async (req, res, responseData, statusCode) => {
   try {
-    // Skip logging for non-authenticated requests or GET requests to public endpoints
-    if (!req.user) {
+    // Skip logging for non-authenticated requests or GET requests to public endpoints.
+    // Requests on fail-closed routes were recorded before they were handled.
+    if (!req.user || req.auditFailClosed) {
       return;
     }
 
@@ -96,12 +100,15 @@ const logRequest = async (req, res, responseData, statusCode) => {
       route: req.route ? req.route.path : req.path,
       method: req.method,
       statusCode,
-      requestId: req.requestId
+      requestId: req.requestId,
+      authMethod: req.authMethod,
+      impersonatorId: req.impersonator ? req.impersonator._id : undefined
     };
 
-    // Create audit log
+    // Create audit log (queued in the audit outbox if it cannot be written)
     await AuditLogService.createLog({
       userId: req.user._id,
+      organizationId: AuditLogService.extractOrganizationId(req),
       action,
       entity,
       entityId,
@@ -148,8 +155,8 @@ const getActionFromMethod = (method) => {
  * Extract entity name from request path
  */
 const extractEntityFromPath = (path) => {
-  // Remove /api prefix and get the main entity
-  const pathParts = path.replace(/^\/api\//, '').split('/');
+  // Remove /api (or SCIM) prefix and get the main entity
+  const pathParts = path.replace(/^\/(api|scim\/v2)\//, '').split('/');
   
   if (pathParts.length === 0) return null;
 
@@ -158,12 +165,34 @@ const extractEntityFromPath = (path) => {
     'auth/signup': 'User',
     'auth/signin': 'User',
     'auth/google': 'User',
+    'auth/providers': 'User',
     'auth/profile': 'User',
     'auth/me': 'User',
     'auth/reset-password': 'User',
     'auth/forgot-password': 'User',
+    'auth/verify-email': 'User',
+    'auth/resend-verification': 'User',
+    'auth/magic-link': 'User',
+    'auth/sessions': 'Session',
+    'auth/2fa': 'User',
+    'auth/webauthn': 'User',
+    'auth/identities': 'User',
+    'auth/api-keys': 'ApiKey',
+    'admin/roles': 'Role',
+    'admin/users': 'User',
+    'admin/invitations': 'Invitation',
+    'admin/impersonation': 'Impersonation',
+    'admin/lockouts': 'LoginThrottle',
+    'admin/oauth-clients': 'OAuthClient',
+    'admin/provisioning-tokens': 'ProvisioningToken',
+    'oauth/authorize': 'AuthorizationCode',
+    'oauth/consents': 'OAuthConsent',
+    'organizations/invitations': 'Invitation',
+    'organizations': 'Organization',
     'users': 'User',
-    'audit': 'AuditLog'
+    'audit': 'AuditLog',
+    'Users': 'User',
+    'Groups': 'Role'
   };
 
   // Check for exact matches first
@@ -233,7 +262,20 @@ const sanitizeData = (data) => {
     'passwordResetToken',
     'emailVerificationToken',
     'refreshToken',
-    'accessToken'
+    'accessToken',
+    'mfaToken',
+    'secret',
+    'clientSecret',
+    'otpauthUri',
+    'recoveryCodes',
+    'challengeToken',
+    'nonce',
+    'token',
+    'idToken',
+    'code',
+    'codeVerifier',
+    'redirectTo',
+    'key'
   ];
 
   sensitiveFields.forEach(field => {
@@ -265,6 +307,60 @@ const generateDescription = (action, entity, entityId, method) => {
   return baseDescription;
 };
 
+/**
+ * Fail closed (AUDIT_FAIL_CLOSED): refuse requests while audit entries cannot be written,
+ * and record the request before it is handled, so nothing changes without an entry.
+ * Goes right before the controller, once the actor is known. The entries the controller
+ * writes after its change are queued in the outbox if they cannot be written, as the
+ * change is made by then.
+ */
+const auditFailClosed = async (req, res, next) => {
+  if (!AUDIT.failClosed) {
+    return next();
+  }
+
+  if (!auditOutbox.isHealthy()) {
+    return next(createError(503, 'The audit log is unavailable, try again later', 'AUDIT_UNAVAILABLE'));
+  }
+
+  try {
+    await recordRequest(req);
+    req.auditFailClosed = true;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Write the audit entry of a request that is about to be handled (fails with 503
+ * AUDIT_UNAVAILABLE if it cannot be written). The body is left out: the controller
+ * records what changed, without the secrets a body can hold.
+ */
+const recordRequest = async (req) => {
+  const path = req.baseUrl + req.path;
+
+  if (req.method === 'GET' && !shouldLogGetRequest(path)) {
+    return;
+  }
+
+  const entity = extractEntityFromPath(path);
+  const entityId = Object.values(req.params)[0] || 'unknown';
+  // POST on an existing resource (e.g. /users/:userId/deactivate) changes it
+  const action = req.method === 'POST' && entityId !== 'unknown' ? 'UPDATE' : getActionFromMethod(req.method);
+
+  await AuditLogService.createLog({
+    userId: req.user ? req.user._id : null,
+    organizationId: AuditLogService.extractOrganizationId(req),
+    action,
+    entity,
+    entityId,
+    metadata: AuditLogService.extractMetadata(req),
+    description: `Received ${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
+    failClosed: true
+  });
+};
+
 /**
  * Middleware to manually log specific operations
  * Use this in controllers for more precise logging
@@ -289,5 +385,6 @@ const manualAuditLog = (params) => {
 
 module.exports = {
   auditLogger,
+  auditFailClosed,
   manualAuditLog
 };
\ No newline at end of file
@@ -1,14 +1,114 @@
 const jwtService = require('../utils/jwtService');
+const refreshTokenService = require('../services/refreshTokenService');
+const tokenRevocationService = require('../services/tokenRevocationService');
+const apiKeyService = require('../services/apiKeyService');
+const provisioningTokenService = require('../services/provisioningTokenService');
+const roleService = require('../services/roleService');
+const organizationService = require('../services/organizationService');
 const { User } = require('../models');
 const { createError } = require('../utils/errorUtils');
 
 /**
- * Authentication middleware to verify JWT tokens
+ * Authenticate a request made with a personal API key
+ * @param {Object} req - Express request object
+ * @param {string} key - API key from the Authorization header
  */
-const authenticate = async (req, res, next) => {
+const authenticateApiKey = async (req, key) => {
+  const { apiKey, user } = await apiKeyService.authenticate(key, req);
+
+  if (!user.isActive) {
+    throw createError(401, 'Account is deactivated');
+  }
+
+  if (user.isLocked) {
+    throw createError(423, 'Account is temporarily locked due to multiple failed login attempts');
+  }
+
+  if (!apiKeyService.allowsMethod(apiKey, req.method)) {
+    throw createError(403, 'API key scopes do not allow this operation', 'INSUFFICIENT_SCOPE');
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  req.authMethod = 'api_key';
+};
+
+/**
+ * Load the admin behind an impersonation token (act claim)
+ * @param {Object} decoded - Decoded access token payload
+ * @returns {Promise<Object>} Impersonating admin
+ */
+const loadImpersonator = async (decoded) => {
+  const impersonator = await tokenRevocationService.getImpersonator(decoded);
+
+  if (!impersonator) {
+    throw createError(401, 'Impersonation is no longer valid', 'TOKEN_REVOKED');
+  }
+
+  return impersonator;
+};
+
+/**
+ * Attach the organization a request acts in: the X-Organization-Id header wins
+ * over the org claim of the access token
+ * @param {Object} req - Express request object (authenticated)
+ */
+const attachOrganization = async (req) => {
+  const requested = req.headers['x-organization-id'];
+
+  if (requested) {
+    Object.assign(req, await organizationService.resolveContext(req.user, requested));
+    return;
+  }
+
+  const claimed = req.tokenPayload && req.tokenPayload.org;
+
+  if (claimed) {
+    try {
+      Object.assign(req, await organizationService.resolveContext(req.user, claimed));
+    } catch (error) {
+      // The membership ended after the token was issued: act without an organization
+      if (!error.isOperational) throw error;
+    }
+  }
+};
+
+/**
+ * Check an access token issued to an OAuth client (cid claim) against the scopes the
+ * route accepts it with. The token acts for the user only within its granted scope,
+ * so routes that do not name any scopes refuse it.
+ * @param {Object} decoded - Decoded access token payload
+ * @param {Array<string>|null} scopes - Scopes the route requires (null: OAuth tokens are refused)
+ */
+const checkOAuthScope = (decoded, scopes) => {
+  if (!scopes) {
+    throw createError(403, 'This endpoint is not available with an OAuth access token', 'OAUTH_TOKEN_NOT_ALLOWED');
+  }
+
+  const granted = (decoded.scope || '').split(' ');
+
+  if (!scopes.every(scope => granted.includes(scope))) {
+    throw createError(403, `The access token was not granted the ${scopes.join(' ')} scope`, 'INSUFFICIENT_SCOPE');
+  }
+};
+
+/**
+ * Build the authentication middleware for JWT tokens or personal API keys
+ * @param {Array<string>|null} oauthScopes - Scopes an OAuth client's access token needs
+ * on the route (null: OAuth access tokens are refused)
+ */
+const createAuthenticate = (oauthScopes = null) => async (req, res, next) => {
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
+
+    // Machine access: Authorization: ApiKey <key>
+    if (authHeader && authHeader.startsWith('ApiKey ')) {
+      await authenticateApiKey(req, authHeader.slice('ApiKey '.length).trim());
+      await attachOrganization(req);
+      return next();
+    }
+
     const token = jwtService.extractToken(authHeader);
 
     if (!token) {
@@ -18,6 +118,11 @@ const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = await jwtService.verifyAccessToken(token);
 
+    // Tokens issued to an OAuth client (see services/oauthService) name it in cid
+    if (decoded.cid) {
+      checkOAuthScope(decoded, oauthScopes);
+    }
+
     // Get user from database
     const user = await User.findById(decoded.id).select('+isActive');
     
@@ -34,13 +139,30 @@ const authenticate = async (req, res, next) => {
       return next(createError(423, 'Account is temporarily locked due to multiple failed login attempts'));
     }
 
+    // Reject tokens revoked by logout or logout-all
+    if (await tokenRevocationService.isAccessTokenRevoked(decoded, user)) {
+      return next(createError(401, 'Access token has been revoked', 'TOKEN_REVOKED'));
+    }
+
     // Attach user to request
     req.user = user;
     req.token = token;
+    req.tokenPayload = decoded;
+    req.authMethod = decoded.cid ? 'oauth' : 'jwt';
+
+    // An admin acting as this user: keep the real actor on the request
+    if (decoded.act) {
+      req.impersonator = await loadImpersonator(decoded);
+      req.authMethod = 'impersonation';
+    }
+
+    await attachOrganization(req);
     
     next();
   } catch (error) {
-    if (error.message.includes('expired')) {
+    if (error.isOperational) {
+      return next(error);
+    } else if (error.message.includes('expired')) {
       return next(createError(401, 'Access token has expired'));
     } else if (error.message.includes('invalid')) {
       return next(createError(401, 'Invalid access token'));
@@ -50,6 +172,42 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Authentication middleware to verify JWT tokens or personal API keys. Access tokens
+ * issued to OAuth clients are refused (see authenticateOAuth).
+ */
+const authenticate = createAuthenticate();
+
+/**
+ * Authentication middleware for the endpoints OAuth clients may call with a user's
+ * access token; the token must have been granted all the scopes. Sessions and API
+ * keys are accepted as with authenticate.
+ * @param {...string} scopes - Required scopes
+ */
+const authenticateOAuth = (...scopes) => createAuthenticate(scopes);
+
+/**
+ * Authentication middleware for the SCIM API: a provisioning token as a bearer token.
+ * There is no user behind these requests; audit logs name "SCIM" as the actor.
+ */
+const authenticateProvisioning = async (req, res, next) => {
+  try {
+    const token = jwtService.extractToken(req.headers.authorization);
+
+    if (!token) {
+      return next(createError(401, 'Provisioning token is required'));
+    }
+
+    req.provisioningToken = await provisioningTokenService.authenticate(token, req);
+    req.authMethod = 'scim';
+    req.actor = 'SCIM';
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Optional authentication middleware (user can be authenticated or not)
  */
@@ -67,9 +225,19 @@ const optionalAuth = async (req, res, next) => {
     const decoded = await jwtService.verifyAccessToken(token);
     const user = await User.findById(decoded.id).select('+isActive');
 
-    if (user && user.isActive && !user.isLocked) {
+    // OAuth client tokens are treated as anonymous, as authenticate refuses them
+    if (user && user.isActive && !user.isLocked && !decoded.cid &&
+        !(await tokenRevocationService.isAccessTokenRevoked(decoded, user))) {
+      if (decoded.act) {
+        req.impersonator = await loadImpersonator(decoded);
+        req.authMethod = 'impersonation';
+      } else {
+        req.authMethod = 'jwt';
+      }
+
       req.user = user;
       req.token = token;
+      req.tokenPayload = decoded;
     }
 
     next();
@@ -99,26 +267,91 @@ const authorize = (...roles) => {
 };
 
 /**
- * Middleware to check if user owns the resource
- * @param {string} userIdField - Field name in req.params that contains user ID
+ * Authorization middleware to check permissions granted by the user's role
+ * @param {...string} permissions - Required permissions (all of them)
  */
-const checkOwnership = (userIdField = 'userId') => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return next(createError(401, 'Authentication required'));
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return next(createError(401, 'Authentication required'));
+      }
+
+      const granted = await roleService.getPermissions(req.user.role);
+
+      if (!permissions.every(permission => granted.includes(permission))) {
+        return next(createError(403, 'Insufficient permissions'));
+      }
+
+      req.permissions = granted;
+      next();
+    } catch (error) {
+      next(error);
     }
+  };
+};
 
-    const resourceUserId = req.params[userIdField];
-    const currentUserId = req.user._id.toString();
+/**
+ * Authorization middleware that accepts either a permission granted by the user's
+ * role, or an organization permission when the request acts in an organization
+ * (the controller then limits the results to that organization)
+ * @param {string} permission - Permission granted by the user's role
+ * @param {string} organizationPermission - Permission granted by the organization role
+ */
+const requireScopedPermission = (permission, organizationPermission) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return next(createError(401, 'Authentication required'));
+      }
 
-    // Admin can access any resource
-    if (req.user.role === 'admin') {
-      return next();
+      if (req.membership && req.membership.hasPermission(organizationPermission)) {
+        return next();
+      }
+
+      if (!(await roleService.hasPermission(req.user, permission))) {
+        return next(createError(403, 'Insufficient permissions'));
+      }
+
+      next();
+    } catch (error) {
+      next(error);
     }
+  };
+};
 
-    // User can only access their own resources
-    if (resourceUserId !== currentUserId) {
-      return next(createError(403, 'Access denied. You can only access your own resources.'));
+/**
+ * Middleware to load the organization named in the route and the user's membership
+ * (overrides the organization context of the request)
+ * @param {string} param - Field name in req.params that contains the organization ID
+ */
+const loadOrganization = (param = 'orgId') => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return next(createError(401, 'Authentication required'));
+      }
+
+      Object.assign(req, await organizationService.resolveContext(req.user, req.params[param]));
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Authorization middleware to check permissions granted by the user's organization role
+ * @param {...string} permissions - Required organization permissions (all of them)
+ */
+const requireOrgPermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.membership) {
+      return next(createError(400, 'An organization context is required', 'ORGANIZATION_REQUIRED'));
+    }
+
+    if (!permissions.every(permission => req.membership.hasPermission(permission))) {
+      return next(createError(403, 'Insufficient organization permissions'));
     }
 
     next();
@@ -126,7 +359,63 @@ const checkOwnership = (userIdField = 'userId') => {
 };
 
 /**
- * Middleware to refresh access token using refresh token
+ * Middleware to reject requests authenticated with an API key or an OAuth client's
+ * access token, or made by an admin impersonating the user (account security and
+ * key management need the user's own interactive signin)
+ */
+const requireSessionAuth = (req, res, next) => {
+  if (!req.user) {
+    return next(createError(401, 'Authentication required'));
+  }
+
+  if (req.authMethod === 'api_key') {
+    return next(createError(403, 'This operation is not available with an API key', 'API_KEY_NOT_ALLOWED'));
+  }
+
+  if (req.authMethod === 'oauth') {
+    return next(createError(403, 'This operation is not available with an OAuth access token', 'OAUTH_TOKEN_NOT_ALLOWED'));
+  }
+
+  if (req.impersonator) {
+    return next(createError(403, 'This operation is not available while impersonating a user', 'IMPERSONATION_NOT_ALLOWED'));
+  }
+
+  next();
+};
+
+/**
+ * Middleware to check if user owns the resource
+ * @param {string} userIdField - Field name in req.params that contains user ID
+ */
+const checkOwnership = (userIdField = 'userId') => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return next(createError(401, 'Authentication required'));
+      }
+
+      const resourceUserId = req.params[userIdField];
+      const currentUserId = req.user._id.toString();
+
+      // User managers can access any resource
+      if (await roleService.hasPermission(req.user, 'users:manage')) {
+        return next();
+      }
+
+      // User can only access their own resources
+      if (resourceUserId !== currentUserId) {
+        return next(createError(403, 'Access denied. You can only access your own resources.'));
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Middleware to rotate the refresh token and issue a new token pair
  */
 const refreshToken = async (req, res, next) => {
   try {
@@ -136,18 +425,8 @@ const refreshToken = async (req, res, next) => {
       return next(createError(400, 'Refresh token is required'));
     }
 
-    // Verify refresh token
-    const decoded = await jwtService.verifyRefreshToken(refreshToken);
-
-    // Get user from database
-    const user = await User.findById(decoded.id);
-    
-    if (!user || !user.isActive) {
-      return next(createError(401, 'Invalid refresh token or user not found'));
-    }
-
-    // Generate new tokens
-    const tokens = jwtService.generateTokens(user);
+    // Rotate the refresh token (revokes the whole family on reuse)
+    const { user, tokens } = await refreshTokenService.rotate(refreshToken, req);
 
     res.status(200).json({
       success: true,
@@ -165,7 +444,9 @@ const refreshToken = async (req, res, next) => {
       }
     });
   } catch (error) {
-    if (error.message.includes('expired')) {
+    if (error.isOperational) {
+      return next(error);
+    } else if (error.message.includes('expired')) {
       return next(createError(401, 'Refresh token has expired'));
     } else if (error.message.includes('invalid')) {
       return next(createError(401, 'Invalid refresh token'));
@@ -192,8 +473,15 @@ const requireEmailVerification = (req, res, next) => {
 
 module.exports = {
   authenticate,
+  authenticateOAuth,
+  authenticateProvisioning,
   optionalAuth,
   authorize,
+  requirePermission,
+  requireScopedPermission,
+  loadOrganization,
+  requireOrgPermission,
+  requireSessionAuth,
   checkOwnership,
   refreshToken,
   requireEmailVerification
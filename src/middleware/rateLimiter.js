@@ -0,0 +1,100 @@
+const rateLimit = require('express-rate-limit');
+const MongoRateLimitStore = require('../services/rateLimitStore');
+const oauthClientService = require('../services/oauthClientService');
+const jwtService = require('../utils/jwtService');
+const { createError } = require('../utils/errorUtils');
+const { RATE_LIMIT_STORE, POLICIES } = require('../config/rateLimit');
+
+/**
+ * Key a request by its user when it carries a valid access token, else by IP. The
+ * token is only checked for its signature here (revocation is left to authenticate),
+ * which is enough to stop clients from making up user keys.
+ * @param {Object} req - Express request object
+ * @returns {Promise<string>} Client key
+ */
+const getClientKey = async (req) => {
+  if (req.user) return `user:${req.user._id}`;
+
+  const token = jwtService.extractToken(req.headers.authorization);
+  if (token) {
+    try {
+      const decoded = await jwtService.verifyAccessToken(token);
+      return `user:${decoded.id}`;
+    } catch (error) {
+      // Invalid or expired tokens are counted against the IP address
+    }
+  }
+
+  return `ip:${req.ip}`;
+};
+
+const keyGenerators = {
+  client: getClientKey,
+  email: (req) => `ip:${req.ip}:${((req.body && req.body.email) || '').toLowerCase()}`,
+  oauthClient: (req) => {
+    // The client ID is unverified here, so it is paired with the IP address to keep
+    // others from spending a client's budget
+    const credentials = oauthClientService.extractCredentials(req);
+    return credentials ? `client:${credentials.clientId}:ip:${req.ip}` : `ip:${req.ip}`;
+  }
+};
+
+/**
+ * Counter store for a new limiter (see RATE_LIMIT_STORE)
+ * @returns {Object} express-rate-limit store
+ */
+const createStore = () => {
+  return RATE_LIMIT_STORE === 'mongo' ? new MongoRateLimitStore() : new rateLimit.MemoryStore();
+};
+
+/**
+ * Rate limiter factory using the API's standard error response
+ * @param {Object} options - express-rate-limit options
+ * @param {string} message - Error message returned when the limit is hit
+ */
+const createRateLimiter = (options, message = 'Too many requests, please try again later.') => {
+  return rateLimit({
+    store: createStore(),
+    keyGenerator: getClientKey,
+    handler: (req, res, next, optionsUsed) => {
+      next(createError(optionsUsed.statusCode, message, 'RATE_LIMIT_EXCEEDED'));
+    },
+    standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
+    legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+    ...options
+  });
+};
+
+const limiters = new Map();
+
+/**
+ * Rate limiter for a named policy (see config/rateLimit). Routes using the same
+ * policy share its counters.
+ * @param {string} name - Policy name
+ */
+const rateLimitPolicy = (name) => {
+  const policy = POLICIES[name];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${name}`);
+  }
+
+  if (!limiters.has(name)) {
+    const keyGenerator = keyGenerators[policy.key];
+    const skipPaths = policy.skipPaths || [];
+
+    limiters.set(name, createRateLimiter({
+      windowMs: policy.windowMs,
+      max: policy.max,
+      keyGenerator: async (req) => `${name}:${await keyGenerator(req)}`,
+      skip: (req) => skipPaths.some(path => req.originalUrl.startsWith(path))
+    }, policy.message));
+  }
+
+  return limiters.get(name);
+};
+
+module.exports = {
+  createRateLimiter,
+  rateLimitPolicy,
+  getClientKey
+};
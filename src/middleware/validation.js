@@ -1,5 +1,8 @@
 const Joi = require('joi');
 const { createError } = require('../utils/errorUtils');
+const { PERMISSIONS, ORGANIZATION_ROLES } = require('../config/permissions');
+const { GRANT_TYPES, CLIENT_TYPES } = require('../config/oauth');
+const passwordPolicyService = require('../services/passwordPolicyService');
 
 /**
  * Validation middleware factory
@@ -32,6 +35,103 @@ const validate = (schema, property = 'body') => {
   };
 };
 
+// New password checked against the configured policy (see services/passwordPolicyService)
+const newPassword = label => Joi.string()
+  .custom((value, helpers) => {
+    const problem = passwordPolicyService.check(value);
+    return problem ? helpers.error('password.policy', { problem }) : value;
+  })
+  .required()
+  .messages({
+    'string.empty': `${label} is required`,
+    'password.policy': `${label} {#problem}`,
+    'any.required': `${label} is required`
+  });
+
+// Role name (see models/Role)
+const roleName = Joi.string()
+  .lowercase()
+  .trim()
+  .pattern(/^[a-z][a-z0-9_-]{1,31}$/)
+  .required()
+  .messages({
+    'string.pattern.base': 'Role name may only contain letters, numbers, "-" and "_"',
+    'any.required': 'Role name is required'
+  });
+
+// Permissions granted by a role
+const permissions = Joi.array()
+  .items(Joi.string().valid(...Object.keys(PERMISSIONS)))
+  .unique()
+  .messages({
+    'any.only': 'Unknown permission'
+  });
+
+// OAuth redirect URI: no fragment, and plain http only for loopback (native apps)
+const redirectUri = Joi.string()
+  .uri()
+  .max(2000)
+  .custom((value, helpers) => {
+    const url = new URL(value);
+
+    if (url.hash) return helpers.error('redirectUri.fragment');
+    if (url.protocol === 'http:' && !['localhost', '127.0.0.1', '[::1]'].includes(url.hostname)) {
+      return helpers.error('redirectUri.insecure');
+    }
+
+    return value;
+  })
+  .messages({
+    'string.uri': 'Redirect URIs must be absolute URIs',
+    'redirectUri.fragment': 'Redirect URIs cannot contain a fragment',
+    'redirectUri.insecure': 'Redirect URIs must use https (or http on a loopback address)'
+  });
+
+// Organization ID (path parameter or switch target)
+const organizationId = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    'string.pattern.base': 'Organization ID must be a valid MongoDB ObjectId',
+    'any.required': 'Organization ID is required'
+  });
+
+// Role of a member inside an organization
+const organizationRole = Joi.string()
+  .valid(...Object.keys(ORGANIZATION_ROLES))
+  .messages({
+    'any.only': `Role must be one of: ${Object.keys(ORGANIZATION_ROLES).join(', ')}`
+  });
+
+// WebAuthn credential (RegistrationResponseJSON / AuthenticationResponseJSON) as sent by the browser
+const webAuthnCredential = Joi.object({
+  id: Joi.string()
+    .required(),
+  rawId: Joi.string()
+    .required(),
+  type: Joi.string()
+    .valid('public-key')
+    .required(),
+  response: Joi.object()
+    .unknown(true)
+    .required(),
+  clientExtensionResults: Joi.object()
+    .unknown(true)
+    .default({}),
+  authenticatorAttachment: Joi.string()
+    .optional()
+})
+  .unknown(true)
+  .required()
+  .messages({
+    'any.required': 'WebAuthn response is required'
+  });
+
+const challengeToken = Joi.string()
+  .required()
+  .messages({
+    'any.required': 'Challenge token is required'
+  });
+
 // Common validation schemas
 const schemas = {
   // Authentication schemas
@@ -55,17 +155,7 @@ const schemas = {
         'string.email': 'Please provide a valid email address',
         'any.required': 'Email is required'
       }),
-    password: Joi.string()
-      .min(6)
-      .max(128)
-      .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-      .required()
-      .messages({
-        'string.min': 'Password must be at least 6 characters long',
-        'string.max': 'Password cannot exceed 128 characters',
-        'string.pattern.base': 'Password must contain at least one lowercase letter, one uppercase letter, and one number',
-        'any.required': 'Password is required'
-      })
+    password: newPassword('Password')
   }),
 
   signin: Joi.object({
@@ -90,9 +180,72 @@ const schemas = {
       .required()
       .messages({
         'any.required': 'Google token is required'
+      }),
+    invitationToken: Joi.string()
+      .optional()
+  }),
+
+  providerParam: Joi.object({
+    provider: Joi.string()
+      .pattern(/^[a-z0-9_-]+$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Invalid identity provider name',
+        'any.required': 'Identity provider is required'
       })
   }),
 
+  providerSignin: Joi.object({
+    idToken: Joi.string(),
+    code: Joi.string(),
+    redirectUri: Joi.string()
+      .uri()
+      .when('code', { is: Joi.exist(), then: Joi.required() })
+      .messages({
+        'string.uri': 'Redirect URI must be a valid URL',
+        'any.required': 'Redirect URI is required with an authorization code'
+      }),
+    codeVerifier: Joi.string()
+      .min(43)
+      .max(128),
+    nonce: Joi.string(),
+    invitationToken: Joi.string()
+  })
+    .xor('idToken', 'code')
+    .messages({
+      'object.missing': 'Either an ID token or an authorization code is required',
+      'object.xor': 'Provide either an ID token or an authorization code, not both'
+    }),
+
+  samlLoginQuery: Joi.object({
+    // Returned to the login app with the result (RelayState is limited to 80 bytes)
+    state: Joi.string()
+      .max(80)
+      .messages({
+        'string.max': 'State must be at most 80 characters'
+      })
+  }),
+
+  samlAcs: Joi.object({
+    SAMLResponse: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'SAMLResponse is required'
+      }),
+    RelayState: Joi.string()
+      .max(80)
+      .allow('')
+  }),
+
+  samlExchange: Joi.object({
+    code: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Signin code is required'
+      }),
+    invitationToken: Joi.string()
+  }),
+
   forgotPassword: Joi.object({
     email: Joi.string()
       .email()
@@ -111,16 +264,26 @@ const schemas = {
       .messages({
         'any.required': 'Reset token is required'
       }),
-    password: Joi.string()
-      .min(6)
-      .max(128)
-      .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    password: newPassword('Password')
+  }),
+
+  verifyEmail: Joi.object({
+    token: Joi.string()
       .required()
       .messages({
-        'string.min': 'Password must be at least 6 characters long',
-        'string.max': 'Password cannot exceed 128 characters',
-        'string.pattern.base': 'Password must contain at least one lowercase letter, one uppercase letter, and one number',
-        'any.required': 'Password is required'
+        'any.required': 'Verification token is required'
+      })
+  }),
+
+  resendVerification: Joi.object({
+    email: Joi.string()
+      .email()
+      .lowercase()
+      .trim()
+      .required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required'
       })
   }),
 
@@ -150,24 +313,645 @@ const schemas = {
       .messages({
         'string.base': 'Current password must be a string'
       }),
-    newPassword: Joi.string()
-      .min(6)
-      .max(128)
-      .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    newPassword: newPassword('New password')
+  }),
+
+  refreshToken: Joi.object({
+    refreshToken: Joi.string()
       .required()
       .messages({
-        'string.min': 'New password must be at least 6 characters long',
-        'string.max': 'New password cannot exceed 128 characters',
-        'string.pattern.base': 'New password must contain at least one lowercase letter, one uppercase letter, and one number',
-        'any.required': 'New password is required'
+        'any.required': 'Refresh token is required'
       })
   }),
 
-  refreshToken: Joi.object({
+  // Two-factor authentication schemas
+  twoFactorCode: Joi.object({
+    code: Joi.string()
+      .pattern(/^\d{6}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Code must be a 6-digit number',
+        'any.required': 'Two-factor code is required'
+      })
+  }),
+
+  twoFactorDisable: Joi.object({
+    password: Joi.string()
+      .optional()
+      .allow(''),
+    code: Joi.string()
+      .pattern(/^\d{6}$/)
+      .messages({
+        'string.pattern.base': 'Code must be a 6-digit number'
+      }),
+    recoveryCode: Joi.string()
+      .trim()
+  })
+    .xor('code', 'recoveryCode')
+    .messages({
+      'object.missing': 'Either a two-factor code or a recovery code is required',
+      'object.xor': 'Provide either a two-factor code or a recovery code, not both'
+    }),
+
+  twoFactorChallenge: Joi.object({
+    mfaToken: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'MFA token is required'
+      }),
+    code: Joi.string()
+      .pattern(/^\d{6}$/)
+      .messages({
+        'string.pattern.base': 'Code must be a 6-digit number'
+      }),
+    recoveryCode: Joi.string()
+      .trim()
+  })
+    .xor('code', 'recoveryCode')
+    .messages({
+      'object.missing': 'Either a two-factor code or a recovery code is required',
+      'object.xor': 'Provide either a two-factor code or a recovery code, not both'
+    }),
+
+  // Magic link schemas
+  magicLink: Joi.object({
+    email: Joi.string()
+      .email()
+      .lowercase()
+      .trim()
+      .required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required'
+      })
+  }),
+
+  magicLinkVerify: Joi.object({
+    token: Joi.string()
+      .hex()
+      .length(64)
+      .required()
+      .messages({
+        'string.hex': 'Invalid sign-in link token',
+        'string.length': 'Invalid sign-in link token',
+        'any.required': 'Sign-in link token is required'
+      }),
+    nonce: Joi.string()
+      .hex()
+      .length(64)
+      .required()
+      .messages({
+        'string.hex': 'Invalid nonce',
+        'string.length': 'Invalid nonce',
+        'any.required': 'Nonce from the magic link request is required'
+      })
+  }),
+
+  // Session schemas
+  sessionIdParam: Joi.object({
+    id: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Session ID must be a valid MongoDB ObjectId',
+        'any.required': 'Session ID is required'
+      })
+  }),
+
+  userSessionParams: Joi.object({
+    userId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'User ID must be a valid MongoDB ObjectId',
+        'any.required': 'User ID is required'
+      }),
+    sessionId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Session ID must be a valid MongoDB ObjectId',
+        'any.required': 'Session ID is required'
+      })
+  }),
+
+  // WebAuthn schemas
+  webAuthnRegistrationVerify: Joi.object({
+    response: webAuthnCredential,
+    challengeToken,
+    name: Joi.string()
+      .trim()
+      .max(50)
+      .optional()
+      .messages({
+        'string.max': 'Passkey name cannot exceed 50 characters'
+      })
+  }),
+
+  webAuthnLoginOptions: Joi.object({
+    email: Joi.string()
+      .email()
+      .lowercase()
+      .trim()
+      .optional()
+      .messages({
+        'string.email': 'Please provide a valid email address'
+      })
+  }),
+
+  webAuthnLoginVerify: Joi.object({
+    response: webAuthnCredential,
+    challengeToken
+  }),
+
+  webAuthnMfaOptions: Joi.object({
+    mfaToken: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'MFA token is required'
+      })
+  }),
+
+  webAuthnMfaVerify: Joi.object({
+    mfaToken: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'MFA token is required'
+      }),
+    response: webAuthnCredential,
+    challengeToken
+  }),
+
+  passkeyIdParam: Joi.object({
+    credentialId: Joi.string()
+      .pattern(/^[A-Za-z0-9_-]+$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Passkey ID must be base64url encoded',
+        'any.required': 'Passkey ID is required'
+      })
+  }),
+
+  // API key schemas
+  apiKeyCreate: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(50)
+      .required()
+      .messages({
+        'string.max': 'API key name cannot exceed 50 characters',
+        'any.required': 'API key name is required'
+      }),
+    scopes: Joi.array()
+      .items(Joi.string().valid('read', 'write'))
+      .min(1)
+      .unique()
+      .default(['read'])
+      .messages({
+        'any.only': 'Scopes must be "read" or "write"'
+      }),
+    expiresAt: Joi.date()
+      .iso()
+      .greater('now')
+      .optional()
+      .messages({
+        'date.greater': 'Expiry must be in the future'
+      })
+  }),
+
+  apiKeyIdParam: Joi.object({
+    id: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'API key ID must be a valid MongoDB ObjectId',
+        'any.required': 'API key ID is required'
+      })
+  }),
+
+  // Admin user management schemas
+  adminUserQuery: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .optional(),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .optional(),
+    search: Joi.string()
+      .trim()
+      .max(100)
+      .optional(),
+    role: Joi.string()
+      .lowercase()
+      .trim()
+      .optional(),
+    isActive: Joi.boolean()
+      .optional()
+  }),
+
+  // Account invitation schemas
+  adminInvitationCreate: Joi.object({
+    email: Joi.string()
+      .email()
+      .lowercase()
+      .trim()
+      .required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required'
+      }),
+    role: roleName.optional().default('user')
+  }),
+
+  adminInvitationQuery: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .optional(),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .optional(),
+    status: Joi.string()
+      .valid('pending', 'accepted', 'revoked', 'expired')
+      .optional(),
+    email: Joi.string()
+      .email()
+      .lowercase()
+      .trim()
+      .optional()
+  }),
+
+  lockoutQuery: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .optional(),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .optional(),
+    type: Joi.string()
+      .valid('ip', 'email')
+      .optional(),
+    value: Joi.string()
+      .trim()
+      .lowercase()
+      .max(320)
+      .optional(),
+    locked: Joi.boolean()
+      .optional()
+  }),
+
+  lockoutIdParam: Joi.object({
+    lockoutId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Lockout ID must be a valid MongoDB ObjectId',
+        'any.required': 'Lockout ID is required'
+      })
+  }),
+
+  oauthClientCreate: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(100)
+      .required()
+      .messages({
+        'string.max': 'Client name cannot exceed 100 characters',
+        'any.required': 'Client name is required'
+      }),
+    type: Joi.string()
+      .valid(...CLIENT_TYPES)
+      .default('confidential')
+      .optional(),
+    trusted: Joi.boolean()
+      .default(false)
+      .when('type', {
+        is: 'public',
+        then: Joi.valid(false).messages({
+          'any.only': 'Public clients cannot be trusted'
+        })
+      }),
+    grantTypes: Joi.when('type', {
+      is: 'public',
+      then: Joi.array()
+        .items(Joi.string().valid('authorization_code', 'refresh_token'))
+        .unique()
+        .messages({
+          'any.only': 'Public clients can only use the authorization_code and refresh_token grants'
+        }),
+      otherwise: Joi.array()
+        .items(Joi.string().valid(...GRANT_TYPES))
+        .unique()
+    }).default([]),
+    redirectUris: Joi.array()
+      .items(redirectUri)
+      .max(10)
+      .unique()
+      .default([])
+      .when('grantTypes', {
+        is: Joi.array().items(Joi.any()).has('authorization_code'),
+        then: Joi.array().min(1).required().messages({
+          'array.min': 'At least one redirect URI is required for the authorization_code grant',
+          'any.required': 'At least one redirect URI is required for the authorization_code grant'
+        })
+      }),
+    scopes: Joi.array()
+      .items(Joi.string().pattern(/^[\x21\x23-\x5B\x5D-\x7E]+$/).max(100))
+      .max(50)
+      .unique()
+      .default(['openid', 'profile', 'email']),
+    skipConsent: Joi.boolean()
+      .default(false)
+      .optional()
+  }),
+
+  oauthConsentClientParam: Joi.object({
+    clientId: Joi.string()
+      .pattern(/^cli_[0-9a-f]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Client ID must be an OAuth client_id',
+        'any.required': 'Client ID is required'
+      })
+  }),
+
+  oauthClientQuery: Joi.object({
+    includeRevoked: Joi.boolean()
+      .default(false)
+      .optional()
+  }),
+
+  oauthClientIdParam: Joi.object({
+    clientId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Client ID must be a valid MongoDB ObjectId',
+        'any.required': 'Client ID is required'
+      })
+  }),
+
+  provisioningTokenCreate: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(100)
+      .required()
+      .messages({
+        'string.max': 'Token name cannot exceed 100 characters',
+        'any.required': 'Token name is required'
+      }),
+    expiresAt: Joi.date()
+      .iso()
+      .greater('now')
+      .optional()
+      .messages({
+        'date.greater': 'Expiry must be in the future'
+      })
+  }),
+
+  provisioningTokenQuery: Joi.object({
+    includeRevoked: Joi.boolean()
+      .default(false)
+      .optional()
+  }),
+
+  provisioningTokenIdParam: Joi.object({
+    tokenId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Token ID must be a valid MongoDB ObjectId',
+        'any.required': 'Token ID is required'
+      })
+  }),
+
+  // SCIM list parameters (RFC 7644 section 3.4.2); a count above the maximum is lowered
+  scimListQuery: Joi.object({
+    filter: Joi.string()
+      .trim()
+      .max(1000)
+      .optional(),
+    startIndex: Joi.number()
+      .integer()
+      .min(1)
+      .default(1),
+    count: Joi.number()
+      .integer()
+      .min(0)
+      .optional(),
+    sortBy: Joi.string()
+      .trim()
+      .max(100)
+      .optional(),
+    sortOrder: Joi.string()
+      .valid('ascending', 'descending')
+      .default('ascending'),
+    attributes: Joi.string()
+      .trim()
+      .max(1000)
+      .optional(),
+    excludedAttributes: Joi.string()
+      .trim()
+      .max(1000)
+      .optional()
+  }),
+
+  scimResourceQuery: Joi.object({
+    attributes: Joi.string()
+      .trim()
+      .max(1000)
+      .optional(),
+    excludedAttributes: Joi.string()
+      .trim()
+      .max(1000)
+      .optional()
+  }),
+
+  invitationIdParam: Joi.object({
+    invitationId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Invitation ID must be a valid MongoDB ObjectId',
+        'any.required': 'Invitation ID is required'
+      })
+  }),
+
+  accountInvitationAccept: Joi.object({
+    token: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Invitation token is required'
+      }),
+    name: Joi.string()
+      .trim()
+      .min(2)
+      .max(50)
+      .required()
+      .messages({
+        'string.min': 'Name must be at least 2 characters long',
+        'string.max': 'Name cannot exceed 50 characters',
+        'any.required': 'Name is required'
+      }),
+    password: newPassword('Password')
+  }),
+
+  // Role schemas
+  roleCreate: Joi.object({
+    name: roleName,
+    description: Joi.string()
+      .trim()
+      .max(200)
+      .allow('')
+      .optional()
+      .messages({
+        'string.max': 'Description cannot exceed 200 characters'
+      }),
+    permissions: permissions.default([])
+  }),
+
+  roleUpdate: Joi.object({
+    description: Joi.string()
+      .trim()
+      .max(200)
+      .allow('')
+      .optional()
+      .messages({
+        'string.max': 'Description cannot exceed 200 characters'
+      }),
+    permissions: permissions.optional()
+  }).min(1).messages({
+    'object.min': 'Provide a description or permissions to update'
+  }),
+
+  roleNameParam: Joi.object({
+    name: roleName
+  }),
+
+  roleAssign: Joi.object({
+    role: roleName
+  }),
+
+  // Organization schemas
+  organizationCreate: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(2)
+      .max(100)
+      .required()
+      .messages({
+        'string.min': 'Organization name must be at least 2 characters long',
+        'string.max': 'Organization name cannot exceed 100 characters',
+        'any.required': 'Organization name is required'
+      }),
+    slug: Joi.string()
+      .lowercase()
+      .trim()
+      .pattern(/^[a-z0-9][a-z0-9-]{1,62}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Slug may only contain lowercase letters, numbers and "-"'
+      })
+  }),
+
+  organizationUpdate: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(2)
+      .max(100)
+      .optional()
+      .messages({
+        'string.min': 'Organization name must be at least 2 characters long',
+        'string.max': 'Organization name cannot exceed 100 characters'
+      }),
+    slug: Joi.string()
+      .lowercase()
+      .trim()
+      .pattern(/^[a-z0-9][a-z0-9-]{1,62}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Slug may only contain lowercase letters, numbers and "-"'
+      })
+  }).min(1).messages({
+    'object.min': 'Provide a name or slug to update'
+  }),
+
+  organizationIdParam: Joi.object({
+    orgId: organizationId.required()
+  }),
+
+  organizationSwitch: Joi.object({
     refreshToken: Joi.string()
       .required()
       .messages({
         'any.required': 'Refresh token is required'
+      }),
+    organizationId: organizationId
+      .allow(null)
+      .required()
+  }),
+
+  memberParams: Joi.object({
+    orgId: organizationId.required(),
+    userId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'User ID must be a valid MongoDB ObjectId',
+        'any.required': 'User ID is required'
+      })
+  }),
+
+  memberUpdate: Joi.object({
+    role: organizationRole.required()
+  }),
+
+  organizationInvitationCreate: Joi.object({
+    email: Joi.string()
+      .email()
+      .lowercase()
+      .trim()
+      .required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required'
+      }),
+    role: organizationRole.default('member')
+  }),
+
+  organizationInvitationParams: Joi.object({
+    orgId: organizationId.required(),
+    invitationId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Invitation ID must be a valid MongoDB ObjectId',
+        'any.required': 'Invitation ID is required'
+      })
+  }),
+
+  invitationAccept: Joi.object({
+    token: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Invitation token is required'
       })
   }),
 
@@ -247,6 +1031,17 @@ const schemas = {
       })
   }),
 
+  auditVerifyQuery: Joi.object({
+    fromSequence: Joi.number()
+      .integer()
+      .min(1)
+      .optional(),
+    toSequence: Joi.number()
+      .integer()
+      .min(Joi.ref('fromSequence'))
+      .optional()
+  }),
+
   exportQuery: Joi.object({
     format: Joi.string()
       .valid('json', 'csv')
@@ -278,18 +1073,94 @@ const validators = {
   validateSignup: validate(schemas.signup),
   validateSignin: validate(schemas.signin),
   validateGoogleAuth: validate(schemas.googleAuth),
+  validateProviderParam: validate(schemas.providerParam, 'params'),
+  validateProviderSignin: validate(schemas.providerSignin),
+  validateSamlLoginQuery: validate(schemas.samlLoginQuery, 'query'),
+  validateSamlAcs: validate(schemas.samlAcs),
+  validateSamlExchange: validate(schemas.samlExchange),
   validateForgotPassword: validate(schemas.forgotPassword),
   validateResetPassword: validate(schemas.resetPassword),
+  validateVerifyEmail: validate(schemas.verifyEmail),
+  validateResendVerification: validate(schemas.resendVerification),
   validateUpdateProfile: validate(schemas.updateProfile),
   validateChangePassword: validate(schemas.changePassword),
   validateRefreshToken: validate(schemas.refreshToken),
 
+  // Two-factor authentication validators
+  validateTwoFactorCode: validate(schemas.twoFactorCode),
+  validateTwoFactorDisable: validate(schemas.twoFactorDisable),
+  validateTwoFactorChallenge: validate(schemas.twoFactorChallenge),
+
+  // Magic link validators
+  validateMagicLink: validate(schemas.magicLink),
+  validateMagicLinkVerify: validate(schemas.magicLinkVerify),
+
+  // WebAuthn validators
+  validateWebAuthnRegistrationVerify: validate(schemas.webAuthnRegistrationVerify),
+  validateWebAuthnLoginOptions: validate(schemas.webAuthnLoginOptions),
+  validateWebAuthnLoginVerify: validate(schemas.webAuthnLoginVerify),
+  validateWebAuthnMfaOptions: validate(schemas.webAuthnMfaOptions),
+  validateWebAuthnMfaVerify: validate(schemas.webAuthnMfaVerify),
+  validatePasskeyIdParam: validate(schemas.passkeyIdParam, 'params'),
+
+  // Session validators
+  validateSessionIdParam: validate(schemas.sessionIdParam, 'params'),
+  validateUserSessionParams: validate(schemas.userSessionParams, 'params'),
+
+  // API key validators
+  validateApiKeyCreate: validate(schemas.apiKeyCreate),
+  validateApiKeyIdParam: validate(schemas.apiKeyIdParam, 'params'),
+
+  // Admin user management validators
+  validateAdminUserQuery: validate(schemas.adminUserQuery, 'query'),
+
+  // Signin lockout validators
+  validateLockoutQuery: validate(schemas.lockoutQuery, 'query'),
+  validateLockoutIdParam: validate(schemas.lockoutIdParam, 'params'),
+
+  // OAuth client validators
+  validateOAuthClientCreate: validate(schemas.oauthClientCreate),
+  validateOAuthClientQuery: validate(schemas.oauthClientQuery, 'query'),
+  validateOAuthClientIdParam: validate(schemas.oauthClientIdParam, 'params'),
+  validateOAuthConsentClientParam: validate(schemas.oauthConsentClientParam, 'params'),
+
+  // SCIM provisioning validators
+  validateProvisioningTokenCreate: validate(schemas.provisioningTokenCreate),
+  validateProvisioningTokenQuery: validate(schemas.provisioningTokenQuery, 'query'),
+  validateProvisioningTokenIdParam: validate(schemas.provisioningTokenIdParam, 'params'),
+  validateScimListQuery: validate(schemas.scimListQuery, 'query'),
+  validateScimResourceQuery: validate(schemas.scimResourceQuery, 'query'),
+
+  // Account invitation validators
+  validateAdminInvitationCreate: validate(schemas.adminInvitationCreate),
+  validateAdminInvitationQuery: validate(schemas.adminInvitationQuery, 'query'),
+  validateInvitationIdParam: validate(schemas.invitationIdParam, 'params'),
+  validateAccountInvitationAccept: validate(schemas.accountInvitationAccept),
+
+  // Role validators
+  validateRoleCreate: validate(schemas.roleCreate),
+  validateRoleUpdate: validate(schemas.roleUpdate),
+  validateRoleNameParam: validate(schemas.roleNameParam, 'params'),
+  validateRoleAssign: validate(schemas.roleAssign),
+
+  // Organization validators
+  validateOrganizationCreate: validate(schemas.organizationCreate),
+  validateOrganizationUpdate: validate(schemas.organizationUpdate),
+  validateOrganizationIdParam: validate(schemas.organizationIdParam, 'params'),
+  validateOrganizationSwitch: validate(schemas.organizationSwitch),
+  validateMemberParams: validate(schemas.memberParams, 'params'),
+  validateMemberUpdate: validate(schemas.memberUpdate),
+  validateOrganizationInvitationCreate: validate(schemas.organizationInvitationCreate),
+  validateOrganizationInvitationParams: validate(schemas.organizationInvitationParams, 'params'),
+  validateInvitationAccept: validate(schemas.invitationAccept),
+
   // Audit validators
   validateAuditQuery: validate(schemas.auditQuery, 'query'),
   validateAuditParams: validate(schemas.auditParams, 'params'),
   validateUserIdParam: validate(schemas.userIdParam, 'params'),
   validateLogIdParam: validate(schemas.logIdParam, 'params'),
-  validateExportQuery: validate(schemas.exportQuery, 'query')
+  validateExportQuery: validate(schemas.exportQuery, 'query'),
+  validateAuditVerifyQuery: validate(schemas.auditVerifyQuery, 'query')
 };
 
 module.exports = {
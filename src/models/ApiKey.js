@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [50, 'API key name cannot exceed 50 characters']
+  },
+  prefix: {
+    type: String, // Public part of the key, used to look it up
+    required: true,
+    unique: true
+  },
+  secretHash: {
+    type: String, // SHA-256 of the secret part of the key
+    required: true,
+    select: false
+  },
+  scopes: {
+    type: [String],
+    default: ['read']
+  },
+  expiresAt: {
+    type: Date,
+    default: null // Never expires
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.secretHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for better query performance
+apiKeySchema.index({ userId: 1, revokedAt: 1 });
+
+// TTL index - expired keys are removed automatically (keys without expiry are kept)
+apiKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+});
+
+// Static method to hash the secret part of a key
+apiKeySchema.statics.hashSecret = function(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+// Static method to list a user's usable keys, newest first
+apiKeySchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  }).sort({ createdAt: -1 });
+};
+
+// Instance method to check a presented secret in constant time (secretHash must be selected)
+apiKeySchema.methods.compareSecret = function(secret) {
+  const expected = Buffer.from(this.secretHash, 'hex');
+  const actual = Buffer.from(this.constructor.hashSecret(secret), 'hex');
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
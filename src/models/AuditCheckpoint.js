@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const auditCheckpointSchema = new mongoose.Schema({
+  sequence: {
+    type: Number, // Sequence of the audit entry at the head of the chain when signed
+    required: true,
+    unique: true
+  },
+  hash: {
+    type: String, // Hash of that entry
+    required: true
+  },
+  signedAt: {
+    type: Date,
+    required: true
+  },
+  start: {
+    type: Boolean // Set when the retention period deleted the entries up to sequence: the chain starts after it
+  },
+  signature: {
+    type: String, // HMAC-SHA256 of sequence, hash, signedAt and start with AUDIT_CHECKPOINT_SECRET
+    required: true
+  }
+}, {
+  timestamps: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+module.exports = mongoose.model('AuditCheckpoint', auditCheckpointSchema);
@@ -1,10 +1,17 @@
 const mongoose = require('mongoose');
+const { AUDIT } = require('../config/audit');
+const { GENESIS_HASH, toPlain, hashEntry } = require('../utils/auditChain');
 
 const auditLogSchema = new mongoose.Schema({
   userId: {
-    type: mongoose.Schema.Types.ObjectId,
+    type: mongoose.Schema.Types.ObjectId, // Null for anonymous events (e.g. failed signins for unknown emails)
     ref: 'User',
-    required: true
+    default: null
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId, // Tenant the action happened in (null outside organizations)
+    ref: 'Organization',
+    default: null
   },
   action: {
     type: String,
@@ -55,6 +62,18 @@ const auditLogSchema = new mongoose.Schema({
     requestId: {
       type: String,
       trim: true
+    },
+    authMethod: {
+      type: String, // jwt, oauth, api_key, impersonation, client_credentials or scim
+      trim: true
+    },
+    actor: {
+      type: String, // Who made a change without a user behind it (e.g. SCIM)
+      trim: true
+    },
+    impersonatorId: {
+      type: mongoose.Schema.Types.ObjectId, // Admin who made the request as the user
+      ref: 'User'
     }
   },
   timestamp: {
@@ -65,6 +84,18 @@ const auditLogSchema = new mongoose.Schema({
   description: {
     type: String,
     trim: true
+  },
+  sequence: {
+    type: Number // Position in the hash chain (unset on entries written before chaining)
+  },
+  prevHash: {
+    type: String // Hash of the entry before this one
+  },
+  hash: {
+    type: String // SHA-256 over this entry's content and prevHash (see utils/auditChain)
+  },
+  eventId: {
+    type: String // Set by the audit outbox so that a retried entry is never written twice
   }
 }, {
   timestamps: false, // We're using our own timestamp field
@@ -78,41 +109,80 @@ const auditLogSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 auditLogSchema.index({ userId: 1, timestamp: -1 });
+auditLogSchema.index({ organizationId: 1, timestamp: -1 });
 auditLogSchema.index({ entity: 1, timestamp: -1 });
 auditLogSchema.index({ action: 1, timestamp: -1 });
 auditLogSchema.index({ timestamp: -1 });
 auditLogSchema.index({ 'metadata.requestId': 1 });
+auditLogSchema.index({ 'metadata.impersonatorId': 1, timestamp: -1 }, { sparse: true });
+auditLogSchema.index({ sequence: 1 }, { unique: true, sparse: true });
+auditLogSchema.index({ eventId: 1 }, { unique: true, sparse: true });
 
-// TTL index to automatically delete old audit logs after 2 years
-auditLogSchema.index({ timestamp: 1 }, { expireAfterSeconds: 63072000 }); // 2 years in seconds
+// No TTL index: it would delete entries out of the hash chain without a trace. Expired
+// entries are deleted by services/auditChainService.applyRetention (AUDIT_RETENTION_DAYS)
 
-// Static method to create audit log entry
+// Static method to create audit log entry (errors are thrown; services/auditOutbox
+// queues the entries that could not be written)
 auditLogSchema.statics.createLog = async function({
   userId,
+  organizationId = null,
   action,
   entity,
   entityId,
   changes = {},
   metadata = {},
+  timestamp = new Date(),
+  eventId,
   description = ''
 }) {
-  try {
-    const auditLog = new this({
-      userId,
-      action: action.toUpperCase(),
-      entity,
-      entityId: entityId.toString(),
-      changes,
-      metadata,
-      description
-    });
-    
-    return await auditLog.save();
-  } catch (error) {
-    // Log error but don't throw to avoid breaking main operations
-    console.error('Failed to create audit log:', error);
-    return null;
-  }
+  const auditLog = new this({
+    userId,
+    organizationId,
+    action: action.toUpperCase(),
+    entity,
+    entityId: entityId.toString(),
+    // Stored as plain JSON so the hash of the entry can be recomputed from what is read back
+    changes: toPlain(changes),
+    metadata,
+    timestamp,
+    eventId,
+    description
+  });
+
+  return this.appendToChain(auditLog);
+};
+
+// Entries are appended one at a time so each one links to the one before it
+let chainTail = Promise.resolve();
+
+// Static method to append an entry to the hash chain and save it
+auditLogSchema.statics.appendToChain = function(auditLog) {
+  const append = async () => {
+    for (let attempt = 1; ; attempt++) {
+      const head = await this.findOne({ sequence: { $exists: true } })
+        .sort({ sequence: -1 })
+        .select('sequence hash')
+        .lean();
+
+      auditLog.sequence = head ? head.sequence + 1 : 1;
+      auditLog.prevHash = head ? head.hash : GENESIS_HASH;
+      auditLog.hash = hashEntry(auditLog.toObject(), auditLog.prevHash);
+
+      try {
+        return await auditLog.save();
+      } catch (error) {
+        // Another instance appended with the same sequence number first
+        const sequenceTaken = error.code === 11000 && Boolean(error.keyPattern && error.keyPattern.sequence);
+        if (!sequenceTaken || attempt >= AUDIT.maxAppendAttempts) {
+          throw error;
+        }
+      }
+    }
+  };
+
+  const result = chainTail.then(append);
+  chainTail = result.catch(() => {});
+  return result;
 };
 
 // Static method to get audit logs for a specific entity
@@ -122,6 +192,7 @@ auditLogSchema.statics.getEntityLogs = function(entity, entityId, options = {})
     limit = 20,
     action,
     userId,
+    organizationId,
     startDate,
     endDate
   } = options;
@@ -130,6 +201,7 @@ auditLogSchema.statics.getEntityLogs = function(entity, entityId, options = {})
   
   if (action) query.action = action.toUpperCase();
   if (userId) query.userId = userId;
+  if (organizationId) query.organizationId = organizationId;
   if (startDate || endDate) {
     query.timestamp = {};
     if (startDate) query.timestamp.$gte = new Date(startDate);
@@ -151,6 +223,7 @@ auditLogSchema.statics.getUserActivity = function(userId, options = {}) {
     limit = 20,
     action,
     entity,
+    organizationId,
     startDate,
     endDate
   } = options;
@@ -159,6 +232,7 @@ auditLogSchema.statics.getUserActivity = function(userId, options = {}) {
   
   if (action) query.action = action.toUpperCase();
   if (entity) query.entity = entity;
+  if (organizationId) query.organizationId = organizationId;
   if (startDate || endDate) {
     query.timestamp = {};
     if (startDate) query.timestamp.$gte = new Date(startDate);
@@ -178,6 +252,7 @@ auditLogSchema.statics.getStats = async function(options = {}) {
     startDate,
     endDate,
     userId,
+    organizationId,
     entity
   } = options;
   
@@ -190,6 +265,7 @@ auditLogSchema.statics.getStats = async function(options = {}) {
   }
   
   if (userId) matchStage.userId = new mongoose.Types.ObjectId(userId);
+  if (organizationId) matchStage.organizationId = new mongoose.Types.ObjectId(organizationId);
   if (entity) matchStage.entity = entity;
   
   const pipeline = [
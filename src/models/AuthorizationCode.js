@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const authorizationCodeSchema = new mongoose.Schema({
+  codeHash: {
+    type: String, // SHA-256 of the code
+    required: true,
+    unique: true
+  },
+  clientId: {
+    type: String, // OAuth client_id
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [String],
+    default: []
+  },
+  codeChallenge: {
+    type: String, // PKCE S256 challenge
+    required: true
+  },
+  nonce: {
+    type: String,
+    default: null
+  },
+  authTime: {
+    type: Date, // When the user signed in to the login app
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  sessionId: {
+    type: String, // Session of the tokens issued for the code (revoked if the code is replayed)
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// TTL index to automatically remove codes once they expire
+authorizationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a raw code before storage or lookup
+authorizationCodeSchema.statics.hashCode = function(code) {
+  return crypto
+    .createHash('sha256')
+    .update(code)
+    .digest('hex');
+};
+
+// Static method to claim an unused, unexpired code (null if it was already used)
+authorizationCodeSchema.statics.claim = function(code) {
+  return this.findOneAndUpdate(
+    { codeHash: this.hashCode(code), usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AuthorizationCode', authorizationCodeSchema);
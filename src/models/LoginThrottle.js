@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const loginThrottleSchema = new mongoose.Schema({
+  type: {
+    type: String, // What is counted: failed signins from an IP address or for an email
+    enum: ['ip', 'email'],
+    required: true
+  },
+  value: {
+    type: String, // IP address or lowercased email (the email doesn't have to belong to a user)
+    required: true,
+    trim: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date, // Counter is forgotten after a quiet period
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+loginThrottleSchema.index({ type: 1, value: 1 }, { unique: true });
+loginThrottleSchema.index({ lockUntil: -1 });
+
+// TTL index - counters are removed once they have been quiet for the attempt window
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if the counter is locked
+loginThrottleSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { ORGANIZATION_ROLES } = require('../config/permissions');
+
+const membershipSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: Object.keys(ORGANIZATION_ROLES),
+    default: 'member'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// A user belongs to an organization at most once
+membershipSchema.index({ organizationId: 1, userId: 1 }, { unique: true });
+membershipSchema.index({ userId: 1 });
+
+// Instance method to check a permission granted by the organization role
+membershipSchema.methods.hasPermission = function(permission) {
+  const role = ORGANIZATION_ROLES[this.role];
+  return !!role && role.permissions.includes(permission);
+};
+
+module.exports = mongoose.model('Membership', membershipSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { GRANT_TYPES, CLIENT_TYPES } = require('../config/oauth');
+
+const oauthClientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Client name is required'],
+    trim: true,
+    maxlength: [100, 'Client name cannot exceed 100 characters']
+  },
+  clientId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: CLIENT_TYPES,
+    default: 'confidential'
+  },
+  secretHash: {
+    type: String, // SHA-256 of the client secret (public clients have none)
+    required: function() {
+      return this.type !== 'public';
+    },
+    select: false
+  },
+  redirectUris: {
+    type: [String], // Exact match, except that loopback URIs may use any port
+    default: []
+  },
+  grantTypes: {
+    type: [String], // Empty for clients that only introspect and revoke tokens
+    enum: GRANT_TYPES,
+    default: []
+  },
+  scopes: {
+    type: [String], // Scopes the client may request
+    default: []
+  },
+  skipConsent: {
+    type: Boolean, // First-party app: users aren't asked for consent
+    default: false
+  },
+  trusted: {
+    type: Boolean, // Internal service: may introspect and revoke any token, not only its own
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.secretHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+oauthClientSchema.index({ revokedAt: 1, createdAt: -1 });
+
+// Static method to hash a client secret
+oauthClientSchema.statics.hashSecret = function(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+// Instance method to check a presented secret in constant time (secretHash must be selected)
+oauthClientSchema.methods.compareSecret = function(secret) {
+  if (!this.secretHash) return false;
+
+  const expected = Buffer.from(this.secretHash, 'hex');
+  const actual = Buffer.from(this.constructor.hashSecret(secret), 'hex');
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Instance method to check whether the client may use a grant type
+oauthClientSchema.methods.allowsGrant = function(grantType) {
+  return this.grantTypes.includes(grantType);
+};
+
+module.exports = mongoose.model('OAuthClient', oauthClientSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const oauthConsentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  clientId: {
+    type: String, // OAuth client_id
+    required: true
+  },
+  scopes: {
+    type: [String], // Every scope the user has granted the client
+    default: []
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// One consent per user and client
+oauthConsentSchema.index({ userId: 1, clientId: 1 }, { unique: true });
+
+// Instance method to check whether the consent covers the requested scopes
+oauthConsentSchema.methods.covers = function(scopes) {
+  return scopes.every(scope => this.scopes.includes(scope));
+};
+
+module.exports = mongoose.model('OAuthConsent', oauthConsentSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const provisioningTokenSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String, // Public part of the token, used to look it up
+    required: true,
+    unique: true
+  },
+  secretHash: {
+    type: String, // SHA-256 of the secret part of the token
+    required: true,
+    select: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null // Never expires
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.secretHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+provisioningTokenSchema.index({ revokedAt: 1, createdAt: -1 });
+
+// Static method to hash the secret part of a token
+provisioningTokenSchema.statics.hashSecret = function(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+// Instance method to check a presented secret in constant time (secretHash must be selected)
+provisioningTokenSchema.methods.compareSecret = function(secret) {
+  const expected = Buffer.from(this.secretHash, 'hex');
+  const actual = Buffer.from(this.constructor.hashSecret(secret), 'hex');
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = mongoose.model('ProvisioningToken', provisioningTokenSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const rateLimitHitSchema = new mongoose.Schema({
+  key: {
+    type: String, // Policy name and client key, e.g. auth:ip:203.0.113.7 or default:user:<id>
+    required: true,
+    unique: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date, // End of the current window
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// TTL index - a counter is removed once its window has ended
+rateLimitHitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitHit', rateLimitHitSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const samlAssertionSchema = new mongoose.Schema({
+  provider: {
+    type: String, // SAML provider name
+    required: true
+  },
+  assertionId: {
+    type: String, // ID of the consumed assertion
+    required: true
+  },
+  codeHash: {
+    type: String, // SHA-256 of the one-time code handed to the login app
+    required: true,
+    unique: true
+  },
+  profile: {
+    type: mongoose.Schema.Types.Mixed, // Mapped attributes, removed once the code is exchanged
+    default: null
+  },
+  codeExpiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date, // When the assertion stops being valid (kept until then to detect replays)
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// An assertion can only be consumed once (replay cache)
+samlAssertionSchema.index({ provider: 1, assertionId: 1 }, { unique: true });
+
+// TTL index to automatically remove assertions once they can no longer be replayed
+samlAssertionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a raw code before storage or lookup
+samlAssertionSchema.statics.hashCode = function(code) {
+  return crypto
+    .createHash('sha256')
+    .update(code)
+    .digest('hex');
+};
+
+// Static method to claim an unused, unexpired code, returning the stored profile
+samlAssertionSchema.statics.claim = function(code) {
+  return this.findOneAndUpdate(
+    { codeHash: this.hashCode(code), usedAt: null, codeExpiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() }, $unset: { profile: 1 } }
+  );
+};
+
+module.exports = mongoose.model('SamlAssertion', samlAssertionSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const samlRequestSchema = new mongoose.Schema({
+  requestId: {
+    type: String, // ID of the AuthnRequest, echoed by the IdP as InResponseTo
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String, // SAML provider name
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// TTL index to automatically remove requests that were never answered
+samlRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to consume a pending request (null if unknown, expired or already answered)
+samlRequestSchema.statics.claim = function(requestId, provider) {
+  return this.findOneAndDelete({ requestId, provider, expiresAt: { $gt: new Date() } });
+};
+
+module.exports = mongoose.model('SamlRequest', samlRequestSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const signingKeySchema = new mongoose.Schema({
+  kid: {
+    type: String, // Key ID, sent in the `kid` header of the tokens signed with this key
+    required: true,
+    unique: true
+  },
+  alg: {
+    type: String,
+    enum: ['RS256', 'ES256'],
+    required: true
+  },
+  publicKey: {
+    type: String, // PEM (SPKI)
+    required: true
+  },
+  privateKey: {
+    type: String, // PEM (PKCS#8), encrypted at rest
+    required: true,
+    select: false
+  },
+  status: {
+    type: String, // New tokens are signed with the active key; previous keys only verify
+    enum: ['active', 'previous'],
+    default: 'active'
+  },
+  retiredAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date, // Set on rotation, once no token signed with the key can still be valid
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.privateKey;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+signingKeySchema.index({ status: 1, createdAt: -1 });
+
+// TTL index - previous keys are removed once their retention has passed
+signingKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SigningKey', signingKeySchema);
@@ -1,5 +1,72 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const { LOCKOUT, getLockDuration } = require('../config/lockout');
+
+const identitySchema = new mongoose.Schema({
+  provider: {
+    type: String, // Identity provider name (google, github, ...)
+    required: true
+  },
+  subject: {
+    type: String, // Stable user ID at the provider
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  _id: false
+});
+
+const passkeySchema = new mongoose.Schema({
+  credentialId: {
+    type: String, // base64url encoded credential ID
+    required: true
+  },
+  publicKey: {
+    type: String, // base64url encoded COSE public key
+    required: true
+  },
+  counter: {
+    type: Number, // Signature counter (detects cloned authenticators)
+    default: 0
+  },
+  transports: {
+    type: [String],
+    default: []
+  },
+  deviceType: {
+    type: String,
+    enum: ['singleDevice', 'multiDevice']
+  },
+  backedUp: {
+    type: Boolean,
+    default: false
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Passkey name cannot be longer than 50 characters']
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -22,14 +89,30 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: function() {
-      return !this.googleId; // Password required only if not Google user
+      // Password required only without another login method (identity provider or passkey).
+      // Users provisioned over SCIM sign in through their identity provider.
+      return !this.provisionedAt &&
+        (!this.identities || this.identities.length === 0) && (!this.passkeys || this.passkeys.length === 0);
+    },
+    validate: {
+      // Only a password being set is plain text; stored values are hashes
+      validator: function(value) {
+        return !this.isModified('password') || !passwordPolicyService.check(value);
+      },
+      message: props => `Password ${passwordPolicyService.check(props.value)}`
     },
-    minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in queries by default
   },
-  googleId: {
-    type: String,
-    sparse: true // Allows multiple null values but ensures uniqueness for non-null values
+  passwordHistory: {
+    type: [String], // Hashes of the most recent passwords, current one included
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  identities: {
+    type: [identitySchema],
+    default: []
   },
   avatar: {
     type: String,
@@ -55,9 +138,22 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
-  role: {
+  magicLinkToken: {
     type: String,
-    enum: ['user', 'admin'],
+    select: false
+  },
+  magicLinkNonce: {
+    type: String,
+    select: false
+  },
+  magicLinkTokenExpires: {
+    type: Date,
+    select: false
+  },
+  role: {
+    type: String, // Name of a Role (see config/permissions)
+    lowercase: true,
+    trim: true,
     default: 'user'
   },
   isActive: {
@@ -73,16 +169,73 @@ const userSchema = new mongoose.Schema({
   },
   lockUntil: {
     type: Date
+  },
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  passwordResetRequired: {
+    type: Boolean, // Set by an admin; password signin is refused until the password is reset
+    default: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String, // Encrypted TOTP secret
+      select: false
+    },
+    pendingSecret: {
+      type: String, // Encrypted TOTP secret awaiting confirmation
+      select: false
+    },
+    recoveryCodes: {
+      type: [String], // SHA-256 hashes of unused recovery codes
+      select: false
+    },
+    lastUsedStep: {
+      type: Number, // Last accepted TOTP time step (prevents code replay)
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  passkeys: {
+    type: [passkeySchema],
+    default: []
+  },
+  externalId: {
+    type: String, // ID of the user in the identity provider that provisions it (SCIM)
+    trim: true
+  },
+  provisionedAt: {
+    type: Date // Set when the account was created over SCIM
   }
 }, {
   timestamps: true,
   toJSON: {
     transform: function(doc, ret) {
       delete ret.password;
+      delete ret.passwordHistory;
       delete ret.passwordResetToken;
       delete ret.passwordResetTokenExpires;
       delete ret.emailVerificationToken;
       delete ret.emailVerificationTokenExpires;
+      delete ret.magicLinkToken;
+      delete ret.magicLinkNonce;
+      delete ret.magicLinkTokenExpires;
+      if (ret.twoFactor) {
+        delete ret.twoFactor.secret;
+        delete ret.twoFactor.pendingSecret;
+        delete ret.twoFactor.recoveryCodes;
+        delete ret.twoFactor.lastUsedStep;
+      }
+      if (ret.passkeys) {
+        ret.passkeys.forEach(passkey => delete passkey.publicKey);
+      }
       delete ret.__v;
       return ret;
     }
@@ -91,9 +244,18 @@ const userSchema = new mongoose.Schema({
 
 // Indexes for better performance
 userSchema.index({ email: 1 });
-userSchema.index({ googleId: 1 });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  {
+    unique: true, // An external account can only be linked to one user
+    partialFilterExpression: { 'identities.subject': { $exists: true } }
+  }
+);
 userSchema.index({ passwordResetToken: 1 });
 userSchema.index({ emailVerificationToken: 1 });
+userSchema.index({ magicLinkToken: 1 });
+userSchema.index({ 'passkeys.credentialId': 1 });
+userSchema.index({ externalId: 1 }, { sparse: true });
 
 // Virtual for checking if account is locked
 userSchema.virtual('isLocked').get(function() {
@@ -109,6 +271,14 @@ userSchema.pre('save', async function(next) {
     // Hash password with cost of 12
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Keep the history only when it was loaded, so a partial document can't truncate it
+    if (this.isNew || this.isSelected('passwordHistory')) {
+      passwordPolicyService.recordPassword(this, this.password);
+    } else {
+      this.passwordChangedAt = new Date();
+    }
+
     next();
   } catch (error) {
     next(error);
@@ -151,10 +321,65 @@ userSchema.methods.createEmailVerificationToken = function() {
   return verificationToken;
 };
 
+// Instance method to generate a magic sign-in link token bound to a browser nonce
+userSchema.methods.createMagicLinkToken = function(nonce) {
+  const crypto = require('crypto');
+  const magicLinkToken = crypto.randomBytes(32).toString('hex');
+  
+  this.magicLinkToken = crypto
+    .createHash('sha256')
+    .update(magicLinkToken)
+    .digest('hex');
+  
+  this.magicLinkNonce = crypto
+    .createHash('sha256')
+    .update(nonce)
+    .digest('hex');
+  
+  this.magicLinkTokenExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
+  
+  return magicLinkToken;
+};
+
+// Instance method to generate one-time 2FA recovery codes (stores only hashes)
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const crypto = require('crypto');
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code =>
+    crypto.createHash('sha256').update(code).digest('hex')
+  );
+
+  return codes;
+};
+
+// Instance method to consume a 2FA recovery code
+userSchema.methods.useRecoveryCode = function(code) {
+  const crypto = require('crypto');
+  const hashedCode = crypto
+    .createHash('sha256')
+    .update(String(code).trim().toLowerCase())
+    .digest('hex');
+
+  const codes = this.twoFactor.recoveryCodes || [];
+  const index = codes.indexOf(hashedCode);
+  if (index === -1) return false;
+
+  codes.splice(index, 1);
+  this.markModified('twoFactor.recoveryCodes');
+  return true;
+};
+
 // Static method to handle failed login attempts
 userSchema.methods.incLoginAttempts = function() {
-  // If we have a previous lock that has expired, restart at 1
-  if (this.lockUntil && this.lockUntil < Date.now()) {
+  // Failures are forgotten once a lock has been over for a full LOCK_TIME
+  if (this.lockUntil && this.lockUntil < Date.now() - LOCKOUT.maxLockTime) {
+    this.loginAttempts = 1;
+    this.lockUntil = undefined;
+
     return this.updateOne({
       $unset: {
         lockUntil: 1
@@ -164,16 +389,19 @@ userSchema.methods.incLoginAttempts = function() {
       }
     });
   }
-  
+
+  this.loginAttempts = (this.loginAttempts || 0) + 1;
   const updates = { $inc: { loginAttempts: 1 } };
-  
-  // If we already have max attempts and it's not locked, lock the account
-  if (this.loginAttempts + 1 >= 5 && !this.isLocked) {
+
+  // Lock with exponential backoff once MAX_LOGIN_ATTEMPTS is reached
+  const lockTime = getLockDuration(this.loginAttempts, LOCKOUT.maxAttempts);
+  if (lockTime) {
+    this.lockUntil = new Date(Date.now() + lockTime);
     updates.$set = {
-      lockUntil: Date.now() + 2 * 60 * 60 * 1000 // Lock for 2 hours
+      lockUntil: this.lockUntil
     };
   }
-  
+
   return this.updateOne(updates);
 };
 
@@ -187,4 +415,25 @@ userSchema.methods.resetLoginAttempts = function() {
   });
 };
 
+// Static method to find the user linked to an external identity
+userSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({
+    identities: { $elemMatch: { provider, subject: String(subject) } }
+  });
+};
+
+// Instance method to get a linked identity
+userSchema.methods.getIdentity = function(provider) {
+  return (this.identities || []).find(identity => identity.provider === provider) || null;
+};
+
+// Instance method to list the ways the user can sign in (password must be selected)
+userSchema.methods.getLoginMethods = function() {
+  return [
+    ...(this.password ? ['password'] : []),
+    ...(this.identities || []).map(identity => `identity:${identity.provider}`),
+    ...(this.passkeys || []).map(passkey => `passkey:${passkey.credentialId}`)
+  ];
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -1,7 +1,43 @@
 const User = require('./User');
 const AuditLog = require('./AuditLog');
+const AuditCheckpoint = require('./AuditCheckpoint');
+const RefreshToken = require('./RefreshToken');
+const RevokedToken = require('./RevokedToken');
+const Session = require('./Session');
+const ApiKey = require('./ApiKey');
+const Role = require('./Role');
+const Organization = require('./Organization');
+const Membership = require('./Membership');
+const Invitation = require('./Invitation');
+const LoginThrottle = require('./LoginThrottle');
+const RateLimitHit = require('./RateLimitHit');
+const SigningKey = require('./SigningKey');
+const OAuthClient = require('./OAuthClient');
+const AuthorizationCode = require('./AuthorizationCode');
+const OAuthConsent = require('./OAuthConsent');
+const SamlRequest = require('./SamlRequest');
+const SamlAssertion = require('./SamlAssertion');
+const ProvisioningToken = require('./ProvisioningToken');
 
 module.exports = {
   User,
-  AuditLog
-};
\ No newline at end of file
+  AuditLog,
+  AuditCheckpoint,
+  RefreshToken,
+  RevokedToken,
+  Session,
+  ApiKey,
+  Role,
+  Organization,
+  Membership,
+  Invitation,
+  LoginThrottle,
+  RateLimitHit,
+  SigningKey,
+  OAuthClient,
+  AuthorizationCode,
+  OAuthConsent,
+  SamlRequest,
+  SamlAssertion,
+  ProvisioningToken
+};
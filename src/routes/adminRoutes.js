@@ -0,0 +1,420 @@
+const express = require('express');
+const SessionController = require('../controllers/sessionController');
+const RoleController = require('../controllers/roleController');
+const UserController = require('../controllers/userController');
+const InvitationController = require('../controllers/invitationController');
+const LockoutController = require('../controllers/lockoutController');
+const OAuthClientController = require('../controllers/oauthClientController');
+const ProvisioningTokenController = require('../controllers/provisioningTokenController');
+const { authenticate, requirePermission, requireSessionAuth } = require('../middleware/authMiddleware');
+const { validators } = require('../middleware/validation');
+const { auditFailClosed } = require('../middleware/auditLogger');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List users with search, filters and pagination
+ * @access  Private (users:manage)
+ */
+router.get('/users', 
+  authenticate,
+  requirePermission('users:manage'),
+  validators.validateAdminUserQuery,
+  auditFailClosed,
+  UserController.listUsers
+);
+
+/**
+ * @route   GET /api/admin/users/:userId
+ * @desc    Get a user
+ * @access  Private (users:manage)
+ */
+router.get('/users/:userId', 
+  authenticate,
+  requirePermission('users:manage'),
+  validators.validateUserIdParam,
+  auditFailClosed,
+  UserController.getUser
+);
+
+/**
+ * @route   POST /api/admin/users/:userId/deactivate
+ * @desc    Deactivate a user and revoke their sessions
+ * @access  Private (users:manage)
+ */
+router.post('/users/:userId/deactivate', 
+  authenticate,
+  requirePermission('users:manage'),
+  validators.validateUserIdParam,
+  auditFailClosed,
+  UserController.deactivateUser
+);
+
+/**
+ * @route   POST /api/admin/users/:userId/reactivate
+ * @desc    Reactivate a deactivated user
+ * @access  Private (users:manage)
+ */
+router.post('/users/:userId/reactivate', 
+  authenticate,
+  requirePermission('users:manage'),
+  validators.validateUserIdParam,
+  auditFailClosed,
+  UserController.reactivateUser
+);
+
+/**
+ * @route   POST /api/admin/users/:userId/unlock
+ * @desc    Clear failed login attempts, the account lock and the signin counter for the email
+ * @access  Private (users:manage)
+ */
+router.post('/users/:userId/unlock', 
+  authenticate,
+  requirePermission('users:manage'),
+  validators.validateUserIdParam,
+  auditFailClosed,
+  UserController.unlockUser
+);
+
+/**
+ * @route   POST /api/admin/users/:userId/force-password-reset
+ * @desc    Require a user to reset their password
+ * @access  Private (users:manage)
+ */
+router.post('/users/:userId/force-password-reset', 
+  authenticate,
+  requirePermission('users:manage'),
+  validators.validateUserIdParam,
+  auditFailClosed,
+  UserController.forcePasswordReset
+);
+
+/**
+ * @route   POST /api/admin/users/:userId/impersonate
+ * @desc    Get a short-lived, non-refreshable token to act as a user
+ * @access  Private (users:impersonate)
+ */
+router.post('/users/:userId/impersonate', 
+  authenticate,
+  requireSessionAuth,
+  requirePermission('users:impersonate'),
+  validators.validateUserIdParam,
+  auditFailClosed,
+  UserController.impersonateUser
+);
+
+/**
+ * @route   POST /api/admin/impersonation/stop
+ * @desc    End an impersonation by revoking the impersonation token
+ * @access  Private (impersonation token)
+ */
+router.post('/impersonation/stop', 
+  authenticate,
+  auditFailClosed,
+  UserController.stopImpersonation
+);
+
+/**
+ * @route   DELETE /api/admin/users/:userId
+ * @desc    Delete a user with their sessions, tokens and API keys
+ * @access  Private (users:manage)
+ */
+router.delete('/users/:userId', 
+  authenticate,
+  requirePermission('users:manage'),
+  validators.validateUserIdParam,
+  auditFailClosed,
+  UserController.deleteUser
+);
+
+/**
+ * @route   GET /api/admin/users/:userId/sessions
+ * @desc    List the active sessions of a user
+ * @access  Private (users:manage)
+ */
+router.get('/users/:userId/sessions', 
+  authenticate,
+  requirePermission('users:manage'),
+  validators.validateUserIdParam,
+  auditFailClosed,
+  SessionController.getUserSessions
+);
+
+/**
+ * @route   DELETE /api/admin/users/:userId/sessions
+ * @desc    Revoke every session of a user
+ * @access  Private (users:manage)
+ */
+router.delete('/users/:userId/sessions', 
+  authenticate,
+  requirePermission('users:manage'),
+  validators.validateUserIdParam,
+  auditFailClosed,
+  SessionController.revokeAllUserSessions
+);
+
+/**
+ * @route   DELETE /api/admin/users/:userId/sessions/:sessionId
+ * @desc    Revoke a single session of a user
+ * @access  Private (users:manage)
+ */
+router.delete('/users/:userId/sessions/:sessionId', 
+  authenticate,
+  requirePermission('users:manage'),
+  validators.validateUserSessionParams,
+  auditFailClosed,
+  SessionController.revokeUserSession
+);
+
+/**
+ * @route   GET /api/admin/lockouts
+ * @desc    List the per-IP and per-email failed signin counters
+ * @access  Private (users:manage)
+ */
+router.get('/lockouts', 
+  authenticate,
+  requirePermission('users:manage'),
+  validators.validateLockoutQuery,
+  auditFailClosed,
+  LockoutController.listLockouts
+);
+
+/**
+ * @route   DELETE /api/admin/lockouts/:lockoutId
+ * @desc    Clear a failed signin counter and its lock
+ * @access  Private (users:manage)
+ */
+router.delete('/lockouts/:lockoutId', 
+  authenticate,
+  requirePermission('users:manage'),
+  validators.validateLockoutIdParam,
+  auditFailClosed,
+  LockoutController.clearLockout
+);
+
+/**
+ * @route   GET /api/admin/oauth-clients
+ * @desc    List the OAuth clients allowed to call /api/oauth
+ * @access  Private (clients:manage)
+ */
+router.get('/oauth-clients', 
+  authenticate,
+  requirePermission('clients:manage'),
+  validators.validateOAuthClientQuery,
+  auditFailClosed,
+  OAuthClientController.listClients
+);
+
+/**
+ * @route   POST /api/admin/oauth-clients
+ * @desc    Register an OAuth client (a confidential client's secret is returned once)
+ * @access  Private (clients:manage, signed-in session)
+ */
+router.post('/oauth-clients', 
+  authenticate,
+  requireSessionAuth,
+  requirePermission('clients:manage'),
+  validators.validateOAuthClientCreate,
+  auditFailClosed,
+  OAuthClientController.createClient
+);
+
+/**
+ * @route   POST /api/admin/oauth-clients/:clientId/secret
+ * @desc    Rotate a client's secret (the old secret stops working)
+ * @access  Private (clients:manage, signed-in session)
+ */
+router.post('/oauth-clients/:clientId/secret', 
+  authenticate,
+  requireSessionAuth,
+  requirePermission('clients:manage'),
+  validators.validateOAuthClientIdParam,
+  auditFailClosed,
+  OAuthClientController.rotateSecret
+);
+
+/**
+ * @route   DELETE /api/admin/oauth-clients/:clientId
+ * @desc    Revoke an OAuth client
+ * @access  Private (clients:manage)
+ */
+router.delete('/oauth-clients/:clientId', 
+  authenticate,
+  requirePermission('clients:manage'),
+  validators.validateOAuthClientIdParam,
+  auditFailClosed,
+  OAuthClientController.revokeClient
+);
+
+/**
+ * @route   GET /api/admin/provisioning-tokens
+ * @desc    List the bearer tokens identity providers use to call the SCIM API
+ * @access  Private (provisioning:manage)
+ */
+router.get('/provisioning-tokens', 
+  authenticate,
+  requirePermission('provisioning:manage'),
+  validators.validateProvisioningTokenQuery,
+  auditFailClosed,
+  ProvisioningTokenController.listTokens
+);
+
+/**
+ * @route   POST /api/admin/provisioning-tokens
+ * @desc    Issue a SCIM provisioning token (returned once)
+ * @access  Private (provisioning:manage, signed-in session)
+ */
+router.post('/provisioning-tokens', 
+  authenticate,
+  requireSessionAuth,
+  requirePermission('provisioning:manage'),
+  validators.validateProvisioningTokenCreate,
+  auditFailClosed,
+  ProvisioningTokenController.createToken
+);
+
+/**
+ * @route   DELETE /api/admin/provisioning-tokens/:tokenId
+ * @desc    Revoke a SCIM provisioning token
+ * @access  Private (provisioning:manage)
+ */
+router.delete('/provisioning-tokens/:tokenId', 
+  authenticate,
+  requirePermission('provisioning:manage'),
+  validators.validateProvisioningTokenIdParam,
+  auditFailClosed,
+  ProvisioningTokenController.revokeToken
+);
+
+/**
+ * @route   GET /api/admin/invitations
+ * @desc    List account invitations
+ * @access  Private (users:manage)
+ */
+router.get('/invitations', 
+  authenticate,
+  requirePermission('users:manage'),
+  validators.validateAdminInvitationQuery,
+  auditFailClosed,
+  InvitationController.listInvitations
+);
+
+/**
+ * @route   POST /api/admin/invitations
+ * @desc    Invite someone to create an account with a pre-assigned role
+ * @access  Private (users:manage; roles:manage for roles other than "user")
+ */
+router.post('/invitations', 
+  authenticate,
+  requirePermission('users:manage'),
+  validators.validateAdminInvitationCreate,
+  auditFailClosed,
+  InvitationController.createInvitation
+);
+
+/**
+ * @route   POST /api/admin/invitations/:invitationId/resend
+ * @desc    Resend an invitation with a new link and a fresh expiry
+ * @access  Private (users:manage)
+ */
+router.post('/invitations/:invitationId/resend', 
+  authenticate,
+  requirePermission('users:manage'),
+  validators.validateInvitationIdParam,
+  auditFailClosed,
+  InvitationController.resendInvitation
+);
+
+/**
+ * @route   DELETE /api/admin/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Private (users:manage)
+ */
+router.delete('/invitations/:invitationId', 
+  authenticate,
+  requirePermission('users:manage'),
+  validators.validateInvitationIdParam,
+  auditFailClosed,
+  InvitationController.revokeInvitation
+);
+
+/**
+ * @route   GET /api/admin/permissions
+ * @desc    List the available permissions
+ * @access  Private (roles:manage)
+ */
+router.get('/permissions', 
+  authenticate,
+  requirePermission('roles:manage'),
+  auditFailClosed,
+  RoleController.listPermissions
+);
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    List roles
+ * @access  Private (roles:manage)
+ */
+router.get('/roles', 
+  authenticate,
+  requirePermission('roles:manage'),
+  auditFailClosed,
+  RoleController.listRoles
+);
+
+/**
+ * @route   POST /api/admin/roles
+ * @desc    Create a role
+ * @access  Private (roles:manage)
+ */
+router.post('/roles', 
+  authenticate,
+  requirePermission('roles:manage'),
+  validators.validateRoleCreate,
+  auditFailClosed,
+  RoleController.createRole
+);
+
+/**
+ * @route   PUT /api/admin/roles/:name
+ * @desc    Update a role's description or permissions
+ * @access  Private (roles:manage)
+ */
+router.put('/roles/:name', 
+  authenticate,
+  requirePermission('roles:manage'),
+  validators.validateRoleNameParam,
+  validators.validateRoleUpdate,
+  auditFailClosed,
+  RoleController.updateRole
+);
+
+/**
+ * @route   DELETE /api/admin/roles/:name
+ * @desc    Delete a role that is not assigned to any user
+ * @access  Private (roles:manage)
+ */
+router.delete('/roles/:name', 
+  authenticate,
+  requirePermission('roles:manage'),
+  validators.validateRoleNameParam,
+  auditFailClosed,
+  RoleController.deleteRole
+);
+
+/**
+ * @route   PUT /api/admin/users/:userId/role
+ * @desc    Assign a role to a user
+ * @access  Private (roles:manage)
+ */
+router.put('/users/:userId/role', 
+  authenticate,
+  requirePermission('roles:manage'),
+  validators.validateUserIdParam,
+  validators.validateRoleAssign,
+  auditFailClosed,
+  RoleController.assignRole
+);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const AuditController = require('../controllers/auditController');
-const { authenticate, authorize } = require('../middleware/authMiddleware');
+const { authenticate, requirePermission, requireScopedPermission } = require('../middleware/authMiddleware');
 const { validators } = require('../middleware/validation');
 
 const router = express.Router();
@@ -8,7 +8,7 @@ const router = express.Router();
 /**
  * @route   GET /api/audit/logs
  * @desc    Get audit logs with filtering and pagination
- * @access  Private (users see their own logs, admins see all)
+ * @access  Private (users see their own logs, audit:read:any sees all; scoped to the organization context)
  */
 router.get('/logs', 
   authenticate,
@@ -19,7 +19,7 @@ router.get('/logs',
 /**
  * @route   GET /api/audit/entity/:entity/:entityId
  * @desc    Get audit logs for a specific entity
- * @access  Private (users see their own data, admins see all)
+ * @access  Private (users see their own data, audit:read:any sees all; scoped to the organization context)
  */
 router.get('/entity/:entity/:entityId', 
   authenticate,
@@ -31,7 +31,7 @@ router.get('/entity/:entity/:entityId',
 /**
  * @route   GET /api/audit/user/:userId/activity
  * @desc    Get user activity logs
- * @access  Private (users see their own activity, admins see all)
+ * @access  Private (users see their own activity, audit:read:any sees all; scoped to the organization context)
  */
 router.get('/user/:userId/activity', 
   authenticate,
@@ -43,11 +43,11 @@ router.get('/user/:userId/activity',
 /**
  * @route   GET /api/audit/stats
  * @desc    Get audit statistics
- * @access  Private (Admin only)
+ * @access  Private (audit:read:any, or organization audit:read)
  */
 router.get('/stats', 
   authenticate,
-  authorize('admin'),
+  requireScopedPermission('audit:read:any', 'audit:read'),
   validators.validateAuditQuery,
   AuditController.getAuditStats
 );
@@ -55,11 +55,11 @@ router.get('/stats',
 /**
  * @route   GET /api/audit/log/:logId
  * @desc    Get specific audit log by ID
- * @access  Private (Admin only)
+ * @access  Private (audit:read:any, or organization audit:read)
  */
 router.get('/log/:logId', 
   authenticate,
-  authorize('admin'),
+  requireScopedPermission('audit:read:any', 'audit:read'),
   validators.validateLogIdParam,
   AuditController.getAuditLogById
 );
@@ -67,13 +67,36 @@ router.get('/log/:logId',
 /**
  * @route   GET /api/audit/export
  * @desc    Export audit logs in JSON or CSV format
- * @access  Private (Admin only)
+ * @access  Private (audit:export, or organization audit:read)
  */
 router.get('/export', 
   authenticate,
-  authorize('admin'),
+  requireScopedPermission('audit:export', 'audit:read'),
   validators.validateExportQuery,
   AuditController.exportAuditLogs
 );
 
+/**
+ * @route   GET /api/audit/verify
+ * @desc    Walk the audit log hash chain and report the first broken link
+ * @access  Private (audit:verify)
+ */
+router.get('/verify', 
+  authenticate,
+  requirePermission('audit:verify'),
+  validators.validateAuditVerifyQuery,
+  AuditController.verifyAuditLog
+);
+
+/**
+ * @route   GET /api/audit/outbox
+ * @desc    Audit entries waiting to be written, and retry and drop counters
+ * @access  Private (audit:verify)
+ */
+router.get('/outbox', 
+  authenticate,
+  requirePermission('audit:verify'),
+  AuditController.getAuditOutbox
+);
+
 module.exports = router;
\ No newline at end of file
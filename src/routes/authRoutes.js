@@ -1,13 +1,21 @@
 const express = require('express');
 const AuthController = require('../controllers/authController');
-const { authenticate, refreshToken } = require('../middleware/authMiddleware');
+const SessionController = require('../controllers/sessionController');
+const TwoFactorController = require('../controllers/twoFactorController');
+const WebAuthnController = require('../controllers/webAuthnController');
+const IdentityController = require('../controllers/identityController');
+const SamlController = require('../controllers/samlController');
+const ApiKeyController = require('../controllers/apiKeyController');
+const InvitationController = require('../controllers/invitationController');
+const { authenticate, requireSessionAuth, refreshToken } = require('../middleware/authMiddleware');
 const { validators } = require('../middleware/validation');
+const { rateLimitPolicy } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
 /**
  * @route   POST /api/auth/signup
- * @desc    Register a new user with email and password
+ * @desc    Register a new user with email and password (disabled in invite-only mode)
  * @access  Public
  */
 router.post('/signup', 
@@ -15,19 +23,30 @@ router.post('/signup',
   AuthController.signup
 );
 
+/**
+ * @route   POST /api/auth/invitations/accept
+ * @desc    Accept an account invitation and create a password account with the invited role
+ * @access  Public (invitation token)
+ */
+router.post('/invitations/accept', 
+  validators.validateAccountInvitationAccept,
+  InvitationController.acceptInvitation
+);
+
 /**
  * @route   POST /api/auth/signin
  * @desc    Login user with email and password
  * @access  Public
  */
 router.post('/signin', 
+  rateLimitPolicy('auth'),
   validators.validateSignin,
   AuthController.signin
 );
 
 /**
  * @route   POST /api/auth/google
- * @desc    Authenticate user with Google token
+ * @desc    Authenticate user with Google token (optionally accepting an account invitation)
  * @access  Public
  */
 router.post('/google', 
@@ -35,12 +54,76 @@ router.post('/google',
   AuthController.googleAuth
 );
 
+/**
+ * @route   GET /api/auth/providers
+ * @desc    List the configured identity providers
+ * @access  Public
+ */
+router.get('/providers', 
+  IdentityController.listProviders
+);
+
+/**
+ * @route   POST /api/auth/providers/:provider
+ * @desc    Authenticate user with an identity provider (ID token or authorization code)
+ * @access  Public
+ */
+router.post('/providers/:provider', 
+  validators.validateProviderParam,
+  validators.validateProviderSignin,
+  IdentityController.signin
+);
+
+/**
+ * @route   GET /api/auth/saml/:provider/metadata
+ * @desc    SAML service provider metadata to register with the IdP
+ * @access  Public
+ */
+router.get('/saml/:provider/metadata', 
+  validators.validateProviderParam,
+  SamlController.metadata
+);
+
+/**
+ * @route   GET /api/auth/saml/:provider/login
+ * @desc    Start a SAML signin (redirects the browser to the IdP)
+ * @access  Public
+ */
+router.get('/saml/:provider/login', 
+  validators.validateProviderParam,
+  validators.validateSamlLoginQuery,
+  SamlController.login
+);
+
+/**
+ * @route   POST /api/auth/saml/:provider/acs
+ * @desc    Assertion consumer service: validate the IdP response and redirect to the login app with a one-time code
+ * @access  Public (signed SAML response)
+ */
+router.post('/saml/:provider/acs', 
+  validators.validateProviderParam,
+  validators.validateSamlAcs,
+  SamlController.acs
+);
+
+/**
+ * @route   POST /api/auth/saml/exchange
+ * @desc    Exchange the one-time code from the ACS redirect for tokens (creating the account on first signin)
+ * @access  Public (one-time code)
+ */
+router.post('/saml/exchange', 
+  rateLimitPolicy('auth'),
+  validators.validateSamlExchange,
+  SamlController.exchange
+);
+
 /**
  * @route   POST /api/auth/forgot-password
  * @desc    Send password reset email
  * @access  Public
  */
 router.post('/forgot-password', 
+  rateLimitPolicy('auth'),
   validators.validateForgotPassword,
   AuthController.forgotPassword
 );
@@ -51,10 +134,55 @@ router.post('/forgot-password',
  * @access  Public
  */
 router.post('/reset-password', 
+  rateLimitPolicy('auth'),
   validators.validateResetPassword,
   AuthController.resetPassword
 );
 
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify email address using token from verification email
+ * @access  Public
+ */
+router.post('/verify-email', 
+  rateLimitPolicy('verifyEmail'),
+  validators.validateVerifyEmail,
+  AuthController.verifyEmail
+);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Public
+ */
+router.post('/resend-verification', 
+  rateLimitPolicy('resendVerification'),
+  validators.validateResendVerification,
+  AuthController.resendVerification
+);
+
+/**
+ * @route   POST /api/auth/magic-link
+ * @desc    Email a one-time sign-in link (returns the nonce the browser must keep)
+ * @access  Public
+ */
+router.post('/magic-link', 
+  rateLimitPolicy('magicLink'),
+  validators.validateMagicLink,
+  AuthController.requestMagicLink
+);
+
+/**
+ * @route   POST /api/auth/magic-link/verify
+ * @desc    Sign in with the link token and the nonce from the request
+ * @access  Public
+ */
+router.post('/magic-link/verify', 
+  rateLimitPolicy('magicLinkVerify'),
+  validators.validateMagicLinkVerify,
+  AuthController.verifyMagicLink
+);
+
 /**
  * @route   POST /api/auth/refresh-token
  * @desc    Refresh access token using refresh token
@@ -103,18 +231,266 @@ router.put('/profile',
  */
 router.post('/change-password', 
   authenticate,
+  requireSessionAuth,
   validators.validateChangePassword,
   AuthController.changePassword
 );
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (client should delete tokens)
+ * @desc    Logout user (revokes the current access token and session)
  * @access  Private
  */
 router.post('/logout', 
   authenticate,
+  requireSessionAuth,
   AuthController.logout
 );
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout user from every session (revokes all outstanding tokens)
+ * @access  Private
+ */
+router.post('/logout-all', 
+  authenticate,
+  requireSessionAuth,
+  AuthController.logoutAll
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start TOTP enrollment (returns secret and otpauth URI)
+ * @access  Private
+ */
+router.post('/2fa/setup', 
+  authenticate,
+  requireSessionAuth,
+  TwoFactorController.setup
+);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Confirm TOTP enrollment with a code (returns recovery codes)
+ * @access  Private
+ */
+router.post('/2fa/verify', 
+  authenticate,
+  requireSessionAuth,
+  validators.validateTwoFactorCode,
+  TwoFactorController.verify
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable two-factor authentication
+ * @access  Private
+ */
+router.post('/2fa/disable', 
+  authenticate,
+  requireSessionAuth,
+  validators.validateTwoFactorDisable,
+  TwoFactorController.disable
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Regenerate two-factor recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', 
+  authenticate,
+  requireSessionAuth,
+  validators.validateTwoFactorCode,
+  TwoFactorController.regenerateRecoveryCodes
+);
+
+/**
+ * @route   POST /api/auth/2fa/challenge
+ * @desc    Complete signin with the MFA token and a TOTP or recovery code
+ * @access  Public
+ */
+router.post('/2fa/challenge', 
+  rateLimitPolicy('auth'),
+  validators.validateTwoFactorChallenge,
+  TwoFactorController.challenge
+);
+
+/**
+ * @route   POST /api/auth/webauthn/register/options
+ * @desc    Get creation options for registering a passkey
+ * @access  Private
+ */
+router.post('/webauthn/register/options', 
+  authenticate,
+  requireSessionAuth,
+  WebAuthnController.registrationOptions
+);
+
+/**
+ * @route   POST /api/auth/webauthn/register/verify
+ * @desc    Verify the attestation and store the passkey
+ * @access  Private
+ */
+router.post('/webauthn/register/verify', 
+  authenticate,
+  requireSessionAuth,
+  validators.validateWebAuthnRegistrationVerify,
+  WebAuthnController.registrationVerify
+);
+
+/**
+ * @route   POST /api/auth/webauthn/login/options
+ * @desc    Get request options for a passwordless passkey signin
+ * @access  Public
+ */
+router.post('/webauthn/login/options', 
+  validators.validateWebAuthnLoginOptions,
+  WebAuthnController.loginOptions
+);
+
+/**
+ * @route   POST /api/auth/webauthn/login/verify
+ * @desc    Sign in with a passkey assertion
+ * @access  Public
+ */
+router.post('/webauthn/login/verify', 
+  validators.validateWebAuthnLoginVerify,
+  WebAuthnController.loginVerify
+);
+
+/**
+ * @route   POST /api/auth/webauthn/mfa/options
+ * @desc    Get request options for using a passkey as the second factor
+ * @access  Public
+ */
+router.post('/webauthn/mfa/options', 
+  validators.validateWebAuthnMfaOptions,
+  WebAuthnController.mfaOptions
+);
+
+/**
+ * @route   POST /api/auth/webauthn/mfa/verify
+ * @desc    Complete signin with the MFA token and a passkey assertion
+ * @access  Public
+ */
+router.post('/webauthn/mfa/verify', 
+  validators.validateWebAuthnMfaVerify,
+  WebAuthnController.mfaVerify
+);
+
+/**
+ * @route   GET /api/auth/webauthn/credentials
+ * @desc    List the current user's passkeys
+ * @access  Private
+ */
+router.get('/webauthn/credentials', 
+  authenticate,
+  WebAuthnController.listCredentials
+);
+
+/**
+ * @route   DELETE /api/auth/webauthn/credentials/:credentialId
+ * @desc    Remove one of the current user's passkeys
+ * @access  Private
+ */
+router.delete('/webauthn/credentials/:credentialId', 
+  authenticate,
+  requireSessionAuth,
+  validators.validatePasskeyIdParam,
+  WebAuthnController.deleteCredential
+);
+
+/**
+ * @route   GET /api/auth/identities
+ * @desc    List the current user's linked identity provider accounts
+ * @access  Private
+ */
+router.get('/identities', 
+  authenticate,
+  IdentityController.listIdentities
+);
+
+/**
+ * @route   POST /api/auth/identities/:provider/link
+ * @desc    Link an identity provider account to the current user
+ * @access  Private
+ */
+router.post('/identities/:provider/link', 
+  authenticate,
+  requireSessionAuth,
+  validators.validateProviderParam,
+  validators.validateProviderSignin,
+  IdentityController.link
+);
+
+/**
+ * @route   DELETE /api/auth/identities/:provider/unlink
+ * @desc    Unlink an identity provider account from the current user
+ * @access  Private
+ */
+router.delete('/identities/:provider/unlink', 
+  authenticate,
+  requireSessionAuth,
+  validators.validateProviderParam,
+  IdentityController.unlink
+);
+
+/**
+ * @route   GET /api/auth/api-keys
+ * @desc    List the current user's API keys
+ * @access  Private
+ */
+router.get('/api-keys', 
+  authenticate,
+  requireSessionAuth,
+  ApiKeyController.listKeys
+);
+
+/**
+ * @route   POST /api/auth/api-keys
+ * @desc    Create a personal API key (the key is returned only once)
+ * @access  Private
+ */
+router.post('/api-keys', 
+  authenticate,
+  requireSessionAuth,
+  validators.validateApiKeyCreate,
+  ApiKeyController.createKey
+);
+
+/**
+ * @route   DELETE /api/auth/api-keys/:id
+ * @desc    Revoke one of the current user's API keys
+ * @access  Private
+ */
+router.delete('/api-keys/:id', 
+  authenticate,
+  requireSessionAuth,
+  validators.validateApiKeyIdParam,
+  ApiKeyController.revokeKey
+);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the current user's active sessions (devices)
+ * @access  Private
+ */
+router.get('/sessions', 
+  authenticate,
+  SessionController.getMySessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:id', 
+  authenticate,
+  requireSessionAuth,
+  validators.validateSessionIdParam,
+  SessionController.revokeMySession
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,108 @@
+const express = require('express');
+const OAuthController = require('../controllers/oauthController');
+const { authenticate, authenticateOAuth, requireSessionAuth } = require('../middleware/authMiddleware');
+const { validators } = require('../middleware/validation');
+const { rateLimitPolicy } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/oauth/authorize
+ * @desc    Authorization endpoint: validate the request and redirect to the login app
+ * @access  Public (browser redirect from a client)
+ */
+router.get('/authorize', 
+  rateLimitPolicy('oauth'),
+  OAuthController.startAuthorization
+);
+
+/**
+ * @route   POST /api/oauth/authorize
+ * @desc    Approve or deny an authorization request (returns the redirect or what to ask for consent)
+ * @access  Private (login app session)
+ */
+router.post('/authorize', 
+  rateLimitPolicy('oauth'),
+  authenticate,
+  requireSessionAuth,
+  OAuthController.authorize
+);
+
+/**
+ * @route   POST /api/oauth/token
+ * @desc    Token endpoint (authorization_code with PKCE, refresh_token, client_credentials)
+ * @access  OAuth client credentials (client_id alone for public clients)
+ */
+router.post('/token', 
+  rateLimitPolicy('oauth'),
+  OAuthController.token
+);
+
+/**
+ * @route   GET /api/oauth/userinfo
+ * @desc    Claims about the user of an access token with the openid scope
+ * @access  Private (OAuth access token)
+ */
+router.get('/userinfo', 
+  rateLimitPolicy('oauth'),
+  authenticateOAuth(),
+  OAuthController.userinfo
+);
+
+/**
+ * @route   POST /api/oauth/userinfo
+ * @desc    Claims about the user of an access token with the openid scope
+ * @access  Private (OAuth access token)
+ */
+router.post('/userinfo', 
+  rateLimitPolicy('oauth'),
+  authenticateOAuth(),
+  OAuthController.userinfo
+);
+
+/**
+ * @route   POST /api/oauth/introspect
+ * @desc    Token introspection (RFC 7662)
+ * @access  OAuth client credentials
+ */
+router.post('/introspect', 
+  rateLimitPolicy('oauth'),
+  OAuthController.introspect
+);
+
+/**
+ * @route   POST /api/oauth/revoke
+ * @desc    Token revocation (RFC 7009)
+ * @access  OAuth client credentials (client_id alone for public clients)
+ */
+router.post('/revoke', 
+  rateLimitPolicy('oauth'),
+  OAuthController.revoke
+);
+
+/**
+ * @route   GET /api/oauth/consents
+ * @desc    List the clients the current user has authorized
+ * @access  Private
+ */
+router.get('/consents', 
+  rateLimitPolicy('oauth'),
+  authenticate,
+  requireSessionAuth,
+  OAuthController.listConsents
+);
+
+/**
+ * @route   DELETE /api/oauth/consents/:clientId
+ * @desc    Withdraw consent for a client and sign out its sessions
+ * @access  Private
+ */
+router.delete('/consents/:clientId', 
+  rateLimitPolicy('oauth'),
+  authenticate,
+  requireSessionAuth,
+  validators.validateOAuthConsentClientParam,
+  OAuthController.revokeConsent
+);
+
+module.exports = router;
@@ -0,0 +1,176 @@
+const express = require('express');
+const OrganizationController = require('../controllers/organizationController');
+const {
+  authenticate,
+  requireSessionAuth,
+  loadOrganization,
+  requireOrgPermission
+} = require('../middleware/authMiddleware');
+const { validators } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/organizations
+ * @desc    List the organizations of the current user
+ * @access  Private
+ */
+router.get('/',
+  authenticate,
+  OrganizationController.listOrganizations
+);
+
+/**
+ * @route   POST /api/organizations
+ * @desc    Create an organization (the creator becomes its owner)
+ * @access  Private
+ */
+router.post('/',
+  authenticate,
+  validators.validateOrganizationCreate,
+  OrganizationController.createOrganization
+);
+
+/**
+ * @route   POST /api/organizations/switch
+ * @desc    Exchange a refresh token for tokens acting in another organization (or none)
+ * @access  Private
+ */
+router.post('/switch',
+  authenticate,
+  requireSessionAuth,
+  validators.validateOrganizationSwitch,
+  OrganizationController.switchOrganization
+);
+
+/**
+ * @route   POST /api/organizations/invitations/accept
+ * @desc    Accept an organization invitation
+ * @access  Private (invited email address)
+ */
+router.post('/invitations/accept',
+  authenticate,
+  requireSessionAuth,
+  validators.validateInvitationAccept,
+  OrganizationController.acceptInvitation
+);
+
+/**
+ * @route   GET /api/organizations/:orgId
+ * @desc    Get an organization and the current user's role in it
+ * @access  Private (member)
+ */
+router.get('/:orgId',
+  authenticate,
+  validators.validateOrganizationIdParam,
+  loadOrganization(),
+  OrganizationController.getOrganization
+);
+
+/**
+ * @route   PATCH /api/organizations/:orgId
+ * @desc    Rename an organization or change its slug
+ * @access  Private (org:manage)
+ */
+router.patch('/:orgId',
+  authenticate,
+  validators.validateOrganizationIdParam,
+  loadOrganization(),
+  requireOrgPermission('org:manage'),
+  validators.validateOrganizationUpdate,
+  OrganizationController.updateOrganization
+);
+
+/**
+ * @route   DELETE /api/organizations/:orgId
+ * @desc    Delete an organization with its memberships and invitations
+ * @access  Private (org:manage)
+ */
+router.delete('/:orgId',
+  authenticate,
+  requireSessionAuth,
+  validators.validateOrganizationIdParam,
+  loadOrganization(),
+  requireOrgPermission('org:manage'),
+  OrganizationController.deleteOrganization
+);
+
+/**
+ * @route   GET /api/organizations/:orgId/members
+ * @desc    List the members of an organization
+ * @access  Private (member)
+ */
+router.get('/:orgId/members',
+  authenticate,
+  validators.validateOrganizationIdParam,
+  loadOrganization(),
+  OrganizationController.listMembers
+);
+
+/**
+ * @route   PATCH /api/organizations/:orgId/members/:userId
+ * @desc    Change the organization role of a member
+ * @access  Private (members:manage; owners only for the owner role)
+ */
+router.patch('/:orgId/members/:userId',
+  authenticate,
+  validators.validateMemberParams,
+  loadOrganization(),
+  requireOrgPermission('members:manage'),
+  validators.validateMemberUpdate,
+  OrganizationController.updateMember
+);
+
+/**
+ * @route   DELETE /api/organizations/:orgId/members/:userId
+ * @desc    Remove a member, or leave the organization
+ * @access  Private (members:manage, or the member themselves)
+ */
+router.delete('/:orgId/members/:userId',
+  authenticate,
+  validators.validateMemberParams,
+  loadOrganization(),
+  OrganizationController.removeMember
+);
+
+/**
+ * @route   GET /api/organizations/:orgId/invitations
+ * @desc    List the invitations of an organization
+ * @access  Private (members:manage)
+ */
+router.get('/:orgId/invitations',
+  authenticate,
+  validators.validateOrganizationIdParam,
+  loadOrganization(),
+  requireOrgPermission('members:manage'),
+  OrganizationController.listInvitations
+);
+
+/**
+ * @route   POST /api/organizations/:orgId/invitations
+ * @desc    Invite someone to the organization by email
+ * @access  Private (members:manage; owners only for the owner role)
+ */
+router.post('/:orgId/invitations',
+  authenticate,
+  validators.validateOrganizationIdParam,
+  loadOrganization(),
+  requireOrgPermission('members:manage'),
+  validators.validateOrganizationInvitationCreate,
+  OrganizationController.createInvitation
+);
+
+/**
+ * @route   DELETE /api/organizations/:orgId/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Private (members:manage)
+ */
+router.delete('/:orgId/invitations/:invitationId',
+  authenticate,
+  validators.validateOrganizationInvitationParams,
+  loadOrganization(),
+  requireOrgPermission('members:manage'),
+  OrganizationController.revokeInvitation
+);
+
+module.exports = router;
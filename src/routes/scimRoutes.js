@@ -0,0 +1,185 @@
+const express = require('express');
+const ScimController = require('../controllers/scimController');
+const { authenticateProvisioning } = require('../middleware/authMiddleware');
+const { validators } = require('../middleware/validation');
+const { rateLimitPolicy } = require('../middleware/rateLimiter');
+const { auditFailClosed } = require('../middleware/auditLogger');
+const { createError } = require('../utils/errorUtils');
+
+const router = express.Router();
+
+// SCIM clients send application/scim+json, which the app-wide JSON parser skips
+router.use(express.json({ type: ['application/json', 'application/scim+json'], limit: '1mb' }));
+router.use(rateLimitPolicy('scim'));
+
+/**
+ * @route   GET /scim/v2/ServiceProviderConfig
+ * @desc    Supported SCIM features (filter, PATCH, sort, ETags)
+ * @access  Public
+ */
+router.get('/ServiceProviderConfig', 
+  ScimController.serviceProviderConfig
+);
+
+/**
+ * @route   GET /scim/v2/ResourceTypes
+ * @desc    Resource types served (User and Group)
+ * @access  Public
+ */
+router.get('/ResourceTypes', 
+  ScimController.resourceTypes
+);
+
+/**
+ * @route   GET /scim/v2/Schemas
+ * @desc    Attributes of the User and Group schemas
+ * @access  Public
+ */
+router.get('/Schemas', 
+  ScimController.schemas
+);
+
+/**
+ * @route   GET /scim/v2/Users
+ * @desc    List users with filter, sortBy, startIndex and count
+ * @access  Provisioning token
+ */
+router.get('/Users', 
+  authenticateProvisioning,
+  validators.validateScimListQuery,
+  auditFailClosed,
+  ScimController.listUsers
+);
+
+/**
+ * @route   POST /scim/v2/Users
+ * @desc    Create a user
+ * @access  Provisioning token
+ */
+router.post('/Users', 
+  authenticateProvisioning,
+  auditFailClosed,
+  ScimController.createUser
+);
+
+/**
+ * @route   GET /scim/v2/Users/:id
+ * @desc    Get a user (If-None-Match supported)
+ * @access  Provisioning token
+ */
+router.get('/Users/:id', 
+  authenticateProvisioning,
+  validators.validateScimResourceQuery,
+  auditFailClosed,
+  ScimController.getUser
+);
+
+/**
+ * @route   PUT /scim/v2/Users/:id
+ * @desc    Replace a user's attributes (If-Match supported)
+ * @access  Provisioning token
+ */
+router.put('/Users/:id', 
+  authenticateProvisioning,
+  auditFailClosed,
+  ScimController.replaceUser
+);
+
+/**
+ * @route   PATCH /scim/v2/Users/:id
+ * @desc    Update a user with PATCH operations, e.g. active false to deactivate (If-Match supported)
+ * @access  Provisioning token
+ */
+router.patch('/Users/:id', 
+  authenticateProvisioning,
+  auditFailClosed,
+  ScimController.patchUser
+);
+
+/**
+ * @route   DELETE /scim/v2/Users/:id
+ * @desc    Delete a user (If-Match supported)
+ * @access  Provisioning token
+ */
+router.delete('/Users/:id', 
+  authenticateProvisioning,
+  auditFailClosed,
+  ScimController.deleteUser
+);
+
+/**
+ * @route   GET /scim/v2/Groups
+ * @desc    List groups (roles) with filter, sortBy, startIndex and count
+ * @access  Provisioning token
+ */
+router.get('/Groups', 
+  authenticateProvisioning,
+  validators.validateScimListQuery,
+  auditFailClosed,
+  ScimController.listGroups
+);
+
+/**
+ * @route   POST /scim/v2/Groups
+ * @desc    Create a group (a role without permissions) with its members
+ * @access  Provisioning token
+ */
+router.post('/Groups', 
+  authenticateProvisioning,
+  auditFailClosed,
+  ScimController.createGroup
+);
+
+/**
+ * @route   GET /scim/v2/Groups/:id
+ * @desc    Get a group and its members (If-None-Match supported)
+ * @access  Provisioning token
+ */
+router.get('/Groups/:id', 
+  authenticateProvisioning,
+  validators.validateScimResourceQuery,
+  auditFailClosed,
+  ScimController.getGroup
+);
+
+/**
+ * @route   PUT /scim/v2/Groups/:id
+ * @desc    Replace a group's members (If-Match supported)
+ * @access  Provisioning token
+ */
+router.put('/Groups/:id', 
+  authenticateProvisioning,
+  auditFailClosed,
+  ScimController.replaceGroup
+);
+
+/**
+ * @route   PATCH /scim/v2/Groups/:id
+ * @desc    Add or remove members with PATCH operations (If-Match supported)
+ * @access  Provisioning token
+ */
+router.patch('/Groups/:id', 
+  authenticateProvisioning,
+  auditFailClosed,
+  ScimController.patchGroup
+);
+
+/**
+ * @route   DELETE /scim/v2/Groups/:id
+ * @desc    Delete a group; its members go back to the "user" role (If-Match supported)
+ * @access  Provisioning token
+ */
+router.delete('/Groups/:id', 
+  authenticateProvisioning,
+  auditFailClosed,
+  ScimController.deleteGroup
+);
+
+// Unknown SCIM endpoints and every error are answered in the SCIM format
+router.use((req, res, next) => {
+  next(createError(404, `Endpoint ${req.method} ${req.originalUrl} not found`));
+});
+
+router.use(ScimController.handleError);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const WellKnownController = require('../controllers/wellKnownController');
+
+const router = express.Router();
+
+/**
+ * @route   GET /.well-known/jwks.json
+ * @desc    Public keys of the token signing key ring (JWKS)
+ * @access  Public
+ */
+router.get('/jwks.json', 
+  WellKnownController.getJwks
+);
+
+/**
+ * @route   GET /.well-known/openid-configuration
+ * @desc    OpenID Connect discovery document
+ * @access  Public
+ */
+router.get('/openid-configuration', 
+  WellKnownController.getOpenIdConfiguration
+);
+
+/**
+ * @route   GET /.well-known/oauth-authorization-server
+ * @desc    OAuth 2.0 authorization server metadata (RFC 8414)
+ * @access  Public
+ */
+router.get('/oauth-authorization-server', 
+  WellKnownController.getOpenIdConfiguration
+);
+
+module.exports = router;
@@ -3,7 +3,6 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 
 // Import configurations and utilities
@@ -11,10 +10,20 @@ const database = require('./config/database');
 const swagger = require('./config/swagger');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 const { auditLogger } = require('./middleware/auditLogger');
+const { rateLimitPolicy } = require('./middleware/rateLimiter');
+const roleService = require('./services/roleService');
+const signingKeyService = require('./services/signingKeyService');
+const auditChainService = require('./services/auditChainService');
+const auditOutbox = require('./services/auditOutbox');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const auditRoutes = require('./routes/auditRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
+const wellKnownRoutes = require('./routes/wellKnownRoutes');
+const oauthRoutes = require('./routes/oauthRoutes');
+const scimRoutes = require('./routes/scimRoutes');
 
 class Server {
   constructor() {
@@ -39,21 +48,11 @@ class Server {
       origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Organization-Id']
     }));
 
-    // Rate limiting
-    const limiter = rateLimit({
-      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-      max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
-      message: {
-        error: 'Too many requests from this IP, please try again later.',
-        code: 'RATE_LIMIT_EXCEEDED'
-      },
-      standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-      legacyHeaders: false, // Disable the `X-RateLimit-*` headers
-    });
-    this.app.use('/api/', limiter);
+    // Rate limiting (stricter policies are added per route)
+    this.app.use('/api/', rateLimitPolicy('default'));
 
     // Logging middleware
     if (process.env.NODE_ENV === 'development') {
@@ -92,6 +91,11 @@ class Server {
     // API routes
     this.app.use('/api/auth', authRoutes);
     this.app.use('/api/audit', auditRoutes);
+    this.app.use('/api/admin', adminRoutes);
+    this.app.use('/api/organizations', organizationRoutes);
+    this.app.use('/api/oauth', oauthRoutes);
+    this.app.use('/.well-known', wellKnownRoutes);
+    this.app.use('/scim/v2', scimRoutes);
 
     // Swagger documentation
     this.app.use('/api/docs', swagger.serve, swagger.setup);
@@ -107,7 +111,12 @@ class Server {
         endpoints: {
           auth: '/api/auth',
           audit: '/api/audit',
+          admin: '/api/admin',
+          oauth: '/api/oauth',
+          scim: '/scim/v2',
           health: '/health',
+          jwks: '/.well-known/jwks.json',
+          openidConfiguration: '/.well-known/openid-configuration',
           docs: '/api/docs'
         }
       });
@@ -127,6 +136,18 @@ class Server {
       // Connect to database
       await database.connect();
 
+      // Create the built-in roles
+      await roleService.ensureDefaultRoles();
+
+      // Load the token signing keys (creating the first one)
+      await signingKeyService.ensureKeys();
+
+      // Sign checkpoints of the audit log hash chain
+      auditChainService.startCheckpoints();
+
+      // Write the audit entries left in the outbox, and retry failed ones from now on
+      await auditOutbox.start();
+
       // Start server
       this.server = this.app.listen(this.port, () => {
         console.log(`🚀 Server running on port ${this.port} in ${process.env.NODE_ENV} mode`);
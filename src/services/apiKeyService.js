@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { ApiKey, User } = require('../models');
+const { createError } = require('../utils/errorUtils');
+
+const KEY_PREFIX = 'bib';
+
+// HTTP methods each scope allows
+const SCOPES = {
+  read: ['GET', 'HEAD', 'OPTIONS'],
+  write: ['POST', 'PUT', 'PATCH', 'DELETE']
+};
+
+/**
+ * Personal API key service
+ */
+class ApiKeyService {
+  /**
+   * Create an API key for a user
+   * @param {Object} user - Key owner
+   * @param {Object} params - Key settings
+   * @param {string} params.name - Display name
+   * @param {Array<string>} params.scopes - Granted scopes
+   * @param {Date} params.expiresAt - Expiry (null for none)
+   * @returns {Promise<Object>} The saved key and the full key string (shown only once)
+   */
+  static async createKey(user, { name, scopes = ['read'], expiresAt = null }) {
+    const prefix = `${KEY_PREFIX}_${crypto.randomBytes(6).toString('hex')}`;
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    const apiKey = await ApiKey.create({
+      userId: user._id,
+      name,
+      prefix,
+      secretHash: ApiKey.hashSecret(secret),
+      scopes,
+      expiresAt
+    });
+
+    return { apiKey, key: `${prefix}_${secret}` };
+  }
+
+  /**
+   * Resolve the user behind a presented API key and record its use
+   * @param {string} key - Full API key
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object>} The key and its owner
+   */
+  static async authenticate(key, req = null) {
+    const match = /^([a-z]+_[0-9a-f]{12})_([A-Za-z0-9_-]+)$/.exec(key || '');
+    const apiKey = match && await ApiKey.findOne({ prefix: match[1] }).select('+secretHash');
+
+    if (!apiKey || !apiKey.compareSecret(match[2]) || apiKey.revokedAt) {
+      throw createError(401, 'Invalid API key', 'INVALID_API_KEY');
+    }
+
+    if (apiKey.expiresAt && apiKey.expiresAt <= Date.now()) {
+      throw createError(401, 'API key has expired', 'API_KEY_EXPIRED');
+    }
+
+    const user = await User.findById(apiKey.userId).select('+isActive');
+
+    if (!user) {
+      throw createError(401, 'Invalid API key', 'INVALID_API_KEY');
+    }
+
+    const lastUsedIp = req ? req.ip : null;
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp } });
+
+    return { apiKey, user };
+  }
+
+  /**
+   * Check whether a key's scopes allow an HTTP method
+   * @param {Object} apiKey - API key document
+   * @param {string} method - HTTP method
+   * @returns {boolean} Is the method allowed
+   */
+  static allowsMethod(apiKey, method) {
+    return apiKey.scopes.some(scope => (SCOPES[scope] || []).includes(method));
+  }
+
+  /**
+   * Get a user's usable API keys
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} API keys
+   */
+  static async listForUser(userId) {
+    return ApiKey.findActiveForUser(userId);
+  }
+
+  /**
+   * Revoke one of a user's API keys
+   * @param {string} userId - User ID
+   * @param {string} keyId - API key ID
+   * @returns {Promise<Object|null>} Revoked key or null if not found
+   */
+  static async revokeKey(userId, keyId) {
+    return ApiKey.findOneAndUpdate(
+      { _id: keyId, userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Format an API key for API responses
+   * @param {Object} apiKey - API key document
+   * @returns {Object} API key response
+   */
+  static toResponse(apiKey) {
+    return {
+      id: apiKey._id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      expiresAt: apiKey.expiresAt,
+      lastUsedAt: apiKey.lastUsedAt,
+      lastUsedIp: apiKey.lastUsedIp,
+      createdAt: apiKey.createdAt
+    };
+  }
+}
+
+module.exports = ApiKeyService;
@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const { AuditLog, AuditCheckpoint } = require('../models');
+const { AUDIT } = require('../config/audit');
+const { GENESIS_HASH, canonicalize, hashEntry } = require('../utils/auditChain');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Fields read to recompute the hash of an entry
+const CHAIN_FIELDS = 'sequence userId organizationId action entity entityId changes metadata timestamp description prevHash hash';
+
+/**
+ * Key that signs checkpoints
+ * @returns {string} Secret
+ */
+const getSecret = () => {
+  const secret = process.env.AUDIT_CHECKPOINT_SECRET || process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('Audit checkpoint secret is not configured in environment variables');
+  }
+
+  return secret;
+};
+
+/**
+ * Integrity of the audit log. Entries are hash-chained as they are written (see
+ * AuditLog.appendToChain); this service signs checkpoints of the head of the chain
+ * and walks the chain to find the first entry that was modified or deleted. Expired
+ * entries are deleted from the start of the chain only, behind a signed start
+ * checkpoint, so retention never looks like tampering.
+ */
+class AuditChainService {
+  /**
+   * Sign a checkpoint and apply the retention period every AUDIT_CHECKPOINT_INTERVAL
+   */
+  static startCheckpoints() {
+    if (this.checkpointTimer) return;
+
+    this.checkpointTimer = setInterval(async () => {
+      await this.createCheckpoint().catch(error => console.error('Failed to checkpoint the audit log:', error.message));
+      await this.applyRetention().catch(error => console.error('Failed to apply the audit log retention period:', error.message));
+    }, AUDIT.checkpointInterval);
+    this.checkpointTimer.unref();
+  }
+
+  /**
+   * Verify the entries written since the last checkpoint and sign a checkpoint of the
+   * head of the chain. Nothing is signed if the chain is broken or has not moved.
+   * @returns {Promise<Object|null>} New checkpoint
+   */
+  static async createCheckpoint() {
+    const last = await AuditCheckpoint.findOne().sort({ sequence: -1 }).lean();
+    const report = await this.verify({ fromSequence: last ? last.sequence : undefined });
+
+    if (!report.valid) {
+      console.error(`Audit log chain is broken at entry ${report.brokenLink.sequence}, not signing a checkpoint: ${report.brokenLink.message}`);
+      return null;
+    }
+
+    if (report.lastSequence === null || (last && last.sequence === report.lastSequence)) {
+      return null;
+    }
+
+    const checkpoint = {
+      sequence: report.lastSequence,
+      hash: report.headHash,
+      signedAt: new Date()
+    };
+
+    try {
+      return await AuditCheckpoint.create({ ...checkpoint, signature: this.sign(checkpoint) });
+    } catch (error) {
+      // Another instance signed the same head
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the entries older than AUDIT_RETENTION_DAYS. Only a whole prefix of the
+   * chain is deleted: everything before the first entry that has not expired (the
+   * head is always kept), after checking it. A start checkpoint signed at the last
+   * deleted entry records where the chain now starts, so verification accepts the
+   * missing prefix and still reports any other deleted entry.
+   * @returns {Promise<Object|null>} Last deleted sequence and deleted entries, or null
+   */
+  static async applyRetention() {
+    if (!AUDIT.retentionDays) return null;
+
+    const cutoff = new Date(Date.now() - AUDIT.retentionDays * DAY);
+
+    // Entries written before chaining was enabled are not part of the chain
+    await AuditLog.deleteMany({ timestamp: { $lt: cutoff }, sequence: { $exists: false } });
+
+    const first = await AuditLog.findOne({ sequence: { $exists: true }, timestamp: { $gte: cutoff } })
+      .sort({ sequence: 1 }).select('sequence prevHash').lean()
+      || await AuditLog.findOne({ sequence: { $exists: true } }).sort({ sequence: -1 }).select('sequence prevHash').lean();
+    const start = await this.findStart();
+
+    if (!first || first.sequence - 1 <= (start ? start.sequence : 0)) {
+      return null;
+    }
+
+    // Deleting the entries would also delete the evidence of a broken link among them
+    const report = await this.verify({ toSequence: first.sequence });
+    if (!report.valid) {
+      console.error(`Audit log chain is broken at entry ${report.brokenLink.sequence}, not deleting expired entries: ${report.brokenLink.message}`);
+      return null;
+    }
+
+    const checkpoint = {
+      sequence: first.sequence - 1,
+      hash: first.prevHash,
+      signedAt: new Date(),
+      start: true
+    };
+
+    // Checkpoints of the deleted entries make way for the start checkpoint, which is
+    // signed before the entries go; older start checkpoints go after them
+    await AuditCheckpoint.deleteMany({ sequence: { $lte: checkpoint.sequence }, start: { $ne: true } });
+
+    try {
+      await AuditCheckpoint.create({ ...checkpoint, signature: this.sign(checkpoint) });
+    } catch (error) {
+      // Another instance applied the retention period
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    const { deletedCount } = await AuditLog.deleteMany({ sequence: { $lte: checkpoint.sequence } });
+    await AuditCheckpoint.deleteMany({ sequence: { $lt: checkpoint.sequence } });
+
+    return { deletedThrough: checkpoint.sequence, deletedEntries: deletedCount };
+  }
+
+  /**
+   * Latest start checkpoint with a valid signature: the chain starts after it
+   * @returns {Promise<Object|null>} Start checkpoint
+   */
+  static async findStart() {
+    const starts = await AuditCheckpoint.find({ start: true }).sort({ sequence: -1 }).lean();
+    return starts.find(checkpoint => this.isSignatureValid(checkpoint)) || null;
+  }
+
+  /**
+   * Signature of a checkpoint
+   * @param {Object} checkpoint - Sequence, hash, signedAt and start
+   * @returns {string} HMAC-SHA256, hex encoded
+   */
+  static sign({ sequence, hash, signedAt, start }) {
+    return crypto
+      .createHmac('sha256', getSecret())
+      .update(canonicalize({ sequence, hash, signedAt, start: start || undefined }))
+      .digest('hex');
+  }
+
+  /**
+   * Check the signature of a checkpoint
+   * @param {Object} checkpoint - AuditCheckpoint
+   * @returns {boolean} Whether it was signed with our secret
+   */
+  static isSignatureValid(checkpoint) {
+    const expected = Buffer.from(this.sign(checkpoint), 'hex');
+    const actual = Buffer.from(String(checkpoint.signature || ''), 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Walk the hash chain in order and report the first broken link
+   * @param {Object} options - fromSequence and toSequence limit the walk (default: everything)
+   * @returns {Promise<Object>} Verification report
+   */
+  static async verify({ fromSequence, toSequence } = {}) {
+    // Entries up to the start checkpoint were deleted by the retention period
+    const start = await this.findStart();
+    const from = Math.max(fromSequence || 1, start ? start.sequence + 1 : 1);
+
+    const range = {};
+    if (from > 1) range.$gte = from;
+    if (toSequence) range.$lte = toSequence;
+    const sequence = Object.keys(range).length ? range : { $exists: true };
+
+    const checkpoints = await AuditCheckpoint.find({ sequence }).sort({ sequence: 1 }).lean();
+    const checkpointsBySequence = new Map(checkpoints.map(checkpoint => [checkpoint.sequence, checkpoint]));
+
+    const report = {
+      valid: true,
+      checkedEntries: 0,
+      firstSequence: null,
+      lastSequence: null,
+      headHash: null,
+      checkedCheckpoints: 0,
+      latestCheckpoint: null,
+      startCheckpoint: start ? { sequence: start.sequence, hash: start.hash, signedAt: start.signedAt } : null,
+      brokenLink: null
+    };
+
+    // The entry before the range, to check the first link of the range
+    let previous = from > 1
+      ? await AuditLog.findOne({ sequence: { $lt: from } }).sort({ sequence: -1 }).select(CHAIN_FIELDS).lean()
+      : null;
+
+    // ...or the start checkpoint, which signed the hash of the last deleted entry
+    if (start && (!previous || previous.sequence <= start.sequence)) {
+      previous = { sequence: start.sequence, hash: start.hash };
+    }
+
+    const entries = AuditLog.find({ sequence }).sort({ sequence: 1 }).select(CHAIN_FIELDS).lean().cursor();
+
+    for await (const entry of entries) {
+      const checkpoint = checkpointsBySequence.get(entry.sequence);
+      const problem = this.checkEntry(entry, previous, checkpoint);
+
+      if (problem) {
+        report.brokenLink = { sequence: entry.sequence, logId: entry._id, ...problem };
+        break;
+      }
+
+      report.checkedEntries++;
+      report.firstSequence = report.firstSequence || entry.sequence;
+      report.lastSequence = entry.sequence;
+      report.headHash = entry.hash;
+
+      if (checkpoint) {
+        report.checkedCheckpoints++;
+        report.latestCheckpoint = { sequence: checkpoint.sequence, hash: checkpoint.hash, signedAt: checkpoint.signedAt };
+      }
+
+      previous = entry;
+    }
+
+    // A checkpoint past the end of the chain means its latest entries were deleted
+    const beyond = checkpoints.find(checkpoint => !checkpoint.start && checkpoint.sequence > (report.lastSequence || 0));
+    if (!report.brokenLink && beyond && this.isSignatureValid(beyond)) {
+      report.brokenLink = {
+        sequence: (report.lastSequence || 0) + 1,
+        logId: null,
+        reason: 'truncated',
+        message: `The chain ends at entry ${report.lastSequence || 0}, but a checkpoint was signed at entry ${beyond.sequence}`
+      };
+    }
+
+    if (!fromSequence && !toSequence) {
+      // Entries written before chaining was enabled are not covered
+      report.unchainedEntries = await AuditLog.countDocuments({ sequence: { $exists: false } });
+    }
+
+    report.valid = !report.brokenLink;
+    return report;
+  }
+
+  /**
+   * Check one link of the chain
+   * @param {Object} entry - Audit log entry
+   * @param {Object|null} previous - Entry before it, or the start checkpoint (null if there is none)
+   * @param {Object} checkpoint - Checkpoint signed at this entry, if any
+   * @returns {Object|null} Reason and message of the problem, or null if the link holds
+   */
+  static checkEntry(entry, previous, checkpoint) {
+    // The chain starts at entry 1, or after the start checkpoint, and has no gaps
+    const expectedSequence = previous ? previous.sequence + 1 : 1;
+    if (entry.sequence !== expectedSequence) {
+      return {
+        reason: 'missing_entries',
+        message: entry.sequence - expectedSequence === 1
+          ? `Entry ${expectedSequence} is missing`
+          : `Entries ${expectedSequence} to ${entry.sequence - 1} are missing`
+      };
+    }
+
+    const expectedPrevHash = previous ? previous.hash : GENESIS_HASH;
+    if (entry.prevHash !== expectedPrevHash) {
+      return {
+        reason: 'prev_hash_mismatch',
+        message: previous
+          ? `Does not link to the hash of entry ${previous.sequence}`
+          : 'The first entry does not start the chain'
+      };
+    }
+
+    if (hashEntry(entry, entry.prevHash) !== entry.hash) {
+      return {
+        reason: 'hash_mismatch',
+        message: 'The entry does not match its hash (it was modified)'
+      };
+    }
+
+    if (checkpoint && !this.isSignatureValid(checkpoint)) {
+      return {
+        reason: 'invalid_checkpoint',
+        message: 'The checkpoint signed at this entry has an invalid signature'
+      };
+    }
+
+    if (checkpoint && checkpoint.hash !== entry.hash) {
+      return {
+        reason: 'checkpoint_mismatch',
+        message: 'The entry does not match the checkpoint signed at it (the chain was rewritten)'
+      };
+    }
+
+    return null;
+  }
+}
+
+module.exports = AuditChainService;
@@ -1,37 +1,37 @@
 const { AuditLog } = require('../models');
+const auditOutbox = require('./auditOutbox');
 
 /**
  * Audit logging service
  */
 class AuditLogService {
   /**
-   * Create an audit log entry
+   * Create an audit log entry. Entries that cannot be written are queued in the audit
+   * outbox and retried; with failClosed an error is thrown as well (see auditFailClosed).
    * @param {Object} params - Audit log parameters
-   * @returns {Promise<Object|null>} Created audit log or null if failed
+   * @returns {Promise<Object|null>} Created audit log, or null if it was queued
    */
   static async createLog({
     userId,
+    organizationId = null,
     action,
     entity,
     entityId,
     changes = {},
     metadata = {},
-    description = ''
+    description = '',
+    failClosed = false
   }) {
-    try {
-      return await AuditLog.createLog({
-        userId,
-        action,
-        entity,
-        entityId,
-        changes,
-        metadata,
-        description
-      });
-    } catch (error) {
-      console.error('Audit log creation failed:', error);
-      return null;
-    }
+    return auditOutbox.write({
+      userId,
+      organizationId,
+      action,
+      entity,
+      entityId,
+      changes,
+      metadata,
+      description
+    }, { failClosed });
   }
 
   /**
@@ -45,12 +45,14 @@ class AuditLogService {
     entityId,
     data,
     req = null,
+    organizationId,
     description = ''
   }) {
     const metadata = req ? this.extractMetadata(req) : {};
     
     return this.createLog({
       userId,
+      organizationId: organizationId !== undefined ? organizationId : this.extractOrganizationId(req),
       action: 'CREATE',
       entity,
       entityId,
@@ -73,12 +75,14 @@ class AuditLogService {
     entity,
     entityId,
     req = null,
+    organizationId,
     description = ''
   }) {
     const metadata = req ? this.extractMetadata(req) : {};
     
     return this.createLog({
       userId,
+      organizationId: organizationId !== undefined ? organizationId : this.extractOrganizationId(req),
       action: 'READ',
       entity,
       entityId,
@@ -100,12 +104,14 @@ class AuditLogService {
     before,
     after,
     req = null,
+    organizationId,
     description = ''
   }) {
     const metadata = req ? this.extractMetadata(req) : {};
     
     return this.createLog({
       userId,
+      organizationId: organizationId !== undefined ? organizationId : this.extractOrganizationId(req),
       action: 'UPDATE',
       entity,
       entityId,
@@ -129,12 +135,14 @@ class AuditLogService {
     entityId,
     data,
     req = null,
+    organizationId,
     description = ''
   }) {
     const metadata = req ? this.extractMetadata(req) : {};
     
     return this.createLog({
       userId,
+      organizationId: organizationId !== undefined ? organizationId : this.extractOrganizationId(req),
       action: 'DELETE',
       entity,
       entityId,
@@ -147,6 +155,15 @@ class AuditLogService {
     });
   }
 
+  /**
+   * Extract the organization a request acts in
+   * @param {Object} req - Express request object
+   * @returns {Object|null} Organization ID
+   */
+  static extractOrganizationId(req) {
+    return req && req.organization ? req.organization._id : null;
+  }
+
   /**
    * Extract metadata from request object
    * @param {Object} req - Express request object
@@ -158,7 +175,10 @@ class AuditLogService {
       userAgent: req.get('User-Agent'),
       route: req.route ? req.route.path : req.path,
       method: req.method,
-      requestId: req.requestId
+      requestId: req.requestId,
+      authMethod: req.authMethod,
+      actor: req.actor,
+      impersonatorId: req.impersonator ? req.impersonator._id : undefined
     };
   }
 
@@ -208,7 +228,9 @@ class AuditLogService {
   }
 
   /**
-   * Clean up old audit logs (for maintenance)
+   * Clean up old audit logs (for maintenance). Only entries written before chaining
+   * was enabled are deleted: chained entries expire through the retention period
+   * (auditChainService.applyRetention), which keeps the chain verifiable.
    * @param {number} daysOld - Number of days old
    * @returns {Promise<number>} Number of deleted logs
    */
@@ -218,7 +240,8 @@ class AuditLogService {
       cutoffDate.setDate(cutoffDate.getDate() - daysOld);
       
       const result = await AuditLog.deleteMany({
-        timestamp: { $lt: cutoffDate }
+        timestamp: { $lt: cutoffDate },
+        sequence: { $exists: false }
       });
       
       console.log(`Cleaned up ${result.deletedCount} old audit logs`);
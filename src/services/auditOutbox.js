@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AuditLog } = require('../models');
+const database = require('../config/database');
+const { AUDIT } = require('../config/audit');
+const { createError } = require('../utils/errorUtils');
+
+/**
+ * Errors that retrying cannot fix (invalid entries)
+ * @param {Error} error - Write error
+ * @returns {boolean} Whether the entry can never be written
+ */
+const isPermanent = error =>
+  error.name === 'ValidationError' || error.name === 'CastError' || error instanceof TypeError;
+
+/**
+ * Durable outbox for audit entries. Entries are written to the database right away;
+ * those that fail are appended to a local file (one JSON record per line) and retried
+ * in the background until they are written, so a database hiccup does not lose them.
+ * Every entry gets an eventId first, so a retry never writes an entry twice.
+ *
+ * While the outbox holds entries (or the database is down), routes that fail closed
+ * refuse requests instead of acting without an audit trail.
+ */
+class AuditOutbox {
+  constructor() {
+    this.path = AUDIT.outboxPath;
+    this.maxAttempts = AUDIT.outboxMaxAttempts;
+    this.flushing = null;
+    this.pending = 0;
+    this.metrics = {
+      written: 0, // Written on the first attempt
+      queued: 0, // Queued in the outbox after a failed write
+      retries: 0, // Retry attempts of queued entries
+      recovered: 0, // Queued entries written by a retry
+      dropped: 0 // Entries given up on (invalid, out of attempts, or the outbox could not be written)
+    };
+    this.lastFailure = null;
+  }
+
+  /**
+   * Pick up the entries left in the outbox and retry them every AUDIT_OUTBOX_RETRY_INTERVAL
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const retry = () => this.flush().catch(error => console.error('Failed to retry queued audit logs:', error.message));
+
+    if (!this.retryTimer) {
+      this.retryTimer = setInterval(retry, AUDIT.outboxRetryInterval);
+      this.retryTimer.unref();
+    }
+
+    await retry();
+  }
+
+  /**
+   * Write an audit entry, queueing it if the database write fails
+   * @param {Object} entry - AuditLog.createLog parameters
+   * @param {Object} options - failClosed: throw when the entry could not be written
+   * @returns {Promise<Object|null>} Created audit log, or null if it was queued
+   */
+  async write(entry, { failClosed = false } = {}) {
+    const event = { eventId: crypto.randomUUID(), timestamp: new Date(), ...entry };
+
+    try {
+      const auditLog = await AuditLog.createLog(event);
+      this.metrics.written++;
+      return auditLog;
+    } catch (error) {
+      this.lastFailure = { message: error.message, at: new Date() };
+
+      if (isPermanent(error)) {
+        this.drop({ entry: event, attempts: 1 }, error);
+      } else {
+        console.error('Failed to write audit log, queued for retry:', error.message);
+        await this.queue(event, error);
+      }
+
+      if (failClosed) {
+        throw createError(503, 'The audit log is unavailable, so the request was not completed', 'AUDIT_UNAVAILABLE');
+      }
+
+      return null;
+    }
+  }
+
+  /**
+   * Append an entry to the outbox file
+   * @param {Object} entry - Entry with its eventId and timestamp
+   * @param {Error} error - Why it could not be written
+   * @returns {Promise<void>}
+   */
+  async queue(entry, error) {
+    const record = { entry, attempts: 1, queuedAt: new Date(), lastError: error.message };
+
+    try {
+      await this.append(this.path, [record]);
+      this.metrics.queued++;
+      this.pending++;
+    } catch (spoolError) {
+      this.drop(record, spoolError);
+    }
+  }
+
+  /**
+   * Retry the queued entries (one retry at a time)
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.drain().finally(() => {
+        this.flushing = null;
+      });
+    }
+
+    return this.flushing;
+  }
+
+  /**
+   * Move the outbox file aside, retry its entries and queue the ones that still fail again
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    const retryPath = this.retryPath();
+
+    // A retry file is left behind if the process stopped during a retry; finish it first
+    if (!fs.existsSync(retryPath)) {
+      if (!fs.existsSync(this.path)) {
+        this.pending = 0;
+        return;
+      }
+      await fs.promises.rename(this.path, retryPath);
+    }
+
+    const records = await this.readRecords(retryPath);
+    const remaining = [];
+
+    for (const record of records) {
+      // Once the database fails, leave the rest for the next retry
+      if (remaining.length) {
+        remaining.push(record);
+        continue;
+      }
+
+      if (!(await this.retry(record))) {
+        remaining.push(record);
+      }
+    }
+
+    await this.append(this.path, remaining);
+    await fs.promises.unlink(retryPath);
+
+    // Entries that still fail and those queued during the retry
+    this.pending = await this.countRecords(this.path);
+  }
+
+  /**
+   * Retry one queued entry
+   * @param {Object} record - Outbox record
+   * @returns {Promise<boolean>} Whether the record is done with (written or dropped)
+   */
+  async retry(record) {
+    record.attempts++;
+    this.metrics.retries++;
+
+    try {
+      await AuditLog.createLog(record.entry);
+      this.metrics.recovered++;
+      return true;
+    } catch (error) {
+      // Written by an earlier retry that was not recorded as done
+      if (error.code === 11000 && await AuditLog.exists({ eventId: record.entry.eventId })) {
+        this.metrics.recovered++;
+        return true;
+      }
+
+      this.lastFailure = { message: error.message, at: new Date() };
+      record.lastError = error.message;
+
+      if (isPermanent(error) || (this.maxAttempts && record.attempts >= this.maxAttempts)) {
+        this.drop(record, error);
+        return true;
+      }
+
+      return false;
+    }
+  }
+
+  /**
+   * Give up on an entry. The entry is logged in full so it is never lost without a trace.
+   * @param {Object} record - Outbox record
+   * @param {Error} error - Last error
+   */
+  drop(record, error) {
+    this.metrics.dropped++;
+    console.error(`Audit log dropped after ${record.attempts} attempt(s): ${error.message}`, JSON.stringify(record.entry));
+  }
+
+  /**
+   * Whether audit entries are being written (routes that fail closed check this)
+   * @returns {boolean} True when the database is up and nothing waits in the outbox
+   */
+  isHealthy() {
+    return database.isConnected() && this.pending === 0;
+  }
+
+  /**
+   * Outbox counters since the process started
+   * @returns {Object} Metrics
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      pending: this.pending,
+      healthy: this.isHealthy(),
+      lastFailure: this.lastFailure
+    };
+  }
+
+  /**
+   * File the outbox is moved to while it is retried
+   * @returns {string} Path
+   */
+  retryPath() {
+    return `${this.path}.retry`;
+  }
+
+  /**
+   * Read the records of an outbox file. Lines cut short by a crash are dropped.
+   * @param {string} file - Outbox file
+   * @returns {Promise<Array>} Records
+   */
+  async readRecords(file) {
+    let content;
+    try {
+      content = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return content.split('\n').filter(Boolean).reduce((records, line) => {
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        this.drop({ entry: line, attempts: 0 }, new Error('Unreadable outbox record'));
+      }
+      return records;
+    }, []);
+  }
+
+  /**
+   * Count the records of an outbox file
+   * @param {string} file - Outbox file
+   * @returns {Promise<number>} Records
+   */
+  async countRecords(file) {
+    try {
+      const content = await fs.promises.readFile(file, 'utf8');
+      return content.split('\n').filter(Boolean).length;
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+  }
+
+  /**
+   * Append records to an outbox file
+   * @param {string} file - Outbox file
+   * @param {Array} records - Records
+   * @returns {Promise<void>}
+   */
+  async append(file, records) {
+    if (!records.length) return;
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+  }
+}
+
+module.exports = new AuditOutbox();
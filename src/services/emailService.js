@@ -221,6 +221,264 @@ class EmailService {
     });
   }
 
+  /**
+   * Send magic sign-in link email
+   * @param {string} email - User email
+   * @param {string} magicLinkToken - Magic link token
+   * @param {string} userName - User name
+   * @returns {Promise<Object>} Email result
+   */
+  async sendMagicLinkEmail(email, magicLinkToken, userName) {
+    const signinUrl = `${process.env.APP_URL}/magic-link?token=${magicLinkToken}`;
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+          <meta charset="utf-8">
+          <title>Sign In Link</title>
+          <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+              .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background-color: #f4f4f4; padding: 20px; text-align: center; }
+              .content { padding: 20px; }
+              .button { 
+                  display: inline-block; 
+                  background-color: #007bff; 
+                  color: white; 
+                  padding: 12px 24px; 
+                  text-decoration: none; 
+                  border-radius: 4px; 
+                  margin: 20px 0; 
+              }
+              .footer { background-color: #f4f4f4; padding: 20px; text-align: center; font-size: 14px; }
+              .warning { color: #dc3545; font-weight: bold; }
+          </style>
+      </head>
+      <body>
+          <div class="container">
+              <div class="header">
+                  <h1>${process.env.APP_NAME || 'BE Image Builder'}</h1>
+              </div>
+              <div class="content">
+                  <h2>Your Sign In Link</h2>
+                  <p>Hi ${userName},</p>
+                  <p>Click the button below to sign in. Open it in the same browser you requested it from:</p>
+                  <p>
+                      <a href="${signinUrl}" class="button">Sign In</a>
+                  </p>
+                  <p>Or copy and paste this link into your browser:</p>
+                  <p><a href="${signinUrl}">${signinUrl}</a></p>
+                  <p class="warning">This link will expire in 10 minutes and can only be used once.</p>
+                  <p>If you didn't request this link, please ignore this email.</p>
+                  <p>Thanks,<br>The ${process.env.APP_NAME || 'BE Image Builder'} Team</p>
+              </div>
+              <div class="footer">
+                  <p>This is an automated message, please do not reply to this email.</p>
+              </div>
+          </div>
+      </body>
+      </html>
+    `;
+
+    const text = `
+      Your Sign In Link
+      
+      Hi ${userName},
+      
+      Visit the following link to sign in. Open it in the same browser you requested it from:
+      
+      ${signinUrl}
+      
+      This link will expire in 10 minutes and can only be used once.
+      
+      If you didn't request this link, please ignore this email.
+      
+      Thanks,
+      The ${process.env.APP_NAME || 'BE Image Builder'} Team
+    `;
+
+    return this.sendEmail({
+      to: email,
+      subject: 'Your Sign In Link',
+      html,
+      text
+    });
+  }
+
+  /**
+   * Send account invitation email
+   * @param {string} email - Invitee email
+   * @param {string} invitationToken - Invitation token
+   * @param {Object} details - Invitation details
+   * @param {string} details.inviterName - Name of the admin who sent the invitation
+   * @returns {Promise<Object>} Email result
+   */
+  async sendInvitationEmail(email, invitationToken, { inviterName }) {
+    const acceptUrl = `${process.env.APP_URL}/accept-invitation?token=${invitationToken}`;
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+          <meta charset="utf-8">
+          <title>Invitation</title>
+          <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+              .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background-color: #f4f4f4; padding: 20px; text-align: center; }
+              .content { padding: 20px; }
+              .button { 
+                  display: inline-block; 
+                  background-color: #007bff; 
+                  color: white; 
+                  padding: 12px 24px; 
+                  text-decoration: none; 
+                  border-radius: 4px; 
+                  margin: 20px 0; 
+              }
+              .footer { background-color: #f4f4f4; padding: 20px; text-align: center; font-size: 14px; }
+              .warning { color: #dc3545; font-weight: bold; }
+          </style>
+      </head>
+      <body>
+          <div class="container">
+              <div class="header">
+                  <h1>${process.env.APP_NAME || 'BE Image Builder'}</h1>
+              </div>
+              <div class="content">
+                  <h2>You're Invited</h2>
+                  <p>Hi,</p>
+                  <p>${inviterName} has invited you to create an account. Click the button below to accept the invitation:</p>
+                  <p>
+                      <a href="${acceptUrl}" class="button">Create Account</a>
+                  </p>
+                  <p>Or copy and paste this link into your browser:</p>
+                  <p><a href="${acceptUrl}">${acceptUrl}</a></p>
+                  <p class="warning">This invitation will expire in 7 days.</p>
+                  <p>If you weren't expecting this invitation, please ignore this email.</p>
+                  <p>Thanks,<br>The ${process.env.APP_NAME || 'BE Image Builder'} Team</p>
+              </div>
+              <div class="footer">
+                  <p>This is an automated message, please do not reply to this email.</p>
+              </div>
+          </div>
+      </body>
+      </html>
+    `;
+
+    const text = `
+      You're Invited
+      
+      Hi,
+      
+      ${inviterName} has invited you to create an account. Visit the following link to accept the invitation:
+      
+      ${acceptUrl}
+      
+      This invitation will expire in 7 days.
+      
+      If you weren't expecting this invitation, please ignore this email.
+      
+      Thanks,
+      The ${process.env.APP_NAME || 'BE Image Builder'} Team
+    `;
+
+    return this.sendEmail({
+      to: email,
+      subject: `You're invited to ${process.env.APP_NAME || 'BE Image Builder'}`,
+      html,
+      text
+    });
+  }
+
+  /**
+   * Send organization invitation email
+   * @param {string} email - Invitee email
+   * @param {string} invitationToken - Invitation token
+   * @param {Object} details - Invitation details
+   * @param {string} details.organizationName - Organization the invitee joins
+   * @param {string} details.inviterName - Name of the member who sent the invitation
+   * @returns {Promise<Object>} Email result
+   */
+  async sendOrganizationInvitationEmail(email, invitationToken, { organizationName, inviterName }) {
+    const acceptUrl = `${process.env.APP_URL}/invitations/accept?token=${invitationToken}`;
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+          <meta charset="utf-8">
+          <title>Organization Invitation</title>
+          <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+              .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background-color: #f4f4f4; padding: 20px; text-align: center; }
+              .content { padding: 20px; }
+              .button { 
+                  display: inline-block; 
+                  background-color: #007bff; 
+                  color: white; 
+                  padding: 12px 24px; 
+                  text-decoration: none; 
+                  border-radius: 4px; 
+                  margin: 20px 0; 
+              }
+              .footer { background-color: #f4f4f4; padding: 20px; text-align: center; font-size: 14px; }
+              .warning { color: #dc3545; font-weight: bold; }
+          </style>
+      </head>
+      <body>
+          <div class="container">
+              <div class="header">
+                  <h1>${process.env.APP_NAME || 'BE Image Builder'}</h1>
+              </div>
+              <div class="content">
+                  <h2>You're Invited to ${organizationName}</h2>
+                  <p>Hi,</p>
+                  <p>${inviterName} has invited you to join <strong>${organizationName}</strong>. Click the button below to accept the invitation:</p>
+                  <p>
+                      <a href="${acceptUrl}" class="button">Accept Invitation</a>
+                  </p>
+                  <p>Or copy and paste this link into your browser:</p>
+                  <p><a href="${acceptUrl}">${acceptUrl}</a></p>
+                  <p class="warning">This invitation will expire in 7 days.</p>
+                  <p>If you weren't expecting this invitation, please ignore this email.</p>
+                  <p>Thanks,<br>The ${process.env.APP_NAME || 'BE Image Builder'} Team</p>
+              </div>
+              <div class="footer">
+                  <p>This is an automated message, please do not reply to this email.</p>
+              </div>
+          </div>
+      </body>
+      </html>
+    `;
+
+    const text = `
+      You're Invited to ${organizationName}
+      
+      Hi,
+      
+      ${inviterName} has invited you to join ${organizationName}. Visit the following link to accept the invitation:
+      
+      ${acceptUrl}
+      
+      This invitation will expire in 7 days.
+      
+      If you weren't expecting this invitation, please ignore this email.
+      
+      Thanks,
+      The ${process.env.APP_NAME || 'BE Image Builder'} Team
+    `;
+
+    return this.sendEmail({
+      to: email,
+      subject: `You're invited to join ${organizationName}`,
+      html,
+      text
+    });
+  }
+
   /**
    * Check if email service is configured
    * @returns {boolean} Is email service configured
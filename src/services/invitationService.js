@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { Invitation, User } = require('../models');
+const emailService = require('./emailService');
+const roleService = require('./roleService');
+const { createError } = require('../utils/errorUtils');
+
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Account invitation service (invitations to join the platform with a pre-assigned role;
+ * organization invitations live in the organization service)
+ */
+class InvitationService {
+  /**
+   * Check whether public signup is disabled and accounts are created by invitation only
+   * @returns {boolean} Is invite-only mode on
+   */
+  static isInviteOnly() {
+    return process.env.INVITE_ONLY === 'true';
+  }
+
+  /**
+   * Invite someone to create an account, replacing any pending invitation for the address
+   * @param {Object} inviter - User sending the invitation
+   * @param {Object} params - Invitation settings
+   * @param {string} params.email - Invitee email
+   * @param {string} params.role - Role the account is created with
+   * @returns {Promise<Object>} The invitation and the raw token (sent by email only)
+   */
+  static async createInvitation(inviter, { email, role }) {
+    if (await User.exists({ email })) {
+      throw createError(409, 'A user with this email already exists', 'USER_EXISTS');
+    }
+
+    if (!(await roleService.exists(role))) {
+      throw createError(404, 'Role not found');
+    }
+
+    await Invitation.updateMany(
+      { organizationId: null, email, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    const invitation = new Invitation({
+      email,
+      role,
+      invitedBy: inviter._id
+    });
+    const token = this.renewToken(invitation);
+    await invitation.save();
+
+    return { invitation, token };
+  }
+
+  /**
+   * Give an invitation a new token and a fresh expiry (the old link stops working)
+   * @param {Object} invitation - Invitation document (not saved)
+   * @returns {string} Raw invitation token
+   */
+  static renewToken(invitation) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    invitation.tokenHash = Invitation.hashToken(token);
+    invitation.expiresAt = new Date(Date.now() + INVITATION_TTL);
+
+    return token;
+  }
+
+  /**
+   * Email an invitation link
+   * @param {Object} invitation - Invitation document
+   * @param {string} token - Raw invitation token
+   * @param {Object} inviter - User who sent the invitation
+   * @returns {Promise<boolean>} Was the email sent
+   */
+  static async sendInvitation(invitation, token, inviter) {
+    if (!emailService.isConfigured()) {
+      return false;
+    }
+
+    try {
+      await emailService.sendInvitationEmail(invitation.email, token, { inviterName: inviter.name });
+      return true;
+    } catch (error) {
+      console.error('Failed to send invitation email:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Find the account invitation a token belongs to
+   * @param {string} token - Raw invitation token
+   * @returns {Promise<Object>} Pending invitation
+   */
+  static async findPending(token) {
+    const invitation = await Invitation.findPendingByToken(token);
+
+    if (!invitation || invitation.organizationId) {
+      throw createError(400, 'Invitation is invalid or has expired', 'INVALID_INVITATION');
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Role a new account gets from its invitation (the default role if the invited one was deleted)
+   * @param {Object} invitation - Invitation document
+   * @returns {Promise<string>} Role name
+   */
+  static async getRole(invitation) {
+    return (await roleService.exists(invitation.role)) ? invitation.role : 'user';
+  }
+
+  /**
+   * Mark an invitation as used by the account created from it
+   * @param {Object} invitation - Invitation document
+   * @param {Object} user - New user
+   * @returns {Promise<void>}
+   */
+  static async markAccepted(invitation, user) {
+    invitation.acceptedAt = new Date();
+    invitation.acceptedBy = user._id;
+    await invitation.save();
+  }
+
+  /**
+   * Format an invitation for API responses
+   * @param {Object} invitation - Invitation document
+   * @returns {Object} Invitation details
+   */
+  static toResponse(invitation) {
+    return {
+      ...invitation.toJSON(),
+      status: invitation.status
+    };
+  }
+}
+
+module.exports = InvitationService;
@@ -0,0 +1,127 @@
+const { LoginThrottle } = require('../models');
+const auditLogService = require('./auditLogService');
+const { LOCKOUT, getLockDuration } = require('../config/lockout');
+
+/**
+ * Failed login lockout: the account lock on the user document, plus per-IP and
+ * per-email counters kept apart from users so that guessing unknown emails is
+ * throttled too (see config/lockout)
+ */
+class LockoutService {
+  /**
+   * Count a failed signin factor against the account and audit the lock it causes
+   * @param {Object} user - User document (with loginAttempts and lockUntil selected)
+   * @param {Object} req - Express request object
+   * @returns {Promise<void>}
+   */
+  static async registerFailure(user, req) {
+    await user.incLoginAttempts();
+
+    if (user.isLocked) {
+      await auditLogService.logUpdate({
+        userId: user._id,
+        entity: 'User',
+        entityId: user._id,
+        before: { lockUntil: null },
+        after: { loginAttempts: user.loginAttempts, lockUntil: user.lockUntil },
+        req,
+        description: `Account locked until ${user.lockUntil.toISOString()} after ${user.loginAttempts} failed login attempts`
+      });
+    }
+  }
+
+  /**
+   * Seconds until signin is allowed again for the request's IP address and email
+   * @param {Object} req - Express request object
+   * @param {string} email - Email the signin is for
+   * @returns {Promise<number>} Seconds to wait (0 when not throttled)
+   */
+  static async getRetryAfter(req, email) {
+    const throttles = await LoginThrottle.find({
+      $or: this.getKeys(req, email),
+      lockUntil: { $gt: new Date() }
+    });
+
+    const lockUntil = Math.max(0, ...throttles.map(throttle => throttle.lockUntil.getTime()));
+    return lockUntil ? Math.ceil((lockUntil - Date.now()) / 1000) : 0;
+  }
+
+  /**
+   * Count a failed password signin against the IP address and the email
+   * @param {Object} req - Express request object
+   * @param {string} email - Email the signin was for
+   * @param {Object} user - User the email belongs to (null for unknown emails)
+   * @returns {Promise<void>}
+   */
+  static async recordFailure(req, email, user = null) {
+    const now = new Date();
+
+    for (const key of this.getKeys(req, email)) {
+      const throttle = await LoginThrottle.findOneAndUpdate(
+        key,
+        {
+          $inc: { failures: 1 },
+          $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + LOCKOUT.attemptWindow) }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      const threshold = key.type === 'ip' ? LOCKOUT.maxAttemptsPerIp : LOCKOUT.maxAttempts;
+      const lockTime = getLockDuration(throttle.failures, threshold);
+
+      if (!lockTime) continue;
+
+      const before = { lockUntil: throttle.lockUntil };
+      throttle.lockUntil = new Date(now.getTime() + lockTime);
+      throttle.expiresAt = new Date(throttle.lockUntil.getTime() + LOCKOUT.attemptWindow);
+      await throttle.save();
+
+      await auditLogService.logUpdate({
+        userId: user ? user._id : null,
+        entity: 'LoginThrottle',
+        entityId: throttle._id,
+        before,
+        after: { failures: throttle.failures, lockUntil: throttle.lockUntil },
+        req,
+        description: `Signin locked for ${key.type} ${key.value} until ${throttle.lockUntil.toISOString()} after ${throttle.failures} failed attempts`
+      });
+    }
+  }
+
+  /**
+   * Forget the failures for an email after a successful signin (the IP counter is
+   * kept so an attacker can't reset it by signing in to their own account)
+   * @param {string} email - Email that signed in
+   * @returns {Promise<void>}
+   */
+  static async recordSuccess(email) {
+    await LoginThrottle.deleteOne({ type: 'email', value: email.toLowerCase() });
+  }
+
+  /**
+   * Counters that apply to a signin attempt
+   * @param {Object} req - Express request object
+   * @param {string} email - Email the signin is for
+   * @returns {Array} Counter keys
+   */
+  static getKeys(req, email) {
+    return [
+      { type: 'ip', value: req.ip },
+      { type: 'email', value: email.toLowerCase() }
+    ];
+  }
+
+  /**
+   * Format a counter for API responses
+   * @param {Object} throttle - LoginThrottle document
+   * @returns {Object} Counter details
+   */
+  static toResponse(throttle) {
+    return {
+      ...throttle.toJSON(),
+      isLocked: throttle.isLocked
+    };
+  }
+}
+
+module.exports = LockoutService;
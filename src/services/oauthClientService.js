@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { OAuthClient } = require('../models');
+
+const CLIENT_ID_PREFIX = 'cli';
+
+/**
+ * OAuth client registry: services that call the OAuth endpoints with client credentials
+ */
+class OAuthClientService {
+  /**
+   * Register a client
+   * @param {Object} params - Client settings
+   * @param {string} params.name - Display name
+   * @param {string} params.type - confidential (has a secret) or public
+   * @param {boolean} params.trusted - May introspect and revoke any token
+   * @param {Array<string>} params.redirectUris - Where authorization responses may be sent
+   * @param {Array<string>} params.grantTypes - Grants the client may use at /token
+   * @param {Array<string>} params.scopes - Scopes the client may request
+   * @param {boolean} params.skipConsent - Don't ask users for consent (first-party apps)
+   * @param {Object} createdBy - Admin registering the client
+   * @returns {Promise<Object>} The saved client and its secret (shown only once; null for public clients)
+   */
+  static async createClient({
+    name,
+    type = 'confidential',
+    trusted = false,
+    redirectUris = [],
+    grantTypes = [],
+    scopes = [],
+    skipConsent = false
+  }, createdBy = null) {
+    const clientSecret = type === 'public' ? null : this.generateSecret();
+
+    const client = await OAuthClient.create({
+      name,
+      clientId: `${CLIENT_ID_PREFIX}_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      secretHash: clientSecret ? OAuthClient.hashSecret(clientSecret) : undefined,
+      trusted,
+      redirectUris,
+      grantTypes,
+      scopes,
+      skipConsent,
+      createdBy: createdBy ? createdBy._id : null
+    });
+
+    return { client, clientSecret };
+  }
+
+  /**
+   * Replace a client's secret (the old one stops working immediately)
+   * @param {Object} client - OAuth client document
+   * @returns {Promise<string>} New secret (shown only once)
+   */
+  static async rotateSecret(client) {
+    const clientSecret = this.generateSecret();
+
+    client.secretHash = OAuthClient.hashSecret(clientSecret);
+    await client.save();
+
+    return clientSecret;
+  }
+
+  /**
+   * Authenticate the client making a request, from HTTP Basic credentials
+   * (client_secret_basic) or client_id / client_secret in the body (client_secret_post).
+   * Public clients have no secret and are identified by client_id alone.
+   * @param {Object} req - Express request object
+   * @param {Object} options - Authentication options
+   * @param {boolean} options.allowPublic - Accept public clients
+   * @returns {Promise<Object|null>} Client, or null if the credentials are missing or wrong
+   */
+  static async authenticate(req, { allowPublic = false } = {}) {
+    const credentials = this.extractCredentials(req);
+    let client;
+
+    if (credentials) {
+      client = await OAuthClient.findOne({ clientId: credentials.clientId, revokedAt: null }).select('+secretHash');
+
+      if (!client || !client.compareSecret(credentials.clientSecret)) {
+        return null;
+      }
+    } else {
+      const clientId = req.body && req.body.client_id;
+      if (!allowPublic || typeof clientId !== 'string') return null;
+
+      client = await OAuthClient.findOne({ clientId, type: 'public', revokedAt: null });
+      if (!client) return null;
+    }
+
+    await OAuthClient.updateOne({ _id: client._id }, { $set: { lastUsedAt: new Date() } });
+
+    return client;
+  }
+
+  /**
+   * Find a client that hasn't been revoked by its client_id
+   * @param {string} clientId - OAuth client_id
+   * @returns {Promise<Object|null>} Client
+   */
+  static async findByClientId(clientId) {
+    if (typeof clientId !== 'string' || !clientId) return null;
+
+    return OAuthClient.findOne({ clientId, revokedAt: null });
+  }
+
+  /**
+   * Read the client credentials of a request
+   * @param {Object} req - Express request object
+   * @returns {Object|null} clientId and clientSecret
+   */
+  static extractCredentials(req) {
+    const authHeader = req.headers.authorization || '';
+
+    if (authHeader.startsWith('Basic ')) {
+      const decoded = Buffer.from(authHeader.slice('Basic '.length).trim(), 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      if (separator === -1) return null;
+
+      try {
+        // RFC 6749 section 2.3.1: both parts are form-urlencoded
+        return {
+          clientId: decodeURIComponent(decoded.slice(0, separator).replace(/\+/g, ' ')),
+          clientSecret: decodeURIComponent(decoded.slice(separator + 1).replace(/\+/g, ' '))
+        };
+      } catch (error) {
+        return null;
+      }
+    }
+
+    const { client_id: clientId, client_secret: clientSecret } = req.body || {};
+
+    if (typeof clientId === 'string' && typeof clientSecret === 'string') {
+      return { clientId, clientSecret };
+    }
+
+    return null;
+  }
+
+  /**
+   * Generate a client secret
+   * @returns {string} Secret
+   */
+  static generateSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  /**
+   * Format a client for API responses
+   * @param {Object} client - OAuth client document
+   * @returns {Object} Client details (never the secret)
+   */
+  static toResponse(client) {
+    return {
+      id: client._id,
+      name: client.name,
+      clientId: client.clientId,
+      type: client.type,
+      trusted: client.trusted,
+      redirectUris: client.redirectUris,
+      grantTypes: client.grantTypes,
+      scopes: client.scopes,
+      skipConsent: client.skipConsent,
+      createdBy: client.createdBy,
+      lastUsedAt: client.lastUsedAt,
+      revokedAt: client.revokedAt,
+      createdAt: client.createdAt
+    };
+  }
+}
+
+module.exports = OAuthClientService;
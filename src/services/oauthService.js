@@ -0,0 +1,660 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { User, Session, OAuthClient, AuthorizationCode, OAuthConsent } = require('../models');
+const jwtService = require('../utils/jwtService');
+const oauthClientService = require('./oauthClientService');
+const refreshTokenService = require('./refreshTokenService');
+const sessionService = require('./sessionService');
+const auditLogService = require('./auditLogService');
+const { createError } = require('../utils/errorUtils');
+const { OAUTH, SCOPES, SCOPE_CLAIMS, GRANT_TYPES } = require('../config/oauth');
+
+// PKCE (RFC 7636): the verifier, and the base64url SHA-256 of it sent as the challenge
+const CODE_VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+const CODE_CHALLENGE_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+const LOOPBACK_HOSTS = ['127.0.0.1', '[::1]', 'localhost'];
+
+/**
+ * OAuth error. With a redirect ({ redirectUri, state }) it is sent back to the
+ * client; without one the redirect URI can't be trusted and the error is shown
+ * to the user instead.
+ * @param {string} code - OAuth error code
+ * @param {string} description - Human readable description
+ * @param {Object} redirect - Where to send the error
+ * @param {number} status - HTTP status when the error is not redirected
+ * @returns {Error} Operational error
+ */
+const oauthError = (code, description, redirect = null, status = 400) => {
+  return createError(status, description, code, redirect ? { redirect } : null);
+};
+
+/**
+ * OAuth 2.0 / OpenID Connect authorization server for our own apps: authorization
+ * code flow with PKCE, the token endpoint grants, ID tokens, userinfo and consents
+ */
+class OAuthService {
+  /**
+   * Validate the parameters of an authorization request
+   * @param {Object} params - Query or body parameters (client_id, redirect_uri, ...)
+   * @returns {Promise<Object>} The client and the validated request
+   */
+  static async validateAuthorizationRequest(params) {
+    const client = await oauthClientService.findByClientId(params.client_id);
+
+    if (!client) {
+      throw oauthError('invalid_client', 'Unknown client');
+    }
+
+    const redirectUri = params.redirect_uri;
+
+    if (typeof redirectUri !== 'string' || !this.matchesRedirectUri(client, redirectUri)) {
+      throw oauthError('invalid_request', 'The redirect_uri is not registered for this client');
+    }
+
+    // From here on errors are sent back to the client
+    const redirect = {
+      redirectUri,
+      state: typeof params.state === 'string' ? params.state : undefined
+    };
+
+    if (params.response_type !== 'code') {
+      throw oauthError('unsupported_response_type', 'Only the code response type is supported', redirect);
+    }
+
+    if (!client.allowsGrant('authorization_code')) {
+      throw oauthError('unauthorized_client', 'The client may not use the authorization code grant', redirect);
+    }
+
+    const scopes = this.parseScope(params.scope, client.scopes);
+    if (!scopes) {
+      throw oauthError('invalid_scope', 'The requested scope is not allowed for this client', redirect);
+    }
+
+    if (typeof params.code_challenge !== 'string' || !CODE_CHALLENGE_PATTERN.test(params.code_challenge)) {
+      throw oauthError('invalid_request', 'A PKCE code_challenge is required', redirect);
+    }
+
+    if (params.code_challenge_method !== 'S256') {
+      throw oauthError('invalid_request', 'The code_challenge_method must be S256', redirect);
+    }
+
+    return {
+      client,
+      redirect,
+      scopes,
+      codeChallenge: params.code_challenge,
+      nonce: typeof params.nonce === 'string' ? params.nonce : null,
+      prompt: params.prompt
+    };
+  }
+
+  /**
+   * Answer a validated authorization request for a signed-in user: ask for consent
+   * when needed, else issue an authorization code
+   * @param {Object} user - Signed-in user
+   * @param {Object} request - Result of validateAuthorizationRequest
+   * @param {Object} options - Decision options
+   * @param {boolean} options.approve - The user's answer on the consent screen (undefined if not asked yet)
+   * @param {string} options.sessionId - Session of the login app (for auth_time)
+   * @param {Object} options.req - Express request object
+   * @returns {Promise<Object>} { redirectTo } or { consentRequired, client, scopes }
+   */
+  static async authorize(user, request, { approve, sessionId = null, req = null } = {}) {
+    const { client, redirect, scopes, prompt } = request;
+
+    if (approve === false) {
+      throw oauthError('access_denied', 'The user denied the request', redirect);
+    }
+
+    const consent = await OAuthConsent.findOne({ userId: user._id, clientId: client.clientId });
+    const needsConsent = prompt === 'consent' || !(client.skipConsent || (consent && consent.covers(scopes)));
+
+    if (needsConsent && approve !== true) {
+      if (prompt === 'none') {
+        throw oauthError('consent_required', 'The user has not authorized this client', redirect);
+      }
+
+      return { consentRequired: true, client, scopes };
+    }
+
+    if (needsConsent) {
+      await this.recordConsent(user, client, scopes, consent, req);
+    }
+
+    const code = crypto.randomBytes(32).toString('base64url');
+
+    await AuthorizationCode.create({
+      codeHash: AuthorizationCode.hashCode(code),
+      clientId: client.clientId,
+      userId: user._id,
+      redirectUri: redirect.redirectUri,
+      scopes,
+      codeChallenge: request.codeChallenge,
+      nonce: request.nonce,
+      authTime: await this.getAuthTime(sessionId),
+      expiresAt: new Date(Date.now() + OAUTH.codeTtl)
+    });
+
+    return { redirectTo: this.buildRedirect(redirect, { code }) };
+  }
+
+  /**
+   * Token endpoint: dispatch on grant_type
+   * @param {Object} client - Authenticated OAuth client
+   * @param {Object} params - Body parameters
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object>} Token response
+   */
+  static async token(client, params, req = null) {
+    switch (params.grant_type) {
+      case 'authorization_code':
+        return this.exchangeCode(client, params, req);
+      case 'refresh_token':
+        return this.refresh(client, params, req);
+      case 'client_credentials':
+        return this.issueClientToken(client, params, req);
+      default:
+        throw oauthError('unsupported_grant_type', `The grant_type must be one of: ${GRANT_TYPES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Exchange an authorization code for tokens (authorization_code grant)
+   * @param {Object} client - Authenticated OAuth client
+   * @param {Object} params - code, redirect_uri and code_verifier
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object>} Token response, with an ID token for the openid scope
+   */
+  static async exchangeCode(client, { code, redirect_uri: redirectUri, code_verifier: codeVerifier }, req = null) {
+    if (!client.allowsGrant('authorization_code')) {
+      throw oauthError('unauthorized_client', 'The client may not use the authorization code grant');
+    }
+
+    if (typeof code !== 'string' || !code) {
+      throw oauthError('invalid_request', 'The code parameter is required');
+    }
+
+    if (typeof codeVerifier !== 'string' || !CODE_VERIFIER_PATTERN.test(codeVerifier)) {
+      throw oauthError('invalid_request', 'A valid code_verifier is required');
+    }
+
+    // Claim the code atomically: it can be exchanged once, even by concurrent requests
+    const stored = await AuthorizationCode.claim(code);
+
+    if (!stored) {
+      await this.handleCodeReplay(code, req);
+      throw oauthError('invalid_grant', 'The authorization code is invalid, expired or already used');
+    }
+
+    if (stored.clientId !== client.clientId || stored.redirectUri !== redirectUri) {
+      throw oauthError('invalid_grant', 'The authorization code was issued to another client or redirect URI');
+    }
+
+    if (!this.verifyCodeChallenge(codeVerifier, stored.codeChallenge)) {
+      throw oauthError('invalid_grant', 'The code_verifier does not match the code_challenge');
+    }
+
+    const user = await User.findById(stored.userId).select('+isActive');
+
+    if (!user || !user.isActive || user.isLocked) {
+      throw oauthError('invalid_grant', 'The user can no longer sign in');
+    }
+
+    const scope = stored.scopes.join(' ');
+    const tokens = await refreshTokenService.issueTokens(user, {
+      req,
+      authMethod: 'oauth',
+      clientId: client.clientId,
+      scope
+    });
+
+    // Remember the session so a replayed code can revoke it
+    const { sid } = jwtService.decodeToken(tokens.accessToken);
+    stored.sessionId = sid;
+    await stored.save();
+
+    await auditLogService.logCreate({
+      userId: user._id,
+      entity: 'Session',
+      entityId: sid,
+      data: { clientId: client.clientId, scopes: stored.scopes, grantType: 'authorization_code' },
+      req,
+      organizationId: null,
+      description: `OAuth client ${client.name} signed the user in`
+    });
+
+    const response = this.tokenResponse(tokens, scope, client);
+
+    if (stored.scopes.includes('openid')) {
+      const claims = {
+        ...this.getClaims(user, stored.scopes),
+        auth_time: Math.floor(stored.authTime.getTime() / 1000),
+        at_hash: this.hashAccessToken(tokens.accessToken)
+      };
+      if (stored.nonce) claims.nonce = stored.nonce;
+
+      response.id_token = jwtService.generateIdToken(claims, client.clientId);
+    }
+
+    return response;
+  }
+
+  /**
+   * Rotate a refresh token issued to the client (refresh_token grant)
+   * @param {Object} client - Authenticated OAuth client
+   * @param {Object} params - refresh_token and an optional narrower scope
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object>} Token response
+   */
+  static async refresh(client, { refresh_token: refreshToken, scope }, req = null) {
+    if (!client.allowsGrant('refresh_token')) {
+      throw oauthError('unauthorized_client', 'The client may not use the refresh token grant');
+    }
+
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      throw oauthError('invalid_request', 'The refresh_token parameter is required');
+    }
+
+    let decoded;
+    try {
+      decoded = await jwtService.verifyRefreshToken(refreshToken);
+    } catch (error) {
+      throw oauthError('invalid_grant', 'The refresh token is invalid or expired');
+    }
+
+    if (decoded.cid !== client.clientId) {
+      throw oauthError('invalid_grant', 'The refresh token was not issued to this client');
+    }
+
+    let narrowed;
+    if (scope !== undefined) {
+      narrowed = this.parseScope(scope, (decoded.scope || '').split(' ').filter(Boolean));
+
+      if (!narrowed) {
+        throw oauthError('invalid_scope', 'The requested scope exceeds the scope originally granted');
+      }
+    }
+
+    let result;
+    try {
+      result = await refreshTokenService.rotate(refreshToken, req, {
+        scope: narrowed ? narrowed.join(' ') : undefined,
+        clientId: client.clientId
+      });
+    } catch (error) {
+      // Reused, revoked and expired tokens (reuse also revokes the session)
+      if (error.isOperational) {
+        throw oauthError('invalid_grant', error.message);
+      }
+      throw error;
+    }
+
+    return this.tokenResponse(result.tokens, narrowed ? narrowed.join(' ') : decoded.scope, client);
+  }
+
+  /**
+   * Issue an access token to a client acting on its own behalf (client_credentials grant)
+   * @param {Object} client - Authenticated OAuth client
+   * @param {Object} params - Optional scope
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object>} Token response
+   */
+  static async issueClientToken(client, { scope }, req = null) {
+    if (client.type !== 'confidential' || !client.allowsGrant('client_credentials')) {
+      throw oauthError('unauthorized_client', 'The client may not use the client credentials grant');
+    }
+
+    // The OpenID Connect scopes are about a user, so they mean nothing here
+    const scopes = this.parseScope(scope, client.scopes.filter(name => !SCOPES[name]));
+
+    if (!scopes) {
+      throw oauthError('invalid_scope', 'The requested scope is not allowed for this client');
+    }
+
+    const { accessToken } = jwtService.generateClientToken(client, scopes.join(' '));
+    const decoded = jwtService.decodeToken(accessToken);
+
+    await auditLogService.logCreate({
+      userId: null,
+      entity: 'AccessToken',
+      entityId: decoded.jti,
+      data: { clientId: client.clientId, scopes, grantType: 'client_credentials' },
+      req,
+      organizationId: null,
+      description: `OAuth client ${client.name} obtained an access token`
+    });
+
+    const response = {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: decoded.exp - decoded.iat
+    };
+    if (scopes.length) response.scope = scopes.join(' ');
+
+    return response;
+  }
+
+  /**
+   * Claims about the user released by the /userinfo endpoint
+   * @param {Object} user - User the access token belongs to
+   * @param {Object} decoded - Decoded access token payload
+   * @returns {Object} Claims
+   */
+  static getUserInfo(user, decoded) {
+    const scopes = (decoded.scope || '').split(' ');
+
+    if (!decoded.cid || !scopes.includes('openid')) {
+      throw oauthError('insufficient_scope', 'The access token was not granted the openid scope', null, 403);
+    }
+
+    return this.getClaims(user, scopes);
+  }
+
+  /**
+   * Claims about a user for the granted scopes
+   * @param {Object} user - User document
+   * @param {Array<string>} scopes - Granted scopes
+   * @returns {Object} Claims (sub is always included)
+   */
+  static getClaims(user, scopes) {
+    const values = {
+      name: user.name,
+      picture: user.avatar,
+      updated_at: user.updatedAt ? Math.floor(user.updatedAt.getTime() / 1000) : undefined,
+      email: user.email,
+      email_verified: !!user.isEmailVerified
+    };
+
+    const claims = { sub: user._id.toString() };
+
+    for (const scope of scopes) {
+      for (const claim of SCOPE_CLAIMS[scope] || []) {
+        if (values[claim] !== undefined && values[claim] !== null) {
+          claims[claim] = values[claim];
+        }
+      }
+    }
+
+    return claims;
+  }
+
+  /**
+   * List the clients a user has authorized
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Consents with the client names
+   */
+  static async listConsents(userId) {
+    const consents = await OAuthConsent.find({ userId }).sort({ updatedAt: -1 });
+    const clients = await OAuthClient.find({ clientId: { $in: consents.map(consent => consent.clientId) } });
+    const names = new Map(clients.map(client => [client.clientId, client.name]));
+
+    return consents.map(consent => ({
+      clientId: consent.clientId,
+      clientName: names.get(consent.clientId) || null,
+      scopes: consent.scopes,
+      grantedAt: consent.createdAt,
+      updatedAt: consent.updatedAt
+    }));
+  }
+
+  /**
+   * Withdraw a user's consent for a client and end the client's sessions for the user
+   * @param {Object} user - User withdrawing the consent
+   * @param {string} clientId - OAuth client_id
+   * @param {Object} req - Express request object
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  static async revokeConsent(user, clientId, req = null) {
+    const consent = await OAuthConsent.findOneAndDelete({ userId: user._id, clientId });
+
+    if (!consent) {
+      throw createError(404, 'Consent not found');
+    }
+
+    const revokedSessions = await sessionService.revokeForClient(clientId, 'consent_revoked', user._id);
+
+    await auditLogService.logDelete({
+      userId: user._id,
+      entity: 'OAuthConsent',
+      entityId: consent._id,
+      data: { clientId, scopes: consent.scopes, revokedSessions },
+      req,
+      organizationId: null,
+      description: `User withdrew the access of OAuth client ${clientId}`
+    });
+
+    return revokedSessions;
+  }
+
+  /**
+   * OpenID Connect discovery document (also served as RFC 8414 metadata)
+   * @returns {Object} Provider metadata
+   */
+  static getDiscovery() {
+    const base = OAUTH.issuer;
+    const clientAuthMethods = ['client_secret_basic', 'client_secret_post'];
+
+    return {
+      issuer: base,
+      authorization_endpoint: `${base}/api/oauth/authorize`,
+      token_endpoint: `${base}/api/oauth/token`,
+      userinfo_endpoint: `${base}/api/oauth/userinfo`,
+      jwks_uri: `${base}/.well-known/jwks.json`,
+      revocation_endpoint: `${base}/api/oauth/revoke`,
+      introspection_endpoint: `${base}/api/oauth/introspect`,
+      scopes_supported: Object.keys(SCOPES),
+      response_types_supported: ['code'],
+      response_modes_supported: ['query'],
+      grant_types_supported: GRANT_TYPES,
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: [...new Set(jwtService.getJwks().keys.map(key => key.alg))],
+      token_endpoint_auth_methods_supported: [...clientAuthMethods, 'none'],
+      revocation_endpoint_auth_methods_supported: [...clientAuthMethods, 'none'],
+      introspection_endpoint_auth_methods_supported: clientAuthMethods,
+      code_challenge_methods_supported: ['S256'],
+      claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'at_hash', ...SCOPE_CLAIMS.profile, ...SCOPE_CLAIMS.email],
+      authorization_response_iss_parameter_supported: true
+    };
+  }
+
+  /**
+   * Record (or extend) a user's consent for a client
+   * @param {Object} user - User giving consent
+   * @param {Object} client - OAuth client
+   * @param {Array<string>} scopes - Approved scopes
+   * @param {Object|null} existing - The user's current consent for the client
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object>} Consent
+   */
+  static async recordConsent(user, client, scopes, existing, req = null) {
+    if (existing) {
+      const before = [...existing.scopes];
+      existing.scopes = [...new Set([...existing.scopes, ...scopes])];
+      await existing.save();
+
+      await auditLogService.logUpdate({
+        userId: user._id,
+        entity: 'OAuthConsent',
+        entityId: existing._id,
+        before: { scopes: before },
+        after: { scopes: existing.scopes },
+        req,
+        organizationId: null,
+        description: `User authorized OAuth client ${client.name} for ${scopes.join(' ')}`
+      });
+
+      return existing;
+    }
+
+    const consent = await OAuthConsent.create({ userId: user._id, clientId: client.clientId, scopes });
+
+    await auditLogService.logCreate({
+      userId: user._id,
+      entity: 'OAuthConsent',
+      entityId: consent._id,
+      data: { clientId: client.clientId, scopes },
+      req,
+      organizationId: null,
+      description: `User authorized OAuth client ${client.name} for ${scopes.join(' ')}`
+    });
+
+    return consent;
+  }
+
+  /**
+   * Revoke the tokens issued for an authorization code that is presented again
+   * (RFC 6749 section 4.1.2): the code may have been stolen
+   * @param {string} code - Raw authorization code
+   * @param {Object} req - Express request object
+   * @returns {Promise<void>}
+   */
+  static async handleCodeReplay(code, req = null) {
+    const stored = await AuthorizationCode.findOne({ codeHash: AuthorizationCode.hashCode(code), usedAt: { $ne: null } });
+    if (!stored || !stored.sessionId) return;
+
+    await sessionService.revokeSession(stored.sessionId, 'reuse_detected');
+
+    const sessionId = stored.sessionId;
+    stored.sessionId = null;
+    await stored.save();
+
+    await auditLogService.logUpdate({
+      userId: stored.userId,
+      entity: 'Session',
+      entityId: sessionId,
+      before: { revoked: false },
+      after: { revoked: true, reason: 'authorization_code_reused', clientId: stored.clientId },
+      req,
+      organizationId: null,
+      description: 'Authorization code reused; the session issued for it was revoked'
+    });
+  }
+
+  /**
+   * Parse a scope parameter against the scopes a client may request
+   * @param {string} scope - Space-separated scopes (omit for all allowed scopes)
+   * @param {Array<string>} allowed - Allowed scopes
+   * @returns {Array<string>|null} Scopes, or null if one of them is not allowed
+   */
+  static parseScope(scope, allowed) {
+    if (scope === undefined || scope === '') return [...allowed];
+    if (typeof scope !== 'string') return null;
+
+    const scopes = [...new Set(scope.split(' ').filter(Boolean))];
+    return scopes.every(name => allowed.includes(name)) ? scopes : null;
+  }
+
+  /**
+   * Check a redirect URI against the client's registered URIs. Loopback URIs may
+   * use any port, since native apps listen on a port picked at runtime (RFC 8252).
+   * @param {Object} client - OAuth client
+   * @param {string} uri - Requested redirect URI
+   * @returns {boolean}
+   */
+  static matchesRedirectUri(client, uri) {
+    if (client.redirectUris.includes(uri)) return true;
+
+    let requested;
+    try {
+      requested = new URL(uri);
+    } catch (error) {
+      return false;
+    }
+
+    if (requested.protocol !== 'http:' || !LOOPBACK_HOSTS.includes(requested.hostname)) {
+      return false;
+    }
+
+    return client.redirectUris.some(registered => {
+      try {
+        const url = new URL(registered);
+        url.port = requested.port;
+        return url.href === requested.href;
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Check a PKCE code verifier against the S256 challenge
+   * @param {string} verifier - code_verifier
+   * @param {string} challenge - Stored code_challenge
+   * @returns {boolean}
+   */
+  static verifyCodeChallenge(verifier, challenge) {
+    const expected = Buffer.from(challenge);
+    const actual = Buffer.from(crypto.createHash('sha256').update(verifier).digest('base64url'));
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * at_hash claim of an ID token: left half of the SHA-256 of the access token
+   * @param {string} accessToken - Access token
+   * @returns {string} base64url hash
+   */
+  static hashAccessToken(accessToken) {
+    const digest = crypto.createHash('sha256').update(accessToken).digest();
+    return digest.subarray(0, digest.length / 2).toString('base64url');
+  }
+
+  /**
+   * When the user signed in to the login app (auth_time)
+   * @param {string} sessionId - Session of the login app
+   * @returns {Promise<Date>}
+   */
+  static async getAuthTime(sessionId) {
+    const session = mongoose.isValidObjectId(sessionId)
+      ? await Session.findById(sessionId).select('createdAt')
+      : null;
+
+    return session ? session.createdAt : new Date();
+  }
+
+  /**
+   * Build the redirect back to the client
+   * @param {Object} redirect - redirectUri and state
+   * @param {Object} params - Response parameters (code, or error and error_description)
+   * @returns {string} URL
+   */
+  static buildRedirect({ redirectUri, state }, params) {
+    const url = new URL(redirectUri);
+
+    for (const [name, value] of Object.entries(params)) {
+      url.searchParams.set(name, value);
+    }
+
+    if (state !== undefined) url.searchParams.set('state', state);
+
+    // Lets the client check who answered (RFC 9207)
+    url.searchParams.set('iss', OAUTH.issuer);
+
+    return url.toString();
+  }
+
+  /**
+   * Token response for tokens issued to a user
+   * @param {Object} tokens - Access and refresh token
+   * @param {string} scope - Granted scope
+   * @param {Object} client - OAuth client
+   * @returns {Object} Token response
+   */
+  static tokenResponse(tokens, scope, client) {
+    const decoded = jwtService.decodeToken(tokens.accessToken);
+
+    const response = {
+      access_token: tokens.accessToken,
+      token_type: 'Bearer',
+      expires_in: decoded.exp - decoded.iat
+    };
+
+    if (client.allowsGrant('refresh_token')) response.refresh_token = tokens.refreshToken;
+    if (scope) response.scope = scope;
+
+    return response;
+  }
+}
+
+module.exports = OAuthService;
@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { loadProviders, buildProvider } = require('../config/oidcProviders');
+const { requestJson } = require('../utils/httpClient');
+const { createError } = require('../utils/errorUtils');
+
+const DISCOVERY_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+/**
+ * Read a (possibly dotted) claim path
+ * @param {Object} claims - Claims object
+ * @param {string} path - Claim name or dotted path
+ * @returns {*} Claim value
+ */
+const readClaim = (claims, path) => {
+  if (!path) return undefined;
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+};
+
+/**
+ * Generic OpenID Connect / OAuth 2.0 identity provider layer
+ */
+class OidcService {
+  constructor() {
+    this.providers = new Map();
+    this.discoveryCache = new Map();
+    this.jwksCache = new Map();
+    this.jwksCacheTtl = parseInt(process.env.OIDC_JWKS_CACHE_TTL, 10) || 10 * 60 * 1000; // 10 minutes
+    this.jwksRefreshCooldown = 30 * 1000; // Minimum time between refetches for unknown key IDs
+
+    loadProviders().forEach(provider => this.registerProvider(provider));
+  }
+
+  /**
+   * Register (or replace) a provider
+   * @param {Object} provider - Provider settings (see config/oidcProviders)
+   * @returns {Object} Registered provider definition
+   */
+  registerProvider(provider) {
+    const definition = buildProvider(provider.name, provider);
+
+    if (!definition.clientId) {
+      console.warn(`⚠️ Identity provider "${definition.name}" has no client ID configured and was skipped.`);
+      return null;
+    }
+
+    this.providers.set(definition.name, definition);
+    this.discoveryCache.delete(definition.name);
+
+    return definition;
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name
+   * @returns {Object} Provider definition
+   */
+  getProvider(name) {
+    const provider = this.providers.get(name);
+
+    if (!provider) {
+      throw createError(404, `Identity provider "${name}" is not configured`, 'UNKNOWN_PROVIDER');
+    }
+
+    return provider;
+  }
+
+  /**
+   * List configured providers (public settings only)
+   * @returns {Array<Object>} Providers
+   */
+  listProviders() {
+    return Array.from(this.providers.values()).map(provider => ({
+      name: provider.name,
+      displayName: provider.displayName,
+      type: provider.type,
+      issuer: provider.issuer,
+      clientId: provider.clientId,
+      scopes: provider.scopes,
+      authorizationEndpoint: provider.authorizationEndpoint
+    }));
+  }
+
+  /**
+   * Fetch (and cache) the provider's discovery document
+   * @param {Object} provider - Provider definition
+   * @returns {Promise<Object>} Discovery document
+   */
+  async getDiscovery(provider) {
+    const cached = this.discoveryCache.get(provider.name);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.document;
+    }
+
+    const url = provider.discoveryUrl || `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+    const document = await requestJson(url);
+
+    // The discovery document must describe the configured issuer (OIDC Discovery 4.3)
+    if (provider.issuer && document.issuer !== provider.issuer) {
+      throw new Error(`Discovery issuer mismatch: expected ${provider.issuer}, got ${document.issuer}`);
+    }
+
+    this.discoveryCache.set(provider.name, { document, expiresAt: Date.now() + DISCOVERY_CACHE_TTL });
+
+    return document;
+  }
+
+  /**
+   * Resolve a provider endpoint from its settings or discovery document
+   * @param {Object} provider - Provider definition
+   * @param {string} key - Endpoint name (tokenEndpoint, userinfoEndpoint, jwksUri, ...)
+   * @returns {Promise<string|undefined>} Endpoint URL
+   */
+  async getEndpoint(provider, key) {
+    if (provider[key]) {
+      return provider[key];
+    }
+
+    if (provider.type !== 'oidc') {
+      return undefined;
+    }
+
+    const discovery = await this.getDiscovery(provider);
+    const discoveryKey = key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+
+    return discovery[discoveryKey];
+  }
+
+  /**
+   * Get the JWKS key for a key ID, refetching the key set when the ID is unknown
+   * @param {Object} provider - Provider definition
+   * @param {string} kid - Key ID from the token header
+   * @returns {Promise<crypto.KeyObject>} Public key
+   */
+  async getSigningKey(provider, kid) {
+    const jwksUri = await this.getEndpoint(provider, 'jwksUri');
+
+    if (!jwksUri) {
+      throw new Error('Provider has no JWKS endpoint');
+    }
+
+    let cached = this.jwksCache.get(jwksUri);
+    const isFresh = cached && cached.expiresAt > Date.now();
+    const hasKey = cached && cached.keys.some(key => !kid || key.kid === kid);
+
+    // Unknown key IDs usually mean the provider rotated its keys
+    const canRefetch = !cached || Date.now() - cached.fetchedAt >= this.jwksRefreshCooldown;
+
+    if (!isFresh || (!hasKey && canRefetch)) {
+      const { keys = [] } = await requestJson(jwksUri);
+      cached = { keys, fetchedAt: Date.now(), expiresAt: Date.now() + this.jwksCacheTtl };
+      this.jwksCache.set(jwksUri, cached);
+    }
+
+    const jwk = cached.keys.find(key => (kid ? key.kid === kid : (!key.use || key.use === 'sig')));
+
+    if (!jwk) {
+      throw new Error(`Signing key ${kid || ''} not found`.trim());
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  /**
+   * Verify an ID token's signature, issuer, audience, expiry and nonce
+   * @param {Object} provider - Provider definition
+   * @param {string} idToken - ID token
+   * @param {Object} options - Verification options
+   * @param {string} options.nonce - Expected nonce, if one was sent in the authorization request
+   * @returns {Promise<Object>} ID token claims
+   */
+  async verifyIdToken(provider, idToken, { nonce } = {}) {
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded || !decoded.header) {
+      throw new Error('Malformed ID token');
+    }
+
+    const key = await this.getSigningKey(provider, decoded.header.kid);
+
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: provider.allowedIssuers || provider.issuer,
+      audience: provider.clientId,
+      clockTolerance: 60
+    });
+
+    // Tokens issued to several audiences must name us as the authorized party
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+      throw new Error('ID token authorized party mismatch');
+    }
+
+    if (nonce !== undefined && claims.nonce !== nonce) {
+      throw new Error('ID token nonce mismatch');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Exchange an authorization code at the provider's token endpoint
+   * @param {Object} provider - Provider definition
+   * @param {Object} params - Code exchange parameters
+   * @param {string} params.code - Authorization code
+   * @param {string} params.redirectUri - Redirect URI used in the authorization request
+   * @param {string} params.codeVerifier - PKCE code verifier
+   * @returns {Promise<Object>} Token response
+   */
+  async exchangeCode(provider, { code, redirectUri, codeVerifier }) {
+    const tokenEndpoint = await this.getEndpoint(provider, 'tokenEndpoint');
+
+    if (!tokenEndpoint) {
+      throw new Error('Provider has no token endpoint');
+    }
+
+    const form = {
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: provider.clientId,
+      ...(provider.clientSecret && { client_secret: provider.clientSecret }),
+      ...(codeVerifier && { code_verifier: codeVerifier })
+    };
+
+    const tokens = await requestJson(tokenEndpoint, { method: 'POST', form });
+
+    if (tokens.error) {
+      throw new Error(`Code exchange failed: ${tokens.error_description || tokens.error}`);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Fetch the user's claims from the userinfo endpoint
+   * @param {Object} provider - Provider definition
+   * @param {string} accessToken - Provider access token
+   * @returns {Promise<Object>} Userinfo claims
+   */
+  async fetchUserInfo(provider, accessToken) {
+    const userinfoEndpoint = await this.getEndpoint(provider, 'userinfoEndpoint');
+
+    if (!userinfoEndpoint) {
+      throw new Error('Provider has no userinfo endpoint');
+    }
+
+    return requestJson(userinfoEndpoint, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+  }
+
+  /**
+   * Map provider claims to a profile using the provider's claim mapping
+   * @param {Object} provider - Provider definition
+   * @param {Object} claims - ID token or userinfo claims
+   * @returns {Object} Normalized profile
+   */
+  mapClaims(provider, claims) {
+    const mapping = provider.claimMapping;
+    const subject = readClaim(claims, mapping.subject);
+    const email = readClaim(claims, mapping.email);
+    const emailVerified = readClaim(claims, mapping.emailVerified);
+
+    if (subject === undefined || subject === null || subject === '') {
+      throw new Error(`Missing subject claim "${mapping.subject}"`);
+    }
+
+    return {
+      provider: provider.name,
+      subject: String(subject),
+      email: email ? String(email).toLowerCase() : null,
+      emailVerified: provider.trustEmail ? Boolean(email) : emailVerified === true || emailVerified === 'true',
+      name: readClaim(claims, mapping.name) || null,
+      avatar: readClaim(claims, mapping.avatar) || null
+    };
+  }
+
+  /**
+   * Authenticate with a provider using either an ID token or an authorization code
+   * @param {string} name - Provider name
+   * @param {Object} credentials - Credentials from the frontend
+   * @param {string} credentials.idToken - ID token (implicit / One Tap flows)
+   * @param {string} credentials.code - Authorization code
+   * @param {string} credentials.redirectUri - Redirect URI for the code
+   * @param {string} credentials.codeVerifier - PKCE code verifier
+   * @param {string} credentials.nonce - Nonce sent in the authorization request
+   * @returns {Promise<Object>} Normalized profile
+   */
+  async authenticate(name, { idToken, code, redirectUri, codeVerifier, nonce } = {}) {
+    const provider = this.getProvider(name);
+
+    try {
+      if (idToken) {
+        if (provider.type !== 'oidc') {
+          throw new Error('Provider does not issue ID tokens');
+        }
+
+        return this.mapClaims(provider, await this.verifyIdToken(provider, idToken, { nonce }));
+      }
+
+      const tokens = await this.exchangeCode(provider, { code, redirectUri, codeVerifier });
+
+      if (provider.type === 'oidc') {
+        if (!tokens.id_token) {
+          throw new Error('Token response did not include an ID token');
+        }
+
+        return this.mapClaims(provider, await this.verifyIdToken(provider, tokens.id_token, { nonce }));
+      }
+
+      return this.mapClaims(provider, await this.fetchUserInfo(provider, tokens.access_token));
+    } catch (error) {
+      throw createError(401, `${provider.displayName} authentication failed: ${error.message}`, 'PROVIDER_AUTH_FAILED');
+    }
+  }
+
+  /**
+   * Forget cached discovery documents and key sets
+   */
+  clearCache() {
+    this.discoveryCache.clear();
+    this.jwksCache.clear();
+  }
+}
+
+module.exports = new OidcService();
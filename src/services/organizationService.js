@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Organization, Membership, Invitation, User } = require('../models');
+const emailService = require('./emailService');
+const { createError } = require('../utils/errorUtils');
+
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Organization (tenant), membership and invitation service
+ */
+class OrganizationService {
+  /**
+   * Create an organization and make its creator the owner
+   * @param {Object} user - Creator
+   * @param {Object} params - Organization settings
+   * @param {string} params.name - Display name
+   * @param {string} params.slug - URL-friendly identifier (derived from the name if omitted)
+   * @returns {Promise<Object>} The organization and the owner membership
+   */
+  static async createOrganization(user, { name, slug }) {
+    if (slug && await Organization.exists({ slug })) {
+      throw createError(409, 'An organization with this slug already exists', 'SLUG_TAKEN');
+    }
+
+    if (!slug) {
+      slug = Organization.slugify(name);
+      if (await Organization.exists({ slug })) {
+        slug = `${slug}-${crypto.randomBytes(3).toString('hex')}`;
+      }
+    }
+
+    const organization = await Organization.create({ name, slug, createdBy: user._id });
+    const membership = await Membership.create({
+      organizationId: organization._id,
+      userId: user._id,
+      role: 'owner'
+    });
+
+    return { organization, membership };
+  }
+
+  /**
+   * Resolve an organization and the user's membership in it
+   * @param {Object} user - User acting in the organization
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} The organization and membership
+   */
+  static async resolveContext(user, organizationId) {
+    if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+      throw createError(400, 'Invalid organization ID', 'INVALID_ORGANIZATION');
+    }
+
+    const membership = await Membership.findOne({ organizationId, userId: user._id });
+    const organization = membership && await Organization.findById(organizationId);
+
+    if (!organization) {
+      throw createError(403, 'You are not a member of this organization', 'NOT_A_MEMBER');
+    }
+
+    return { organization, membership };
+  }
+
+  /**
+   * List the organizations a user belongs to with their role in each
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Organizations
+   */
+  static async listForUser(userId) {
+    const memberships = await Membership.find({ userId })
+      .populate('organizationId')
+      .sort({ createdAt: 1 });
+
+    return memberships
+      .filter(membership => membership.organizationId)
+      .map(membership => ({
+        ...membership.organizationId.toJSON(),
+        role: membership.role
+      }));
+  }
+
+  /**
+   * Delete an organization with its memberships and invitations (audit logs are kept)
+   * @param {Object} organization - Organization document
+   * @returns {Promise<void>}
+   */
+  static async deleteOrganization(organization) {
+    await Promise.all([
+      Membership.deleteMany({ organizationId: organization._id }),
+      Invitation.deleteMany({ organizationId: organization._id })
+    ]);
+    await organization.deleteOne();
+  }
+
+  /**
+   * Check whether a membership is the organization's only owner
+   * @param {Object} membership - Membership document
+   * @returns {Promise<boolean>} Is it the last owner
+   */
+  static async isLastOwner(membership) {
+    if (membership.role !== 'owner') return false;
+
+    const owners = await Membership.countDocuments({
+      organizationId: membership.organizationId,
+      role: 'owner'
+    });
+
+    return owners <= 1;
+  }
+
+  /**
+   * Invite someone to an organization by email, replacing any pending invitation
+   * @param {Object} organization - Organization document
+   * @param {Object} inviter - User sending the invitation
+   * @param {Object} params - Invitation settings
+   * @param {string} params.email - Invitee email
+   * @param {string} params.role - Organization role granted on acceptance
+   * @returns {Promise<Object>} The invitation and the raw token (sent by email only)
+   */
+  static async createInvitation(organization, inviter, { email, role }) {
+    const existingUser = await User.findOne({ email });
+
+    if (existingUser && await Membership.exists({ organizationId: organization._id, userId: existingUser._id })) {
+      throw createError(409, 'This user is already a member of the organization', 'ALREADY_MEMBER');
+    }
+
+    await Invitation.updateMany(
+      { organizationId: organization._id, email, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await Invitation.create({
+      organizationId: organization._id,
+      email,
+      role,
+      tokenHash: Invitation.hashToken(token),
+      invitedBy: inviter._id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL)
+    });
+
+    return { invitation, token };
+  }
+
+  /**
+   * Email an invitation link
+   * @param {Object} invitation - Invitation document
+   * @param {string} token - Raw invitation token
+   * @param {Object} details - Organization and inviter shown in the email
+   * @returns {Promise<boolean>} Was the email sent
+   */
+  static async sendInvitation(invitation, token, { organization, inviter }) {
+    if (!emailService.isConfigured()) {
+      return false;
+    }
+
+    try {
+      await emailService.sendOrganizationInvitationEmail(invitation.email, token, {
+        organizationName: organization.name,
+        inviterName: inviter.name
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to send invitation email:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Accept an organization invitation as the signed-in user
+   * @param {Object} user - User accepting the invitation
+   * @param {string} token - Raw invitation token
+   * @returns {Promise<Object>} The invitation and the new membership
+   */
+  static async acceptInvitation(user, token) {
+    const invitation = await Invitation.findPendingByToken(token);
+
+    if (!invitation || !invitation.organizationId) {
+      throw createError(400, 'Invitation is invalid or has expired', 'INVALID_INVITATION');
+    }
+
+    // Invitations are bound to the address they were sent to
+    if (invitation.email !== user.email) {
+      throw createError(403, 'This invitation was sent to a different email address', 'INVITATION_EMAIL_MISMATCH');
+    }
+
+    if (await Membership.exists({ organizationId: invitation.organizationId, userId: user._id })) {
+      throw createError(409, 'You are already a member of this organization', 'ALREADY_MEMBER');
+    }
+
+    const membership = await Membership.create({
+      organizationId: invitation.organizationId,
+      userId: user._id,
+      role: invitation.role,
+      invitedBy: invitation.invitedBy
+    });
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedBy = user._id;
+    await invitation.save();
+
+    return { invitation, membership };
+  }
+
+  /**
+   * Format an invitation for API responses
+   * @param {Object} invitation - Invitation document
+   * @returns {Object} Invitation details
+   */
+  static toInvitationResponse(invitation) {
+    return {
+      ...invitation.toJSON(),
+      status: invitation.status
+    };
+  }
+}
+
+module.exports = OrganizationService;
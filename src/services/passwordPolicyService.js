@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { createError } = require('../utils/errorUtils');
+
+const MAX_LENGTH = 128;
+const DAY = 24 * 60 * 60 * 1000;
+
+const flag = (value, fallback) => (value === undefined || value === '' ? fallback : value === 'true');
+const number = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+/**
+ * Password policy configured from the environment: length and character classes
+ * (checked during validation), reuse of recent passwords, maximum age and an
+ * offline breached-password list.
+ *
+ * The breached list holds SHA-1 hashes in the "SUFFIX:COUNT" range format: either a
+ * directory with one file per 5-character hash prefix (e.g. 5BAA6.txt), of which only
+ * the file for the password's prefix is read, or a single file of full "HASH:COUNT"
+ * lines that is indexed by prefix on first use.
+ */
+class PasswordPolicyService {
+  constructor() {
+    this.policy = {
+      minLength: Math.max(1, number(process.env.PASSWORD_MIN_LENGTH, 6)),
+      requireLowercase: flag(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+      requireUppercase: flag(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+      requireNumber: flag(process.env.PASSWORD_REQUIRE_NUMBER, true),
+      requireSymbol: flag(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+      historySize: number(process.env.PASSWORD_HISTORY, 5),
+      maxAgeDays: number(process.env.PASSWORD_MAX_AGE_DAYS, 0),
+      breachedPasswordsPath: process.env.BREACHED_PASSWORDS_PATH
+        ? path.resolve(process.env.BREACHED_PASSWORDS_PATH)
+        : null
+    };
+    this.breachedIndex = null;
+  }
+
+  /**
+   * Check a password against the length and character class rules
+   * @param {string} password - Plain text password
+   * @returns {string|null} The first rule the password breaks, or null
+   */
+  check(password) {
+    const { minLength, requireLowercase, requireUppercase, requireNumber, requireSymbol } = this.policy;
+
+    if (password.length < minLength) return `must be at least ${minLength} characters long`;
+    if (password.length > MAX_LENGTH) return `cannot exceed ${MAX_LENGTH} characters`;
+    if (requireLowercase && !/[a-z]/.test(password)) return 'must contain at least one lowercase letter';
+    if (requireUppercase && !/[A-Z]/.test(password)) return 'must contain at least one uppercase letter';
+    if (requireNumber && !/\d/.test(password)) return 'must contain at least one number';
+    if (requireSymbol && !/[^A-Za-z0-9]/.test(password)) return 'must contain at least one symbol';
+
+    return null;
+  }
+
+  /**
+   * Refuse a new password that is breached or was used recently
+   * @param {string} password - Plain text password
+   * @param {Object} user - User document with passwordHistory selected (omit for new accounts)
+   * @returns {Promise<void>}
+   */
+  async assertAllowed(password, user = null) {
+    if (await this.isBreached(password)) {
+      throw createError(400, 'This password has appeared in a data breach. Please choose a different one.', 'PASSWORD_BREACHED');
+    }
+
+    if (user && await this.isReused(password, user)) {
+      throw createError(400, `Password must differ from your last ${this.policy.historySize} passwords`, 'PASSWORD_REUSED');
+    }
+  }
+
+  /**
+   * Check whether a password matches one of the user's recent passwords
+   * @param {string} password - Plain text password
+   * @param {Object} user - User document with passwordHistory selected
+   * @returns {Promise<boolean>} Was the password used recently
+   */
+  async isReused(password, user) {
+    const history = this.policy.historySize > 0
+      ? (user.passwordHistory || []).slice(-this.policy.historySize)
+      : [];
+
+    const matches = await Promise.all(history.map(hash => bcrypt.compare(password, hash)));
+    return matches.includes(true);
+  }
+
+  /**
+   * Add a freshly hashed password to the history, keeping the last N
+   * @param {Object} user - User document
+   * @param {string} hash - Hash of the new password
+   */
+  recordPassword(user, hash) {
+    const { historySize } = this.policy;
+
+    user.passwordHistory = historySize > 0
+      ? [...(user.passwordHistory || []), hash].slice(-historySize)
+      : [];
+    user.passwordChangedAt = new Date();
+  }
+
+  /**
+   * Check whether a password is older than the maximum age and must be rotated
+   * @param {Object} user - User document
+   * @returns {boolean} Has the password expired
+   */
+  isExpired(user) {
+    if (!this.policy.maxAgeDays || !user.password) return false;
+
+    const changedAt = user.passwordChangedAt || user.createdAt;
+    return !!changedAt && Date.now() - changedAt.getTime() > this.policy.maxAgeDays * DAY;
+  }
+
+  /**
+   * Look a password up in the breached-password list (no-op without a list)
+   * @param {string} password - Plain text password
+   * @returns {Promise<boolean>} Is the password breached
+   */
+  async isBreached(password) {
+    if (!this.policy.breachedPasswordsPath) return false;
+
+    const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+    const suffixes = await this.getBreachedRange(hash.slice(0, 5));
+
+    return suffixes.has(hash.slice(5));
+  }
+
+  /**
+   * Load the hash suffixes listed for a 5-character prefix
+   * @param {string} prefix - Uppercase SHA-1 prefix
+   * @returns {Promise<Set>} Breached hash suffixes
+   */
+  async getBreachedRange(prefix) {
+    const source = this.policy.breachedPasswordsPath;
+    const stats = await fs.promises.stat(source);
+
+    if (stats.isDirectory()) {
+      try {
+        const content = await fs.promises.readFile(path.join(source, `${prefix}.txt`), 'utf8');
+        return new Set(content.split(/\r?\n/).map(line => line.split(':')[0].trim().toUpperCase()).filter(Boolean));
+      } catch (error) {
+        if (error.code === 'ENOENT') return new Set();
+        throw error;
+      }
+    }
+
+    if (!this.breachedIndex) {
+      this.breachedIndex = new Map();
+      const content = await fs.promises.readFile(source, 'utf8');
+
+      content.split(/\r?\n/).forEach(line => {
+        const hash = line.split(':')[0].trim().toUpperCase();
+        if (hash.length !== 40) return;
+
+        const key = hash.slice(0, 5);
+        if (!this.breachedIndex.has(key)) this.breachedIndex.set(key, new Set());
+        this.breachedIndex.get(key).add(hash.slice(5));
+      });
+    }
+
+    return this.breachedIndex.get(prefix) || new Set();
+  }
+}
+
+module.exports = new PasswordPolicyService();
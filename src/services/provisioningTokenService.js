@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const { ProvisioningToken } = require('../models');
+const { createError } = require('../utils/errorUtils');
+
+const TOKEN_PREFIX = 'scim';
+
+/**
+ * Provisioning tokens: bearer tokens identity providers use to call the SCIM API
+ */
+class ProvisioningTokenService {
+  /**
+   * Issue a provisioning token
+   * @param {Object} params - Token settings
+   * @param {string} params.name - Display name (usually the identity provider)
+   * @param {Date} params.expiresAt - Expiry (null for none)
+   * @param {Object} createdBy - Admin issuing the token
+   * @returns {Promise<Object>} The saved token and the full token string (shown only once)
+   */
+  static async createToken({ name, expiresAt = null }, createdBy = null) {
+    const prefix = `${TOKEN_PREFIX}_${crypto.randomBytes(6).toString('hex')}`;
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    const provisioningToken = await ProvisioningToken.create({
+      name,
+      prefix,
+      secretHash: ProvisioningToken.hashSecret(secret),
+      createdBy: createdBy ? createdBy._id : null,
+      expiresAt
+    });
+
+    return { provisioningToken, token: `${prefix}_${secret}` };
+  }
+
+  /**
+   * Check a presented provisioning token and record its use
+   * @param {string} token - Full token from the Authorization header
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object>} Provisioning token document
+   */
+  static async authenticate(token, req = null) {
+    const match = /^([a-z]+_[0-9a-f]{12})_([A-Za-z0-9_-]+)$/.exec(token || '');
+    const provisioningToken = match && await ProvisioningToken.findOne({ prefix: match[1] }).select('+secretHash');
+
+    if (!provisioningToken || !provisioningToken.compareSecret(match[2]) || provisioningToken.revokedAt) {
+      throw createError(401, 'Invalid provisioning token', 'INVALID_PROVISIONING_TOKEN');
+    }
+
+    if (provisioningToken.expiresAt && provisioningToken.expiresAt <= Date.now()) {
+      throw createError(401, 'Provisioning token has expired', 'PROVISIONING_TOKEN_EXPIRED');
+    }
+
+    const lastUsedIp = req ? req.ip : null;
+    await ProvisioningToken.updateOne({ _id: provisioningToken._id }, { $set: { lastUsedAt: new Date(), lastUsedIp } });
+
+    return provisioningToken;
+  }
+
+  /**
+   * Revoke a provisioning token
+   * @param {string} tokenId - Provisioning token ID
+   * @returns {Promise<Object|null>} Revoked token or null if not found
+   */
+  static async revokeToken(tokenId) {
+    return ProvisioningToken.findOneAndUpdate(
+      { _id: tokenId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Format a provisioning token for API responses
+   * @param {Object} provisioningToken - Provisioning token document
+   * @returns {Object} Provisioning token response
+   */
+  static toResponse(provisioningToken) {
+    return {
+      id: provisioningToken._id,
+      name: provisioningToken.name,
+      prefix: provisioningToken.prefix,
+      expiresAt: provisioningToken.expiresAt,
+      lastUsedAt: provisioningToken.lastUsedAt,
+      lastUsedIp: provisioningToken.lastUsedIp,
+      revokedAt: provisioningToken.revokedAt,
+      createdBy: provisioningToken.createdBy,
+      createdAt: provisioningToken.createdAt
+    };
+  }
+}
+
+module.exports = ProvisioningTokenService;
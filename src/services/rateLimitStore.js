@@ -0,0 +1,73 @@
+const { RateLimitHit } = require('../models');
+
+/**
+ * express-rate-limit store keeping the counters in MongoDB, so that limits are shared
+ * between instances and survive restarts
+ */
+class MongoRateLimitStore {
+  constructor() {
+    // Keys are counted in the database, not in this process
+    this.localKeys = false;
+  }
+
+  /**
+   * Called by express-rate-limit with the limiter options
+   * @param {Object} options - Limiter options
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  /**
+   * Count a hit, starting a new window when the previous one has ended
+   * @param {string} key - Client key
+   * @returns {Promise<Object>} Hits in the current window and when it ends
+   */
+  async increment(key) {
+    const now = new Date();
+    const inWindow = { $gt: ['$resetAt', now] };
+
+    // A single pipeline update keeps the count atomic across instances
+    const update = [{
+      $set: {
+        hits: { $cond: [inWindow, { $add: ['$hits', 1] }, 1] },
+        resetAt: { $cond: [inWindow, '$resetAt', new Date(now.getTime() + this.windowMs)] }
+      }
+    }];
+
+    let counter;
+    try {
+      counter = await RateLimitHit.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+    } catch (error) {
+      // Two instances created the counter at once; the retry updates the one that won
+      if (error.code !== 11000) throw error;
+      counter = await RateLimitHit.findOneAndUpdate({ key }, update, { new: true });
+    }
+
+    return {
+      totalHits: counter.hits,
+      resetTime: counter.resetAt
+    };
+  }
+
+  /**
+   * Take back a hit (used by skipSuccessfulRequests / skipFailedRequests)
+   * @param {string} key - Client key
+   */
+  async decrement(key) {
+    await RateLimitHit.updateOne(
+      { key, hits: { $gt: 0 }, resetAt: { $gt: new Date() } },
+      { $inc: { hits: -1 } }
+    );
+  }
+
+  /**
+   * Forget the hits of a client
+   * @param {string} key - Client key
+   */
+  async resetKey(key) {
+    await RateLimitHit.deleteOne({ key });
+  }
+}
+
+module.exports = MongoRateLimitStore;
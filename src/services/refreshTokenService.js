@@ -0,0 +1,155 @@
+const { User, RefreshToken, Membership } = require('../models');
+const jwtService = require('../utils/jwtService');
+const auditLogService = require('./auditLogService');
+const sessionService = require('./sessionService');
+const { createError } = require('../utils/errorUtils');
+
+/**
+ * Refresh token persistence and rotation service
+ */
+class RefreshTokenService {
+  /**
+   * Start a new session and issue its first token pair
+   * @param {Object} user - User the tokens belong to
+   * @param {Object} options - Issue options
+   * @param {Object} options.req - Express request object (for device details)
+   * @param {string} options.authMethod - How the user authenticated (password, google, ...)
+   * @param {string} options.organizationId - Organization the tokens act in
+   * @param {string} options.clientId - OAuth client the tokens are issued to
+   * @param {string} options.scope - Scope granted to the OAuth client
+   * @returns {Promise<Object>} Tokens object
+   */
+  static async issueTokens(user, { req = null, authMethod = null, organizationId = null, clientId = null, scope = null } = {}) {
+    const session = sessionService.buildSession(user, req, authMethod, clientId);
+
+    // The session ID doubles as the refresh token family ID
+    const tokens = jwtService.generateTokens(user, { familyId: session._id.toString(), organizationId, clientId, scope });
+    const record = await this.storeRefreshToken(user, tokens.refreshToken);
+
+    session.expiresAt = record.expiresAt;
+    await session.save();
+
+    return tokens;
+  }
+
+  /**
+   * Persist the hash of a freshly signed refresh token
+   * @param {Object} user - User the token belongs to
+   * @param {string} refreshToken - Raw refresh token
+   * @param {string} parentId - ID of the refresh token it replaces
+   * @returns {Promise<Object>} Stored refresh token record
+   */
+  static async storeRefreshToken(user, refreshToken, parentId = null) {
+    const decoded = jwtService.decodeToken(refreshToken);
+
+    return RefreshToken.create({
+      userId: user._id,
+      familyId: decoded.fid,
+      parentId,
+      tokenHash: RefreshToken.hashToken(refreshToken),
+      expiresAt: new Date(decoded.exp * 1000)
+    });
+  }
+
+  /**
+   * Exchange a refresh token for a new pair, revoking the family on reuse
+   * @param {string} refreshToken - Raw refresh token presented by the client
+   * @param {Object} req - Express request object (for audit metadata)
+   * @param {Object} options - Rotation options
+   * @param {string|null} options.organizationId - Switch the organization the new tokens act in
+   *   (null leaves any organization; omit to keep the current one)
+   * @param {string} options.scope - Narrow the scope of an OAuth client's tokens (omit to keep it)
+   * @param {string|null} options.clientId - The authenticated OAuth client rotating its token
+   *   (only oauthService.refresh; tokens issued to a client are refused everywhere else)
+   * @returns {Promise<Object>} The user and the newly issued tokens
+   */
+  static async rotate(refreshToken, req = null, { organizationId, scope, clientId = null } = {}) {
+    const decoded = await jwtService.verifyRefreshToken(refreshToken);
+
+    // A client's refresh token is only exchanged by that client, with its credentials
+    if ((decoded.cid || null) !== clientId) {
+      throw createError(401, 'Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    const stored = await RefreshToken.findByToken(refreshToken);
+
+    if (!stored || stored.userId.toString() !== decoded.id) {
+      throw createError(401, 'Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    if (stored.revokedAt) {
+      if (stored.revokedReason === 'rotated') {
+        await this.handleReuse(stored, req);
+        throw createError(401, 'Refresh token reuse detected. All sessions in this family have been revoked.', 'REFRESH_TOKEN_REUSED');
+      }
+
+      throw createError(401, 'Refresh token has been revoked', 'REFRESH_TOKEN_REVOKED');
+    }
+
+    const user = await User.findById(stored.userId);
+
+    if (!user || !user.isActive) {
+      throw createError(401, 'Invalid refresh token or user not found');
+    }
+
+    // Claim the token atomically so concurrent requests cannot both rotate it
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'rotated' } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      await this.handleReuse(stored, req);
+      throw createError(401, 'Refresh token reuse detected. All sessions in this family have been revoked.', 'REFRESH_TOKEN_REUSED');
+    }
+
+    // Keep the organization only while the user is still a member
+    let org = organizationId !== undefined ? organizationId : (decoded.org || null);
+    if (org && !(await Membership.exists({ organizationId: org, userId: user._id }))) {
+      org = null;
+    }
+
+    // Tokens issued to an OAuth client stay bound to it
+    const tokens = jwtService.generateTokens(user, {
+      familyId: stored.familyId,
+      organizationId: org,
+      clientId: decoded.cid,
+      scope: scope !== undefined ? scope : decoded.scope
+    });
+    const replacement = await this.storeRefreshToken(user, tokens.refreshToken, stored._id);
+
+    claimed.replacedBy = replacement._id;
+    await claimed.save();
+
+    await sessionService.touch(stored.familyId, req, replacement.expiresAt);
+
+    return { user, tokens };
+  }
+
+  /**
+   * Revoke a token family after an already-rotated token was presented again
+   * @param {Object} stored - The reused refresh token record
+   * @param {Object} req - Express request object
+   * @returns {Promise<void>}
+   */
+  static async handleReuse(stored, req = null) {
+    await sessionService.revokeSession(stored.familyId, 'reuse_detected');
+
+    await auditLogService.logUpdate({
+      userId: stored.userId,
+      entity: 'RefreshToken',
+      entityId: stored.familyId,
+      before: { familyRevoked: false },
+      after: {
+        familyRevoked: true,
+        reason: 'reuse_detected',
+        reusedTokenId: stored._id.toString()
+      },
+      req,
+      description: 'Refresh token reuse detected; token family revoked'
+    });
+  }
+}
+
+module.exports = RefreshTokenService;
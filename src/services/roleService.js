@@ -0,0 +1,87 @@
+const { Role } = require('../models');
+const { DEFAULT_ROLES } = require('../config/permissions');
+
+const PERMISSION_CACHE_TTL = 60 * 1000; // 1 minute
+
+// Role name -> { permissions, expiresAt }
+const permissionCache = new Map();
+
+/**
+ * Role and permission service
+ */
+class RoleService {
+  /**
+   * Create the built-in roles if they don't exist yet and keep the admin role complete
+   * @returns {Promise<void>}
+   */
+  static async ensureDefaultRoles() {
+    for (const [name, role] of Object.entries(DEFAULT_ROLES)) {
+      const update = name === 'admin'
+        ? { $set: { permissions: role.permissions, isSystem: true }, $setOnInsert: { description: role.description } }
+        : { $setOnInsert: { description: role.description, permissions: role.permissions, isSystem: true } };
+
+      await Role.updateOne({ name }, update, { upsert: true });
+    }
+
+    this.clearCache();
+  }
+
+  /**
+   * Get the permissions granted by a role
+   * @param {string} name - Role name
+   * @returns {Promise<Array<string>>} Permissions
+   */
+  static async getPermissions(name) {
+    const cached = permissionCache.get(name);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.permissions;
+    }
+
+    const role = await Role.findOne({ name }).lean();
+
+    // Fall back to the built-in definition until the role has been created
+    const permissions = role
+      ? role.permissions
+      : (DEFAULT_ROLES[name] ? DEFAULT_ROLES[name].permissions : []);
+
+    permissionCache.set(name, { permissions, expiresAt: Date.now() + PERMISSION_CACHE_TTL });
+
+    return permissions;
+  }
+
+  /**
+   * Check whether a user holds a permission
+   * @param {Object} user - User document
+   * @param {string} permission - Permission name
+   * @returns {Promise<boolean>} Does the user hold the permission
+   */
+  static async hasPermission(user, permission) {
+    if (!user) return false;
+
+    const permissions = await this.getPermissions(user.role);
+    return permissions.includes(permission);
+  }
+
+  /**
+   * Check whether a role exists (built-in roles always do)
+   * @param {string} name - Role name
+   * @returns {Promise<boolean>} Does the role exist
+   */
+  static async exists(name) {
+    return !!DEFAULT_ROLES[name] || !!(await Role.exists({ name }));
+  }
+
+  /**
+   * Forget cached permissions (after a role changed)
+   * @param {string} name - Role name (all roles if omitted)
+   */
+  static clearCache(name) {
+    if (name) {
+      permissionCache.delete(name);
+    } else {
+      permissionCache.clear();
+    }
+  }
+}
+
+module.exports = RoleService;
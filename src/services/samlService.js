@@ -0,0 +1,547 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { DOMParser } = require('@xmldom/xmldom');
+const { SignedXml, toPem } = require('xml-crypto');
+const { SamlRequest, SamlAssertion } = require('../models');
+const { SAML, loadProviders, buildProvider } = require('../config/samlProviders');
+const oidcService = require('./oidcService');
+const { createError } = require('../utils/errorUtils');
+
+const NS = {
+  protocol: 'urn:oasis:names:tc:SAML:2.0:protocol',
+  assertion: 'urn:oasis:names:tc:SAML:2.0:assertion',
+  metadata: 'urn:oasis:names:tc:SAML:2.0:metadata',
+  dsig: 'http://www.w3.org/2000/09/xmldsig#'
+};
+
+const STATUS_SUCCESS = 'urn:oasis:names:tc:SAML:2.0:status:Success';
+const BEARER = 'urn:oasis:names:tc:SAML:2.0:cm:bearer';
+const HTTP_POST = 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST';
+const NAMEID_EMAIL = 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress';
+const NAMEID_TRANSIENT = 'urn:oasis:names:tc:SAML:2.0:nameid-format:transient';
+
+// SHA-1 is not accepted for signatures or digests
+const SIGNATURE_ALGORITHMS = [
+  'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256',
+  'http://www.w3.org/2001/04/xmldsig-more#rsa-sha512'
+];
+const DIGEST_ALGORITHMS = [
+  'http://www.w3.org/2001/04/xmlenc#sha256',
+  'http://www.w3.org/2001/04/xmlenc#sha512'
+];
+
+const MAX_RESPONSE_SIZE = 256 * 1024;
+
+/**
+ * Escape a value for an XML attribute or text node
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Parse an XML document, rejecting DTDs and anything the parser complains about
+ * @param {string} xml - XML document
+ * @returns {Document} Parsed document
+ */
+const parseXml = (xml) => {
+  // DTDs are never needed in SAML and enable entity expansion attacks
+  if (/<!DOCTYPE/i.test(xml)) {
+    throw new Error('XML documents with a DTD are not accepted');
+  }
+
+  const fail = (message) => {
+    throw new Error(`Malformed XML: ${message}`);
+  };
+  const doc = new DOMParser({ errorHandler: { warning: fail, error: fail, fatalError: fail } })
+    .parseFromString(xml, 'text/xml');
+
+  if (!doc || !doc.documentElement) {
+    throw new Error('Malformed XML');
+  }
+
+  return doc;
+};
+
+/**
+ * Child elements of a node with the given namespace and local name
+ * @param {Node} node - Parent node
+ * @param {string} ns - Namespace URI
+ * @param {string} name - Local name
+ * @returns {Array<Element>} Matching child elements
+ */
+const children = (node, ns, name) => Array.from((node && node.childNodes) || [])
+  .filter(item => item.nodeType === 1 && item.namespaceURI === ns && item.localName === name);
+
+const child = (node, ns, name) => children(node, ns, name)[0] || null;
+
+const text = (node) => (node ? node.textContent.trim() : null);
+
+/**
+ * Parse an xs:dateTime attribute
+ * @param {Element} element - Element carrying the attribute
+ * @param {string} name - Attribute name
+ * @returns {number|null} Milliseconds since the epoch, or null when absent
+ */
+const readTime = (element, name) => {
+  const value = element.getAttribute(name);
+  if (!value) return null;
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name} time`);
+  }
+
+  return time;
+};
+
+/**
+ * SAML 2.0 service provider: metadata, AuthnRequests (HTTP-Redirect binding) and
+ * responses (HTTP-POST binding). Responses are only read from the XML that the IdP
+ * signed, as returned by xml-crypto, so that unsigned content that was wrapped
+ * around or next to the signed assertion is never used.
+ */
+class SamlService {
+  constructor() {
+    this.providers = new Map();
+
+    loadProviders().forEach(provider => this.registerProvider(provider));
+  }
+
+  /**
+   * Register (or replace) a provider
+   * @param {Object} provider - Provider settings (see config/samlProviders)
+   * @returns {Object|null} Registered provider definition
+   */
+  registerProvider(provider) {
+    const definition = buildProvider(provider.name, provider);
+
+    if (!definition.entryPoint || !definition.idpEntityId || definition.certificates.length === 0) {
+      console.warn(`⚠️ SAML provider "${definition.name}" needs an entry point, IdP entity ID and certificate and was skipped.`);
+      return null;
+    }
+
+    // Linked identities are keyed by provider name
+    if (oidcService.providers.has(definition.name)) {
+      console.warn(`⚠️ SAML provider "${definition.name}" has the name of an identity provider and was skipped.`);
+      return null;
+    }
+
+    this.providers.set(definition.name, definition);
+
+    return definition;
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name
+   * @returns {Object} Provider definition
+   */
+  getProvider(name) {
+    const provider = this.providers.get(name);
+
+    if (!provider) {
+      throw createError(404, `SAML provider "${name}" is not configured`, 'UNKNOWN_PROVIDER');
+    }
+
+    return provider;
+  }
+
+  /**
+   * List configured providers (public settings only)
+   * @returns {Array<Object>} Providers
+   */
+  listProviders() {
+    return Array.from(this.providers.values()).map(provider => ({
+      name: provider.name,
+      displayName: provider.displayName,
+      type: provider.type,
+      loginUrl: `/api/auth/saml/${provider.name}/login`,
+      metadataUrl: `/api/auth/saml/${provider.name}/metadata`
+    }));
+  }
+
+  /**
+   * Build the SP metadata to register with the IdP
+   * @param {string} name - Provider name
+   * @returns {string} EntityDescriptor XML
+   */
+  getMetadata(name) {
+    const provider = this.getProvider(name);
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<md:EntityDescriptor xmlns:md="${NS.metadata}" entityID="${escapeXml(provider.spEntityId)}">`,
+      `  <md:SPSSODescriptor AuthnRequestsSigned="false" WantAssertionsSigned="true" protocolSupportEnumeration="${NS.protocol}">`,
+      '    <md:NameIDFormat>urn:oasis:names:tc:SAML:2.0:nameid-format:persistent</md:NameIDFormat>',
+      `    <md:NameIDFormat>${NAMEID_EMAIL}</md:NameIDFormat>`,
+      `    <md:AssertionConsumerService Binding="${HTTP_POST}" Location="${escapeXml(provider.acsUrl)}" index="0" isDefault="true"/>`,
+      '  </md:SPSSODescriptor>',
+      '</md:EntityDescriptor>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Create an AuthnRequest and the IdP URL that carries it (HTTP-Redirect binding)
+   * @param {string} name - Provider name
+   * @param {Object} options - Request options
+   * @param {string} options.relayState - Opaque value returned to the login app
+   * @returns {Promise<Object>} IdP URL and request ID
+   */
+  async createLoginRequest(name, { relayState } = {}) {
+    const provider = this.getProvider(name);
+    const requestId = `_${crypto.randomBytes(20).toString('hex')}`;
+
+    const request = [
+      `<samlp:AuthnRequest xmlns:samlp="${NS.protocol}" xmlns:saml="${NS.assertion}"`,
+      ` ID="${requestId}" Version="2.0" IssueInstant="${new Date().toISOString()}"`,
+      ` Destination="${escapeXml(provider.entryPoint)}" ProtocolBinding="${HTTP_POST}"`,
+      ` AssertionConsumerServiceURL="${escapeXml(provider.acsUrl)}">`,
+      `<saml:Issuer>${escapeXml(provider.spEntityId)}</saml:Issuer>`,
+      '<samlp:NameIDPolicy Format="urn:oasis:names:tc:SAML:1.1:nameid-format:unspecified" AllowCreate="true"/>',
+      '</samlp:AuthnRequest>'
+    ].join('');
+
+    // Remembered so that only responses to our own requests are accepted
+    await SamlRequest.create({
+      requestId,
+      provider: provider.name,
+      expiresAt: new Date(Date.now() + SAML.requestTtl)
+    });
+
+    const url = new URL(provider.entryPoint);
+    url.searchParams.set('SAMLRequest', zlib.deflateRawSync(request).toString('base64'));
+    if (relayState) {
+      url.searchParams.set('RelayState', relayState);
+    }
+
+    return { url: url.toString(), requestId };
+  }
+
+  /**
+   * Validate a SAML response posted to the ACS and store its profile behind a
+   * one-time code for the login app
+   * @param {string} name - Provider name
+   * @param {string} samlResponse - Base64 SAMLResponse form field
+   * @returns {Promise<Object>} One-time code and the mapped profile
+   */
+  async consumeResponse(name, samlResponse) {
+    const provider = this.getProvider(name);
+    const fail = (message, code = 'PROVIDER_AUTH_FAILED') => createError(401, `${provider.displayName} authentication failed: ${message}`, code);
+
+    let assertion;
+    let profile;
+
+    try {
+      assertion = this.validateResponse(provider, samlResponse);
+      profile = this.mapAttributes(provider, assertion);
+    } catch (error) {
+      throw fail(error.message);
+    }
+
+    if (assertion.inResponseTo) {
+      if (!await SamlRequest.claim(assertion.inResponseTo, provider.name)) {
+        throw fail('the response does not answer a pending signin request');
+      }
+    } else if (!provider.allowIdpInitiated) {
+      throw fail('unsolicited responses are not accepted');
+    }
+
+    const code = crypto.randomBytes(32).toString('base64url');
+    const codeExpiresAt = new Date(Date.now() + SAML.codeTtl);
+
+    try {
+      await SamlAssertion.create({
+        provider: provider.name,
+        assertionId: assertion.assertionId,
+        codeHash: SamlAssertion.hashCode(code),
+        profile,
+        codeExpiresAt,
+        expiresAt: new Date(Math.max(assertion.expiresAt, codeExpiresAt.getTime()))
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw fail('the assertion was already used', 'SAML_ASSERTION_REPLAYED');
+      }
+      throw error;
+    }
+
+    return { code, profile };
+  }
+
+  /**
+   * Exchange a one-time code from the ACS redirect for the signed-in profile
+   * @param {string} code - Code from the login app
+   * @returns {Promise<Object>} Provider definition and profile
+   */
+  async exchangeCode(code) {
+    const record = await SamlAssertion.claim(code);
+
+    if (!record || !record.profile) {
+      throw createError(400, 'Signin code is invalid or has expired', 'INVALID_SSO_CODE');
+    }
+
+    return {
+      provider: this.getProvider(record.provider),
+      profile: record.profile
+    };
+  }
+
+  /**
+   * Check a SAML response: status, destination, signature (of the assertion or of the
+   * whole response), issuer, time conditions, audience and bearer confirmation
+   * @param {Object} provider - Provider definition
+   * @param {string} samlResponse - Base64 SAMLResponse
+   * @param {number} now - Current time (ms)
+   * @returns {Object} Assertion ID, InResponseTo, validity end, NameID and attributes
+   */
+  validateResponse(provider, samlResponse, now = Date.now()) {
+    if (typeof samlResponse !== 'string' || !samlResponse || samlResponse.length > MAX_RESPONSE_SIZE) {
+      throw new Error('Missing or oversized SAML response');
+    }
+
+    const xml = Buffer.from(samlResponse, 'base64').toString('utf8');
+    const response = parseXml(xml).documentElement;
+
+    if (response.namespaceURI !== NS.protocol || response.localName !== 'Response') {
+      throw new Error('Not a SAML response');
+    }
+
+    const destination = response.getAttribute('Destination');
+    if (destination && destination !== provider.acsUrl) {
+      throw new Error('Response destination mismatch');
+    }
+
+    const status = child(child(response, NS.protocol, 'Status'), NS.protocol, 'StatusCode');
+    if (!status || status.getAttribute('Value') !== STATUS_SUCCESS) {
+      throw new Error(`IdP returned status ${status ? status.getAttribute('Value') : 'unknown'}`);
+    }
+
+    if (children(response, NS.assertion, 'EncryptedAssertion').length > 0) {
+      throw new Error('Encrypted assertions are not supported');
+    }
+
+    const assertions = children(response, NS.assertion, 'Assertion');
+    if (assertions.length !== 1) {
+      throw new Error('Response must contain exactly one assertion');
+    }
+
+    // Use the assertion as signed by the IdP, on its own or inside the signed response
+    const signedAssertion = this.verifySignature(provider, assertions[0], xml);
+    const signedResponse = this.verifySignature(provider, response, xml);
+    let assertion = null;
+
+    if (signedAssertion) {
+      assertion = parseXml(signedAssertion).documentElement;
+    } else if (signedResponse) {
+      const signed = children(parseXml(signedResponse).documentElement, NS.assertion, 'Assertion');
+      assertion = signed.length === 1 ? signed[0] : null;
+    }
+
+    if (!assertion) {
+      throw new Error('Assertion is not signed');
+    }
+
+    return this.checkAssertion(provider, assertion, response.getAttribute('InResponseTo'), now);
+  }
+
+  /**
+   * Verify the enveloped signature of an element with the provider's certificates
+   * @param {Object} provider - Provider definition
+   * @param {Element} element - Response or Assertion element
+   * @param {string} xml - Whole document
+   * @returns {string|null} Canonical XML of the signed element, or null if it is not signed
+   */
+  verifySignature(provider, element, xml) {
+    const signature = child(element, NS.dsig, 'Signature');
+    if (!signature) return null;
+
+    const signedInfo = child(signature, NS.dsig, 'SignedInfo');
+    const method = child(signedInfo, NS.dsig, 'SignatureMethod');
+    const references = children(signedInfo, NS.dsig, 'Reference');
+    const id = element.getAttribute('ID');
+
+    if (!method || !SIGNATURE_ALGORITHMS.includes(method.getAttribute('Algorithm'))) {
+      throw new Error('Unsupported signature algorithm');
+    }
+
+    // The signature must cover exactly the element it is in
+    if (!id || references.length !== 1 || references[0].getAttribute('URI') !== `#${id}`) {
+      throw new Error('Signature does not reference the signed element');
+    }
+
+    const digest = child(references[0], NS.dsig, 'DigestMethod');
+    if (!digest || !DIGEST_ALGORITHMS.includes(digest.getAttribute('Algorithm'))) {
+      throw new Error('Unsupported digest algorithm');
+    }
+
+    // Certificates from KeyInfo are ignored: only the configured ones are trusted
+    for (const certificate of provider.certificates) {
+      const signedXml = new SignedXml({ publicCert: toPem(certificate), getCertFromKeyInfo: () => null });
+      signedXml.loadSignature(signature);
+
+      try {
+        if (signedXml.checkSignature(xml)) {
+          const [signed] = signedXml.getSignedReferences();
+          if (signed) return signed;
+        }
+      } catch (error) {
+        // Try the next certificate (rollover)
+      }
+    }
+
+    throw new Error('Invalid signature');
+  }
+
+  /**
+   * Check a signed assertion and read its subject and attributes
+   * @param {Object} provider - Provider definition
+   * @param {Element} assertion - Signed Assertion element
+   * @param {string|null} responseInResponseTo - InResponseTo of the enclosing response
+   * @param {number} now - Current time (ms)
+   * @returns {Object} Assertion details
+   */
+  checkAssertion(provider, assertion, responseInResponseTo, now) {
+    const skew = SAML.clockSkew;
+
+    if (text(child(assertion, NS.assertion, 'Issuer')) !== provider.idpEntityId) {
+      throw new Error('Assertion issuer mismatch');
+    }
+
+    const assertionId = assertion.getAttribute('ID');
+    if (!assertionId) {
+      throw new Error('Assertion has no ID');
+    }
+
+    const conditions = child(assertion, NS.assertion, 'Conditions');
+    if (!conditions) {
+      throw new Error('Assertion has no conditions');
+    }
+
+    const notBefore = readTime(conditions, 'NotBefore');
+    const notOnOrAfter = readTime(conditions, 'NotOnOrAfter');
+
+    if (notBefore !== null && now + skew < notBefore) {
+      throw new Error('Assertion is not yet valid');
+    }
+    if (notOnOrAfter !== null && now - skew >= notOnOrAfter) {
+      throw new Error('Assertion has expired');
+    }
+
+    // Every audience restriction must name us (SAML core 2.5.1.4)
+    const restrictions = children(conditions, NS.assertion, 'AudienceRestriction');
+    const forUs = restrictions.length > 0 && restrictions.every(restriction => {
+      return children(restriction, NS.assertion, 'Audience').some(audience => text(audience) === provider.spEntityId);
+    });
+    if (!forUs) {
+      throw new Error('Assertion audience mismatch');
+    }
+
+    const subject = child(assertion, NS.assertion, 'Subject');
+    const nameId = child(subject, NS.assertion, 'NameID');
+
+    // A bearer confirmation addressed to our ACS that has not expired (SAML profiles 4.1.4.2)
+    const confirmation = children(subject, NS.assertion, 'SubjectConfirmation')
+      .filter(item => item.getAttribute('Method') === BEARER)
+      .map(item => child(item, NS.assertion, 'SubjectConfirmationData'))
+      .find(data => {
+        if (!data || data.getAttribute('Recipient') !== provider.acsUrl) return false;
+
+        const expiresAt = readTime(data, 'NotOnOrAfter');
+        const validFrom = readTime(data, 'NotBefore');
+        return expiresAt !== null && now - skew < expiresAt && (validFrom === null || now + skew >= validFrom);
+      });
+
+    if (!confirmation) {
+      throw new Error('Assertion has no valid bearer subject confirmation');
+    }
+
+    const inResponseTo = confirmation.getAttribute('InResponseTo') || null;
+    if (responseInResponseTo && responseInResponseTo !== inResponseTo) {
+      throw new Error('Response InResponseTo mismatch');
+    }
+
+    const attributes = {};
+    for (const statement of children(assertion, NS.assertion, 'AttributeStatement')) {
+      for (const attribute of children(statement, NS.assertion, 'Attribute')) {
+        const values = children(attribute, NS.assertion, 'AttributeValue').map(text).filter(Boolean);
+        attributes[attribute.getAttribute('Name')] = values;
+      }
+    }
+
+    return {
+      assertionId,
+      inResponseTo,
+      expiresAt: Math.max(readTime(confirmation, 'NotOnOrAfter'), notOnOrAfter || 0),
+      nameId: text(nameId),
+      nameIdFormat: nameId ? nameId.getAttribute('Format') || null : null,
+      attributes
+    };
+  }
+
+  /**
+   * Map assertion attributes to a profile using the provider's attribute mapping
+   * @param {Object} provider - Provider definition
+   * @param {Object} assertion - Assertion details from checkAssertion
+   * @returns {Object} Normalized profile
+   */
+  mapAttributes(provider, { nameId, nameIdFormat, attributes }) {
+    const mapping = provider.attributeMapping;
+    const read = (names) => {
+      for (const name of [].concat(names || [])) {
+        const value = name === 'nameID' ? nameId : (attributes[name] || [])[0];
+        if (value) return value;
+      }
+      return undefined;
+    };
+
+    // Transient NameIDs change on every signin, so they cannot identify the user
+    if ([].concat(mapping.subject).includes('nameID') && nameIdFormat === NAMEID_TRANSIENT) {
+      throw new Error('Transient NameIDs cannot identify users; map the subject to an attribute');
+    }
+
+    const subject = read(mapping.subject);
+    if (!subject) {
+      throw new Error(`Missing subject "${[].concat(mapping.subject).join('", "')}"`);
+    }
+
+    let email = read(mapping.email);
+    if (!email && nameIdFormat === NAMEID_EMAIL) {
+      email = nameId;
+    }
+
+    const fullName = [read(mapping.firstName), read(mapping.lastName)].filter(Boolean).join(' ');
+
+    return {
+      provider: provider.name,
+      subject: String(subject),
+      email: email ? String(email).toLowerCase() : null,
+      emailVerified: provider.trustEmail && Boolean(email),
+      name: read(mapping.name) || fullName || null,
+      avatar: read(mapping.avatar) || null
+    };
+  }
+
+  /**
+   * Build the login app URL that receives the result of a signin
+   * @param {Object} params - Query parameters (code or error, and state)
+   * @returns {string} Callback URL
+   */
+  buildCallbackUrl(params) {
+    const url = new URL(SAML.callbackUrl);
+
+    for (const [name, value] of Object.entries(params)) {
+      if (value) url.searchParams.set(name, value);
+    }
+
+    return url.toString();
+  }
+}
+
+module.exports = new SamlService();
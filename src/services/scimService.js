@@ -0,0 +1,961 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { SCIM, SCHEMAS } = require('../config/scim');
+const { createError } = require('../utils/errorUtils');
+
+// scimType values of SCIM error responses (RFC 7644 section 3.12)
+const SCIM_TYPES = [
+  'invalidFilter',
+  'tooMany',
+  'uniqueness',
+  'mutability',
+  'invalidSyntax',
+  'invalidPath',
+  'noTarget',
+  'invalidValue',
+  'invalidVers',
+  'sensitive'
+];
+
+const COMPARE_OPERATORS = ['eq', 'ne', 'co', 'sw', 'ew', 'gt', 'ge', 'lt', 'le'];
+
+// Filterable and sortable attributes of each resource type (lowercase SCIM path -> model field)
+const RESOURCE_ATTRIBUTES = {
+  User: {
+    id: { field: '_id', type: 'id' },
+    username: { field: 'email', type: 'string', lowercase: true },
+    emails: { field: 'email', type: 'string', lowercase: true },
+    'emails.value': { field: 'email', type: 'string', lowercase: true },
+    externalid: { field: 'externalId', type: 'string', caseExact: true },
+    displayname: { field: 'name', type: 'string' },
+    'name.formatted': { field: 'name', type: 'string' },
+    active: { field: 'isActive', type: 'boolean' },
+    'meta.created': { field: 'createdAt', type: 'date' },
+    'meta.lastmodified': { field: 'updatedAt', type: 'date' }
+  },
+  Group: {
+    id: { field: '_id', type: 'id' },
+    displayname: { field: 'name', type: 'string', lowercase: true },
+    'meta.created': { field: 'createdAt', type: 'date' },
+    'meta.lastmodified': { field: 'updatedAt', type: 'date' }
+  }
+};
+
+const TOKEN_PATTERN = /\s*(?:(\()|(\))|(\[)|(\])|("(?:[^"\\]|\\.)*")|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)(?![\w:.$-])|([A-Za-z$][\w:.$-]*))/y;
+
+/**
+ * Build an error answered in the SCIM format
+ * @param {number} status - HTTP status
+ * @param {string} detail - Human readable description
+ * @param {string} scimType - SCIM error type
+ * @returns {Error} Operational error
+ */
+const scimError = (status, detail, scimType = null) => createError(status, detail, scimType);
+
+/**
+ * Remove the schema URN in front of an attribute name
+ * ("urn:ietf:params:scim:schemas:core:2.0:User:userName" -> "userName")
+ * @param {string} name - Attribute name or path
+ * @returns {string} Attribute name or path without the URN
+ */
+const stripSchema = (name) => {
+  if (!/^urn:/i.test(name)) return name;
+
+  const bracket = name.indexOf('[');
+  const head = bracket === -1 ? name : name.slice(0, bracket);
+  return name.slice(head.lastIndexOf(':') + 1);
+};
+
+/**
+ * Split a filter into tokens
+ * @param {string} filter - SCIM filter
+ * @returns {Array<Object>} Tokens ({ type, value })
+ */
+const tokenize = (filter) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < filter.length) {
+    if (!filter.slice(TOKEN_PATTERN.lastIndex).trim()) break;
+
+    const match = TOKEN_PATTERN.exec(filter);
+    if (!match) {
+      throw scimError(400, `Invalid filter near "${filter.slice(TOKEN_PATTERN.lastIndex, TOKEN_PATTERN.lastIndex + 20)}"`, 'invalidFilter');
+    }
+
+    if (match[1] || match[2] || match[3] || match[4]) {
+      tokens.push({ type: match[0].trim() });
+    } else if (match[5]) {
+      tokens.push({ type: 'value', value: JSON.parse(match[5]) });
+    } else if (match[6]) {
+      tokens.push({ type: 'value', value: Number(match[6]) });
+    } else {
+      tokens.push({ type: 'word', value: match[7] });
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Recursive descent parser for SCIM filters (RFC 7644 section 3.4.2.2)
+ */
+class FilterParser {
+  constructor(filter) {
+    this.tokens = tokenize(filter);
+    this.position = 0;
+  }
+
+  parse() {
+    const node = this.parseOr();
+
+    if (this.position < this.tokens.length) {
+      throw scimError(400, 'Invalid filter: unexpected input after the expression', 'invalidFilter');
+    }
+
+    return node;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  isKeyword(word) {
+    const token = this.peek();
+    return !!token && token.type === 'word' && token.value.toLowerCase() === word;
+  }
+
+  expect(type) {
+    const token = this.tokens[this.position++];
+
+    if (!token || token.type !== type) {
+      throw scimError(400, `Invalid filter: expected "${type}"`, 'invalidFilter');
+    }
+
+    return token;
+  }
+
+  parseOr() {
+    let node = this.parseAnd();
+
+    while (this.isKeyword('or')) {
+      this.position++;
+      node = { op: 'or', left: node, right: this.parseAnd() };
+    }
+
+    return node;
+  }
+
+  parseAnd() {
+    let node = this.parseUnary();
+
+    while (this.isKeyword('and')) {
+      this.position++;
+      node = { op: 'and', left: node, right: this.parseUnary() };
+    }
+
+    return node;
+  }
+
+  parseUnary() {
+    if (this.isKeyword('not')) {
+      this.position++;
+      this.expect('(');
+      const filter = this.parseOr();
+      this.expect(')');
+      return { op: 'not', filter };
+    }
+
+    const token = this.peek();
+
+    if (token && token.type === '(') {
+      this.position++;
+      const node = this.parseOr();
+      this.expect(')');
+      return node;
+    }
+
+    const attr = stripSchema(this.expect('word').value);
+
+    // Complex attribute filter: emails[type eq "work"]
+    if (this.peek() && this.peek().type === '[') {
+      this.position++;
+      const filter = this.parseOr();
+      this.expect(']');
+      return { op: 'valuePath', attr, filter };
+    }
+
+    const operator = this.expect('word').value.toLowerCase();
+
+    if (operator === 'pr') {
+      return { op: 'pr', attr };
+    }
+
+    if (!COMPARE_OPERATORS.includes(operator)) {
+      throw scimError(400, `Invalid filter: unknown operator "${operator}"`, 'invalidFilter');
+    }
+
+    const next = this.tokens[this.position++];
+    let value;
+
+    if (next && next.type === 'value') {
+      value = next.value;
+    } else if (next && next.type === 'word' && ['true', 'false', 'null'].includes(next.value)) {
+      value = JSON.parse(next.value);
+    } else {
+      throw scimError(400, `Invalid filter: missing value for "${attr} ${operator}"`, 'invalidFilter');
+    }
+
+    return { op: operator, attr, value };
+  }
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find an object key case-insensitively (SCIM attribute names are case-insensitive)
+ * @param {Object} object - Object to search
+ * @param {string} name - Attribute name
+ * @returns {string} Existing key, or the name itself
+ */
+const findKey = (object, name) => {
+  const lower = name.toLowerCase();
+  return Object.keys(object).find(key => key.toLowerCase() === lower) || name;
+};
+
+/**
+ * Values of an attribute path in a resource (multi-valued attributes are flattened)
+ * @param {Object} resource - SCIM resource or complex value
+ * @param {string} path - Attribute path (name.givenName)
+ * @returns {Array} Values
+ */
+const valuesAt = (resource, path) => {
+  return path.split('.').reduce((values, name) => {
+    return values.flatMap(value => {
+      if (value === null || typeof value !== 'object') return [];
+      const found = value[findKey(value, name)];
+      return found === undefined ? [] : [].concat(found);
+    });
+  }, [resource]).map(value => {
+    // A multi-valued attribute without a sub-attribute compares its "value"
+    return value && typeof value === 'object' && 'value' in value ? value.value : value;
+  });
+};
+
+/**
+ * Compare one value with a filter operand
+ * @param {*} actual - Value of the resource
+ * @param {string} operator - SCIM comparison operator
+ * @param {*} expected - Operand of the filter
+ * @returns {boolean} Does the value match
+ */
+const compare = (actual, operator, expected) => {
+  if (actual instanceof Date) actual = actual.toISOString();
+  if (actual !== null && typeof actual === 'object') actual = String(actual);
+
+  if (typeof actual === 'string' && typeof expected === 'string') {
+    actual = actual.toLowerCase();
+    expected = expected.toLowerCase();
+  }
+
+  switch (operator) {
+    case 'eq': return actual === expected;
+    case 'ne': return actual !== expected;
+    case 'co': return typeof actual === 'string' && actual.includes(expected);
+    case 'sw': return typeof actual === 'string' && actual.startsWith(expected);
+    case 'ew': return typeof actual === 'string' && actual.endsWith(expected);
+    case 'gt': return actual > expected;
+    case 'ge': return actual >= expected;
+    case 'lt': return actual < expected;
+    case 'le': return actual <= expected;
+    default: return false;
+  }
+};
+
+/**
+ * Parse a PATCH path: attr, attr.sub, attr[filter] or attr[filter].sub
+ * @param {string} path - PATCH operation path
+ * @returns {Object} Parsed path ({ attr, filter, sub })
+ */
+const parsePath = (path) => {
+  const match = /^([A-Za-z$][\w$-]*)(?:\[(.+)\])?(?:\.([A-Za-z$][\w$-]*))?$/s.exec(stripSchema(String(path).trim()));
+
+  if (!match) {
+    throw scimError(400, `Invalid path "${path}"`, 'invalidPath');
+  }
+
+  return {
+    attr: match[1],
+    filter: match[2] ? new FilterParser(match[2]).parse() : null,
+    sub: match[3] || null
+  };
+};
+
+/**
+ * Coerce a SCIM boolean (some identity providers send "True" and "False")
+ * @param {*} value - Boolean or boolean string
+ * @param {string} name - Attribute name for the error message
+ * @returns {boolean} Boolean value
+ */
+const toBoolean = (value, name) => {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string' && /^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+
+  throw scimError(400, `${name} must be a boolean`, 'invalidValue');
+};
+
+/**
+ * SCIM 2.0 provisioning: filters, PATCH operations and the mapping between SCIM
+ * resources and users / roles
+ */
+class ScimService {
+  /**
+   * Check whether an error code is a SCIM error type
+   * @param {string} code - Error code
+   * @returns {boolean} Is it a scimType
+   */
+  static isScimType(code) {
+    return SCIM_TYPES.includes(code);
+  }
+
+  /**
+   * Parse a SCIM filter
+   * @param {string} filter - Filter expression, e.g. userName eq "jane@example.com"
+   * @returns {Object} Filter tree
+   */
+  static parseFilter(filter) {
+    return new FilterParser(filter).parse();
+  }
+
+  /**
+   * Translate a filter into a MongoDB query for a resource type
+   * @param {string} resourceType - User or Group
+   * @param {string} filter - SCIM filter (none matches everything)
+   * @returns {Object} MongoDB query
+   */
+  static buildQuery(resourceType, filter) {
+    return filter ? this.toQuery(RESOURCE_ATTRIBUTES[resourceType], this.parseFilter(filter)) : {};
+  }
+
+  /**
+   * Translate a filter tree into a MongoDB query
+   * @param {Object} attributes - Filterable attributes of the resource type
+   * @param {Object} node - Filter tree
+   * @param {string} prefix - Path of the complex attribute a value filter applies to
+   * @returns {Object} MongoDB query
+   */
+  static toQuery(attributes, node, prefix = '') {
+    switch (node.op) {
+      case 'and': return { $and: [this.toQuery(attributes, node.left, prefix), this.toQuery(attributes, node.right, prefix)] };
+      case 'or': return { $or: [this.toQuery(attributes, node.left, prefix), this.toQuery(attributes, node.right, prefix)] };
+      case 'not': return { $nor: [this.toQuery(attributes, node.filter, prefix)] };
+      case 'valuePath': return this.toQuery(attributes, node.filter, `${prefix}${node.attr}.`);
+      default: break;
+    }
+
+    const path = `${prefix}${node.attr}`;
+    const attribute = attributes[path.toLowerCase()];
+
+    if (!attribute) {
+      throw scimError(400, `Filtering by "${path}" is not supported`, 'invalidFilter');
+    }
+
+    const { field, type } = attribute;
+
+    if (node.op === 'pr') {
+      return { [field]: { $exists: true, $nin: [null, ''] } };
+    }
+
+    let { value } = node;
+
+    if (type === 'id') {
+      if (!['eq', 'ne'].includes(node.op)) {
+        throw scimError(400, `Only eq and ne can be used with "${path}"`, 'invalidFilter');
+      }
+
+      // An ID that can't exist matches nothing
+      const id = mongoose.isValidObjectId(value) ? new mongoose.Types.ObjectId(value) : null;
+      return node.op === 'eq' ? { [field]: id || { $in: [] } } : (id ? { [field]: { $ne: id } } : {});
+    }
+
+    if (type === 'boolean') {
+      if (!['eq', 'ne'].includes(node.op) || typeof value !== 'boolean') {
+        throw scimError(400, `"${path}" can only be compared with eq or ne and true or false`, 'invalidFilter');
+      }
+
+      return { [field]: node.op === 'eq' ? value : { $ne: value } };
+    }
+
+    if (type === 'date') {
+      const date = new Date(value);
+
+      if (typeof value !== 'string' || Number.isNaN(date.getTime()) || ['co', 'sw', 'ew'].includes(node.op)) {
+        throw scimError(400, `"${path}" must be compared with a date`, 'invalidFilter');
+      }
+
+      return { [field]: node.op === 'eq' ? date : { [`$${node.op.replace('ge', 'gte').replace('le', 'lte')}`]: date } };
+    }
+
+    if (typeof value !== 'string') {
+      throw scimError(400, `"${path}" must be compared with a string`, 'invalidFilter');
+    }
+
+    if (attribute.lowercase) {
+      value = value.toLowerCase();
+    }
+
+    // Strings are compared case-insensitively unless the attribute is case exact
+    const flags = attribute.caseExact || attribute.lowercase ? '' : 'i';
+    const escaped = escapeRegExp(value);
+
+    switch (node.op) {
+      case 'eq': return { [field]: flags ? new RegExp(`^${escaped}$`, flags) : value };
+      case 'ne': return { [field]: flags ? { $not: new RegExp(`^${escaped}$`, flags) } : { $ne: value } };
+      case 'co': return { [field]: new RegExp(escaped, flags) };
+      case 'sw': return { [field]: new RegExp(`^${escaped}`, flags) };
+      case 'ew': return { [field]: new RegExp(`${escaped}$`, flags) };
+      default: return { [field]: { [`$${node.op.replace('ge', 'gte').replace('le', 'lte')}`]: value } };
+    }
+  }
+
+  /**
+   * Build the sort of a list request
+   * @param {string} resourceType - User or Group
+   * @param {string} sortBy - SCIM attribute path
+   * @param {string} sortOrder - ascending or descending
+   * @returns {Object} MongoDB sort (creation order by default)
+   */
+  static buildSort(resourceType, sortBy, sortOrder = 'ascending') {
+    const direction = sortOrder === 'descending' ? -1 : 1;
+
+    if (!sortBy) {
+      return { _id: direction };
+    }
+
+    const attribute = RESOURCE_ATTRIBUTES[resourceType][stripSchema(sortBy).toLowerCase()];
+
+    if (!attribute) {
+      throw scimError(400, `Sorting by "${sortBy}" is not supported`, 'invalidValue');
+    }
+
+    return { [attribute.field]: direction, _id: direction };
+  }
+
+  /**
+   * Check a resource (or a complex value) against a filter tree
+   * @param {Object} resource - SCIM resource or complex value
+   * @param {Object} node - Filter tree
+   * @returns {boolean} Does it match
+   */
+  static matches(resource, node) {
+    switch (node.op) {
+      case 'and': return this.matches(resource, node.left) && this.matches(resource, node.right);
+      case 'or': return this.matches(resource, node.left) || this.matches(resource, node.right);
+      case 'not': return !this.matches(resource, node.filter);
+      case 'valuePath': {
+        const items = [].concat(resource[findKey(resource, node.attr)] || []);
+        return items.some(item => this.matches(item, node.filter));
+      }
+      case 'pr': return valuesAt(resource, node.attr).some(value => value !== null && value !== '');
+      default: return valuesAt(resource, node.attr).some(value => compare(value, node.op, node.value));
+    }
+  }
+
+  /**
+   * Apply a PatchOp request to a resource (RFC 7644 section 3.5.2)
+   * @param {Object} resource - SCIM resource (left untouched)
+   * @param {Object} body - PatchOp request body
+   * @returns {Object} Patched copy of the resource
+   */
+  static applyPatch(resource, body) {
+    const operations = body && body.Operations;
+
+    if (!body || !Array.isArray(body.schemas) || !body.schemas.includes(SCHEMAS.patchOp) ||
+        !Array.isArray(operations) || operations.length === 0) {
+      throw scimError(400, `The request must be a ${SCHEMAS.patchOp} message with Operations`, 'invalidSyntax');
+    }
+
+    const patched = JSON.parse(JSON.stringify(resource));
+
+    for (const operation of operations) {
+      const op = String((operation && operation.op) || '').toLowerCase();
+
+      if (!['add', 'remove', 'replace'].includes(op)) {
+        throw scimError(400, `Unsupported PATCH operation "${operation && operation.op}"`, 'invalidSyntax');
+      }
+
+      if (operation.path) {
+        this.applyOperation(patched, op, parsePath(operation.path), operation.value);
+        continue;
+      }
+
+      if (op === 'remove') {
+        throw scimError(400, 'Remove operations need a path', 'noTarget');
+      }
+
+      if (!operation.value || typeof operation.value !== 'object' || Array.isArray(operation.value)) {
+        throw scimError(400, 'Operations without a path need an object value', 'invalidValue');
+      }
+
+      // Each attribute of the value is an operation of its own (keys may be paths: "name.givenName")
+      for (const [path, value] of Object.entries(operation.value)) {
+        this.applyOperation(patched, op, parsePath(path), value);
+      }
+    }
+
+    return patched;
+  }
+
+  /**
+   * Apply one PATCH operation
+   * @param {Object} resource - Resource being patched
+   * @param {string} op - add, remove or replace
+   * @param {Object} path - Parsed path
+   * @param {*} value - Operation value
+   */
+  static applyOperation(resource, op, { attr, filter, sub }, value) {
+    const key = findKey(resource, attr);
+
+    if (filter) {
+      const items = Array.isArray(resource[key]) ? resource[key] : [];
+      const targets = items.filter(item => this.matches(item, filter));
+
+      if (targets.length === 0) {
+        if (op === 'remove') return;
+        throw scimError(400, `No values of "${attr}" match the path filter`, 'noTarget');
+      }
+
+      if (op === 'remove') {
+        if (sub) {
+          targets.forEach(item => delete item[findKey(item, sub)]);
+        } else {
+          resource[key] = items.filter(item => !targets.includes(item));
+        }
+        return;
+      }
+
+      targets.forEach(item => {
+        if (sub) {
+          item[findKey(item, sub)] = value;
+        } else {
+          Object.assign(item, value);
+        }
+      });
+      return;
+    }
+
+    if (sub) {
+      const parent = resource[key] && typeof resource[key] === 'object' ? resource[key] : (resource[key] = {});
+      const targets = Array.isArray(parent) ? parent : [parent];
+
+      targets.forEach(item => {
+        if (op === 'remove') {
+          delete item[findKey(item, sub)];
+        } else {
+          item[findKey(item, sub)] = value;
+        }
+      });
+      return;
+    }
+
+    if (op === 'remove') {
+      // Remove the listed values of a multi-valued attribute, or the whole attribute
+      if (Array.isArray(resource[key]) && value !== undefined) {
+        const removed = [].concat(value).map(item => (item && typeof item === 'object' ? item.value : item));
+        resource[key] = resource[key].filter(item => !removed.includes(item.value));
+      } else {
+        delete resource[key];
+      }
+      return;
+    }
+
+    if (op === 'add' && Array.isArray(resource[key])) {
+      const existing = resource[key].map(item => item.value);
+      const added = [].concat(value).filter(item => !(item && existing.includes(item.value)));
+      resource[key] = [...resource[key], ...added];
+      return;
+    }
+
+    if (op === 'add' && resource[key] && typeof resource[key] === 'object' && value && typeof value === 'object') {
+      Object.assign(resource[key], value);
+      return;
+    }
+
+    resource[key] = value;
+  }
+
+  /**
+   * Read the account attributes of a User resource (POST, PUT or patched resource)
+   * @param {Object} resource - SCIM User
+   * @returns {Object} Account attributes ({ email, name, isActive, externalId, password })
+   */
+  static readUser(resource) {
+    if (!resource || typeof resource !== 'object') {
+      throw scimError(400, 'A User resource is required', 'invalidSyntax');
+    }
+
+    const get = name => resource[findKey(resource, name)];
+    const userName = get('userName');
+
+    if (typeof userName !== 'string' || !userName.trim()) {
+      throw scimError(400, 'userName is required', 'invalidValue');
+    }
+
+    // userName is the email; identity providers that use another userName send the email in emails
+    const emails = [].concat(get('emails') || []).filter(item => item && typeof item.value === 'string');
+    const primary = emails.find(item => item.primary === true || item.primary === 'true') || emails[0];
+    const isEmail = value => /^[^\s@]+@[^\s@]+$/.test(value);
+    const email = isEmail(userName.trim()) ? userName.trim() : primary && isEmail(primary.value) && primary.value;
+
+    if (!email) {
+      throw scimError(400, 'userName or the primary email must be an email address', 'invalidValue');
+    }
+
+    const nameObject = get('name') || {};
+    const nameGet = name => (typeof nameObject === 'object' ? nameObject[findKey(nameObject, name)] : undefined);
+    const fullName = [nameGet('givenName'), nameGet('familyName')].filter(Boolean).join(' ');
+    const name = get('displayName') || nameGet('formatted') || fullName || email.split('@')[0];
+
+    const active = get('active');
+    const externalId = get('externalId');
+    const password = get('password');
+
+    if (password !== undefined && typeof password !== 'string') {
+      throw scimError(400, 'password must be a string', 'invalidValue');
+    }
+
+    return {
+      email: email.toLowerCase(),
+      name: String(name).trim(),
+      isActive: active === undefined || active === null ? true : toBoolean(active, 'active'),
+      externalId: externalId === undefined || externalId === null ? undefined : String(externalId),
+      password
+    };
+  }
+
+  /**
+   * Read the role name and member IDs of a Group resource
+   * @param {Object} resource - SCIM Group
+   * @returns {Object} Group attributes ({ name, memberIds })
+   */
+  static readGroup(resource) {
+    if (!resource || typeof resource !== 'object') {
+      throw scimError(400, 'A Group resource is required', 'invalidSyntax');
+    }
+
+    const displayName = resource[findKey(resource, 'displayName')];
+
+    if (typeof displayName !== 'string' || !displayName.trim()) {
+      throw scimError(400, 'displayName is required', 'invalidValue');
+    }
+
+    const members = [].concat(resource[findKey(resource, 'members')] || []);
+    const memberIds = members.map(member => String(member && typeof member === 'object' ? member.value : member));
+
+    const invalid = memberIds.find(id => !mongoose.isValidObjectId(id));
+    if (invalid) {
+      throw scimError(400, `Unknown member "${invalid}"`, 'invalidValue');
+    }
+
+    return {
+      name: displayName.trim().toLowerCase(),
+      memberIds: [...new Set(memberIds)]
+    };
+  }
+
+  /**
+   * Version of a resource, sent as its ETag (weak: the representation may vary with
+   * the attributes requested)
+   * @param {Object} doc - User or Role document
+   * @returns {string} ETag
+   */
+  static version(doc) {
+    const stamp = `${doc._id}:${doc.updatedAt ? new Date(doc.updatedAt).getTime() : 0}`;
+    return `W/"${crypto.createHash('sha256').update(stamp).digest('base64url').slice(0, 16)}"`;
+  }
+
+  /**
+   * Check an If-Match header against the current version of a resource
+   * @param {Object} req - Express request object
+   * @param {Object} doc - User or Role document
+   */
+  static checkPrecondition(req, doc) {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') return;
+
+    // Weak comparison (RFC 7232 section 2.3.2)
+    const opaque = tag => tag.trim().replace(/^W\//, '');
+    const current = opaque(this.version(doc));
+
+    if (!header.split(',').some(tag => opaque(tag) === current)) {
+      throw scimError(412, 'Failed to update. Resource changed on the server.');
+    }
+  }
+
+  /**
+   * Check an If-None-Match header against the current version of a resource
+   * @param {Object} req - Express request object
+   * @param {Object} doc - User or Role document
+   * @returns {boolean} Does the client already have this version
+   */
+  static isNotModified(req, doc) {
+    const header = req.get('If-None-Match');
+    if (!header) return false;
+
+    const opaque = tag => tag.trim().replace(/^W\//, '');
+    const current = opaque(this.version(doc));
+
+    return header.trim() === '*' || header.split(',').some(tag => opaque(tag) === current);
+  }
+
+  /**
+   * Format a user as a SCIM User resource
+   * @param {Object} user - User document
+   * @param {Object} role - Role document of the user (null if the role doesn't exist)
+   * @returns {Object} SCIM User
+   */
+  static toUserResource(user, role = null) {
+    const location = `${SCIM.baseUrl}/Users/${user._id}`;
+
+    return {
+      schemas: [SCHEMAS.user],
+      id: String(user._id),
+      ...(user.externalId ? { externalId: user.externalId } : {}),
+      userName: user.email,
+      name: { formatted: user.name },
+      displayName: user.name,
+      emails: [{ value: user.email, type: 'work', primary: true }],
+      active: user.isActive !== false,
+      groups: role
+        ? [{ value: String(role._id), display: role.name, $ref: `${SCIM.baseUrl}/Groups/${role._id}` }]
+        : [],
+      meta: {
+        resourceType: 'User',
+        created: user.createdAt,
+        lastModified: user.updatedAt,
+        location,
+        version: this.version(user)
+      }
+    };
+  }
+
+  /**
+   * Format a role as a SCIM Group resource
+   * @param {Object} role - Role document
+   * @param {Array<Object>} members - Users with the role (omitted when null)
+   * @returns {Object} SCIM Group
+   */
+  static toGroupResource(role, members = null) {
+    return {
+      schemas: [SCHEMAS.group],
+      id: String(role._id),
+      displayName: role.name,
+      ...(members ? {
+        members: members.map(user => ({
+          value: String(user._id),
+          display: user.email,
+          $ref: `${SCIM.baseUrl}/Users/${user._id}`
+        }))
+      } : {}),
+      meta: {
+        resourceType: 'Group',
+        created: role.createdAt,
+        lastModified: role.updatedAt,
+        location: `${SCIM.baseUrl}/Groups/${role._id}`,
+        version: this.version(role)
+      }
+    };
+  }
+
+  /**
+   * Parse an attributes or excludedAttributes parameter
+   * @param {string} list - Comma separated attribute paths
+   * @returns {Array<string>} Lowercase top-level attribute names
+   */
+  static parseAttributeList(list) {
+    return list
+      ? list.split(',').map(item => stripSchema(item.trim()).split('.')[0].toLowerCase()).filter(Boolean)
+      : [];
+  }
+
+  /**
+   * Keep the attributes a client asked for (id and schemas are always returned)
+   * @param {Object} resource - SCIM resource
+   * @param {Object} query - attributes and excludedAttributes parameters
+   * @returns {Object} Projected resource
+   */
+  static project(resource, { attributes, excludedAttributes } = {}) {
+    const included = this.parseAttributeList(attributes);
+    const excluded = this.parseAttributeList(excludedAttributes);
+
+    return Object.fromEntries(Object.entries(resource).filter(([key]) => {
+      const name = key.toLowerCase();
+      if (name === 'id' || name === 'schemas') return true;
+      return included.length ? included.includes(name) : !excluded.includes(name);
+    }));
+  }
+
+  /**
+   * Check whether a list or read request needs an attribute (e.g. Group members)
+   * @param {Object} query - attributes and excludedAttributes parameters
+   * @param {string} name - Top-level attribute name
+   * @returns {boolean} Is the attribute returned
+   */
+  static isRequested({ attributes, excludedAttributes } = {}, name) {
+    const included = this.parseAttributeList(attributes);
+    const excluded = this.parseAttributeList(excludedAttributes);
+
+    return included.length ? included.includes(name.toLowerCase()) : !excluded.includes(name.toLowerCase());
+  }
+
+  /**
+   * Build a list response (RFC 7644 section 3.4.2)
+   * @param {Array<Object>} resources - Resources of the page
+   * @param {number} totalResults - Resources matching the filter
+   * @param {number} startIndex - 1-based index of the first resource
+   * @returns {Object} ListResponse message
+   */
+  static listResponse(resources, totalResults, startIndex = 1) {
+    return {
+      schemas: [SCHEMAS.listResponse],
+      totalResults,
+      startIndex,
+      itemsPerPage: resources.length,
+      Resources: resources
+    };
+  }
+
+  /**
+   * Build a SCIM error response (RFC 7644 section 3.12)
+   * @param {number} status - HTTP status
+   * @param {string} detail - Human readable description
+   * @param {string} scimType - SCIM error type (only for 400 and 409)
+   * @returns {Object} Error message
+   */
+  static errorResponse(status, detail, scimType = null) {
+    return {
+      schemas: [SCHEMAS.error],
+      status: String(status),
+      ...(scimType ? { scimType } : {}),
+      detail
+    };
+  }
+
+  /**
+   * Features of this service provider (GET /ServiceProviderConfig)
+   * @returns {Object} ServiceProviderConfig resource
+   */
+  static getServiceProviderConfig() {
+    return {
+      schemas: [SCHEMAS.serviceProviderConfig],
+      patch: { supported: true },
+      bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+      filter: { supported: true, maxResults: SCIM.maxResults },
+      changePassword: { supported: true },
+      sort: { supported: true },
+      etag: { supported: true },
+      authenticationSchemes: [{
+        type: 'oauthbearertoken',
+        name: 'Provisioning token',
+        description: 'Bearer token issued by an administrator under /api/admin/provisioning-tokens',
+        primary: true
+      }],
+      meta: {
+        resourceType: 'ServiceProviderConfig',
+        location: `${SCIM.baseUrl}/ServiceProviderConfig`
+      }
+    };
+  }
+
+  /**
+   * Resource types served (GET /ResourceTypes)
+   * @returns {Array<Object>} ResourceType resources
+   */
+  static getResourceTypes() {
+    return [
+      { id: 'User', name: 'User', endpoint: '/Users', description: 'User account', schema: SCHEMAS.user },
+      { id: 'Group', name: 'Group', endpoint: '/Groups', description: 'Role; members are the users with the role', schema: SCHEMAS.group }
+    ].map(type => ({
+      schemas: [SCHEMAS.resourceType],
+      ...type,
+      meta: {
+        resourceType: 'ResourceType',
+        location: `${SCIM.baseUrl}/ResourceTypes/${type.id}`
+      }
+    }));
+  }
+
+  /**
+   * Attributes of the supported schemas (GET /Schemas)
+   * @returns {Array<Object>} Schema resources
+   */
+  static getSchemas() {
+    const attribute = (name, options = {}) => ({
+      name,
+      type: 'string',
+      multiValued: false,
+      required: false,
+      caseExact: false,
+      mutability: 'readWrite',
+      returned: 'default',
+      uniqueness: 'none',
+      ...options
+    });
+
+    const reference = (name, referenceTypes, options = {}) => attribute(name, {
+      type: 'complex',
+      multiValued: true,
+      subAttributes: [
+        attribute('value', { mutability: options.mutability || 'immutable' }),
+        attribute('display', { mutability: 'readOnly' }),
+        attribute('$ref', { type: 'reference', referenceTypes, mutability: options.mutability || 'immutable' })
+      ],
+      ...options
+    });
+
+    return [
+      {
+        id: SCHEMAS.user,
+        name: 'User',
+        description: 'User account (userName is the email address)',
+        attributes: [
+          attribute('userName', { required: true, uniqueness: 'server' }),
+          attribute('externalId', { caseExact: true }),
+          attribute('name', { type: 'complex', subAttributes: ['formatted', 'givenName', 'familyName'].map(name => attribute(name)) }),
+          attribute('displayName'),
+          attribute('emails', {
+            type: 'complex',
+            multiValued: true,
+            subAttributes: [attribute('value'), attribute('type'), attribute('primary', { type: 'boolean' })]
+          }),
+          attribute('active', { type: 'boolean' }),
+          attribute('password', { mutability: 'writeOnly', returned: 'never' }),
+          reference('groups', ['Group'], { mutability: 'readOnly' })
+        ]
+      },
+      {
+        id: SCHEMAS.group,
+        name: 'Group',
+        description: 'Role (displayName is the role name)',
+        attributes: [
+          attribute('displayName', { required: true, uniqueness: 'server' }),
+          reference('members', ['User'])
+        ]
+      }
+    ].map(schema => ({
+      schemas: [SCHEMAS.schema],
+      ...schema,
+      meta: {
+        resourceType: 'Schema',
+        location: `${SCIM.baseUrl}/Schemas/${schema.id}`
+      }
+    }));
+  }
+}
+
+module.exports = ScimService;
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const { Session, RefreshToken } = require('../models');
+const auditLogService = require('./auditLogService');
+const { describeDevice } = require('../utils/deviceUtils');
+
+/**
+ * Login session (device) tracking service
+ */
+class SessionService {
+  /**
+   * Build an unsaved session for a new signin
+   * @param {Object} user - User signing in
+   * @param {Object} req - Express request object
+   * @param {string} authMethod - How the user authenticated (password, google, ...)
+   * @param {string} clientId - OAuth client the session's tokens are issued to
+   * @returns {Object} Unsaved session document
+   */
+  static buildSession(user, req = null, authMethod = null, clientId = null) {
+    return new Session({
+      userId: user._id,
+      authMethod,
+      clientId,
+      ...this.extractClientInfo(req),
+      lastSeenAt: new Date()
+    });
+  }
+
+  /**
+   * Record activity on a session (called on every refresh)
+   * @param {string} sessionId - Session ID (the refresh token family ID)
+   * @param {Object} req - Express request object
+   * @param {Date} expiresAt - New expiry of the session's refresh token
+   * @returns {Promise<void>}
+   */
+  static async touch(sessionId, req = null, expiresAt = null) {
+    if (!mongoose.isValidObjectId(sessionId)) return;
+
+    const update = {
+      ...this.extractClientInfo(req),
+      lastSeenAt: new Date()
+    };
+    if (expiresAt) update.expiresAt = expiresAt;
+
+    await Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: update });
+  }
+
+  /**
+   * Get a user's active sessions
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Active sessions
+   */
+  static async listForUser(userId) {
+    return Session.findActiveForUser(userId);
+  }
+
+  /**
+   * Find an active session belonging to a user
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session or null
+   */
+  static async findForUser(userId, sessionId) {
+    return Session.findOne({
+      _id: sessionId,
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+  }
+
+  /**
+   * Revoke a session and its refresh token family
+   * @param {string} sessionId - Session ID (the refresh token family ID)
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<void>}
+   */
+  static async revokeSession(sessionId, reason) {
+    if (!sessionId) return;
+
+    await RefreshToken.revokeFamily(sessionId.toString(), reason);
+
+    if (mongoose.isValidObjectId(sessionId)) {
+      await Session.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+      );
+    }
+  }
+
+  /**
+   * Revoke the sessions of an OAuth client (of one user, or of everyone)
+   * @param {string} clientId - OAuth client_id
+   * @param {string} reason - Revocation reason
+   * @param {string} userId - Only revoke this user's sessions
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  static async revokeForClient(clientId, reason, userId = null) {
+    const query = { clientId, revokedAt: null };
+    if (userId) query.userId = userId;
+
+    const sessions = await Session.find(query).select('_id');
+
+    for (const session of sessions) {
+      await this.revokeSession(session._id, reason);
+    }
+
+    return sessions.length;
+  }
+
+  /**
+   * Revoke every session of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  static async revokeAllForUser(userId, reason) {
+    await RefreshToken.revokeAllForUser(userId, reason);
+
+    const result = await Session.updateMany(
+      { userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Check whether the session behind an access token has been revoked
+   * @param {string} sessionId - Session ID from the token's `sid` claim
+   * @returns {Promise<boolean>} Is the session revoked
+   */
+  static async isRevoked(sessionId) {
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+    return !!(await Session.exists({ _id: sessionId, revokedAt: { $ne: null } }));
+  }
+
+  /**
+   * Revoke a session on behalf of a user or admin and record it in the audit log
+   * @param {Object} session - Session document
+   * @param {Object} actor - User performing the revocation
+   * @param {Object} req - Express request object
+   * @returns {Promise<void>}
+   */
+  static async revokeWithAudit(session, actor, req) {
+    const isOwner = session.userId.toString() === actor._id.toString();
+    const reason = isOwner ? 'revoked_by_user' : 'revoked_by_admin';
+
+    await this.revokeSession(session._id, reason);
+
+    await auditLogService.logDelete({
+      userId: actor._id,
+      entity: 'Session',
+      entityId: session._id,
+      data: this.toResponse(session),
+      req,
+      description: isOwner
+        ? 'User revoked one of their sessions'
+        : `Admin revoked a session of user ${session.userId}`
+    });
+  }
+
+  /**
+   * Extract the client details stored on a session
+   * @param {Object} req - Express request object
+   * @returns {Object} Device, IP and user agent
+   */
+  static extractClientInfo(req) {
+    if (!req) return {};
+
+    const { ip, userAgent } = auditLogService.extractMetadata(req);
+    return {
+      ip,
+      userAgent,
+      device: describeDevice(userAgent)
+    };
+  }
+
+  /**
+   * Format a session for API responses
+   * @param {Object} session - Session document
+   * @param {string} currentSessionId - Session ID of the requesting token
+   * @returns {Object} Session response
+   */
+  static toResponse(session, currentSessionId = null) {
+    return {
+      id: session._id,
+      device: session.device,
+      ip: session.ip,
+      userAgent: session.userAgent,
+      authMethod: session.authMethod,
+      clientId: session.clientId,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt,
+      current: !!currentSessionId && session._id.toString() === currentSessionId
+    };
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { SigningKey } = require('../models');
+const jwtService = require('../utils/jwtService');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+// How often every instance reloads the key ring to pick up rotations
+const KEY_REFRESH_INTERVAL = 5 * 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Key ring for asymmetric JWT signing (JWT_ALGORITHM=RS256 or ES256, and ID tokens
+ * in every mode). Keys are kept in the database, private keys encrypted, so that
+ * every instance signs with the same active key and a rotation reaches all of them.
+ */
+class SigningKeyService {
+  /**
+   * Load the key ring into the JWT service, creating the first key if there is none
+   * yet, and keep reloading it
+   * @returns {Promise<void>}
+   */
+  static async ensureKeys() {
+    if (!(await SigningKey.exists({ status: 'active' }))) {
+      await this.createKey(this.defaultAlgorithm());
+    }
+
+    await this.load();
+
+    if (!this.refreshTimer) {
+      this.refreshTimer = setInterval(() => {
+        this.load().catch(error => console.error('Failed to reload signing keys:', error.message));
+      }, KEY_REFRESH_INTERVAL);
+      this.refreshTimer.unref();
+    }
+  }
+
+  /**
+   * Load the key ring into the JWT service
+   * @returns {Promise<Array>} Signing keys, newest first
+   */
+  static async load() {
+    const keys = await SigningKey.find().select('+privateKey').sort({ createdAt: -1 });
+
+    jwtService.useKeys(keys.map(key => this.toRingKey(key)), () => this.load());
+    return keys;
+  }
+
+  /**
+   * Make a new key the active one. The previous active key keeps verifying tokens
+   * for JWT_KEY_RETENTION_DAYS (set it to at least the refresh token lifetime).
+   * @param {string} alg - RS256 or ES256 (defaults to JWT_ALGORITHM, or RS256 in HS256 mode)
+   * @returns {Promise<Object>} New signing key
+   */
+  static async rotate(alg = this.defaultAlgorithm()) {
+    const key = await this.createKey(alg);
+    const now = new Date();
+    const retentionDays = parseInt(process.env.JWT_KEY_RETENTION_DAYS) || 30;
+
+    // The new key is created first so there is always an active key to sign with
+    await SigningKey.updateMany(
+      { status: 'active', kid: { $ne: key.kid } },
+      {
+        status: 'previous',
+        retiredAt: now,
+        expiresAt: new Date(now.getTime() + retentionDays * DAY)
+      }
+    );
+
+    await this.load();
+    return key;
+  }
+
+  /**
+   * Algorithm of new keys: JWT_ALGORITHM, or RS256 when access tokens use HS256
+   * and the ring only signs ID tokens
+   * @returns {string} RS256 or ES256
+   */
+  static defaultAlgorithm() {
+    return jwtService.usesKeyRing() ? jwtService.algorithm : 'RS256';
+  }
+
+  /**
+   * Generate and store a new active key
+   * @param {string} alg - RS256 or ES256
+   * @returns {Promise<Object>} Signing key
+   */
+  static async createKey(alg) {
+    const { publicKey, privateKey } = this.generateKeyPair(alg);
+
+    return SigningKey.create({
+      kid: crypto.randomBytes(8).toString('hex'),
+      alg,
+      publicKey,
+      privateKey: encrypt(privateKey)
+    });
+  }
+
+  /**
+   * Generate a PEM encoded key pair
+   * @param {string} alg - RS256 (RSA 2048) or ES256 (P-256)
+   * @returns {Object} Public and private key
+   */
+  static generateKeyPair(alg) {
+    const encoding = {
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    };
+
+    if (alg === 'RS256') {
+      return crypto.generateKeyPairSync('rsa', { modulusLength: 2048, ...encoding });
+    }
+
+    if (alg === 'ES256') {
+      return crypto.generateKeyPairSync('ec', { namedCurve: 'P-256', ...encoding });
+    }
+
+    throw new Error(`Signing keys can only be RS256 or ES256, not ${alg}`);
+  }
+
+  /**
+   * Turn a stored key into a key ring entry (only the active key's private key is decrypted)
+   * @param {Object} key - SigningKey document
+   * @returns {Object} Key ring entry
+   */
+  static toRingKey(key) {
+    return {
+      kid: key.kid,
+      alg: key.alg,
+      status: key.status,
+      publicKey: key.publicKey,
+      privateKey: key.status === 'active' && key.privateKey ? decrypt(key.privateKey) : null,
+      jwk: this.toJwk(key)
+    };
+  }
+
+  /**
+   * Public key as a JSON Web Key
+   * @param {Object} key - SigningKey document
+   * @returns {Object} JWK
+   */
+  static toJwk(key) {
+    return {
+      ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig'
+    };
+  }
+}
+
+module.exports = SigningKeyService;
@@ -0,0 +1,170 @@
+const { User, RefreshToken, RevokedToken, OAuthClient } = require('../models');
+const jwtService = require('../utils/jwtService');
+const tokenRevocationService = require('./tokenRevocationService');
+const sessionService = require('./sessionService');
+const roleService = require('./roleService');
+const auditLogService = require('./auditLogService');
+
+// Client tokens (client_credentials grant) are access tokens too, as far as the hint goes
+const VERIFIERS = {
+  access_token: token => jwtService.verifyAccessToken(token),
+  client_token: token => jwtService.verifyClientToken(token),
+  refresh_token: token => jwtService.verifyRefreshToken(token)
+};
+
+/**
+ * Token introspection (RFC 7662) and revocation (RFC 7009) for OAuth clients
+ */
+class TokenIntrospectionService {
+  /**
+   * Describe a token. Tokens that are invalid, expired, revoked, belong to an
+   * unusable account or were issued to another client are simply inactive.
+   * @param {string} token - Access or refresh token
+   * @param {string} hint - token_type_hint (access_token or refresh_token)
+   * @param {Object} client - Authenticated OAuth client
+   * @returns {Promise<Object>} Introspection response
+   */
+  static async introspect(token, hint, client) {
+    const inactive = { active: false };
+
+    const found = await this.verify(token, hint);
+    if (!found || !this.mayAccess(client, found.decoded)) return inactive;
+
+    const { type, decoded } = found;
+
+    if (type === 'client_token') {
+      return this.introspectClientToken(decoded);
+    }
+
+    const user = await User.findById(decoded.id).select('+isActive');
+
+    if (!user || !user.isActive || user.isLocked) return inactive;
+
+    if (type === 'access_token') {
+      if (await tokenRevocationService.isAccessTokenRevoked(decoded, user)) return inactive;
+      if (decoded.act && !(await tokenRevocationService.getImpersonator(decoded))) return inactive;
+    } else {
+      const stored = await RefreshToken.findByToken(token);
+      if (!stored || stored.revokedAt || stored.userId.toString() !== decoded.id) return inactive;
+    }
+
+    return {
+      active: true,
+      // First-party tokens carry no scope claim: they grant the permissions of the user's role
+      scope: decoded.scope || (await roleService.getPermissions(user.role)).join(' '),
+      client_id: decoded.cid,
+      username: user.email,
+      token_type: type === 'access_token' ? 'Bearer' : 'refresh_token',
+      exp: decoded.exp,
+      iat: decoded.iat,
+      sub: decoded.id,
+      aud: decoded.aud,
+      iss: decoded.iss,
+      jti: decoded.jti,
+      sid: type === 'access_token' ? decoded.sid : decoded.fid,
+      org: decoded.org,
+      act: decoded.act ? { sub: decoded.act.id } : undefined
+    };
+  }
+
+  /**
+   * Describe a client_credentials access token: active while its client is
+   * registered and the token hasn't been revoked
+   * @param {Object} decoded - Decoded client token payload
+   * @returns {Promise<Object>} Introspection response
+   */
+  static async introspectClientToken(decoded) {
+    const client = await OAuthClient.exists({ clientId: decoded.cid, revokedAt: null });
+
+    if (!client || await RevokedToken.isRevoked(decoded.jti)) {
+      return { active: false };
+    }
+
+    return {
+      active: true,
+      scope: decoded.scope,
+      client_id: decoded.cid,
+      token_type: 'Bearer',
+      exp: decoded.exp,
+      iat: decoded.iat,
+      sub: decoded.sub,
+      aud: decoded.aud,
+      iss: decoded.iss,
+      jti: decoded.jti
+    };
+  }
+
+  /**
+   * Revoke a token. Revoking a refresh token ends its whole session, including the
+   * access tokens issued in it. Unknown and invalid tokens are ignored.
+   * @param {string} token - Access or refresh token
+   * @param {string} hint - token_type_hint (access_token or refresh_token)
+   * @param {Object} client - Authenticated OAuth client
+   * @param {Object} req - Express request object
+   * @returns {Promise<boolean>} False if the token belongs to another client
+   */
+  static async revoke(token, hint, client, req) {
+    const found = await this.verify(token, hint);
+    if (!found) return true;
+
+    const { type, decoded } = found;
+    if (!this.mayAccess(client, decoded)) return false;
+
+    const isRefreshToken = type === 'refresh_token';
+
+    if (isRefreshToken) {
+      await sessionService.revokeSession(decoded.fid, 'revoked_by_client');
+    } else {
+      await tokenRevocationService.revokeToken(decoded, 'revoked_by_client');
+    }
+
+    await auditLogService.logDelete({
+      userId: decoded.id || null,
+      entity: isRefreshToken ? 'Session' : 'AccessToken',
+      entityId: isRefreshToken ? decoded.fid : decoded.jti,
+      data: { tokenType: type, clientId: client.clientId },
+      req,
+      organizationId: decoded.org || null,
+      description: `OAuth client ${client.name} revoked ${isRefreshToken ? 'a session' : 'an access token'}`
+    });
+
+    return true;
+  }
+
+  /**
+   * Verify a token as the hinted type first, then as the other type
+   * @param {string} token - Access or refresh token
+   * @param {string} hint - token_type_hint
+   * @returns {Promise<Object|null>} Token type (access_token, client_token or refresh_token)
+   *   and decoded payload, or null if invalid
+   */
+  static async verify(token, hint) {
+    const types = hint === 'refresh_token'
+      ? ['refresh_token', 'access_token', 'client_token']
+      : ['access_token', 'client_token', 'refresh_token'];
+
+    for (const type of types) {
+      try {
+        const decoded = await VERIFIERS[type](token);
+        return { type, decoded };
+      } catch (error) {
+        // Not a valid token of this type
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a client may see a token: trusted clients see every token, other
+   * clients only the tokens issued to them
+   * @param {Object} client - OAuth client
+   * @param {Object} decoded - Decoded token payload
+   * @returns {boolean}
+   */
+  static mayAccess(client, decoded) {
+    return client.trusted || (!!decoded.cid && decoded.cid === client.clientId);
+  }
+}
+
+module.exports = TokenIntrospectionService;
@@ -0,0 +1,100 @@
+const { RevokedToken, User } = require('../models');
+const sessionService = require('./sessionService');
+const roleService = require('./roleService');
+
+/**
+ * Server-side access token revocation service
+ */
+class TokenRevocationService {
+  /**
+   * Revoke a single token (access, MFA or challenge token) until it expires
+   * @param {Object} decoded - Decoded token payload
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<void>}
+   */
+  static async revokeToken(decoded, reason) {
+    if (!decoded || !decoded.jti) return;
+
+    await RevokedToken.updateOne(
+      { jti: decoded.jti },
+      {
+        $setOnInsert: {
+          userId: decoded.id,
+          reason,
+          expiresAt: new Date(decoded.exp * 1000)
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Revoke the session behind an access token (the token and its refresh family)
+   * @param {Object} decoded - Decoded access token payload
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<void>}
+   */
+  static async revokeSession(decoded, reason) {
+    await this.revokeToken(decoded, reason);
+
+    if (decoded && decoded.sid) {
+      await sessionService.revokeSession(decoded.sid, reason);
+    }
+  }
+
+  /**
+   * Invalidate every outstanding token for a user
+   * @param {Object} user - User document
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} The user's new token version
+   */
+  static async revokeAllForUser(user, reason) {
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save({ validateBeforeSave: false });
+
+    await sessionService.revokeAllForUser(user._id, reason);
+
+    return user.tokenVersion;
+  }
+
+  /**
+   * Check whether a verified access token has been revoked
+   * @param {Object} decoded - Decoded access token payload
+   * @param {Object} user - User the token belongs to
+   * @returns {Promise<boolean>} Is the token revoked
+   */
+  static async isAccessTokenRevoked(decoded, user) {
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return true;
+    }
+
+    if (await RevokedToken.isRevoked(decoded.jti)) {
+      return true;
+    }
+
+    return sessionService.isRevoked(decoded.sid);
+  }
+
+  /**
+   * Load the admin behind an impersonation token (act claim). The impersonation ends
+   * as soon as the admin is deactivated, signs out everywhere or loses the permission.
+   * @param {Object} decoded - Decoded access token payload
+   * @returns {Promise<Object|null>} Impersonating admin, or null if the impersonation has ended
+   */
+  static async getImpersonator(decoded) {
+    const impersonator = await User.findById(decoded.act.id).select('+isActive');
+
+    if (!impersonator || !impersonator.isActive || impersonator.isLocked ||
+        (decoded.act.tv || 0) !== (impersonator.tokenVersion || 0)) {
+      return null;
+    }
+
+    if (!(await roleService.hasPermission(impersonator, 'users:impersonate'))) {
+      return null;
+    }
+
+    return impersonator;
+  }
+}
+
+module.exports = TokenRevocationService;
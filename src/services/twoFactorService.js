@@ -0,0 +1,131 @@
+const totp = require('../utils/totp');
+const jwtService = require('../utils/jwtService');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+// Fields needed to verify a second factor (all excluded from queries by default)
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * TOTP two-factor authentication service
+ */
+class TwoFactorService {
+  /**
+   * Start TOTP enrollment by generating a pending secret
+   * @param {Object} user - User document (loaded with TWO_FACTOR_FIELDS)
+   * @returns {Object} Plain secret and otpauth URI for the authenticator app
+   */
+  static startEnrollment(user) {
+    const secret = totp.generateSecret();
+    const issuer = process.env.APP_NAME || 'BE Image Builder';
+
+    user.twoFactor.pendingSecret = encrypt(secret);
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, user.email, issuer)
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the pending secret
+   * @param {Object} user - User document (loaded with TWO_FACTOR_FIELDS)
+   * @param {string} code - TOTP code
+   * @returns {Array<string>|null} Plain recovery codes, or null if the code is invalid
+   */
+  static confirmEnrollment(user, code) {
+    if (!user.twoFactor.pendingSecret) return null;
+
+    const step = totp.verifyCode(decrypt(user.twoFactor.pendingSecret), code);
+    if (step === null) return null;
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+
+    return user.generateRecoveryCodes();
+  }
+
+  /**
+   * Verify a TOTP code against the active secret (each code is accepted once)
+   * @param {Object} user - User document (loaded with TWO_FACTOR_FIELDS)
+   * @param {string} code - TOTP code
+   * @returns {boolean} Is the code valid
+   */
+  static verifyTotp(user, code) {
+    if (!user.twoFactor.enabled || !user.twoFactor.secret) return false;
+
+    const step = totp.verifyCode(decrypt(user.twoFactor.secret), code);
+    if (step === null || step <= (user.twoFactor.lastUsedStep || 0)) return false;
+
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  /**
+   * Verify a second factor submitted as either a TOTP code or a recovery code
+   * @param {Object} user - User document (loaded with TWO_FACTOR_FIELDS)
+   * @param {Object} factor - Submitted factor
+   * @param {string} factor.code - TOTP code
+   * @param {string} factor.recoveryCode - Recovery code
+   * @returns {string|null} The method that succeeded ('totp' or 'recovery_code'), or null
+   */
+  static verifySecondFactor(user, { code, recoveryCode } = {}) {
+    if (code && this.verifyTotp(user, code)) {
+      return 'totp';
+    }
+
+    if (recoveryCode && user.twoFactor.enabled && user.useRecoveryCode(recoveryCode)) {
+      return 'recovery_code';
+    }
+
+    return null;
+  }
+
+  /**
+   * Create the MFA challenge returned instead of tokens when a second factor is required
+   * @param {Object} user - User who passed the first factor
+   * @param {string} firstFactor - First factor used (password, google, ...)
+   * @returns {Object} Challenge response data
+   */
+  static createChallenge(user, firstFactor) {
+    const methods = ['totp', 'recovery_code'];
+
+    if (user.passkeys && user.passkeys.length > 0) {
+      methods.push('webauthn');
+    }
+
+    return {
+      mfaRequired: true,
+      mfaToken: jwtService.generateMfaToken({ id: user._id, method: firstFactor }),
+      methods
+    };
+  }
+
+  /**
+   * Turn two-factor authentication off and forget the secret
+   * @param {Object} user - User document
+   */
+  static disable(user) {
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.enabledAt = undefined;
+  }
+
+  /**
+   * Get the number of unused recovery codes
+   * @param {Object} user - User document (loaded with TWO_FACTOR_FIELDS)
+   * @returns {number} Remaining recovery codes
+   */
+  static remainingRecoveryCodes(user) {
+    return (user.twoFactor.recoveryCodes || []).length;
+  }
+}
+
+TwoFactorService.TWO_FACTOR_FIELDS = TWO_FACTOR_FIELDS;
+
+module.exports = TwoFactorService;
@@ -0,0 +1,217 @@
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { isoBase64URL } = require('@simplewebauthn/server/helpers');
+const jwtService = require('../utils/jwtService');
+const { createError } = require('../utils/errorUtils');
+
+/**
+ * WebAuthn (passkey) ceremonies.
+ *
+ * Challenges are not kept server-side: each options response carries a short-lived
+ * challenge token binding the challenge to its purpose (and user, when known).
+ * Callers are responsible for revoking the token once the ceremony succeeds.
+ */
+class WebAuthnService {
+  constructor() {
+    this.rpID = process.env.WEBAUTHN_RP_ID || 'localhost';
+    this.rpName = process.env.WEBAUTHN_RP_NAME || process.env.APP_NAME || 'BE Image Builder';
+    this.origins = (process.env.WEBAUTHN_ORIGIN || process.env.APP_URL || 'http://localhost:3000')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Describe stored passkeys in the form expected by allow/excludeCredentials
+   * @param {Array} passkeys - User passkeys
+   * @returns {Array} Credential descriptors
+   */
+  toDescriptors(passkeys = []) {
+    return passkeys.map(passkey => ({
+      id: isoBase64URL.toBuffer(passkey.credentialId),
+      type: 'public-key',
+      transports: passkey.transports && passkey.transports.length ? passkey.transports : undefined
+    }));
+  }
+
+  /**
+   * Generate options for registering a new passkey
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Creation options and the challenge token
+   */
+  async createRegistrationOptions(user) {
+    const options = await generateRegistrationOptions({
+      rpName: this.rpName,
+      rpID: this.rpID,
+      userID: user._id.toString(),
+      userName: user.email,
+      userDisplayName: user.name,
+      attestationType: 'none',
+      excludeCredentials: this.toDescriptors(user.passkeys),
+      authenticatorSelection: {
+        residentKey: 'preferred',
+        userVerification: 'preferred'
+      }
+    });
+
+    const challengeToken = jwtService.generateChallengeToken({
+      id: user._id.toString(),
+      challenge: options.challenge,
+      purpose: 'registration'
+    });
+
+    return { options, challengeToken };
+  }
+
+  /**
+   * Verify a registration response
+   * @param {Object} response - RegistrationResponseJSON from the browser
+   * @param {Object} decoded - Decoded challenge token (see resolveChallengeToken)
+   * @returns {Promise<Object>} The passkey to store
+   */
+  async verifyRegistration(response, decoded) {
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge: decoded.challenge,
+        expectedOrigin: this.origins,
+        expectedRPID: this.rpID,
+        requireUserVerification: false
+      });
+    } catch (error) {
+      throw createError(400, `Passkey registration failed: ${error.message}`, 'WEBAUTHN_VERIFICATION_FAILED');
+    }
+
+    if (!verification.verified || !verification.registrationInfo) {
+      throw createError(400, 'Passkey registration failed', 'WEBAUTHN_VERIFICATION_FAILED');
+    }
+
+    const info = verification.registrationInfo;
+
+    return {
+      credentialId: isoBase64URL.fromBuffer(info.credentialID),
+      publicKey: isoBase64URL.fromBuffer(info.credentialPublicKey),
+      counter: info.counter,
+      transports: (response.response && response.response.transports) || [],
+      deviceType: info.credentialDeviceType,
+      backedUp: info.credentialBackedUp
+    };
+  }
+
+  /**
+   * Generate options for asserting a passkey
+   * @param {Object} options - Assertion options
+   * @param {Object} options.user - User to restrict credentials to (omit for discoverable credentials)
+   * @param {string} options.purpose - 'login' (passwordless) or 'mfa' (second factor)
+   * @param {Object} options.claims - Extra claims bound into the challenge token
+   * @returns {Promise<Object>} Request options and the challenge token
+   */
+  async createAuthenticationOptions({ user = null, purpose = 'login', claims = {} } = {}) {
+    const options = await generateAuthenticationOptions({
+      rpID: this.rpID,
+      allowCredentials: user ? this.toDescriptors(user.passkeys) : undefined,
+      // A passkey on its own must prove user verification to count as a full login
+      userVerification: purpose === 'login' ? 'required' : 'preferred'
+    });
+
+    const challengeToken = jwtService.generateChallengeToken({
+      ...claims,
+      ...(user && { id: user._id.toString() }),
+      challenge: options.challenge,
+      purpose
+    });
+
+    return { options, challengeToken };
+  }
+
+  /**
+   * Verify an assertion against one of the user's passkeys and bump its counter
+   * @param {Object} user - Owner of the credential
+   * @param {Object} response - AuthenticationResponseJSON from the browser
+   * @param {Object} decoded - Decoded challenge token (see resolveChallengeToken)
+   * @returns {Promise<Object>} The passkey that was used
+   */
+  async verifyAuthentication(user, response, decoded) {
+    const passkey = (user.passkeys || []).find(item => item.credentialId === response.id);
+
+    if (!passkey) {
+      throw createError(401, 'Passkey is not registered', 'WEBAUTHN_UNKNOWN_CREDENTIAL');
+    }
+
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge: decoded.challenge,
+        expectedOrigin: this.origins,
+        expectedRPID: this.rpID,
+        authenticator: {
+          credentialID: isoBase64URL.toBuffer(passkey.credentialId),
+          credentialPublicKey: isoBase64URL.toBuffer(passkey.publicKey),
+          counter: passkey.counter,
+          transports: passkey.transports
+        },
+        requireUserVerification: decoded.purpose === 'login'
+      });
+    } catch (error) {
+      throw createError(401, `Passkey verification failed: ${error.message}`, 'WEBAUTHN_VERIFICATION_FAILED');
+    }
+
+    if (!verification.verified) {
+      throw createError(401, 'Passkey verification failed', 'WEBAUTHN_VERIFICATION_FAILED');
+    }
+
+    passkey.counter = verification.authenticationInfo.newCounter;
+    passkey.lastUsedAt = new Date();
+
+    return passkey;
+  }
+
+  /**
+   * Format a passkey for API responses (the public key stays server-side)
+   * @param {Object} passkey - Passkey subdocument
+   * @returns {Object} Passkey response
+   */
+  toResponse(passkey) {
+    return {
+      id: passkey.credentialId,
+      name: passkey.name,
+      deviceType: passkey.deviceType,
+      backedUp: passkey.backedUp,
+      transports: passkey.transports,
+      createdAt: passkey.createdAt,
+      lastUsedAt: passkey.lastUsedAt
+    };
+  }
+
+  /**
+   * Verify a challenge token and check it was issued for this ceremony
+   * @param {string} challengeToken - Token returned with the options
+   * @param {string} purpose - Expected purpose
+   * @param {Object} expected - Claims that must match (e.g. { id })
+   * @returns {Promise<Object>} Decoded challenge token
+   */
+  async resolveChallengeToken(challengeToken, purpose, expected = {}) {
+    let decoded;
+    try {
+      decoded = await jwtService.verifyChallengeToken(challengeToken);
+    } catch (error) {
+      throw createError(401, 'Invalid or expired challenge token', 'INVALID_CHALLENGE_TOKEN');
+    }
+
+    const mismatch = Object.keys(expected).some(key => decoded[key] !== expected[key]);
+
+    if (decoded.purpose !== purpose || mismatch) {
+      throw createError(401, 'Invalid or expired challenge token', 'INVALID_CHALLENGE_TOKEN');
+    }
+
+    return decoded;
+  }
+}
+
+module.exports = new WebAuthnService();
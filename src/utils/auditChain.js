@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+// prevHash of the first entry of the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Sort object keys recursively so the same data always serializes the same way
+ * @param {*} value - JSON value
+ * @returns {*} Value with sorted keys
+ */
+const sortKeys = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = sortKeys(value[key]);
+      return sorted;
+    }, {});
+  }
+
+  return value;
+};
+
+/**
+ * Turn a value into plain JSON data (dates become ISO strings, ObjectIds hex strings,
+ * undefined properties are dropped), the way it is stored and read back
+ * @param {*} value - Value
+ * @returns {*} Plain JSON value
+ */
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Canonical JSON: plain data with sorted keys
+ * @param {*} value - Value
+ * @returns {string} Canonical JSON
+ */
+const canonicalize = (value) => JSON.stringify(sortKeys(toPlain(value)));
+
+/**
+ * Hash of an audit entry, chained to the hash of the previous entry
+ * @param {Object} entry - Audit log entry (document or lean object)
+ * @param {string} prevHash - Hash of the previous entry (GENESIS_HASH for the first one)
+ * @returns {string} SHA-256 hash, hex encoded
+ */
+const hashEntry = (entry, prevHash) => {
+  const content = canonicalize({
+    sequence: entry.sequence,
+    userId: entry.userId || null,
+    organizationId: entry.organizationId || null,
+    action: entry.action,
+    entity: entry.entity,
+    entityId: entry.entityId,
+    changes: entry.changes || {},
+    metadata: entry.metadata || {},
+    timestamp: entry.timestamp,
+    description: entry.description || ''
+  });
+
+  return crypto.createHash('sha256').update(`${prevHash}\n${content}`).digest('hex');
+};
+
+module.exports = {
+  GENESIS_HASH,
+  toPlain,
+  canonicalize,
+  hashEntry
+};
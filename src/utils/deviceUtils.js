@@ -0,0 +1,59 @@
+/**
+ * Detect the browser family from a user agent string
+ * @param {string} userAgent - User-Agent header value
+ * @returns {string|null} Browser name
+ */
+const detectBrowser = (userAgent) => {
+  const browsers = [
+    [/Edg(e|A|iOS)?\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\/|FxiOS\//, 'Firefox'],
+    [/Chrome\/|CriOS\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+    [/PostmanRuntime\//, 'Postman'],
+    [/curl\//, 'curl']
+  ];
+
+  const match = browsers.find(([pattern]) => pattern.test(userAgent));
+  return match ? match[1] : null;
+};
+
+/**
+ * Detect the operating system from a user agent string
+ * @param {string} userAgent - User-Agent header value
+ * @returns {string|null} Operating system name
+ */
+const detectOperatingSystem = (userAgent) => {
+  const systems = [
+    [/Windows/, 'Windows'],
+    [/Android/, 'Android'],
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/CrOS/, 'ChromeOS'],
+    [/Linux/, 'Linux']
+  ];
+
+  const match = systems.find(([pattern]) => pattern.test(userAgent));
+  return match ? match[1] : null;
+};
+
+/**
+ * Build a short, human-readable device label from a user agent
+ * @param {string} userAgent - User-Agent header value
+ * @returns {string} Device label (e.g. "Chrome on macOS")
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = detectBrowser(userAgent);
+  const os = detectOperatingSystem(userAgent);
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+module.exports = {
+  detectBrowser,
+  detectOperatingSystem,
+  describeDevice
+};
@@ -0,0 +1,70 @@
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TIMEOUT = 5000; // milliseconds
+
+/**
+ * Make an HTTP(S) request and parse the JSON response
+ * @param {string} url - Request URL
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.headers - Request headers
+ * @param {string|Object} options.form - Body sent as application/x-www-form-urlencoded
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @returns {Promise<Object>} Parsed response body
+ */
+const requestJson = (url, { method = 'GET', headers = {}, form, timeout = DEFAULT_TIMEOUT } = {}) => {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const body = form ? new URLSearchParams(form).toString() : null;
+
+    const req = transport.request(target, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        ...(body && {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Content-Length': Buffer.byteLength(body)
+        }),
+        ...headers
+      },
+      timeout
+    }, (res) => {
+      const chunks = [];
+
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+
+        let data;
+        try {
+          data = raw ? JSON.parse(raw) : {};
+        } catch (error) {
+          return reject(new Error(`Invalid JSON response from ${target.origin}`));
+        }
+
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          const error = new Error(`Request to ${target.origin}${target.pathname} failed with status ${res.statusCode}`);
+          error.status = res.statusCode;
+          error.body = data;
+          return reject(error);
+        }
+
+        resolve(data);
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Request to ${target.origin} timed out`)));
+    req.on('error', reject);
+
+    if (body) {
+      req.write(body);
+    }
+    req.end();
+  });
+};
+
+module.exports = {
+  requestJson
+};
@@ -1,28 +1,181 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { promisify } = require('util');
+const { OAUTH } = require('../config/oauth');
 
+const SIGNING_ALGORITHMS = ['HS256', 'RS256', 'ES256'];
+
+// Don't go back to the database for every token with an unknown key ID
+const KEY_RELOAD_INTERVAL = 10 * 1000;
+
+/**
+ * Issues and verifies the API's JWTs.
+ *
+ * With JWT_ALGORITHM=HS256 (the default) tokens are signed with the shared
+ * JWT_SECRET / JWT_REFRESH_SECRET. With RS256 or ES256 they are signed with the
+ * active key of the key ring (see services/signingKeyService) and carry its `kid`;
+ * previous keys keep verifying until they expire and all public keys are published
+ * at /.well-known/jwks.json. HS256 tokens issued before the switch stay valid until
+ * JWT_LEGACY_HS256_UNTIL.
+ *
+ * OpenID Connect ID tokens are always signed with the key ring, whatever
+ * JWT_ALGORITHM is, because the apps receiving them must be able to verify them.
+ */
 class JWTService {
   constructor() {
     this.secret = process.env.JWT_SECRET;
     this.expiresIn = process.env.JWT_EXPIRES_IN || '7d';
     this.refreshSecret = process.env.JWT_REFRESH_SECRET;
     this.refreshExpiresIn = process.env.JWT_REFRESH_EXPIRES_IN || '30d';
+    this.mfaExpiresIn = process.env.MFA_TOKEN_EXPIRES_IN || '5m';
+    this.challengeExpiresIn = '5m';
+    this.impersonationExpiresIn = process.env.IMPERSONATION_EXPIRES_IN || '15m';
+    this.algorithm = (process.env.JWT_ALGORITHM || 'HS256').toUpperCase();
+    this.legacyUntil = process.env.JWT_LEGACY_HS256_UNTIL ? new Date(process.env.JWT_LEGACY_HS256_UNTIL) : null;
+
+    // Key ring: kid -> { kid, alg, status, publicKey, privateKey, jwk }
+    this.keys = new Map();
+    this.activeKid = null;
+    this.keyLoader = null;
+    this.keysLoadedAt = 0;
 
     if (!this.secret || !this.refreshSecret) {
       throw new Error('JWT secrets are not configured in environment variables');
     }
+
+    if (!SIGNING_ALGORITHMS.includes(this.algorithm)) {
+      throw new Error(`Unsupported JWT_ALGORITHM: ${this.algorithm}`);
+    }
+  }
+
+  /**
+   * Whether tokens are signed with the asymmetric key ring instead of the shared secrets
+   * @returns {Boolean}
+   */
+  usesKeyRing() {
+    return this.algorithm !== 'HS256';
+  }
+
+  /**
+   * Whether tokens signed with the shared secrets are still accepted
+   * @returns {Boolean}
+   */
+  acceptsHs256() {
+    return !this.usesKeyRing() || !this.legacyUntil || Date.now() < this.legacyUntil.getTime();
+  }
+
+  /**
+   * Replace the key ring
+   * @param {Array<Object>} keys - Keys, newest first ({ kid, alg, status, publicKey, privateKey, jwk })
+   * @param {Function} loader - Async function that reloads the ring (called for unknown key IDs)
+   */
+  useKeys(keys, loader = this.keyLoader) {
+    this.keys = new Map(keys.map(key => [key.kid, key]));
+
+    const active = keys.find(key => key.status === 'active' && key.privateKey);
+    this.activeKid = active ? active.kid : null;
+    this.keyLoader = loader;
+    this.keysLoadedAt = Date.now();
+  }
+
+  /**
+   * Reload the key ring, at most once per KEY_RELOAD_INTERVAL
+   * @returns {Promise<void>}
+   */
+  async reloadKeys() {
+    if (!this.keyLoader || Date.now() - this.keysLoadedAt < KEY_RELOAD_INTERVAL) return;
+
+    // Count the attempt even if it fails so a broken database isn't hammered
+    this.keysLoadedAt = Date.now();
+    await this.keyLoader();
+  }
+
+  /**
+   * Public keys of the key ring as a JSON Web Key Set
+   * @returns {Object} JWKS
+   */
+  getJwks() {
+    return {
+      keys: [...this.keys.values()].map(key => key.jwk)
+    };
+  }
+
+  /**
+   * Sign a token with the active key, or with the shared secret in HS256 mode
+   * @param {Object} payload - Token payload
+   * @param {String} secret - Shared secret for HS256
+   * @param {Object} options - jsonwebtoken sign options
+   * @returns {String} JWT
+   */
+  sign(payload, secret, options) {
+    if (!this.usesKeyRing()) {
+      return jwt.sign(payload, secret, { ...options, algorithm: 'HS256' });
+    }
+
+    return this.signWithActiveKey(payload, options);
+  }
+
+  /**
+   * Sign a token with the active key of the key ring
+   * @param {Object} payload - Token payload
+   * @param {Object} options - jsonwebtoken sign options
+   * @returns {String} JWT
+   */
+  signWithActiveKey(payload, options) {
+    const key = this.keys.get(this.activeKid);
+    if (!key) {
+      throw new Error('JWT signing keys are not loaded');
+    }
+
+    return jwt.sign(payload, key.privateKey, { ...options, algorithm: key.alg, keyid: key.kid });
+  }
+
+  /**
+   * Verify a token against the key named by its `kid` header, or against the shared
+   * secret for HS256 tokens. The algorithm is pinned to the key so a token can't
+   * pick its own.
+   * @param {String} token - JWT
+   * @param {String} secret - Shared secret for HS256
+   * @param {String} audience - Expected audience
+   * @returns {Promise<Object>} Decoded token payload
+   */
+  async verify(token, secret, audience) {
+    const decoded = jwt.decode(token, { complete: true });
+    const header = (decoded && decoded.header) || {};
+
+    if (header.alg === 'HS256') {
+      if (!this.acceptsHs256()) {
+        throw new jwt.JsonWebTokenError('HS256 tokens are no longer accepted');
+      }
+
+      return promisify(jwt.verify)(token, secret, { audience, algorithms: ['HS256'] });
+    }
+
+    let key = header.kid && this.keys.get(header.kid);
+    if (!key && header.kid) {
+      // The key may have been created by a rotation in another process
+      await this.reloadKeys();
+      key = this.keys.get(header.kid);
+    }
+
+    if (!key) {
+      throw new jwt.JsonWebTokenError('Unknown signing key');
+    }
+
+    return promisify(jwt.verify)(token, key.publicKey, { audience, algorithms: [key.alg] });
   }
 
   /**
    * Generate access token
    * @param {Object} payload - Token payload
-   * @returns {String} JWT token
+   * @returns {String} JWT token (with a unique `jti` claim for revocation)
    */
   generateAccessToken(payload) {
-    return jwt.sign(payload, this.secret, {
+    return this.sign(payload, this.secret, {
       expiresIn: this.expiresIn,
       issuer: process.env.APP_NAME || 'BE Image Builder',
-      audience: 'user'
+      audience: 'user',
+      jwtid: this.generateTokenId()
     });
   }
 
@@ -32,27 +185,87 @@ class JWTService {
    * @returns {String} JWT refresh token
    */
   generateRefreshToken(payload) {
-    return jwt.sign(payload, this.refreshSecret, {
+    return this.sign(payload, this.refreshSecret, {
       expiresIn: this.refreshExpiresIn,
       issuer: process.env.APP_NAME || 'BE Image Builder',
       audience: 'refresh'
     });
   }
 
+  /**
+   * Generate short-lived MFA challenge token (issued after the first factor succeeds)
+   * @param {Object} payload - Token payload
+   * @returns {String} JWT MFA challenge token
+   */
+  generateMfaToken(payload) {
+    return this.sign(payload, this.secret, {
+      expiresIn: this.mfaExpiresIn,
+      issuer: process.env.APP_NAME || 'BE Image Builder',
+      audience: 'mfa',
+      jwtid: this.generateTokenId()
+    });
+  }
+
+  /**
+   * Generate short-lived WebAuthn challenge token (binds a ceremony's challenge to its purpose)
+   * @param {Object} payload - Token payload
+   * @returns {String} JWT challenge token
+   */
+  generateChallengeToken(payload) {
+    return this.sign(payload, this.secret, {
+      expiresIn: this.challengeExpiresIn,
+      issuer: process.env.APP_NAME || 'BE Image Builder',
+      audience: 'webauthn',
+      jwtid: this.generateTokenId()
+    });
+  }
+
   /**
    * Generate both access and refresh tokens
    * @param {Object} user - User object
+   * @param {Object} options - Token options
+   * @param {String} options.familyId - Refresh token family the new token belongs to
+   * @param {String} options.organizationId - Organization the tokens act in (org claim)
+   * @param {String} options.clientId - OAuth client the tokens are issued to (cid claim)
+   * @param {String} options.scope - Scope granted to the OAuth client
    * @returns {Object} Tokens object
    */
-  generateTokens(user) {
+  generateTokens(user, { familyId, organizationId = null, clientId = null, scope = null } = {}) {
+    // The refresh token family doubles as the session ID of the access token
+    const sessionId = familyId || this.generateTokenId();
+
     const payload = {
       id: user._id || user.id,
       email: user.email,
-      role: user.role || 'user'
+      role: user.role || 'user',
+      sid: sessionId,
+      tv: user.tokenVersion || 0
+    };
+
+    // The refresh token carries the organization too so rotation keeps it
+    const refreshPayload = {
+      id: payload.id,
+      fid: sessionId,
+      jti: this.generateTokenId()
     };
 
+    if (organizationId) {
+      payload.org = organizationId.toString();
+      refreshPayload.org = payload.org;
+    }
+
+    if (clientId) {
+      payload.cid = clientId;
+      refreshPayload.cid = clientId;
+    }
+
+    if (scope) {
+      payload.scope = scope;
+      refreshPayload.scope = scope;
+    }
+
     const accessToken = this.generateAccessToken(payload);
-    const refreshToken = this.generateRefreshToken({ id: payload.id });
+    const refreshToken = this.generateRefreshToken(refreshPayload);
 
     return {
       accessToken,
@@ -61,6 +274,85 @@ class JWTService {
     };
   }
 
+  /**
+   * Generate a short-lived access token that lets an admin act as another user.
+   * No refresh token is issued; the act claim names the admin behind the request.
+   * @param {Object} user - User being impersonated
+   * @param {Object} impersonator - Admin doing the impersonation
+   * @returns {Object} Access token and its lifetime
+   */
+  generateImpersonationToken(user, impersonator) {
+    const payload = {
+      id: user._id || user.id,
+      email: user.email,
+      role: user.role || 'user',
+      tv: user.tokenVersion || 0,
+      act: {
+        id: impersonator._id || impersonator.id,
+        tv: impersonator.tokenVersion || 0
+      }
+    };
+
+    const accessToken = this.sign(payload, this.secret, {
+      expiresIn: this.impersonationExpiresIn,
+      issuer: process.env.APP_NAME || 'BE Image Builder',
+      audience: 'user',
+      jwtid: this.generateTokenId()
+    });
+
+    return {
+      accessToken,
+      expiresIn: this.impersonationExpiresIn
+    };
+  }
+
+  /**
+   * Generate an OpenID Connect ID token for an OAuth client
+   * @param {Object} claims - Claims about the user (sub, auth_time, nonce, ...)
+   * @param {String} clientId - Client the token is for (audience)
+   * @returns {String} JWT ID token
+   */
+  generateIdToken(claims, clientId) {
+    return this.signWithActiveKey(claims, {
+      expiresIn: OAUTH.idTokenExpiresIn,
+      issuer: OAUTH.issuer,
+      audience: clientId
+    });
+  }
+
+  /**
+   * Generate an access token for an OAuth client acting on its own behalf
+   * (client_credentials grant). It is not accepted by the user endpoints.
+   * @param {Object} client - OAuth client
+   * @param {String} scope - Granted scope
+   * @returns {Object} Access token and its lifetime
+   */
+  generateClientToken(client, scope) {
+    const payload = { cid: client.clientId };
+    if (scope) payload.scope = scope;
+
+    const accessToken = this.sign(payload, this.secret, {
+      expiresIn: OAUTH.clientTokenExpiresIn,
+      issuer: process.env.APP_NAME || 'BE Image Builder',
+      audience: 'client',
+      subject: client.clientId,
+      jwtid: this.generateTokenId()
+    });
+
+    return {
+      accessToken,
+      expiresIn: OAUTH.clientTokenExpiresIn
+    };
+  }
+
+  /**
+   * Generate a random token identifier
+   * @returns {String} Hex encoded identifier
+   */
+  generateTokenId() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
   /**
    * Verify access token
    * @param {String} token - JWT token
@@ -68,7 +360,7 @@ class JWTService {
    */
   async verifyAccessToken(token) {
     try {
-      const decoded = await promisify(jwt.verify)(token, this.secret);
+      const decoded = await this.verify(token, this.secret, 'user');
       return decoded;
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
@@ -87,7 +379,7 @@ class JWTService {
    */
   async verifyRefreshToken(token) {
     try {
-      const decoded = await promisify(jwt.verify)(token, this.refreshSecret);
+      const decoded = await this.verify(token, this.refreshSecret, 'refresh');
       return decoded;
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
@@ -99,6 +391,63 @@ class JWTService {
     }
   }
 
+  /**
+   * Verify an OAuth client access token (client_credentials grant)
+   * @param {String} token - JWT client access token
+   * @returns {Object} Decoded token payload
+   */
+  async verifyClientToken(token) {
+    try {
+      const decoded = await this.verify(token, this.secret, 'client');
+      return decoded;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('Client access token has expired');
+      } else if (error.name === 'JsonWebTokenError') {
+        throw new Error('Invalid client access token');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Verify MFA challenge token
+   * @param {String} token - JWT MFA challenge token
+   * @returns {Object} Decoded token payload
+   */
+  async verifyMfaToken(token) {
+    try {
+      const decoded = await this.verify(token, this.secret, 'mfa');
+      return decoded;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('MFA token has expired');
+      } else if (error.name === 'JsonWebTokenError') {
+        throw new Error('Invalid MFA token');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Verify WebAuthn challenge token
+   * @param {String} token - JWT challenge token
+   * @returns {Object} Decoded token payload
+   */
+  async verifyChallengeToken(token) {
+    try {
+      const decoded = await this.verify(token, this.secret, 'webauthn');
+      return decoded;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('Challenge token has expired');
+      } else if (error.name === 'JsonWebTokenError') {
+        throw new Error('Invalid challenge token');
+      }
+      throw error;
+    }
+  }
+
   /**
    * Extract token from Authorization header
    * @param {String} authHeader - Authorization header value
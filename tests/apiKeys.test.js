@@ -0,0 +1,119 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret';
+
+const mongoose = require('mongoose');
+const { ApiKey, User } = require('../src/models');
+const apiKeyService = require('../src/services/apiKeyService');
+const roleService = require('../src/services/roleService');
+const { authenticate, requirePermission, requireSessionAuth } = require('../src/middleware/authMiddleware');
+
+const run = (middleware, req) => new Promise(resolve => {
+  middleware(req, {}, resolve);
+});
+
+describe('API keys', () => {
+  const build = (scopes) => new ApiKey({
+    userId: new mongoose.Types.ObjectId(),
+    name: 'CI',
+    prefix: 'bib_000000000000',
+    secretHash: ApiKey.hashSecret('s3cret'),
+    scopes
+  });
+
+  test('should compare secrets against the stored hash', () => {
+    const apiKey = build(['read']);
+
+    expect(apiKey.compareSecret('s3cret')).toBe(true);
+    expect(apiKey.compareSecret('s3cre')).toBe(false);
+  });
+
+  test('should map scopes to HTTP methods', () => {
+    const readOnly = build(['read']);
+    const readWrite = build(['read', 'write']);
+
+    expect(apiKeyService.allowsMethod(readOnly, 'GET')).toBe(true);
+    expect(apiKeyService.allowsMethod(readOnly, 'DELETE')).toBe(false);
+    expect(apiKeyService.allowsMethod(readWrite, 'PATCH')).toBe(true);
+  });
+
+  test('should hide the secret hash when serialized', () => {
+    expect(build(['read']).toJSON().secretHash).toBeUndefined();
+  });
+
+  describe('authentication', () => {
+    const user = new User({ name: 'Jane Doe', email: 'jane@example.com', role: 'user' });
+    const admin = new User({ name: 'Admin', email: 'admin@example.com', role: 'admin' });
+    let apiKey;
+
+    const request = (method = 'GET') => ({
+      method,
+      ip: '10.0.0.1',
+      headers: { authorization: 'ApiKey bib_000000000000_s3cret' }
+    });
+
+    beforeEach(() => {
+      apiKey = build(['read']);
+      jest.spyOn(ApiKey, 'findOne').mockReturnValue({ select: jest.fn().mockImplementation(async () => apiKey) });
+      jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({});
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockImplementation(async () => user) });
+      jest.spyOn(roleService, 'getPermissions').mockImplementation(async role => (role === 'admin' ? ['users:manage'] : []));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('should authenticate a valid key as its owner', async () => {
+      const req = request();
+
+      await expect(run(authenticate, req)).resolves.toBeUndefined();
+      expect(req).toMatchObject({ user, apiKey, authMethod: 'api_key' });
+      expect(ApiKey.findOne).toHaveBeenCalledWith({ prefix: 'bib_000000000000' });
+      expect(ApiKey.updateOne).toHaveBeenCalledWith({ _id: apiKey._id }, { $set: { lastUsedAt: expect.any(Date), lastUsedIp: '10.0.0.1' } });
+    });
+
+    test('should refuse revoked, expired and unknown keys', async () => {
+      apiKey.revokedAt = new Date();
+      await expect(run(authenticate, request())).resolves.toMatchObject({ statusCode: 401, code: 'INVALID_API_KEY' });
+
+      apiKey.revokedAt = null;
+      apiKey.expiresAt = new Date(Date.now() - 1000);
+      await expect(run(authenticate, request())).resolves.toMatchObject({ statusCode: 401, code: 'API_KEY_EXPIRED' });
+
+      apiKey = null;
+      await expect(run(authenticate, request())).resolves.toMatchObject({ statusCode: 401, code: 'INVALID_API_KEY' });
+
+      // A wrong secret for a known prefix
+      apiKey = build(['read']);
+      const req = request();
+      req.headers.authorization = 'ApiKey bib_000000000000_wrong';
+      await expect(run(authenticate, req)).resolves.toMatchObject({ statusCode: 401, code: 'INVALID_API_KEY' });
+
+      expect(ApiKey.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should refuse keys on session-only routes', async () => {
+      const req = request('POST');
+      apiKey.scopes = ['read', 'write'];
+
+      await run(authenticate, req);
+
+      await expect(run(requireSessionAuth, req)).resolves.toMatchObject({ statusCode: 403, code: 'API_KEY_NOT_ALLOWED' });
+    });
+
+    test('should limit a key to its scopes and its owner\'s permissions', async () => {
+      // A read key can't write, even for an admin
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(admin) });
+      await expect(run(authenticate, request('DELETE'))).resolves.toMatchObject({ statusCode: 403, code: 'INSUFFICIENT_SCOPE' });
+
+      const req = request('GET');
+      await run(authenticate, req);
+      await expect(run(requirePermission('users:manage'), req)).resolves.toBeUndefined();
+
+      // A key never grants more than its owner's role
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+      apiKey.scopes = ['read', 'write'];
+      const own = request('POST');
+      await expect(run(authenticate, own)).resolves.toBeUndefined();
+      await expect(run(requirePermission('users:manage'), own)).resolves.toMatchObject({ statusCode: 403 });
+    });
+  });
+});
@@ -0,0 +1,362 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret';
+
+const mongoose = require('mongoose');
+const { AuditLog, AuditCheckpoint, User } = require('../src/models');
+const auditLogService = require('../src/services/auditLogService');
+const auditChainService = require('../src/services/auditChainService');
+const AuditController = require('../src/controllers/auditController');
+const { AUDIT } = require('../src/config/audit');
+const { GENESIS_HASH, hashEntry } = require('../src/utils/auditChain');
+
+const { BSON } = mongoose.mongo;
+
+// What MongoDB gives back for a saved document
+const roundTrip = doc => BSON.deserialize(BSON.serialize(doc.toBSON()));
+
+// Query chain over `rows`, resolving to them (or the first one for findOne) or
+// iterating over them as a cursor
+const query = (rows, { one = false } = {}) => {
+  const chain = {
+    sort: (order) => {
+      const [[field, direction]] = Object.entries(order);
+      rows = [...rows].sort((a, b) => (a[field] - b[field]) * direction);
+      return chain;
+    },
+    select: () => chain,
+    lean: () => chain,
+    cursor: () => (async function* () { yield* rows; })(),
+    then: (resolve, reject) => Promise.resolve(one ? rows[0] || null : rows).then(resolve, reject)
+  };
+  return chain;
+};
+
+const inRange = (condition = {}) => ({ sequence }) =>
+  condition.$exists === false ? sequence === undefined : sequence !== undefined
+    && (typeof condition === 'number' ? sequence === condition : true)
+    && (condition.$lt === undefined || sequence < condition.$lt)
+    && (condition.$gte === undefined || sequence >= condition.$gte)
+    && (condition.$lte === undefined || sequence <= condition.$lte);
+
+describe('Audit log hash chain', () => {
+  let entries;
+  let checkpoints;
+
+  beforeEach(() => {
+    entries = [];
+    checkpoints = [];
+
+    jest.spyOn(AuditLog.prototype, 'save').mockImplementation(async function() {
+      if (entries.some(entry => entry.sequence === this.sequence)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { sequence: 1 } });
+      }
+      entries.push(roundTrip(this));
+      return this;
+    });
+    const matchingEntries = ({ sequence, timestamp }) => entries
+      .filter(inRange(sequence))
+      .filter(entry => !timestamp || (timestamp.$gte ? entry.timestamp >= timestamp.$gte : entry.timestamp < timestamp.$lt));
+    jest.spyOn(AuditLog, 'findOne').mockImplementation(filter => query(matchingEntries(filter), { one: true }));
+    jest.spyOn(AuditLog, 'find').mockImplementation(filter => query(matchingEntries(filter)));
+    jest.spyOn(AuditLog, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(AuditLog, 'deleteMany').mockImplementation(async (filter) => {
+      const deleted = matchingEntries(filter);
+      entries = entries.filter(entry => !deleted.includes(entry));
+      return { deletedCount: deleted.length };
+    });
+
+    const matchingCheckpoints = ({ sequence, start } = {}) => checkpoints
+      .filter(inRange(sequence))
+      .filter(checkpoint => start === undefined || (start === true ? checkpoint.start : checkpoint.start !== start.$ne));
+    jest.spyOn(AuditCheckpoint, 'find').mockImplementation(filter => query(matchingCheckpoints(filter)));
+    jest.spyOn(AuditCheckpoint, 'findOne').mockImplementation(filter => query(matchingCheckpoints(filter), { one: true }));
+    jest.spyOn(AuditCheckpoint, 'create').mockImplementation(async (data) => {
+      const checkpoint = new AuditCheckpoint(data);
+      checkpoints.push(roundTrip(checkpoint));
+      return checkpoint;
+    });
+    jest.spyOn(AuditCheckpoint, 'deleteMany').mockImplementation(async (filter) => {
+      const deleted = matchingCheckpoints(filter);
+      checkpoints = checkpoints.filter(checkpoint => !deleted.includes(checkpoint));
+      return { deletedCount: deleted.length };
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const writeEntries = async () => {
+    const user = new User({ name: 'Jane Doe', email: 'jane@example.com', password: 'Secret123' });
+    const req = {
+      ip: '10.0.0.1',
+      method: 'patch',
+      route: { path: '/profile' },
+      requestId: 'req-1',
+      authMethod: 'jwt',
+      get: () => ' Mozilla/5.0 '
+    };
+
+    // Written at the same time, like the requests of a busy server
+    await Promise.all([
+      auditLogService.logCreate({ userId: user._id, entity: 'User', entityId: user._id, data: user, req }),
+      auditLogService.logUpdate({
+        userId: user._id,
+        entity: 'User',
+        entityId: user._id,
+        before: { name: 'Jane', settings: {}, lastLogin: new Date('2026-01-01T10:00:00Z') },
+        after: { name: 'Jane Doe', tags: [{ z: 1, a: 2 }], removed: undefined },
+        req
+      }),
+      auditLogService.logRead({ userId: null, entity: 'Report', entityId: 'monthly' }),
+      auditLogService.logDelete({ userId: user._id, entity: 'ApiKey', entityId: 'key-1', data: { name: 'CI' }, req })
+    ]);
+  };
+
+  test('should link every entry to the one before it and stay verifiable once stored', async () => {
+    await writeEntries();
+
+    expect(entries.map(entry => entry.sequence)).toEqual([1, 2, 3, 4]);
+    expect(entries[0].prevHash).toBe(GENESIS_HASH);
+    entries.slice(1).forEach((entry, index) => expect(entry.prevHash).toBe(entries[index].hash));
+
+    // Recomputed from what the database returns
+    entries.forEach(entry => expect(hashEntry(entry, entry.prevHash)).toBe(entry.hash));
+
+    // Documents are stored as their JSON (without the password hash)
+    expect(entries[0].changes.after.email).toBe('jane@example.com');
+    expect(entries[0].changes.after.password).toBeUndefined();
+
+    await expect(auditChainService.verify()).resolves.toMatchObject({
+      valid: true,
+      checkedEntries: 4,
+      firstSequence: 1,
+      lastSequence: 4,
+      headHash: entries[3].hash,
+      brokenLink: null
+    });
+  });
+
+  test('should append after an entry another instance wrote first', async () => {
+    await writeEntries();
+
+    // Another instance takes sequence 5 while this one is about to save it
+    const other = new AuditLog({ action: 'READ', entity: 'Report', entityId: 'weekly', timestamp: new Date() });
+    const save = AuditLog.prototype.save.getMockImplementation();
+    AuditLog.prototype.save.mockImplementationOnce(async function() {
+      other.sequence = 5;
+      other.prevHash = entries[3].hash;
+      other.hash = hashEntry(other.toObject(), other.prevHash);
+      entries.push(roundTrip(other));
+      return save.call(this);
+    });
+
+    await auditLogService.logRead({ userId: null, entity: 'Report', entityId: 'daily' });
+
+    expect(entries.map(entry => entry.sequence)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(entries[5].prevHash).toBe(entries[4].hash);
+    await expect(auditChainService.verify()).resolves.toMatchObject({ valid: true, checkedEntries: 6 });
+  });
+
+  test('should report the first entry that was edited or deleted', async () => {
+    await writeEntries();
+
+    entries[1].description = 'Nothing happened here';
+    entries[2].changes.after = { role: 'admin' };
+    const edited = await auditChainService.verify();
+    expect(edited).toMatchObject({
+      valid: false,
+      checkedEntries: 1,
+      brokenLink: { sequence: 2, logId: entries[1]._id, reason: 'hash_mismatch' }
+    });
+
+    entries.splice(1, 2);
+    await expect(auditChainService.verify()).resolves.toMatchObject({
+      valid: false,
+      brokenLink: { sequence: 4, reason: 'missing_entries', message: 'Entries 2 to 3 are missing' }
+    });
+
+    // A range is checked against the entry before it
+    await expect(auditChainService.verify({ fromSequence: 4 })).resolves.toMatchObject({
+      valid: false,
+      checkedEntries: 0,
+      brokenLink: { sequence: 4, reason: 'missing_entries' }
+    });
+  });
+
+  test('should sign checkpoints of an intact chain and catch a rewritten or truncated chain', async () => {
+    await writeEntries();
+
+    const checkpoint = await auditChainService.createCheckpoint();
+    expect(checkpoint).toMatchObject({ sequence: 4, hash: entries[3].hash });
+    expect(auditChainService.isSignatureValid(checkpoints[0])).toBe(true);
+
+    // Nothing new to sign
+    await expect(auditChainService.createCheckpoint()).resolves.toBeNull();
+    await expect(auditChainService.verify()).resolves.toMatchObject({
+      valid: true,
+      checkedCheckpoints: 1,
+      latestCheckpoint: { sequence: 4, hash: entries[3].hash }
+    });
+
+    // Someone with database access rewrites entry 3 and re-hashes the rest of the chain
+    entries[2].description = 'Rewritten';
+    entries[2].hash = hashEntry(entries[2], entries[2].prevHash);
+    entries[3].prevHash = entries[2].hash;
+    entries[3].hash = hashEntry(entries[3], entries[3].prevHash);
+    await expect(auditChainService.verify()).resolves.toMatchObject({
+      valid: false,
+      brokenLink: { sequence: 4, reason: 'checkpoint_mismatch' }
+    });
+
+    // ...and re-signs the checkpoint without the secret
+    checkpoints[0].hash = entries[3].hash;
+    await expect(auditChainService.verify()).resolves.toMatchObject({
+      valid: false,
+      brokenLink: { sequence: 4, reason: 'invalid_checkpoint' }
+    });
+
+    // No checkpoint is signed on top of a broken chain
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    await auditLogService.logRead({ userId: null, entity: 'Report', entityId: 'daily' });
+    await expect(auditChainService.createCheckpoint()).resolves.toBeNull();
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('broken at entry 4'));
+  });
+
+  test('should report entries deleted after the latest checkpoint', async () => {
+    await writeEntries();
+    await auditChainService.createCheckpoint();
+
+    entries.splice(2, 2);
+
+    await expect(auditChainService.verify()).resolves.toMatchObject({
+      valid: false,
+      checkedEntries: 2,
+      brokenLink: { sequence: 3, logId: null, reason: 'truncated' }
+    });
+  });
+
+  test('should report entries deleted from the start of the chain', async () => {
+    await writeEntries();
+    await auditChainService.createCheckpoint();
+    await auditLogService.logRead({ userId: null, entity: 'Report', entityId: 'daily' });
+
+    // The remaining entries still link to each other and to the checkpoint
+    entries.splice(0, 2);
+    await expect(auditChainService.verify()).resolves.toMatchObject({
+      valid: false,
+      checkedEntries: 0,
+      checkedCheckpoints: 0,
+      brokenLink: { sequence: 3, logId: entries[0]._id, reason: 'missing_entries', message: 'Entries 1 to 2 are missing' }
+    });
+
+    // Also past the checkpoint, and when a range starts after the deleted entries
+    entries.splice(0, 2);
+    await expect(auditChainService.verify()).resolves.toMatchObject({
+      valid: false,
+      brokenLink: { sequence: 5, reason: 'missing_entries', message: 'Entries 1 to 4 are missing' }
+    });
+    await expect(auditChainService.verify({ fromSequence: 5 })).resolves.toMatchObject({
+      valid: false,
+      brokenLink: { sequence: 5, reason: 'missing_entries' }
+    });
+
+    // A forged first entry can't claim to start the chain either
+    entries[0].sequence = 1;
+    entries[0].prevHash = GENESIS_HASH;
+    entries[0].hash = hashEntry(entries[0], entries[0].prevHash);
+    await expect(auditChainService.verify()).resolves.toMatchObject({
+      valid: false,
+      checkedEntries: 1,
+      brokenLink: { reason: 'truncated' }
+    });
+  });
+
+  // Backdate the first entries, re-hashing the chain as if they had been written then
+  const expire = (count) => {
+    entries.forEach((entry, index) => {
+      if (index < count) entry.timestamp = new Date(Date.now() - (AUDIT.retentionDays + 1) * 24 * 60 * 60 * 1000);
+      entry.prevHash = index ? entries[index - 1].hash : GENESIS_HASH;
+      entry.hash = hashEntry(entry, entry.prevHash);
+    });
+  };
+
+  test('should delete expired entries from the start of the chain behind a signed start checkpoint', async () => {
+    await writeEntries();
+    expire(3);
+    await auditChainService.createCheckpoint();
+    await auditLogService.logRead({ userId: null, entity: 'Report', entityId: 'daily' });
+
+    await expect(auditChainService.applyRetention()).resolves.toEqual({ deletedThrough: 3, deletedEntries: 3 });
+
+    expect(entries.map(entry => entry.sequence)).toEqual([4, 5]);
+    expect(checkpoints).toEqual([
+      expect.objectContaining({ sequence: 4 }),
+      expect.objectContaining({ sequence: 3, hash: entries[0].prevHash, start: true })
+    ]);
+    expect(auditChainService.isSignatureValid(checkpoints[1])).toBe(true);
+    await expect(auditChainService.verify()).resolves.toMatchObject({
+      valid: true,
+      checkedEntries: 2,
+      firstSequence: 4,
+      checkedCheckpoints: 1,
+      startCheckpoint: { sequence: 3, hash: entries[0].prevHash }
+    });
+    await expect(auditChainService.verify({ fromSequence: 2 })).resolves.toMatchObject({ valid: true, firstSequence: 4 });
+
+    // Nothing else has expired, and checkpoints carry on from the start
+    await expect(auditChainService.applyRetention()).resolves.toBeNull();
+    await auditLogService.logRead({ userId: null, entity: 'Report', entityId: 'weekly' });
+    await expect(auditChainService.createCheckpoint()).resolves.toMatchObject({ sequence: 6 });
+
+    // Entries deleted past the start checkpoint are still reported...
+    entries.splice(0, 1);
+    await expect(auditChainService.verify()).resolves.toMatchObject({
+      valid: false,
+      brokenLink: { sequence: 5, reason: 'missing_entries', message: 'Entry 4 is missing' }
+    });
+
+    // ...also when a start checkpoint is forged to cover them
+    checkpoints.push({ sequence: 4, hash: entries[0].prevHash, signedAt: new Date(), start: true, signature: 'f'.repeat(64) });
+    await expect(auditChainService.verify()).resolves.toMatchObject({
+      valid: false,
+      startCheckpoint: { sequence: 3 },
+      brokenLink: { sequence: 5, reason: 'missing_entries' }
+    });
+  });
+
+  test('should keep expired entries when the chain is broken among them or retention is off', async () => {
+    await writeEntries();
+    expire(2);
+
+    const retentionDays = AUDIT.retentionDays;
+    AUDIT.retentionDays = 0;
+    try {
+      await expect(auditChainService.applyRetention()).resolves.toBeNull();
+    } finally {
+      AUDIT.retentionDays = retentionDays;
+    }
+
+    entries[1].description = 'Nothing happened here';
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(auditChainService.applyRetention()).resolves.toBeNull();
+
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('broken at entry 2, not deleting expired entries'));
+    expect(entries).toHaveLength(4);
+    expect(checkpoints).toHaveLength(0);
+  });
+
+  test('should return the verification report from the verify endpoint', async () => {
+    await writeEntries();
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    await AuditController.verifyAuditLog({ query: { fromSequence: 2 } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].data.verification).toMatchObject({
+      valid: true,
+      checkedEntries: 3,
+      firstSequence: 2
+    });
+  });
+});
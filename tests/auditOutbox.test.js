@@ -0,0 +1,268 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { AuditLog, User } = require('../src/models');
+const database = require('../src/config/database');
+const auditOutbox = require('../src/services/auditOutbox');
+const auditLogService = require('../src/services/auditLogService');
+const { auditLogger, auditFailClosed } = require('../src/middleware/auditLogger');
+const roleService = require('../src/services/roleService');
+const tokenRevocationService = require('../src/services/tokenRevocationService');
+const UserController = require('../src/controllers/userController');
+const { AUDIT } = require('../src/config/audit');
+const { mockRequest, mockResponse } = require('./helpers/mockExpress');
+
+const networkError = () => Object.assign(new Error('connection 1 to mongo:27017 closed'), { name: 'MongoNetworkError' });
+
+describe('Audit outbox', () => {
+  let dir;
+  let stored;
+  let consoleError;
+
+  const readOutbox = () => fs.readFileSync(auditOutbox.path, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+  const failWrites = (error = networkError()) => AuditLog.createLog.mockImplementation(async () => {
+    throw error;
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-outbox-'));
+    stored = [];
+
+    auditOutbox.path = path.join(dir, 'audit-outbox.jsonl');
+    auditOutbox.maxAttempts = 0;
+    auditOutbox.pending = 0;
+    auditOutbox.lastFailure = null;
+    Object.keys(auditOutbox.metrics).forEach(key => { auditOutbox.metrics[key] = 0; });
+
+    jest.spyOn(AuditLog, 'createLog').mockImplementation(async (entry) => {
+      stored.push(entry);
+      return entry;
+    });
+    jest.spyOn(database, 'isConnected').mockReturnValue(true);
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    AUDIT.failClosed = false;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should queue an entry the database refused and write it once the database is back', async () => {
+    failWrites();
+
+    const result = await auditLogService.logRead({ userId: null, entity: 'Report', entityId: 'monthly' });
+
+    expect(result).toBeNull();
+    const [record] = readOutbox();
+    expect(record).toMatchObject({
+      entry: { entity: 'Report', entityId: 'monthly', action: 'READ' },
+      attempts: 1,
+      lastError: 'connection 1 to mongo:27017 closed'
+    });
+    expect(record.entry.eventId).toEqual(expect.any(String));
+    expect(auditOutbox.getMetrics()).toMatchObject({ written: 0, queued: 1, pending: 1, healthy: false });
+
+    // Still down: the entry stays queued
+    await auditOutbox.flush();
+    expect(readOutbox()).toEqual([expect.objectContaining({ attempts: 2 })]);
+    expect(fs.existsSync(auditOutbox.retryPath())).toBe(false);
+
+    // Back up: the entry is written with its original eventId and time
+    AuditLog.createLog.mockImplementation(async (entry) => {
+      stored.push(entry);
+      return entry;
+    });
+    await auditOutbox.flush();
+
+    expect(stored).toEqual([expect.objectContaining({ eventId: record.entry.eventId, timestamp: record.entry.timestamp })]);
+    expect(fs.existsSync(auditOutbox.path)).toBe(false);
+    expect(auditOutbox.getMetrics()).toMatchObject({ queued: 1, retries: 2, recovered: 1, dropped: 0, pending: 0, healthy: true });
+  });
+
+  test('should keep the order of queued entries and stop at the first one that still fails', async () => {
+    failWrites();
+    await auditLogService.logRead({ userId: null, entity: 'Report', entityId: 'first' });
+    await auditLogService.logRead({ userId: null, entity: 'Report', entityId: 'second' });
+
+    // The first retry succeeds, then the database goes away again
+    AuditLog.createLog
+      .mockImplementationOnce(async (entry) => {
+        stored.push(entry);
+        return entry;
+      })
+      .mockImplementationOnce(async () => { throw networkError(); });
+    await auditOutbox.flush();
+
+    expect(stored.map(entry => entry.entityId)).toEqual(['first']);
+    expect(readOutbox().map(record => record.entry.entityId)).toEqual(['second']);
+    expect(auditOutbox.pending).toBe(1);
+  });
+
+  test('should not write an entry twice when an earlier retry already wrote it', async () => {
+    failWrites();
+    await auditLogService.logRead({ userId: null, entity: 'Report', entityId: 'monthly' });
+
+    const [{ entry }] = readOutbox();
+
+    failWrites(Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { eventId: 1 } }));
+    const exists = jest.spyOn(AuditLog, 'exists').mockResolvedValue({ _id: 'log-1' });
+    await auditOutbox.flush();
+
+    expect(exists).toHaveBeenCalledWith({ eventId: entry.eventId });
+    expect(fs.existsSync(auditOutbox.path)).toBe(false);
+    expect(auditOutbox.getMetrics()).toMatchObject({ recovered: 1, dropped: 0, pending: 0 });
+  });
+
+  test('should drop invalid entries and entries out of attempts, with a trace of the entry', async () => {
+    failWrites(Object.assign(new Error('AuditLog validation failed: action: `PEEK` is not a valid enum value'), { name: 'ValidationError' }));
+    await auditLogService.createLog({ userId: null, action: 'PEEK', entity: 'Report', entityId: 'monthly' });
+
+    expect(fs.existsSync(auditOutbox.path)).toBe(false);
+    expect(auditOutbox.metrics.dropped).toBe(1);
+    expect(consoleError).toHaveBeenCalledWith(
+      expect.stringContaining('Audit log dropped after 1 attempt(s)'),
+      expect.stringContaining('"action":"PEEK"')
+    );
+
+    auditOutbox.maxAttempts = 2;
+    failWrites();
+    await auditLogService.logRead({ userId: null, entity: 'Report', entityId: 'weekly' });
+    await auditOutbox.flush();
+
+    expect(fs.existsSync(auditOutbox.path)).toBe(false);
+    expect(auditOutbox.getMetrics()).toMatchObject({ queued: 1, retries: 1, dropped: 2, pending: 0 });
+    expect(consoleError).toHaveBeenCalledWith(
+      expect.stringContaining('Audit log dropped after 2 attempt(s)'),
+      expect.stringContaining('"entityId":"weekly"')
+    );
+  });
+
+  test('should finish a retry cut short by a crash and skip torn lines', async () => {
+    const record = (entityId) => JSON.stringify({ entry: { eventId: entityId, action: 'READ', entity: 'Report', entityId }, attempts: 1 });
+    fs.writeFileSync(auditOutbox.retryPath(), `${record('left-over')}\n{"entry":{"eventId":"torn`);
+    fs.writeFileSync(auditOutbox.path, `${record('queued')}\n`);
+
+    await auditOutbox.start();
+    clearInterval(auditOutbox.retryTimer);
+    auditOutbox.retryTimer = null;
+
+    // The retry file first; the outbox is left for the next retry
+    expect(stored.map(entry => entry.entityId)).toEqual(['left-over']);
+    expect(fs.existsSync(auditOutbox.retryPath())).toBe(false);
+    expect(auditOutbox.pending).toBe(1);
+    expect(auditOutbox.metrics.dropped).toBe(1);
+
+    await auditOutbox.flush();
+    expect(stored.map(entry => entry.entityId)).toEqual(['left-over', 'queued']);
+    expect(auditOutbox.getMetrics()).toMatchObject({ recovered: 2, pending: 0 });
+  });
+
+  test('should record requests on fail-closed routes before they are handled', async () => {
+    const admin = new User({ name: 'Admin', email: 'admin@example.com', role: 'admin' });
+    const tokenId = new mongoose.Types.ObjectId().toString();
+    const adminRequest = () => mockRequest({
+      method: 'DELETE',
+      baseUrl: '/api/admin',
+      path: `/provisioning-tokens/${tokenId}`,
+      route: { path: '/provisioning-tokens/:tokenId' },
+      params: { tokenId },
+      user: admin,
+      authMethod: 'jwt'
+    });
+    const next = jest.fn();
+
+    // Off by default
+    await auditFailClosed(adminRequest(), {}, next);
+    expect(next).toHaveBeenLastCalledWith();
+    expect(stored).toEqual([]);
+
+    AUDIT.failClosed = true;
+    const req = adminRequest();
+    await auditFailClosed(req, {}, next);
+    expect(next).toHaveBeenLastCalledWith();
+    expect(req.auditFailClosed).toBe(true);
+    expect(stored).toEqual([expect.objectContaining({
+      userId: admin._id,
+      action: 'DELETE',
+      entity: 'ProvisioningToken',
+      entityId: tokenId,
+      metadata: expect.objectContaining({ route: '/provisioning-tokens/:tokenId', method: 'DELETE', authMethod: 'jwt' }),
+      description: 'Received DELETE /api/admin/provisioning-tokens/:tokenId'
+    })]);
+
+    // ...and not again once the response is sent
+    const res = mockResponse();
+    auditLogger(req, res, jest.fn());
+    res.end();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(stored).toHaveLength(1);
+
+    // The request can't be recorded: it is refused before anything changes
+    failWrites();
+    await auditFailClosed(adminRequest(), {}, next);
+    expect(next.mock.calls[2][0]).toMatchObject({ statusCode: 503, code: 'AUDIT_UNAVAILABLE' });
+    expect(readOutbox()).toHaveLength(1);
+
+    // Later requests are refused until the outbox is empty
+    await auditFailClosed(adminRequest(), {}, next);
+    expect(next.mock.calls[3][0]).toMatchObject({ statusCode: 503 });
+    expect(readOutbox()).toHaveLength(1);
+
+    AuditLog.createLog.mockResolvedValue({});
+    await auditOutbox.flush();
+    database.isConnected.mockReturnValue(false);
+    await auditFailClosed(adminRequest(), {}, next);
+    expect(next.mock.calls[4][0]).toMatchObject({ statusCode: 503 });
+
+    database.isConnected.mockReturnValue(true);
+    await auditFailClosed(adminRequest(), {}, next);
+    expect(next).toHaveBeenLastCalledWith();
+  });
+
+  test('should complete a change whose audit entry fails once the request was recorded', async () => {
+    const admin = new User({ name: 'Admin', email: 'admin@example.com', role: 'admin' });
+    const user = new User({ name: 'Jane Doe', email: 'jane@example.com', password: 'Secret123' });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const revoke = jest.spyOn(tokenRevocationService, 'revokeAllForUser').mockResolvedValue(1);
+    jest.spyOn(roleService, 'getPermissions').mockImplementation(async role => (role === 'admin' ? ['users:manage'] : []));
+    const req = mockRequest({
+      method: 'POST',
+      baseUrl: '/api/admin',
+      path: `/users/${user._id}/deactivate`,
+      route: { path: '/users/:userId/deactivate' },
+      params: { userId: String(user._id) },
+      user: admin,
+      authMethod: 'jwt'
+    });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    AUDIT.failClosed = true;
+    await auditFailClosed(req, res, next);
+    expect(next).toHaveBeenLastCalledWith();
+    expect(stored).toEqual([expect.objectContaining({ action: 'UPDATE', entity: 'User', entityId: String(user._id) })]);
+
+    // The database goes away after the request was recorded: the change is made and
+    // its entry waits in the outbox
+    failWrites();
+    await UserController.deactivateUser(req, res, next);
+
+    expect(revoke).toHaveBeenCalledWith(user, 'revoked_by_admin');
+    expect(user.isActive).toBe(false);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(readOutbox()).toEqual([expect.objectContaining({
+      entry: expect.objectContaining({ action: 'UPDATE', entity: 'User', description: `Admin deactivated user ${user._id}` })
+    })]);
+
+    // Until it is written, the next request is refused
+    await auditFailClosed(mockRequest({ method: 'GET', baseUrl: '/api/admin', path: '/users', user: admin }), res, next);
+    expect(next).toHaveBeenLastCalledWith(expect.objectContaining({ statusCode: 503, code: 'AUDIT_UNAVAILABLE' }));
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Minimal Express request and response doubles for calling controllers and
+ * middleware directly in unit tests.
+ */
+
+/**
+ * Request with empty params, query, body and headers
+ * @param {Object} overrides - Properties to set on the request
+ * @returns {Object} Request
+ */
+const mockRequest = (overrides = {}) => ({
+  params: {},
+  query: {},
+  body: {},
+  headers: {},
+  ip: '127.0.0.1',
+  get(name) {
+    return this.headers[name.toLowerCase()];
+  },
+  ...overrides
+});
+
+/**
+ * Response whose methods are chainable jest mocks
+ * @returns {Object} Response
+ */
+const mockResponse = () => {
+  const res = {};
+  res.set = jest.fn().mockReturnValue(res);
+  res.status = jest.fn().mockReturnValue(res);
+  res.type = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.end = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+module.exports = {
+  mockRequest,
+  mockResponse
+};
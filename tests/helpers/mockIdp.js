@@ -0,0 +1,133 @@
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Local OpenID Connect provider for offline tests.
+ * Serves discovery, JWKS, token and userinfo endpoints and signs ID tokens with RS256.
+ */
+class MockIdp {
+  constructor() {
+    this.requests = [];
+    this.codes = new Map();
+    this.userinfo = {};
+    this.keys = [];
+    this.rotateKeys();
+  }
+
+  /**
+   * Start listening on a random local port
+   * @returns {Promise<string>} Issuer URL
+   */
+  start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => {
+        this.issuer = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this.issuer);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Replace the signing key (the previous key is no longer published)
+   */
+  rotateKeys() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+
+    this.keys = [{ kid, privateKey, publicKey }];
+    return kid;
+  }
+
+  /**
+   * Sign an ID token
+   * @param {Object} claims - Token claims (sub, aud, email, ...)
+   * @param {Object} options - jsonwebtoken sign options overrides
+   * @returns {string} ID token
+   */
+  issueIdToken(claims, options = {}) {
+    const [{ kid, privateKey }] = this.keys;
+
+    return jwt.sign(claims, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer: this.issuer,
+      expiresIn: '5m',
+      ...options
+    });
+  }
+
+  /**
+   * Register an authorization code the token endpoint will accept
+   * @param {string} code - Authorization code
+   * @param {Object} response - Token response to return
+   */
+  registerCode(code, response) {
+    this.codes.set(code, response);
+  }
+
+  countRequests(path) {
+    return this.requests.filter(request => request.path === path).length;
+  }
+
+  handle(req, res) {
+    const chunks = [];
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const { pathname } = new URL(req.url, this.issuer);
+      const body = Object.fromEntries(new URLSearchParams(Buffer.concat(chunks).toString()));
+
+      this.requests.push({ path: pathname, body, headers: req.headers });
+
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      switch (pathname) {
+        case '/.well-known/openid-configuration':
+          return send(200, {
+            issuer: this.issuer,
+            authorization_endpoint: `${this.issuer}/authorize`,
+            token_endpoint: `${this.issuer}/token`,
+            userinfo_endpoint: `${this.issuer}/userinfo`,
+            jwks_uri: `${this.issuer}/jwks`,
+            id_token_signing_alg_values_supported: ['RS256']
+          });
+        case '/jwks':
+          return send(200, {
+            keys: this.keys.map(({ kid, publicKey }) => ({
+              ...publicKey.export({ format: 'jwk' }),
+              kid,
+              use: 'sig',
+              alg: 'RS256'
+            }))
+          });
+        case '/token': {
+          const response = this.codes.get(body.code);
+          if (req.method !== 'POST' || !response) {
+            return send(400, { error: 'invalid_grant' });
+          }
+          this.codes.delete(body.code);
+          return send(200, { token_type: 'Bearer', access_token: 'mock-access-token', ...response });
+        }
+        case '/userinfo':
+          if (req.headers.authorization !== 'Bearer mock-access-token') {
+            return send(401, { error: 'invalid_token' });
+          }
+          return send(200, this.userinfo);
+        default:
+          return send(404, { error: 'not_found' });
+      }
+    });
+  }
+}
+
+module.exports = MockIdp;
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { SignedXml } = require('xml-crypto');
+
+const EXC_C14N = 'http://www.w3.org/2001/10/xml-exc-c14n#';
+
+/**
+ * Local SAML identity provider for offline tests.
+ * Builds responses and signs the assertion or the whole response with its own RSA key.
+ */
+class MockSamlIdp {
+  constructor(entityId = 'https://idp.example.com/metadata') {
+    this.entityId = entityId;
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    this.privateKey = privateKey.export({ type: 'pkcs8', format: 'pem' });
+    this.publicKey = publicKey.export({ type: 'spki', format: 'pem' });
+  }
+
+  /**
+   * Build a SAML response
+   * @param {Object} options - Response contents
+   * @param {string} options.acsUrl - Recipient and destination
+   * @param {string} options.audience - SP entity ID
+   * @param {string} options.inResponseTo - AuthnRequest ID (omit for IdP-initiated)
+   * @param {Object} options.attributes - Attribute values by name
+   * @returns {string} Response XML
+   */
+  buildResponse({
+    acsUrl,
+    audience,
+    inResponseTo = null,
+    nameId = 'user-1',
+    nameIdFormat = 'urn:oasis:names:tc:SAML:2.0:nameid-format:persistent',
+    attributes = {},
+    issuer = this.entityId,
+    assertionId = `_${crypto.randomBytes(16).toString('hex')}`,
+    notOnOrAfter = new Date(Date.now() + 5 * 60 * 1000),
+    status = 'urn:oasis:names:tc:SAML:2.0:status:Success'
+  }) {
+    const now = new Date().toISOString();
+    const until = notOnOrAfter.toISOString();
+    const replyTo = inResponseTo ? ` InResponseTo="${inResponseTo}"` : '';
+
+    const values = Object.entries(attributes).map(([name, value]) => {
+      const items = [].concat(value).map(item => `<saml:AttributeValue>${item}</saml:AttributeValue>`).join('');
+      return `<saml:Attribute Name="${name}">${items}</saml:Attribute>`;
+    }).join('');
+
+    return '<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion"' +
+      ` ID="_${crypto.randomBytes(16).toString('hex')}" Version="2.0" IssueInstant="${now}" Destination="${acsUrl}"${replyTo}>` +
+      `<saml:Issuer>${issuer}</saml:Issuer>` +
+      `<samlp:Status><samlp:StatusCode Value="${status}"/></samlp:Status>` +
+      `<saml:Assertion ID="${assertionId}" Version="2.0" IssueInstant="${now}">` +
+      `<saml:Issuer>${issuer}</saml:Issuer>` +
+      `<saml:Subject><saml:NameID Format="${nameIdFormat}">${nameId}</saml:NameID>` +
+      '<saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer">' +
+      `<saml:SubjectConfirmationData Recipient="${acsUrl}" NotOnOrAfter="${until}"${replyTo}/>` +
+      '</saml:SubjectConfirmation></saml:Subject>' +
+      `<saml:Conditions NotBefore="${now}" NotOnOrAfter="${until}">` +
+      `<saml:AudienceRestriction><saml:Audience>${audience}</saml:Audience></saml:AudienceRestriction>` +
+      '</saml:Conditions>' +
+      `<saml:AuthnStatement AuthnInstant="${now}"><saml:AuthnContext><saml:AuthnContextClassRef>urn:oasis:names:tc:SAML:2.0:ac:classes:PasswordProtectedTransport</saml:AuthnContextClassRef></saml:AuthnContext></saml:AuthnStatement>` +
+      `<saml:AttributeStatement>${values}</saml:AttributeStatement>` +
+      '</saml:Assertion>' +
+      '</samlp:Response>';
+  }
+
+  /**
+   * Sign the Assertion or the Response element (enveloped signature after its Issuer)
+   * @param {string} xml - Response XML
+   * @param {string} element - 'Assertion' or 'Response'
+   * @param {Object} options - Signing options
+   * @returns {string} Signed response XML
+   */
+  sign(xml, element = 'Assertion', { privateKey = this.privateKey, algorithm = 'rsa-sha256', digest = 'sha256' } = {}) {
+    const target = `//*[local-name(.)='${element}']`;
+    const signedXml = new SignedXml({
+      privateKey,
+      canonicalizationAlgorithm: EXC_C14N,
+      signatureAlgorithm: algorithm === 'rsa-sha1' ? 'http://www.w3.org/2000/09/xmldsig#rsa-sha1' : `http://www.w3.org/2001/04/xmldsig-more#${algorithm}`
+    });
+
+    signedXml.addReference({
+      xpath: target,
+      transforms: ['http://www.w3.org/2000/09/xmldsig#enveloped-signature', EXC_C14N],
+      digestAlgorithm: digest === 'sha1' ? 'http://www.w3.org/2000/09/xmldsig#sha1' : `http://www.w3.org/2001/04/xmlenc#${digest}`
+    });
+
+    signedXml.computeSignature(xml, {
+      prefix: 'ds',
+      location: { reference: `${target}/*[local-name(.)='Issuer']`, action: 'after' }
+    });
+
+    return signedXml.getSignedXml();
+  }
+
+  /**
+   * Encode a response as the SAMLResponse form field
+   * @param {string} xml - Response XML
+   * @returns {string} Base64 response
+   */
+  encode(xml) {
+    return Buffer.from(xml).toString('base64');
+  }
+}
+
+module.exports = MockSamlIdp;
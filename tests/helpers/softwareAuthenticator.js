@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { isoBase64URL, isoCBOR } = require('@simplewebauthn/server/helpers');
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+const toBase64URL = (buffer) => isoBase64URL.fromBuffer(new Uint8Array(buffer));
+
+/**
+ * Minimal ES256 WebAuthn authenticator for offline tests.
+ * Produces "none" attestation registration responses and signed assertions.
+ */
+class SoftwareAuthenticator {
+  constructor({ rpId = 'localhost', origin = 'http://localhost:3000', userVerification = true } = {}) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+    this.rpId = rpId;
+    this.origin = origin;
+    this.userVerification = userVerification;
+    this.privateKey = privateKey;
+    this.publicKey = publicKey;
+    this.credentialId = crypto.randomBytes(16);
+    this.signCount = 0;
+  }
+
+  get id() {
+    return toBase64URL(this.credentialId);
+  }
+
+  /**
+   * Encode the public key as a COSE_Key (EC2, ES256, P-256)
+   */
+  cosePublicKey() {
+    const jwk = this.publicKey.export({ format: 'jwk' });
+
+    return isoCBOR.encode(new Map([
+      [1, 2],
+      [3, -7],
+      [-1, 1],
+      [-2, new Uint8Array(Buffer.from(jwk.x, 'base64url'))],
+      [-3, new Uint8Array(Buffer.from(jwk.y, 'base64url'))]
+    ]));
+  }
+
+  authenticatorData({ attestedCredentialData = false } = {}) {
+    let flags = FLAG_USER_PRESENT;
+    if (this.userVerification) flags |= FLAG_USER_VERIFIED;
+    if (attestedCredentialData) flags |= FLAG_ATTESTED_CREDENTIAL_DATA;
+
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(this.signCount);
+
+    const parts = [sha256(this.rpId), Buffer.from([flags]), counter];
+
+    if (attestedCredentialData) {
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(this.credentialId.length);
+      parts.push(Buffer.alloc(16), idLength, this.credentialId, Buffer.from(this.cosePublicKey()));
+    }
+
+    return Buffer.concat(parts);
+  }
+
+  clientData(type, challenge, origin = this.origin) {
+    return Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+  }
+
+  /**
+   * Answer navigator.credentials.create() options
+   * @param {Object} options - PublicKeyCredentialCreationOptionsJSON
+   * @returns {Object} RegistrationResponseJSON
+   */
+  createCredential(options, { origin } = {}) {
+    const attestationObject = isoCBOR.encode(new Map([
+      ['fmt', 'none'],
+      ['attStmt', new Map()],
+      ['authData', new Uint8Array(this.authenticatorData({ attestedCredentialData: true }))]
+    ]));
+
+    return {
+      id: this.id,
+      rawId: this.id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: toBase64URL(this.clientData('webauthn.create', options.challenge, origin)),
+        attestationObject: toBase64URL(attestationObject),
+        transports: ['internal']
+      },
+      clientExtensionResults: {}
+    };
+  }
+
+  /**
+   * Answer navigator.credentials.get() options
+   * @param {Object} options - PublicKeyCredentialRequestOptionsJSON
+   * @returns {Object} AuthenticationResponseJSON
+   */
+  getAssertion(options, { origin, signCount } = {}) {
+    this.signCount = signCount !== undefined ? signCount : this.signCount + 1;
+
+    const authenticatorData = this.authenticatorData();
+    const clientDataJSON = this.clientData('webauthn.get', options.challenge, origin);
+    const signature = crypto.sign('sha256', Buffer.concat([authenticatorData, sha256(clientDataJSON)]), this.privateKey);
+
+    return {
+      id: this.id,
+      rawId: this.id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: toBase64URL(clientDataJSON),
+        authenticatorData: toBase64URL(authenticatorData),
+        signature: toBase64URL(signature)
+      },
+      clientExtensionResults: {}
+    };
+  }
+}
+
+module.exports = SoftwareAuthenticator;
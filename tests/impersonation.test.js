@@ -0,0 +1,102 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret';
+
+const mongoose = require('mongoose');
+const { User } = require('../src/models');
+const jwtService = require('../src/utils/jwtService');
+const roleService = require('../src/services/roleService');
+const tokenRevocationService = require('../src/services/tokenRevocationService');
+const auditLogService = require('../src/services/auditLogService');
+const UserController = require('../src/controllers/userController');
+const { authenticate, requireSessionAuth } = require('../src/middleware/authMiddleware');
+
+const build = (role, tokenVersion = 0) => new User({
+  name: role,
+  email: `${role}@example.com`,
+  role,
+  tokenVersion
+});
+
+const run = (middleware, req) => new Promise(resolve => {
+  middleware(req, {}, resolve);
+});
+
+describe('Impersonation', () => {
+  const admin = build('admin');
+  const user = build('user');
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('should issue an access token naming the admin without a refresh token', () => {
+    const tokens = jwtService.generateImpersonationToken(user, admin);
+    const decoded = jwtService.decodeToken(tokens.accessToken);
+
+    expect(tokens.refreshToken).toBeUndefined();
+    expect(decoded.id).toBe(user._id.toString());
+    expect(decoded.act.id).toBe(admin._id.toString());
+    expect(decoded.sid).toBeUndefined();
+  });
+
+  test('should expose the impersonator on the request', async () => {
+    const { accessToken } = jwtService.generateImpersonationToken(user, admin);
+    jest.spyOn(User, 'findById').mockImplementation(id => ({
+      select: async () => (admin._id.equals(id) ? admin : user)
+    }));
+    jest.spyOn(tokenRevocationService, 'isAccessTokenRevoked').mockResolvedValue(false);
+    jest.spyOn(roleService, 'getPermissions').mockResolvedValue(['users:impersonate']);
+    const req = { headers: { authorization: `Bearer ${accessToken}` } };
+
+    expect(await run(authenticate, req)).toBeUndefined();
+    expect(req.user).toBe(user);
+    expect(req.impersonator).toBe(admin);
+    expect(req.authMethod).toBe('impersonation');
+  });
+
+  test('should end the impersonation when the admin signs out everywhere', async () => {
+    const { accessToken } = jwtService.generateImpersonationToken(user, admin);
+    const signedOut = build('admin', 1);
+    signedOut._id = admin._id;
+    jest.spyOn(User, 'findById').mockImplementation(id => ({
+      select: async () => (admin._id.equals(id) ? signedOut : user)
+    }));
+    jest.spyOn(tokenRevocationService, 'isAccessTokenRevoked').mockResolvedValue(false);
+
+    const error = await run(authenticate, { headers: { authorization: `Bearer ${accessToken}` } });
+
+    expect(error.code).toBe('TOKEN_REVOKED');
+  });
+
+  test('should block sensitive operations while impersonating', async () => {
+    const error = await run(requireSessionAuth, { user, impersonator: admin, authMethod: 'impersonation' });
+
+    expect(error.code).toBe('IMPERSONATION_NOT_ALLOWED');
+    expect(await run(requireSessionAuth, { user, authMethod: 'jwt' })).toBeUndefined();
+  });
+
+  test('should not impersonate users with permissions the admin lacks', async () => {
+    const support = build('support');
+    const target = build('admin');
+    jest.spyOn(User, 'findById').mockResolvedValue(target);
+    jest.spyOn(roleService, 'getPermissions').mockImplementation(async role =>
+      (role === 'admin' ? ['users:manage', 'users:impersonate'] : ['users:impersonate']));
+    const next = jest.fn();
+
+    await UserController.impersonateUser({ params: { userId: target._id.toString() }, user: support }, {}, next);
+
+    expect(next.mock.calls[0][0].code).toBe('IMPERSONATION_NOT_ALLOWED');
+  });
+
+  test('should record the real actor in audit metadata', () => {
+    const req = {
+      ip: '127.0.0.1',
+      path: '/api/auth/profile',
+      method: 'PUT',
+      get: () => 'jest',
+      authMethod: 'impersonation',
+      impersonator: { _id: new mongoose.Types.ObjectId() }
+    };
+
+    expect(auditLogService.extractMetadata(req).impersonatorId).toBe(req.impersonator._id);
+    expect(auditLogService.extractMetadata({ ...req, impersonator: undefined }).impersonatorId).toBeUndefined();
+  });
+});
@@ -0,0 +1,61 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret';
+
+const mongoose = require('mongoose');
+const { Invitation, User } = require('../src/models');
+const invitationService = require('../src/services/invitationService');
+const oidcService = require('../src/services/oidcService');
+const AuthController = require('../src/controllers/authController');
+const IdentityController = require('../src/controllers/identityController');
+
+describe('Invitations', () => {
+  afterEach(() => {
+    delete process.env.INVITE_ONLY;
+    jest.restoreAllMocks();
+  });
+
+  test('should disable signup in invite-only mode', async () => {
+    process.env.INVITE_ONLY = 'true';
+    const next = jest.fn();
+
+    await AuthController.signup({ body: { name: 'Jane', email: 'jane@example.com', password: 'Password123' } }, {}, next);
+
+    expect(next.mock.calls[0][0].code).toBe('INVITE_ONLY');
+  });
+
+  test('should not create provider accounts without an invitation in invite-only mode', async () => {
+    process.env.INVITE_ONLY = 'true';
+    jest.spyOn(oidcService, 'getProvider').mockReturnValue({ displayName: 'Google' });
+    jest.spyOn(User, 'findByIdentity').mockResolvedValue(null);
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    const profile = { provider: 'google', subject: '123', email: 'jane@example.com', emailVerified: true };
+
+    await expect(IdentityController.completeSignin({}, {}, profile))
+      .rejects.toMatchObject({ statusCode: 403, code: 'INVITE_ONLY' });
+  });
+
+  test('should not accept organization invitations as account invitations', async () => {
+    jest.spyOn(Invitation, 'findPendingByToken').mockResolvedValue(new Invitation({
+      organizationId: new mongoose.Types.ObjectId(),
+      email: 'jane@example.com',
+      role: 'member'
+    }));
+
+    await expect(invitationService.findPending('token'))
+      .rejects.toMatchObject({ code: 'INVALID_INVITATION' });
+  });
+
+  test('should replace the token when an invitation is renewed', () => {
+    const invitation = new Invitation({ email: 'jane@example.com', role: 'user' });
+
+    const first = invitationService.renewToken(invitation);
+    const firstHash = invitation.tokenHash;
+    const second = invitationService.renewToken(invitation);
+
+    expect(second).not.toBe(first);
+    expect(invitation.tokenHash).not.toBe(firstHash);
+    expect(invitation.tokenHash).toBe(Invitation.hashToken(second));
+    expect(invitation.status).toBe('pending');
+  });
+});
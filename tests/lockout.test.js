@@ -0,0 +1,96 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret';
+
+const { User, LoginThrottle } = require('../src/models');
+const lockoutService = require('../src/services/lockoutService');
+const auditLogService = require('../src/services/auditLogService');
+const AuthController = require('../src/controllers/authController');
+const { LOCKOUT, parseDuration, getLockDuration } = require('../src/config/lockout');
+
+const MINUTE = 60 * 1000;
+
+describe('Lockout', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('should parse durations', () => {
+    expect(parseDuration('2h', 0)).toBe(120 * MINUTE);
+    expect(parseDuration('90s', 0)).toBe(90 * 1000);
+    expect(parseDuration('1500', 0)).toBe(1500);
+    expect(parseDuration('soon', 42)).toBe(42);
+  });
+
+  test('should back off exponentially up to the longest lock', () => {
+    const settings = { baseLockTime: MINUTE, maxLockTime: 10 * MINUTE };
+
+    expect(getLockDuration(4, 5, settings)).toBe(0);
+    expect(getLockDuration(5, 5, settings)).toBe(MINUTE);
+    expect(getLockDuration(6, 5, settings)).toBe(2 * MINUTE);
+    expect(getLockDuration(8, 5, settings)).toBe(8 * MINUTE);
+    expect(getLockDuration(9, 5, settings)).toBe(10 * MINUTE);
+    expect(getLockDuration(500, 5, settings)).toBe(10 * MINUTE);
+  });
+
+  test('should lock the account once MAX_LOGIN_ATTEMPTS is reached', async () => {
+    const user = new User({ name: 'Jane', email: 'jane@example.com', loginAttempts: LOCKOUT.maxAttempts - 2 });
+    const updateOne = jest.spyOn(user, 'updateOne').mockResolvedValue({});
+
+    await user.incLoginAttempts();
+    expect(user.isLocked).toBe(false);
+
+    await user.incLoginAttempts();
+    expect(user.isLocked).toBe(true);
+    expect(updateOne).toHaveBeenLastCalledWith({
+      $inc: { loginAttempts: 1 },
+      $set: { lockUntil: user.lockUntil }
+    });
+  });
+
+  test('should forget failures once a lock has long expired', async () => {
+    const user = new User({
+      name: 'Jane',
+      email: 'jane@example.com',
+      loginAttempts: 9,
+      lockUntil: new Date(Date.now() - LOCKOUT.maxLockTime - MINUTE)
+    });
+    jest.spyOn(user, 'updateOne').mockResolvedValue({});
+
+    await user.incLoginAttempts();
+
+    expect(user.loginAttempts).toBe(1);
+    expect(user.lockUntil).toBeUndefined();
+  });
+
+  test('should lock the email counter even for unknown emails and audit it', async () => {
+    const throttles = {};
+    jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockImplementation(async key => {
+      const failures = key.type === 'ip' ? 1 : LOCKOUT.maxAttempts;
+      throttles[key.type] = new LoginThrottle({ ...key, failures, expiresAt: new Date() });
+      jest.spyOn(throttles[key.type], 'save').mockResolvedValue();
+      return throttles[key.type];
+    });
+    const logUpdate = jest.spyOn(auditLogService, 'logUpdate').mockResolvedValue(null);
+
+    await lockoutService.recordFailure({ ip: '203.0.113.7' }, 'Nobody@Example.com');
+
+    expect(throttles.email.value).toBe('nobody@example.com');
+    expect(throttles.email.isLocked).toBe(true);
+    expect(throttles.ip.isLocked).toBe(false);
+    expect(logUpdate).toHaveBeenCalledTimes(1);
+    expect(logUpdate.mock.calls[0][0]).toMatchObject({ userId: null, entity: 'LoginThrottle' });
+  });
+
+  test('should refuse signin while throttled', async () => {
+    jest.spyOn(LoginThrottle, 'find').mockResolvedValue([
+      new LoginThrottle({ type: 'ip', value: '203.0.113.7', lockUntil: new Date(Date.now() + 30 * 1000), expiresAt: new Date() })
+    ]);
+    const findUser = jest.spyOn(User, 'findOne');
+    const res = { set: jest.fn() };
+    const next = jest.fn();
+
+    await AuthController.signin({ ip: '203.0.113.7', body: { email: 'jane@example.com', password: 'Password123' } }, res, next);
+
+    expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 429, code: 'LOGIN_THROTTLED' });
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '30');
+    expect(findUser).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,131 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret';
+
+const mongoose = require('mongoose');
+const { User, OAuthClient, RefreshToken } = require('../src/models');
+const jwtService = require('../src/utils/jwtService');
+const oauthClientService = require('../src/services/oauthClientService');
+const tokenIntrospectionService = require('../src/services/tokenIntrospectionService');
+const tokenRevocationService = require('../src/services/tokenRevocationService');
+const sessionService = require('../src/services/sessionService');
+const roleService = require('../src/services/roleService');
+const auditLogService = require('../src/services/auditLogService');
+const OAuthController = require('../src/controllers/oauthController');
+const { mockResponse } = require('./helpers/mockExpress');
+
+const basic = (id, secret) => `Basic ${Buffer.from(`${encodeURIComponent(id)}:${encodeURIComponent(secret)}`).toString('base64')}`;
+
+const buildClient = (trusted = true) => new OAuthClient({
+  name: 'Billing',
+  clientId: 'cli_0123456789abcdef01234567',
+  secretHash: OAuthClient.hashSecret('s3cret:+/='),
+  trusted
+});
+
+describe('OAuth token introspection and revocation', () => {
+  const user = new User({ name: 'Jane', email: 'jane@example.com', role: 'auditor', isActive: true });
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+    jest.spyOn(roleService, 'getPermissions').mockResolvedValue(['audit:read:any', 'audit:export']);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('should read client credentials from HTTP Basic or the body', async () => {
+    const client = buildClient();
+    jest.spyOn(OAuthClient, 'findOne').mockReturnValue({ select: async () => client });
+    const updateOne = jest.spyOn(OAuthClient, 'updateOne').mockResolvedValue({});
+
+    expect(await oauthClientService.authenticate({ headers: { authorization: basic(client.clientId, 's3cret:+/=') } })).toBe(client);
+    expect(await oauthClientService.authenticate({ headers: {}, body: { client_id: client.clientId, client_secret: 's3cret:+/=' } })).toBe(client);
+    expect(await oauthClientService.authenticate({ headers: { authorization: basic(client.clientId, 'wrong') } })).toBeNull();
+    expect(await oauthClientService.authenticate({ headers: {}, body: {} })).toBeNull();
+    expect(updateOne).toHaveBeenCalledTimes(2);
+  });
+
+  test('should describe an active access token', async () => {
+    const { accessToken } = jwtService.generateTokens(user, { familyId: new mongoose.Types.ObjectId().toString() });
+    jest.spyOn(tokenRevocationService, 'isAccessTokenRevoked').mockResolvedValue(false);
+
+    const response = await tokenIntrospectionService.introspect(accessToken, undefined, buildClient());
+
+    expect(response).toMatchObject({
+      active: true,
+      sub: user._id.toString(),
+      username: 'jane@example.com',
+      scope: 'audit:read:any audit:export',
+      token_type: 'Bearer',
+      aud: 'user'
+    });
+    expect(response.exp).toBeGreaterThan(Date.now() / 1000);
+  });
+
+  test('should report revoked, foreign and invalid tokens as inactive', async () => {
+    const { accessToken } = jwtService.generateTokens(user);
+    const revoked = jest.spyOn(tokenRevocationService, 'isAccessTokenRevoked').mockResolvedValue(true);
+
+    expect(await tokenIntrospectionService.introspect(accessToken, undefined, buildClient())).toEqual({ active: false });
+    expect(revoked).toHaveBeenCalledTimes(1);
+
+    // Untrusted clients only see tokens issued to them
+    expect(await tokenIntrospectionService.introspect(accessToken, undefined, buildClient(false))).toEqual({ active: false });
+    expect(await tokenIntrospectionService.introspect('not-a-token', 'access_token', buildClient())).toEqual({ active: false });
+    expect(revoked).toHaveBeenCalledTimes(1);
+  });
+
+  test('should check refresh tokens against the stored token', async () => {
+    const { refreshToken } = jwtService.generateTokens(user);
+    const findByToken = jest.spyOn(RefreshToken, 'findByToken').mockResolvedValue({ userId: user._id, revokedAt: null });
+
+    const active = await tokenIntrospectionService.introspect(refreshToken, 'refresh_token', buildClient());
+    expect(active).toMatchObject({ active: true, token_type: 'refresh_token', sub: user._id.toString() });
+
+    findByToken.mockResolvedValue({ userId: user._id, revokedAt: new Date() });
+    expect(await tokenIntrospectionService.introspect(refreshToken, 'refresh_token', buildClient())).toEqual({ active: false });
+  });
+
+  test('should end the whole session when a refresh token is revoked', async () => {
+    const familyId = new mongoose.Types.ObjectId().toString();
+    const { refreshToken } = jwtService.generateTokens(user, { familyId });
+    const revokeSession = jest.spyOn(sessionService, 'revokeSession').mockResolvedValue();
+    const logDelete = jest.spyOn(auditLogService, 'logDelete').mockResolvedValue(null);
+    const res = mockResponse();
+
+    // No client credentials
+    await OAuthController.revoke({ headers: {}, body: { token: refreshToken } }, res, jest.fn());
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(revokeSession).not.toHaveBeenCalled();
+
+    jest.spyOn(oauthClientService, 'authenticate').mockResolvedValue(buildClient());
+    const ok = mockResponse();
+    await OAuthController.revoke({ headers: {}, body: { token: refreshToken } }, ok, jest.fn());
+
+    expect(ok.status).toHaveBeenCalledWith(200);
+    expect(revokeSession).toHaveBeenCalledWith(familyId, 'revoked_by_client');
+    expect(logDelete.mock.calls[0][0]).toMatchObject({ userId: user._id.toString(), entity: 'Session', entityId: familyId });
+
+    // Unknown tokens get the same answer without touching anything
+    await OAuthController.revoke({ headers: {}, body: { token: 'garbage' } }, mockResponse(), jest.fn());
+    expect(revokeSession).toHaveBeenCalledTimes(1);
+  });
+
+  test('should answer in the OAuth error format', async () => {
+    jest.spyOn(OAuthClient, 'findOne').mockReturnValue({ select: async () => null });
+    const unauthenticated = mockResponse();
+
+    await OAuthController.introspect({ headers: { authorization: basic('cli_x', 'y') }, body: { token: 't' } }, unauthenticated, jest.fn());
+
+    expect(unauthenticated.status).toHaveBeenCalledWith(401);
+    expect(unauthenticated.set).toHaveBeenCalledWith('WWW-Authenticate', 'Basic realm="oauth"');
+    expect(unauthenticated.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'invalid_client' }));
+
+    jest.spyOn(oauthClientService, 'authenticate').mockResolvedValue(buildClient());
+    const missingToken = mockResponse();
+
+    await OAuthController.introspect({ headers: {}, body: {} }, missingToken, jest.fn());
+
+    expect(missingToken.status).toHaveBeenCalledWith(400);
+    expect(missingToken.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'invalid_request' }));
+  });
+});
@@ -0,0 +1,334 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { User, OAuthClient, AuthorizationCode, OAuthConsent, RefreshToken, RevokedToken, SigningKey } = require('../src/models');
+const jwtService = require('../src/utils/jwtService');
+const oauthService = require('../src/services/oauthService');
+const oauthClientService = require('../src/services/oauthClientService');
+const refreshTokenService = require('../src/services/refreshTokenService');
+const sessionService = require('../src/services/sessionService');
+const signingKeyService = require('../src/services/signingKeyService');
+const tokenIntrospectionService = require('../src/services/tokenIntrospectionService');
+const tokenRevocationService = require('../src/services/tokenRevocationService');
+const roleService = require('../src/services/roleService');
+const auditLogService = require('../src/services/auditLogService');
+const OAuthController = require('../src/controllers/oauthController');
+const OrganizationController = require('../src/controllers/organizationController');
+const { authenticate, authenticateOAuth, refreshToken: refreshTokenMiddleware } = require('../src/middleware/authMiddleware');
+const authRoutes = require('../src/routes/authRoutes');
+const adminRoutes = require('../src/routes/adminRoutes');
+const { OAUTH } = require('../src/config/oauth');
+const { encrypt } = require('../src/utils/encryption');
+const { mockResponse } = require('./helpers/mockExpress');
+
+const verifier = crypto.randomBytes(32).toString('base64url');
+const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+
+const buildClient = (overrides = {}) => new OAuthClient({
+  name: 'Dashboard',
+  clientId: 'cli_0123456789abcdef01234567',
+  type: 'public',
+  redirectUris: ['https://app.example.com/callback', 'http://127.0.0.1/callback'],
+  grantTypes: ['authorization_code', 'refresh_token'],
+  scopes: ['openid', 'profile', 'email'],
+  ...overrides
+});
+
+const authorizationParams = (overrides = {}) => ({
+  response_type: 'code',
+  client_id: 'cli_0123456789abcdef01234567',
+  redirect_uri: 'https://app.example.com/callback',
+  scope: 'openid email',
+  state: 'xyz',
+  nonce: 'n-0S6',
+  code_challenge: challenge,
+  code_challenge_method: 'S256',
+  ...overrides
+});
+
+// Run the middleware of a route (not its controller); resolves with the error it stops with
+const runRoute = async (router, method, path, req) => {
+  const layer = router.stack.find(({ route }) => route && route.path === path && route.methods[method]);
+
+  for (const { handle } of layer.route.stack.slice(0, -1)) {
+    const error = await new Promise(resolve => handle(req, {}, resolve));
+    if (error) return error;
+  }
+
+  return undefined;
+};
+
+describe('OAuth authorization server', () => {
+  const user = new User({ name: 'Jane', email: 'jane@example.com', isEmailVerified: true, isActive: true });
+
+  beforeEach(() => {
+    jest.spyOn(auditLogService, 'logCreate').mockResolvedValue(null);
+    jest.spyOn(auditLogService, 'logUpdate').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jwtService.useKeys([], null);
+    jest.restoreAllMocks();
+  });
+
+  test('should only accept registered redirect URIs, loopback ones on any port', () => {
+    const client = buildClient();
+
+    expect(oauthService.matchesRedirectUri(client, 'https://app.example.com/callback')).toBe(true);
+    expect(oauthService.matchesRedirectUri(client, 'http://127.0.0.1:53682/callback')).toBe(true);
+    expect(oauthService.matchesRedirectUri(client, 'https://app.example.com/callback/../evil')).toBe(false);
+    expect(oauthService.matchesRedirectUri(client, 'https://app.example.com:8443/callback')).toBe(false);
+    expect(oauthService.matchesRedirectUri(client, 'http://127.0.0.1:53682/other')).toBe(false);
+  });
+
+  test('should redirect errors to the client only once the redirect URI is trusted', async () => {
+    const findClient = jest.spyOn(oauthClientService, 'findByClientId').mockResolvedValue(null);
+
+    const unknown = await oauthService.validateAuthorizationRequest(authorizationParams()).catch(error => error);
+    expect(unknown).toMatchObject({ code: 'invalid_client', details: null });
+
+    findClient.mockResolvedValue(buildClient());
+
+    const foreign = await oauthService.validateAuthorizationRequest(authorizationParams({ redirect_uri: 'https://evil.example.com/' })).catch(error => error);
+    expect(foreign).toMatchObject({ code: 'invalid_request', details: null });
+
+    const noPkce = await oauthService.validateAuthorizationRequest(authorizationParams({ code_challenge: undefined })).catch(error => error);
+    expect(noPkce.code).toBe('invalid_request');
+    expect(noPkce.details.redirect).toEqual({ redirectUri: 'https://app.example.com/callback', state: 'xyz' });
+
+    const scope = await oauthService.validateAuthorizationRequest(authorizationParams({ scope: 'openid admin' })).catch(error => error);
+    expect(scope.code).toBe('invalid_scope');
+  });
+
+  test('should ask for consent once, then redirect with a code', async () => {
+    jest.spyOn(oauthClientService, 'findByClientId').mockResolvedValue(buildClient());
+    const findConsent = jest.spyOn(OAuthConsent, 'findOne').mockResolvedValue(null);
+    const createConsent = jest.spyOn(OAuthConsent, 'create').mockImplementation(async doc => new OAuthConsent(doc));
+    const createCode = jest.spyOn(AuthorizationCode, 'create').mockImplementation(async doc => doc);
+    const request = await oauthService.validateAuthorizationRequest(authorizationParams());
+
+    const asked = await oauthService.authorize(user, request);
+    expect(asked).toMatchObject({ consentRequired: true, scopes: ['openid', 'email'] });
+    expect(createCode).not.toHaveBeenCalled();
+
+    const { redirectTo } = await oauthService.authorize(user, request, { approve: true });
+    const url = new URL(redirectTo);
+
+    expect(url.origin + url.pathname).toBe('https://app.example.com/callback');
+    expect(url.searchParams.get('state')).toBe('xyz');
+    expect(url.searchParams.get('iss')).toBe(OAUTH.issuer);
+    expect(createConsent).toHaveBeenCalledWith({ userId: user._id, clientId: request.client.clientId, scopes: ['openid', 'email'] });
+    expect(auditLogService.logCreate).toHaveBeenCalledWith(expect.objectContaining({ entity: 'OAuthConsent' }));
+
+    // Only the hash of the code is stored
+    const [stored] = createCode.mock.calls[0];
+    expect(stored.codeHash).toBe(AuthorizationCode.hashCode(url.searchParams.get('code')));
+    expect(stored.codeChallenge).toBe(challenge);
+
+    // A recorded consent covering the scopes is not asked again
+    findConsent.mockResolvedValue(new OAuthConsent({ userId: user._id, clientId: request.client.clientId, scopes: ['openid', 'email', 'profile'] }));
+    await expect(oauthService.authorize(user, request)).resolves.toHaveProperty('redirectTo');
+
+    // Denying sends access_denied back to the client
+    const denied = await oauthService.authorize(user, request, { approve: false }).catch(error => error);
+    expect(denied).toMatchObject({ code: 'access_denied', details: { redirect: request.redirect } });
+  });
+
+  test('should exchange a code with its PKCE verifier for tokens and a signed ID token', async () => {
+    const client = buildClient();
+    const { publicKey, privateKey } = signingKeyService.generateKeyPair('ES256');
+    jwtService.useKeys([signingKeyService.toRingKey(new SigningKey({ kid: 'k1', alg: 'ES256', publicKey, privateKey: encrypt(privateKey) }))]);
+
+    const stored = new AuthorizationCode({
+      codeHash: 'hash',
+      clientId: client.clientId,
+      userId: user._id,
+      redirectUri: 'https://app.example.com/callback',
+      scopes: ['openid', 'email'],
+      codeChallenge: challenge,
+      nonce: 'n-0S6',
+      authTime: new Date(),
+      expiresAt: new Date(Date.now() + 60000)
+    });
+    stored.save = jest.fn().mockResolvedValue(stored);
+    jest.spyOn(AuthorizationCode, 'claim').mockResolvedValue(stored);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+    const issueTokens = jest.spyOn(refreshTokenService, 'issueTokens').mockImplementation(async (owner, options) => {
+      return jwtService.generateTokens(owner, { familyId: new mongoose.Types.ObjectId().toString(), ...options });
+    });
+
+    const wrongVerifier = await oauthService.token(client, {
+      grant_type: 'authorization_code',
+      code: 'abc',
+      redirect_uri: 'https://app.example.com/callback',
+      code_verifier: crypto.randomBytes(32).toString('base64url')
+    }).catch(error => error);
+    expect(wrongVerifier.code).toBe('invalid_grant');
+    expect(issueTokens).not.toHaveBeenCalled();
+
+    const response = await oauthService.token(client, {
+      grant_type: 'authorization_code',
+      code: 'abc',
+      redirect_uri: 'https://app.example.com/callback',
+      code_verifier: verifier
+    });
+
+    expect(response).toMatchObject({ token_type: 'Bearer', scope: 'openid email' });
+    expect(response.refresh_token).toBeDefined();
+    expect(jwt.decode(response.access_token)).toMatchObject({ cid: client.clientId, scope: 'openid email' });
+    expect(stored.sessionId).toBe(jwt.decode(response.access_token).sid);
+
+    const idToken = jwt.verify(response.id_token, publicKey, { algorithms: ['ES256'], audience: client.clientId, issuer: OAUTH.issuer });
+    expect(idToken).toMatchObject({ sub: user._id.toString(), email: 'jane@example.com', email_verified: true, nonce: 'n-0S6' });
+    expect(idToken.name).toBeUndefined();
+    expect(idToken.at_hash).toBe(oauthService.hashAccessToken(response.access_token));
+  });
+
+  test('should revoke the tokens of a code that is presented twice', async () => {
+    const client = buildClient();
+    const used = new AuthorizationCode({ clientId: client.clientId, userId: user._id, sessionId: 'session-1', usedAt: new Date() });
+    used.save = jest.fn().mockResolvedValue(used);
+    jest.spyOn(AuthorizationCode, 'claim').mockResolvedValue(null);
+    jest.spyOn(AuthorizationCode, 'findOne').mockResolvedValue(used);
+    const revokeSession = jest.spyOn(sessionService, 'revokeSession').mockResolvedValue();
+
+    await expect(oauthService.token(client, {
+      grant_type: 'authorization_code',
+      code: 'abc',
+      redirect_uri: 'https://app.example.com/callback',
+      code_verifier: verifier
+    })).rejects.toMatchObject({ code: 'invalid_grant' });
+
+    expect(revokeSession).toHaveBeenCalledWith('session-1', 'reuse_detected');
+    expect(used.sessionId).toBeNull();
+  });
+
+  test('should only rotate refresh tokens issued to the same client', async () => {
+    const client = buildClient();
+    const { refreshToken } = jwtService.generateTokens(user, { clientId: 'cli_ffffffffffffffffffffffff', scope: 'openid' });
+    const rotate = jest.spyOn(refreshTokenService, 'rotate');
+
+    await expect(oauthService.token(client, { grant_type: 'refresh_token', refresh_token: refreshToken }))
+      .rejects.toMatchObject({ code: 'invalid_grant' });
+
+    const own = jwtService.generateTokens(user, { clientId: client.clientId, scope: 'openid' });
+    await expect(oauthService.token(client, { grant_type: 'refresh_token', refresh_token: own.refreshToken, scope: 'openid email' }))
+      .rejects.toMatchObject({ code: 'invalid_scope' });
+
+    expect(rotate).not.toHaveBeenCalled();
+  });
+
+  test('should refuse refresh tokens issued to a client outside the token endpoint', async () => {
+    const { refreshToken } = jwtService.generateTokens(user, { clientId: 'cli_0123456789abcdef01234567', scope: 'openid email' });
+    const findByToken = jest.spyOn(RefreshToken, 'findByToken');
+    const run = (middleware, req) => new Promise(resolve => middleware(req, mockResponse(), resolve));
+
+    await expect(run(refreshTokenMiddleware, { body: { refreshToken } }))
+      .resolves.toMatchObject({ statusCode: 401, code: 'INVALID_REFRESH_TOKEN' });
+
+    const next = jest.fn();
+    await OrganizationController.switchOrganization({ user, body: { refreshToken, organizationId: null } }, mockResponse(), next);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401, code: 'INVALID_REFRESH_TOKEN' }));
+
+    // ...and by another client
+    await expect(refreshTokenService.rotate(refreshToken, null, { clientId: 'cli_ffffffffffffffffffffffff' }))
+      .rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+    expect(findByToken).not.toHaveBeenCalled();
+  });
+
+  test('should issue client_credentials tokens that introspect as the client', async () => {
+    const client = buildClient({ type: 'confidential', grantTypes: ['client_credentials'], scopes: ['openid', 'reports:read'] });
+
+    const response = await oauthService.token(client, { grant_type: 'client_credentials' });
+    expect(response).toMatchObject({ token_type: 'Bearer', scope: 'reports:read' });
+    expect(response.refresh_token).toBeUndefined();
+
+    // Not a user token
+    await expect(jwtService.verifyAccessToken(response.access_token)).rejects.toThrow('Invalid access token');
+
+    jest.spyOn(OAuthClient, 'exists').mockResolvedValue({ _id: client._id });
+    jest.spyOn(RevokedToken, 'isRevoked').mockResolvedValue(false);
+
+    const introspection = await tokenIntrospectionService.introspect(response.access_token, 'access_token', client);
+    expect(introspection).toMatchObject({ active: true, client_id: client.clientId, sub: client.clientId, aud: 'client' });
+
+    await expect(oauthService.token(buildClient(), { grant_type: 'client_credentials' }))
+      .rejects.toMatchObject({ code: 'unauthorized_client' });
+  });
+
+  test('should answer token endpoint errors in the OAuth format', async () => {
+    jest.spyOn(oauthClientService, 'authenticate').mockResolvedValue(buildClient());
+    const res = mockResponse();
+
+    await OAuthController.token({ headers: {}, body: { grant_type: 'password' } }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.set).toHaveBeenCalledWith('Cache-Control', 'no-store');
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'unsupported_grant_type' }));
+  });
+
+  test('should release userinfo claims by scope and publish the discovery document', () => {
+    const decoded = { id: user._id.toString(), cid: 'cli_0123456789abcdef01234567', scope: 'openid profile' };
+
+    expect(oauthService.getUserInfo(user, decoded)).toEqual({ sub: user._id.toString(), name: 'Jane' });
+    expect(() => oauthService.getUserInfo(user, { id: decoded.id })).toThrow('openid scope');
+
+    const discovery = oauthService.getDiscovery();
+    expect(discovery).toMatchObject({
+      issuer: OAUTH.issuer,
+      token_endpoint: `${OAUTH.issuer}/api/oauth/token`,
+      jwks_uri: `${OAUTH.issuer}/.well-known/jwks.json`,
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  describe('access tokens issued to clients', () => {
+    const admin = new User({ name: 'Ada', email: 'ada@example.com', role: 'admin', isActive: true });
+    const oauthToken = (scope = 'openid email') =>
+      jwtService.generateTokens(admin, { clientId: 'cli_0123456789abcdef01234567', scope }).accessToken;
+    const bearer = token => ({ headers: { authorization: `Bearer ${token}` }, query: {}, params: {}, body: {} });
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockReturnValue({ select: async () => admin });
+      jest.spyOn(tokenRevocationService, 'isAccessTokenRevoked').mockResolvedValue(false);
+      jest.spyOn(roleService, 'getPermissions').mockResolvedValue(['users:manage', 'audit:verify']);
+    });
+
+    test('should be refused on admin routes even for an admin', async () => {
+      const error = await runRoute(adminRoutes, 'get', '/users', bearer(oauthToken()));
+      expect(error).toMatchObject({ statusCode: 403, code: 'OAUTH_TOKEN_NOT_ALLOWED' });
+
+      // The same user's own session gets through
+      const session = jwtService.generateTokens(admin).accessToken;
+      await expect(runRoute(adminRoutes, 'get', '/users', bearer(session))).resolves.toBeUndefined();
+    });
+
+    test('should be refused on session-only routes', async () => {
+      const createKey = { ...bearer(oauthToken()), method: 'POST', body: { name: 'CI', scopes: ['read'] } };
+      await expect(runRoute(authRoutes, 'post', '/api-keys', createKey))
+        .resolves.toMatchObject({ statusCode: 403, code: 'OAUTH_TOKEN_NOT_ALLOWED' });
+
+      const changePassword = { ...bearer(oauthToken()), body: { currentPassword: 'OldPassword123', newPassword: 'NewPassword123' } };
+      await expect(runRoute(authRoutes, 'post', '/change-password', changePassword))
+        .resolves.toMatchObject({ statusCode: 403, code: 'OAUTH_TOKEN_NOT_ALLOWED' });
+    });
+
+    test('should only be accepted with the scopes a route names', async () => {
+      const run = (middleware, request) => new Promise(resolve => middleware(request, {}, resolve));
+
+      // userinfo checks the openid scope itself, to answer in the OAuth format
+      const req = bearer(oauthToken('openid'));
+      await expect(run(authenticateOAuth(), req)).resolves.toBeUndefined();
+      expect(req).toMatchObject({ user: admin, authMethod: 'oauth' });
+
+      await expect(run(authenticateOAuth('reports:read'), bearer(oauthToken('openid'))))
+        .resolves.toMatchObject({ statusCode: 403, code: 'INSUFFICIENT_SCOPE' });
+      await expect(run(authenticateOAuth('reports:read'), bearer(oauthToken('openid reports:read')))).resolves.toBeUndefined();
+      await expect(run(authenticate, bearer(oauthToken('openid reports:read'))))
+        .resolves.toMatchObject({ code: 'OAUTH_TOKEN_NOT_ALLOWED' });
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const oidcService = require('../src/services/oidcService');
+const MockIdp = require('./helpers/mockIdp');
+
+describe('OIDC provider framework', () => {
+  const idp = new MockIdp();
+  const clientId = 'test-client';
+
+  beforeAll(async () => {
+    const issuer = await idp.start();
+
+    oidcService.registerProvider({
+      name: 'corp',
+      displayName: 'Corp SSO',
+      issuer,
+      clientId,
+      clientSecret: 'test-secret',
+      claimMapping: { name: 'profile.displayName' }
+    });
+
+    oidcService.registerProvider({
+      name: 'octo',
+      type: 'oauth2',
+      clientId,
+      clientSecret: 'test-secret',
+      tokenEndpoint: `${issuer}/token`,
+      userinfoEndpoint: `${issuer}/userinfo`,
+      claimMapping: { subject: 'id', avatar: 'avatar_url' },
+      trustEmail: true
+    });
+  });
+
+  afterAll(() => idp.stop());
+
+  beforeEach(() => {
+    oidcService.clearCache();
+    idp.requests = [];
+  });
+
+  test('should verify an ID token and map claims', async () => {
+    const idToken = idp.issueIdToken({
+      sub: 'user-1',
+      aud: clientId,
+      email: 'Jane@Example.com',
+      email_verified: true,
+      profile: { displayName: 'Jane Doe' }
+    });
+
+    const profile = await oidcService.authenticate('corp', { idToken });
+
+    expect(profile).toEqual({
+      provider: 'corp',
+      subject: 'user-1',
+      email: 'jane@example.com',
+      emailVerified: true,
+      name: 'Jane Doe',
+      avatar: null
+    });
+  });
+
+  test('should cache the discovery document and key set', async () => {
+    const idToken = idp.issueIdToken({ sub: 'user-1', aud: clientId });
+
+    await oidcService.authenticate('corp', { idToken });
+    await oidcService.authenticate('corp', { idToken });
+
+    expect(idp.countRequests('/.well-known/openid-configuration')).toBe(1);
+    expect(idp.countRequests('/jwks')).toBe(1);
+  });
+
+  test('should refetch the key set when the provider rotates keys', async () => {
+    const previousCooldown = oidcService.jwksRefreshCooldown;
+    oidcService.jwksRefreshCooldown = 0;
+
+    try {
+      await oidcService.authenticate('corp', { idToken: idp.issueIdToken({ sub: 'user-1', aud: clientId }) });
+
+      idp.rotateKeys();
+      const profile = await oidcService.authenticate('corp', { idToken: idp.issueIdToken({ sub: 'user-1', aud: clientId }) });
+
+      expect(profile.subject).toBe('user-1');
+      expect(idp.countRequests('/jwks')).toBe(2);
+    } finally {
+      oidcService.jwksRefreshCooldown = previousCooldown;
+    }
+  });
+
+  test('should reject tokens for another audience or issuer', async () => {
+    await expect(oidcService.authenticate('corp', { idToken: idp.issueIdToken({ sub: 'user-1', aud: 'someone-else' }) }))
+      .rejects.toMatchObject({ statusCode: 401, code: 'PROVIDER_AUTH_FAILED' });
+
+    await expect(oidcService.authenticate('corp', {
+      idToken: idp.issueIdToken({ sub: 'user-1', aud: clientId }, { issuer: 'https://evil.example.com' })
+    })).rejects.toMatchObject({ statusCode: 401, code: 'PROVIDER_AUTH_FAILED' });
+  });
+
+  test('should reject expired tokens and nonce mismatches', async () => {
+    await expect(oidcService.authenticate('corp', {
+      idToken: idp.issueIdToken({ sub: 'user-1', aud: clientId }, { expiresIn: '-10m' })
+    })).rejects.toMatchObject({ statusCode: 401 });
+
+    await expect(oidcService.authenticate('corp', {
+      idToken: idp.issueIdToken({ sub: 'user-1', aud: clientId, nonce: 'abc' }),
+      nonce: 'xyz'
+    })).rejects.toThrow('nonce mismatch');
+  });
+
+  test('should exchange an authorization code with PKCE', async () => {
+    idp.registerCode('code-1', { id_token: idp.issueIdToken({ sub: 'user-2', aud: clientId, email: 'bob@example.com' }) });
+
+    const profile = await oidcService.authenticate('corp', {
+      code: 'code-1',
+      redirectUri: 'http://localhost:3000/callback',
+      codeVerifier: 'v'.repeat(43)
+    });
+
+    expect(profile.subject).toBe('user-2');
+    expect(profile.emailVerified).toBe(false);
+
+    const [tokenRequest] = idp.requests.filter(request => request.path === '/token');
+    expect(tokenRequest.body).toMatchObject({
+      grant_type: 'authorization_code',
+      code: 'code-1',
+      client_id: clientId,
+      code_verifier: 'v'.repeat(43)
+    });
+  });
+
+  test('should use the userinfo endpoint for plain OAuth 2.0 providers', async () => {
+    idp.userinfo = { id: 42, email: 'octo@example.com', name: 'Octo Cat', avatar_url: 'https://example.com/a.png' };
+    idp.registerCode('code-2', {});
+
+    const profile = await oidcService.authenticate('octo', { code: 'code-2', redirectUri: 'http://localhost:3000/callback' });
+
+    expect(profile).toEqual({
+      provider: 'octo',
+      subject: '42',
+      email: 'octo@example.com',
+      emailVerified: true,
+      name: 'Octo Cat',
+      avatar: 'https://example.com/a.png'
+    });
+    expect(idp.countRequests('/.well-known/openid-configuration')).toBe(0);
+  });
+
+  test('should reject unknown providers', () => {
+    expect(() => oidcService.getProvider('nope')).toThrow(expect.objectContaining({ statusCode: 404 }));
+  });
+
+  test('should list providers without secrets', () => {
+    const corp = oidcService.listProviders().find(provider => provider.name === 'corp');
+
+    expect(corp.displayName).toBe('Corp SSO');
+    expect(corp.clientSecret).toBeUndefined();
+  });
+});
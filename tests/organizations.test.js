@@ -0,0 +1,103 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret';
+
+const mongoose = require('mongoose');
+const { Membership } = require('../src/models');
+const jwtService = require('../src/utils/jwtService');
+const roleService = require('../src/services/roleService');
+const refreshTokenService = require('../src/services/refreshTokenService');
+const AuditController = require('../src/controllers/auditController');
+const OrganizationController = require('../src/controllers/organizationController');
+const { requireOrgPermission, requireScopedPermission } = require('../src/middleware/authMiddleware');
+
+const membership = role => new Membership({
+  organizationId: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  role
+});
+
+const run = (middleware, req) => new Promise(resolve => {
+  middleware(req, {}, resolve);
+});
+
+describe('Organizations', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('should carry the organization in both tokens', () => {
+    const user = { _id: new mongoose.Types.ObjectId(), email: 'jane@example.com', role: 'user' };
+    const organizationId = new mongoose.Types.ObjectId();
+
+    const tokens = jwtService.generateTokens(user, { organizationId });
+
+    expect(jwtService.decodeToken(tokens.accessToken).org).toBe(organizationId.toString());
+    expect(jwtService.decodeToken(tokens.refreshToken).org).toBe(organizationId.toString());
+    expect(jwtService.decodeToken(jwtService.generateTokens(user).accessToken).org).toBeUndefined();
+  });
+
+  test('should grant permissions by organization role', () => {
+    expect(membership('owner').hasPermission('org:manage')).toBe(true);
+    expect(membership('admin').hasPermission('org:manage')).toBe(false);
+    expect(membership('admin').hasPermission('members:manage')).toBe(true);
+    expect(membership('member').hasPermission('audit:read')).toBe(false);
+  });
+
+  test('should require an organization context and permission', async () => {
+    const middleware = requireOrgPermission('members:manage');
+
+    expect((await run(middleware, {})).code).toBe('ORGANIZATION_REQUIRED');
+    expect((await run(middleware, { membership: membership('member') })).statusCode).toBe(403);
+    expect(await run(middleware, { membership: membership('admin') })).toBeUndefined();
+  });
+
+  test('should accept an organization permission instead of a global one', async () => {
+    jest.spyOn(roleService, 'getPermissions').mockResolvedValue([]);
+    const middleware = requireScopedPermission('audit:read:any', 'audit:read');
+    const user = { role: 'user' };
+
+    expect(await run(middleware, { user, membership: membership('admin') })).toBeUndefined();
+    expect((await run(middleware, { user, membership: membership('member') })).statusCode).toBe(403);
+    expect((await run(middleware, { user })).statusCode).toBe(403);
+  });
+
+  test('should refuse to switch with an expired, badly signed or foreign refresh token', async () => {
+    const user = { _id: new mongoose.Types.ObjectId(), email: 'jane@example.com', role: 'user' };
+    const other = { _id: new mongoose.Types.ObjectId(), email: 'max@example.com', role: 'user' };
+    const rotate = jest.spyOn(refreshTokenService, 'rotate');
+    const switchWith = refreshToken => run(OrganizationController.switchOrganization, {
+      user,
+      body: { refreshToken, organizationId: null }
+    });
+
+    const refreshExpiresIn = jwtService.refreshExpiresIn;
+    jwtService.refreshExpiresIn = -10;
+    const expired = jwtService.generateTokens(user).refreshToken;
+    jwtService.refreshExpiresIn = refreshExpiresIn;
+
+    const error = await switchWith(expired);
+    expect(error).toMatchObject({ statusCode: 401, code: 'INVALID_REFRESH_TOKEN', message: 'Refresh token has expired' });
+    expect(rotate).toHaveBeenCalledTimes(1);
+
+    const { refreshToken } = jwtService.generateTokens(user);
+    expect(await switchWith(`${refreshToken.slice(0, -4)}AAAA`))
+      .toMatchObject({ statusCode: 401, code: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token' });
+
+    // Another user's token is refused before it is rotated
+    rotate.mockClear();
+    expect(await switchWith(jwtService.generateTokens(other).refreshToken))
+      .toMatchObject({ statusCode: 401, code: 'INVALID_REFRESH_TOKEN' });
+    expect(rotate).not.toHaveBeenCalled();
+  });
+
+  test('should limit audit queries to the organization', async () => {
+    jest.spyOn(roleService, 'getPermissions').mockResolvedValue([]);
+    const user = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+    const admin = membership('admin');
+    const organization = { _id: admin.organizationId };
+
+    expect(await AuditController.getScope({ user, organization, membership: admin }))
+      .toEqual({ organizationId: organization._id });
+    expect(await AuditController.getScope({ user, organization, membership: membership('member') }))
+      .toEqual({ organizationId: organization._id, userId: user._id });
+    expect(await AuditController.getScope({ user })).toEqual({ userId: user._id });
+  });
+});
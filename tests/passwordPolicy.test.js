@@ -0,0 +1,99 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { User } = require('../src/models');
+const passwordPolicyService = require('../src/services/passwordPolicyService');
+const { validators } = require('../src/middleware/validation');
+
+// SHA-1 of "password"
+const BREACHED_HASH = '5BAA61E4C9B93F3F0682250B6CF8331B7EE68FD8';
+
+describe('Password policy', () => {
+  const defaults = { ...passwordPolicyService.policy };
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'breached-'));
+  });
+
+  afterEach(() => {
+    passwordPolicyService.policy = { ...defaults };
+    passwordPolicyService.breachedIndex = null;
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should check length and character classes from the configuration', () => {
+    expect(passwordPolicyService.check('Password123')).toBeNull();
+    expect(passwordPolicyService.check('password123')).toBe('must contain at least one uppercase letter');
+
+    passwordPolicyService.policy = { ...defaults, minLength: 12, requireSymbol: true };
+
+    expect(passwordPolicyService.check('Password123')).toBe('must be at least 12 characters long');
+    expect(passwordPolicyService.check('Password1234')).toBe('must contain at least one symbol');
+    expect(passwordPolicyService.check('Password123!')).toBeNull();
+  });
+
+  test('should enforce the policy in request validation and on the model', async () => {
+    const req = { body: { currentPassword: 'Password123', newPassword: 'weakpass1' } };
+    const error = await new Promise(resolve => validators.validateChangePassword(req, {}, resolve));
+
+    expect(error.details.errors[0].message).toBe('New password must contain at least one uppercase letter');
+
+    const user = new User({ name: 'Jane', email: 'jane@example.com', password: 'short' });
+    expect(user.validateSync().errors.password.message).toBe('Password must be at least 6 characters long');
+  });
+
+  test('should find breached passwords in a single hash list', async () => {
+    const file = path.join(dir, 'breached.txt');
+    fs.writeFileSync(file, `${BREACHED_HASH}:3861493\n`);
+    passwordPolicyService.policy = { ...defaults, breachedPasswordsPath: file };
+
+    expect(await passwordPolicyService.isBreached('password')).toBe(true);
+    expect(await passwordPolicyService.isBreached('Unlisted-Password-123')).toBe(false);
+  });
+
+  test('should read only the range file for the hash prefix', async () => {
+    const ranges = path.join(dir, 'ranges');
+    fs.mkdirSync(ranges);
+    fs.writeFileSync(path.join(ranges, `${BREACHED_HASH.slice(0, 5)}.txt`), `${BREACHED_HASH.slice(5)}:3861493\r\n`);
+    passwordPolicyService.policy = { ...defaults, breachedPasswordsPath: ranges };
+
+    await expect(passwordPolicyService.assertAllowed('password'))
+      .rejects.toMatchObject({ statusCode: 400, code: 'PASSWORD_BREACHED' });
+    expect(await passwordPolicyService.isBreached('Unlisted-Password-123')).toBe(false);
+  });
+
+  test('should refuse the last passwords and keep only that many', async () => {
+    passwordPolicyService.policy = { ...defaults, historySize: 2 };
+    const user = { passwordHistory: [] };
+
+    ['Password1', 'Password2', 'Password3'].forEach(password => {
+      passwordPolicyService.recordPassword(user, bcrypt.hashSync(password, 4));
+    });
+
+    expect(user.passwordHistory).toHaveLength(2);
+    expect(user.passwordChangedAt).toBeInstanceOf(Date);
+    await expect(passwordPolicyService.assertAllowed('Password2', user))
+      .rejects.toMatchObject({ code: 'PASSWORD_REUSED' });
+    expect(await passwordPolicyService.isReused('Password1', user)).toBe(false);
+  });
+
+  test('should expire passwords older than the maximum age', () => {
+    const user = { password: 'hash', passwordChangedAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000) };
+
+    expect(passwordPolicyService.isExpired(user)).toBe(false);
+
+    passwordPolicyService.policy = { ...defaults, maxAgeDays: 30 };
+
+    expect(passwordPolicyService.isExpired(user)).toBe(true);
+    expect(passwordPolicyService.isExpired({ ...user, passwordChangedAt: new Date() })).toBe(false);
+    expect(passwordPolicyService.isExpired({ ...user, password: undefined })).toBe(false);
+  });
+});
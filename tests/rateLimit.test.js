@@ -0,0 +1,112 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret';
+process.env.RATE_LIMIT_AUTH_MAX_REQUESTS = '2';
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { RateLimitHit } = require('../src/models');
+const MongoRateLimitStore = require('../src/services/rateLimitStore');
+const jwtService = require('../src/utils/jwtService');
+const { rateLimitPolicy } = require('../src/middleware/rateLimiter');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const authRoutes = require('../src/routes/authRoutes');
+
+const tokenFor = () => jwtService.generateAccessToken({ id: new mongoose.Types.ObjectId().toString() });
+
+const buildApp = () => {
+  const app = express();
+  app.post('/signin', rateLimitPolicy('auth'), (req, res) => res.status(200).json({ success: true }));
+  app.post('/forgot-password', rateLimitPolicy('auth'), (req, res) => res.status(200).json({ success: true }));
+  app.use('/api/auth', express.json(), authRoutes);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('Rate limiting', () => {
+  const app = buildApp();
+
+  beforeAll(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterAll(() => jest.restoreAllMocks());
+
+  test('should send RateLimit headers and the standard error once the policy is used up', async () => {
+    const first = await request(app).post('/signin').expect(200);
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+    expect(first.headers['ratelimit-reset']).toBeDefined();
+
+    await request(app).post('/signin').expect(200);
+    const limited = await request(app).post('/signin').expect(429);
+
+    expect(limited.headers['retry-after']).toBeDefined();
+    expect(limited.body).toMatchObject({
+      success: false,
+      error: { code: 'RATE_LIMIT_EXCEEDED', statusCode: 429 }
+    });
+  });
+
+  test('should share a policy between its routes', async () => {
+    const auth = `Bearer ${tokenFor()}`;
+
+    await request(app).post('/signin').set('Authorization', auth).expect(200);
+    await request(app).post('/forgot-password').set('Authorization', auth).expect(200);
+    await request(app).post('/forgot-password').set('Authorization', auth).expect(429);
+  });
+
+  test('should count signed-in users separately and forged tokens against the IP', async () => {
+    const other = await request(app).post('/signin').set('Authorization', `Bearer ${tokenFor()}`).expect(200);
+    expect(other.headers['ratelimit-remaining']).toBe('1');
+
+    // The IP address used up its budget in the first test
+    await request(app).post('/signin').set('Authorization', 'Bearer not-a-jwt').expect(429);
+  });
+
+  test('should limit guesses of the second factor like password signins', async () => {
+    const auth = `Bearer ${tokenFor()}`;
+    const challenge = { mfaToken: 'mfa-token' };
+
+    // Every attempt counts, before the code is even checked
+    await request(app).post('/api/auth/2fa/challenge').set('Authorization', auth).send(challenge).expect(400);
+    await request(app).post('/api/auth/2fa/challenge').set('Authorization', auth).send(challenge).expect(400);
+    const limited = await request(app).post('/api/auth/2fa/challenge').set('Authorization', auth).send(challenge).expect(429);
+
+    expect(limited.body.error.code).toBe('RATE_LIMIT_EXCEEDED');
+  });
+
+  test('should refuse unknown policies', () => {
+    expect(() => rateLimitPolicy('nope')).toThrow('Unknown rate limit policy: nope');
+  });
+});
+
+describe('MongoRateLimitStore', () => {
+  const store = new MongoRateLimitStore();
+  store.init({ windowMs: 60 * 1000 });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('should count hits with an atomic upsert', async () => {
+    const resetAt = new Date(Date.now() + 60 * 1000);
+    const findOneAndUpdate = jest.spyOn(RateLimitHit, 'findOneAndUpdate').mockResolvedValue({ hits: 3, resetAt });
+
+    const result = await store.increment('auth:ip:203.0.113.7');
+
+    expect(result).toEqual({ totalHits: 3, resetTime: resetAt });
+    const [filter, update, options] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ key: 'auth:ip:203.0.113.7' });
+    expect(Array.isArray(update)).toBe(true);
+    expect(options).toMatchObject({ upsert: true, new: true });
+  });
+
+  test('should retry when another instance created the counter first', async () => {
+    const resetAt = new Date(Date.now() + 60 * 1000);
+    const findOneAndUpdate = jest.spyOn(RateLimitHit, 'findOneAndUpdate')
+      .mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }))
+      .mockResolvedValueOnce({ hits: 2, resetAt });
+
+    const result = await store.increment('auth:ip:203.0.113.7');
+
+    expect(result.totalHits).toBe(2);
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(2);
+    expect(findOneAndUpdate.mock.calls[1][2]).not.toHaveProperty('upsert');
+  });
+});
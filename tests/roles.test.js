@@ -0,0 +1,168 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret';
+
+const { Role, User } = require('../src/models');
+const roleService = require('../src/services/roleService');
+const auditLogService = require('../src/services/auditLogService');
+const tokenRevocationService = require('../src/services/tokenRevocationService');
+const RoleController = require('../src/controllers/roleController');
+const UserController = require('../src/controllers/userController');
+const { requirePermission } = require('../src/middleware/authMiddleware');
+const { DEFAULT_ROLES, PERMISSIONS } = require('../src/config/permissions');
+const { mockRequest, mockResponse } = require('./helpers/mockExpress');
+
+describe('Roles', () => {
+  const admin = new User({ name: 'Admin', email: 'admin@example.com', role: 'admin' });
+
+  beforeEach(() => {
+    roleService.clearCache();
+    jest.spyOn(auditLogService, 'logUpdate').mockResolvedValue(null);
+    jest.spyOn(auditLogService, 'logDelete').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  // Role.findOne resolving to `role`, with .lean() as roleService uses it
+  const findRole = role => () => {
+    const query = Promise.resolve(role);
+    query.lean = async () => (role ? role.toObject() : null);
+    return query;
+  };
+
+  const call = async (action, req) => {
+    const res = mockResponse();
+    const next = jest.fn();
+    await RoleController[action](mockRequest({ user: admin, ...req }), res, next);
+    return { res, next };
+  };
+
+  test('should give the admin role every permission', () => {
+    expect(DEFAULT_ROLES.admin.permissions).toEqual(Object.keys(PERMISSIONS));
+  });
+
+  test('should let auditors read and export logs but not manage users', () => {
+    expect(DEFAULT_ROLES.auditor.permissions).toEqual(['audit:read:any', 'audit:export']);
+  });
+
+  test('should reject unknown permissions and invalid names', () => {
+    const error = new Role({ name: 'Bad Name', permissions: ['users:delete'] }).validateSync();
+
+    expect(error.errors.name).toBeDefined();
+    expect(error.errors['permissions.0']).toBeDefined();
+  });
+
+  test('should require every listed permission', async () => {
+    jest.spyOn(roleService, 'getPermissions').mockResolvedValue(['audit:read:any']);
+
+    const run = (...permissions) => new Promise(resolve => {
+      requirePermission(...permissions)({ user: { role: 'auditor' } }, {}, resolve);
+    });
+
+    expect(await run('audit:read:any')).toBeUndefined();
+    expect((await run('audit:read:any', 'users:manage')).statusCode).toBe(403);
+  });
+
+  test('should deny requests without the permission or without a user', async () => {
+    jest.spyOn(roleService, 'getPermissions').mockResolvedValue([]);
+    const req = { user: { role: 'user' } };
+    const run = (request) => new Promise(resolve => {
+      requirePermission('roles:manage')(request, {}, resolve);
+    });
+
+    await expect(run(req)).resolves.toMatchObject({ statusCode: 403, message: 'Insufficient permissions' });
+    expect(req.permissions).toBeUndefined();
+    await expect(run({})).resolves.toMatchObject({ statusCode: 401 });
+  });
+
+  test('should apply new permissions right after a role is updated', async () => {
+    const role = new Role({ name: 'support', permissions: ['audit:read:any'] });
+    jest.spyOn(Role, 'findOne').mockImplementation(findRole(role));
+    jest.spyOn(Role.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+
+    await expect(roleService.getPermissions('support')).resolves.toEqual(['audit:read:any']);
+
+    // Cached: a change made elsewhere shows up once the cache expires
+    role.permissions = ['audit:read:any', 'users:manage'];
+    await expect(roleService.getPermissions('support')).resolves.toEqual(['audit:read:any']);
+
+    const { res } = await call('updateRole', { params: { name: 'support' }, body: { permissions: ['users:manage'] } });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    await expect(roleService.getPermissions('support')).resolves.toEqual(['users:manage']);
+    expect(Role.findOne).toHaveBeenCalledTimes(3);
+  });
+
+  test('should refuse to delete built-in roles and roles still assigned', async () => {
+    const deleteOne = jest.spyOn(Role.prototype, 'deleteOne').mockResolvedValue({});
+
+    jest.spyOn(Role, 'findOne').mockImplementation(findRole(new Role({ name: 'auditor', isSystem: true })));
+    const { next: system } = await call('deleteRole', { params: { name: 'auditor' } });
+    expect(system).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400, code: 'ROLE_NOT_EDITABLE' }));
+
+    Role.findOne.mockImplementation(findRole(new Role({ name: 'support' })));
+    jest.spyOn(User, 'exists').mockResolvedValue({ _id: admin._id });
+    const { next: assigned } = await call('deleteRole', { params: { name: 'support' } });
+    expect(assigned).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409, code: 'ROLE_IN_USE' }));
+    expect(User.exists).toHaveBeenCalledWith({ role: 'support' });
+
+    Role.findOne.mockImplementation(findRole(null));
+    const { next: unknown } = await call('deleteRole', { params: { name: 'nobody' } });
+    expect(unknown).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+
+    expect(deleteOne).not.toHaveBeenCalled();
+    expect(auditLogService.logDelete).not.toHaveBeenCalled();
+  });
+
+  test('should refuse to assign a role that does not exist', async () => {
+    jest.spyOn(Role, 'exists').mockResolvedValue(null);
+    const findUser = jest.spyOn(User, 'findById');
+
+    const { next } = await call('assignRole', { params: { userId: String(admin._id) }, body: { role: 'nobody' } });
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404, message: 'Role not found' }));
+    expect(Role.exists).toHaveBeenCalledWith({ name: 'nobody' });
+    expect(findUser).not.toHaveBeenCalled();
+    expect(auditLogService.logUpdate).not.toHaveBeenCalled();
+  });
+
+  test('should not let user managers act on users with permissions they lack', async () => {
+    const manager = new User({ name: 'Support', email: 'support@example.com', role: 'support' });
+    const target = new User({ name: 'Root', email: 'root@example.com', role: 'admin' });
+    const member = new User({ name: 'Jane', email: 'jane@example.com', role: 'user' });
+    jest.spyOn(roleService, 'getPermissions').mockImplementation(async role => ({
+      admin: ['users:manage', 'roles:manage'],
+      support: ['users:manage', 'users:read'],
+      user: ['users:read']
+    })[role]);
+    const findUser = jest.spyOn(User, 'findById').mockResolvedValue(target);
+    const revoke = jest.spyOn(tokenRevocationService, 'revokeAllForUser').mockResolvedValue(1);
+    const deleteOne = jest.spyOn(User.prototype, 'deleteOne').mockResolvedValue({});
+    const userCall = async (action, id) => {
+      const next = jest.fn();
+      await UserController[action](mockRequest({ user: manager, params: { userId: String(id) } }), mockResponse(), next);
+      return next;
+    };
+
+    for (const [action, message] of [
+      ['deactivateUser', 'You cannot deactivate a user with permissions you do not hold'],
+      ['forcePasswordReset', 'You cannot reset the password of a user with permissions you do not hold'],
+      ['deleteUser', 'You cannot delete a user with permissions you do not hold']
+    ]) {
+      expect(await userCall(action, target._id))
+        .toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403, code: 'INSUFFICIENT_PERMISSIONS', message }));
+    }
+    expect(target.isActive).toBe(true);
+    expect(target.passwordResetRequired).toBeFalsy();
+    expect(revoke).not.toHaveBeenCalled();
+    expect(deleteOne).not.toHaveBeenCalled();
+    expect(auditLogService.logUpdate).not.toHaveBeenCalled();
+
+    // Users whose permissions the manager holds can be deactivated
+    findUser.mockResolvedValue(member);
+    expect(await userCall('deactivateUser', member._id)).not.toHaveBeenCalled();
+    expect(member.isActive).toBe(false);
+    expect(revoke).toHaveBeenCalledWith(member, 'revoked_by_admin');
+  });
+});
@@ -0,0 +1,194 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret';
+
+const zlib = require('zlib');
+const { User, SamlRequest, SamlAssertion } = require('../src/models');
+const samlService = require('../src/services/samlService');
+const IdentityController = require('../src/controllers/identityController');
+const SamlController = require('../src/controllers/samlController');
+const MockSamlIdp = require('./helpers/mockSamlIdp');
+
+describe('SAML service provider', () => {
+  const idp = new MockSamlIdp();
+  let provider;
+
+  const response = (overrides = {}) => idp.buildResponse({
+    acsUrl: provider.acsUrl,
+    audience: provider.spEntityId,
+    inResponseTo: '_request-1',
+    attributes: {
+      email: 'Jane@Acme.com',
+      firstName: 'Jane',
+      lastName: 'Doe'
+    },
+    ...overrides
+  });
+
+  const consume = (xml) => samlService.consumeResponse('acme', idp.encode(xml));
+
+  beforeAll(() => {
+    provider = samlService.registerProvider({
+      name: 'acme',
+      displayName: 'Acme SSO',
+      entryPoint: 'https://idp.example.com/sso',
+      idpEntityId: idp.entityId,
+      certificates: [idp.publicKey]
+    });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(SamlRequest, 'claim').mockResolvedValue({ requestId: '_request-1' });
+    jest.spyOn(SamlAssertion, 'create').mockImplementation(async doc => doc);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should publish SP metadata and send AuthnRequests with the redirect binding', async () => {
+    const metadata = samlService.getMetadata('acme');
+
+    expect(metadata).toContain(`entityID="${provider.spEntityId}"`);
+    expect(metadata).toContain(`Location="${provider.acsUrl}"`);
+    expect(metadata).toContain('WantAssertionsSigned="true"');
+
+    const create = jest.spyOn(SamlRequest, 'create').mockResolvedValue({});
+    const { url, requestId } = await samlService.createLoginRequest('acme', { relayState: '/dashboard' });
+
+    const redirect = new URL(url);
+    const request = zlib.inflateRawSync(Buffer.from(redirect.searchParams.get('SAMLRequest'), 'base64')).toString();
+
+    expect(redirect.origin + redirect.pathname).toBe('https://idp.example.com/sso');
+    expect(redirect.searchParams.get('RelayState')).toBe('/dashboard');
+    expect(request).toContain(`ID="${requestId}"`);
+    expect(request).toContain(`AssertionConsumerServiceURL="${provider.acsUrl}"`);
+    expect(request).toContain(`<saml:Issuer>${provider.spEntityId}</saml:Issuer>`);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ requestId, provider: 'acme' }));
+  });
+
+  test('should accept a signed assertion and map its attributes', async () => {
+    const { code, profile } = await consume(idp.sign(response()));
+
+    expect(profile).toEqual({
+      provider: 'acme',
+      subject: 'user-1',
+      email: 'jane@acme.com',
+      emailVerified: true,
+      name: 'Jane Doe',
+      avatar: null
+    });
+    expect(SamlRequest.claim).toHaveBeenCalledWith('_request-1', 'acme');
+
+    // Only the hash of the code is stored, with the profile for the login app
+    const [stored] = SamlAssertion.create.mock.calls[0];
+    expect(stored.codeHash).toBe(SamlAssertion.hashCode(code));
+    expect(stored.profile).toBe(profile);
+    expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now() + 4 * 60 * 1000);
+  });
+
+  test('should accept an assertion covered by a signed response', async () => {
+    const { profile } = await consume(idp.sign(response({ nameId: 'user-2' }), 'Response'));
+
+    expect(profile.subject).toBe('user-2');
+  });
+
+  test('should reject unsigned, tampered and foreign signatures', async () => {
+    await expect(consume(response())).rejects.toMatchObject({ code: 'PROVIDER_AUTH_FAILED', message: expect.stringContaining('not signed') });
+
+    const tampered = idp.sign(response()).replace('Jane@Acme.com', 'admin@acme.com');
+    await expect(consume(tampered)).rejects.toThrow('Invalid signature');
+
+    const other = new MockSamlIdp(idp.entityId);
+    await expect(consume(other.sign(response()))).rejects.toThrow('Invalid signature');
+
+    await expect(consume(idp.sign(response(), 'Assertion', { algorithm: 'rsa-sha1', digest: 'sha1' })))
+      .rejects.toThrow('Unsupported signature algorithm');
+
+    expect(SamlAssertion.create).not.toHaveBeenCalled();
+  });
+
+  test('should ignore unsigned assertions wrapped around a signed one', async () => {
+    const signed = idp.sign(response());
+    const evil = response({ nameId: 'admin', attributes: { email: 'admin@acme.com' } })
+      .match(/<saml:Assertion[\s\S]*<\/saml:Assertion>/)[0];
+
+    // A second assertion next to the signed one
+    await expect(consume(signed.replace('</samlp:Response>', `${evil}</samlp:Response>`)))
+      .rejects.toThrow('exactly one assertion');
+
+    // The signed assertion moved out of the way and replaced by an unsigned one
+    const hidden = signed
+      .replace(/<saml:Assertion[\s\S]*<\/saml:Assertion>/, assertion => `<samlp:Extensions>${assertion}</samlp:Extensions>${evil}`);
+    await expect(consume(hidden)).rejects.toThrow('not signed');
+  });
+
+  test('should check issuer, audience, recipient and time conditions', async () => {
+    await expect(consume(idp.sign(response({ issuer: 'https://evil.example.com' })))).rejects.toThrow('issuer mismatch');
+    await expect(consume(idp.sign(response({ audience: 'https://other-sp.example.com' })))).rejects.toThrow('audience mismatch');
+    await expect(consume(idp.sign(response({ acsUrl: 'https://evil.example.com/acs' })))).rejects.toThrow('destination mismatch');
+    await expect(consume(idp.sign(response({ notOnOrAfter: new Date(Date.now() - 2 * 60 * 1000) })))).rejects.toThrow('expired');
+    await expect(consume(idp.sign(response({ status: 'urn:oasis:names:tc:SAML:2.0:status:Requester' })))).rejects.toThrow('status');
+    await expect(consume(`<!DOCTYPE x [<!ENTITY a "b">]>${response()}`)).rejects.toThrow('DTD');
+  });
+
+  test('should only accept each assertion once, in answer to our own requests', async () => {
+    SamlAssertion.create.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }));
+    await expect(consume(idp.sign(response()))).rejects.toMatchObject({ code: 'SAML_ASSERTION_REPLAYED' });
+
+    SamlRequest.claim.mockResolvedValueOnce(null);
+    await expect(consume(idp.sign(response()))).rejects.toThrow('pending signin request');
+
+    await expect(consume(idp.sign(response({ inResponseTo: null })))).rejects.toThrow('unsolicited');
+
+    provider.allowIdpInitiated = true;
+    await expect(consume(idp.sign(response({ inResponseTo: null })))).resolves.toHaveProperty('code');
+    provider.allowIdpInitiated = false;
+  });
+
+  test('should not identify users by transient NameIDs', async () => {
+    const transient = response({ nameIdFormat: 'urn:oasis:names:tc:SAML:2.0:nameid-format:transient' });
+
+    await expect(consume(idp.sign(transient))).rejects.toThrow('Transient NameIDs');
+  });
+
+  test('should redirect ACS results to the login app', async () => {
+    const res = { redirect: jest.fn() };
+
+    await SamlController.acs({ params: { provider: 'acme' }, body: { SAMLResponse: idp.encode(response()), RelayState: 'xyz' } }, res, jest.fn());
+
+    const failed = new URL(res.redirect.mock.calls[0][1]);
+    expect(failed.searchParams.get('error')).toBe('PROVIDER_AUTH_FAILED');
+    expect(failed.searchParams.get('state')).toBe('xyz');
+
+    await SamlController.acs({ params: { provider: 'acme' }, body: { SAMLResponse: idp.encode(idp.sign(response())) } }, res, jest.fn());
+
+    const succeeded = new URL(res.redirect.mock.calls[1][1]);
+    expect(succeeded.searchParams.get('code')).toHaveLength(43);
+    expect(succeeded.searchParams.get('error')).toBeNull();
+  });
+
+  test('should provision users just in time unless the provider disables it', async () => {
+    const profile = { provider: 'acme', subject: 'user-1', email: 'jane@acme.com', emailVerified: true, name: 'Jane Doe', avatar: null };
+    jest.spyOn(SamlAssertion, 'claim').mockResolvedValue({ provider: 'acme', profile });
+    const completeSignin = jest.spyOn(IdentityController, 'completeSignin').mockResolvedValue();
+
+    await SamlController.exchange({ body: { code: 'abc' } }, {}, jest.fn());
+
+    expect(completeSignin).toHaveBeenCalledWith(expect.anything(), expect.anything(), profile, expect.objectContaining({
+      displayName: 'Acme SSO',
+      allowSignup: true
+    }));
+
+    completeSignin.mockRestore();
+    jest.spyOn(User, 'findByIdentity').mockResolvedValue(null);
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    await expect(IdentityController.completeSignin({}, {}, profile, { displayName: 'Acme SSO', allowSignup: false }))
+      .rejects.toMatchObject({ code: 'ACCOUNT_NOT_PROVISIONED' });
+
+    SamlAssertion.claim.mockResolvedValue(null);
+    const next = jest.fn();
+    await SamlController.exchange({ body: { code: 'used' } }, {}, next);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_SSO_CODE' }));
+  });
+});
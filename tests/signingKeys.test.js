@@ -0,0 +1,128 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { SigningKey } = require('../src/models');
+const jwtService = require('../src/utils/jwtService');
+const signingKeyService = require('../src/services/signingKeyService');
+const WellKnownController = require('../src/controllers/wellKnownController');
+const { encrypt } = require('../src/utils/encryption');
+
+const stored = (alg, status = 'active') => {
+  const { publicKey, privateKey } = signingKeyService.generateKeyPair(alg);
+
+  return new SigningKey({
+    kid: crypto.randomBytes(8).toString('hex'),
+    alg,
+    status,
+    publicKey,
+    privateKey: encrypt(privateKey)
+  });
+};
+
+const ring = (...keys) => keys.map(key => signingKeyService.toRingKey(key));
+
+describe('Signing keys', () => {
+  const { algorithm, legacyUntil } = jwtService;
+  const payload = { id: 'user-id', email: 'jane@example.com', role: 'user', tv: 0 };
+
+  afterEach(() => {
+    jwtService.algorithm = algorithm;
+    jwtService.legacyUntil = legacyUntil;
+    jwtService.useKeys([], null);
+    jest.restoreAllMocks();
+  });
+
+  test.each(['RS256', 'ES256'])('should sign %s tokens with the active key and its kid', async (alg) => {
+    const previous = stored(alg, 'previous');
+    const active = stored(alg);
+    jwtService.algorithm = alg;
+    jwtService.useKeys(ring(active, previous));
+
+    const token = jwtService.generateAccessToken(payload);
+    const { header } = jwt.decode(token, { complete: true });
+
+    expect(header).toMatchObject({ alg, kid: active.kid });
+    await expect(jwtService.verifyAccessToken(token)).resolves.toMatchObject({ id: 'user-id' });
+
+    // Anyone can verify with the published key
+    const jwk = jwtService.getJwks().keys.find(key => key.kid === active.kid);
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    expect(jwt.verify(token, publicKey, { algorithms: [alg] })).toMatchObject({ id: 'user-id' });
+  });
+
+  test('should keep verifying tokens of the previous key after a rotation', async () => {
+    const old = stored('RS256');
+    jwtService.algorithm = 'RS256';
+    jwtService.useKeys(ring(old));
+    const token = jwtService.generateAccessToken(payload);
+
+    const rotated = stored('RS256');
+    old.status = 'previous';
+    jwtService.useKeys(ring(rotated, old));
+
+    await expect(jwtService.verifyAccessToken(token)).resolves.toMatchObject({ id: 'user-id' });
+    expect(jwt.decode(jwtService.generateAccessToken(payload), { complete: true }).header.kid).toBe(rotated.kid);
+  });
+
+  test('should accept HS256 tokens only during the migration window', async () => {
+    const token = jwtService.generateAccessToken(payload);
+    jwtService.algorithm = 'ES256';
+    jwtService.useKeys(ring(stored('ES256')));
+
+    jwtService.legacyUntil = new Date(Date.now() + 60 * 1000);
+    await expect(jwtService.verifyAccessToken(token)).resolves.toMatchObject({ id: 'user-id' });
+
+    jwtService.legacyUntil = new Date(Date.now() - 1000);
+    await expect(jwtService.verifyAccessToken(token)).rejects.toThrow('Invalid access token');
+  });
+
+  test('should refuse unknown keys and tokens that pick another algorithm', async () => {
+    const key = stored('RS256');
+    jwtService.algorithm = 'RS256';
+    jwtService.useKeys(ring(key));
+
+    const stranger = signingKeyService.generateKeyPair('RS256');
+    const unknown = jwt.sign(payload, stranger.privateKey, { algorithm: 'RS256', keyid: 'nope', audience: 'user' });
+    await expect(jwtService.verifyAccessToken(unknown)).rejects.toThrow('Invalid access token');
+
+    // HMAC signed with the public key (algorithm confusion)
+    const confused = jwt.sign(payload, 'x', { algorithm: 'HS384', keyid: key.kid, audience: 'user' });
+    await expect(jwtService.verifyAccessToken(confused)).rejects.toThrow('Invalid access token');
+  });
+
+  test('should create the new key before retiring the active one', async () => {
+    const calls = [];
+    jest.spyOn(SigningKey, 'create').mockImplementation(async doc => {
+      calls.push('create');
+      return new SigningKey(doc);
+    });
+    const updateMany = jest.spyOn(SigningKey, 'updateMany').mockImplementation(async () => {
+      calls.push('retire');
+    });
+    jest.spyOn(signingKeyService, 'load').mockResolvedValue([]);
+
+    const key = await signingKeyService.rotate('ES256');
+
+    expect(calls).toEqual(['create', 'retire']);
+    expect(key.alg).toBe('ES256');
+    expect(key.privateKey).not.toContain('PRIVATE KEY');
+    expect(updateMany.mock.calls[0][0]).toEqual({ status: 'active', kid: { $ne: key.kid } });
+    expect(updateMany.mock.calls[0][1].expiresAt.getTime()).toBeGreaterThan(Date.now());
+    await expect(signingKeyService.rotate('HS256')).rejects.toThrow('RS256 or ES256');
+  });
+
+  test('should publish the key ring at the JWKS endpoint', async () => {
+    const key = stored('ES256');
+    jwtService.useKeys(ring(key));
+    const res = { set: jest.fn(), status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+    await WellKnownController.getJwks({}, res, jest.fn());
+
+    const [jwks] = res.json.mock.calls[0];
+    expect(jwks.keys).toEqual([expect.objectContaining({ kid: key.kid, alg: 'ES256', kty: 'EC', crv: 'P-256', use: 'sig' })]);
+    expect(jwks.keys[0]).not.toHaveProperty('d');
+    expect(res.set).toHaveBeenCalledWith('Cache-Control', 'public, max-age=300');
+  });
+});
@@ -0,0 +1,39 @@
+const totp = require('../src/utils/totp');
+
+describe('TOTP', () => {
+  // RFC 6238 Appendix B test secret ("12345678901234567890")
+  const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  test('should generate the RFC 6238 reference codes', () => {
+    expect(totp.generateCode(secret, 59 * 1000)).toBe('287082');
+    expect(totp.generateCode(secret, 1111111109 * 1000)).toBe('081804');
+    expect(totp.generateCode(secret, 1234567890 * 1000)).toBe('005924');
+  });
+
+  test('should round-trip base32 encoding', () => {
+    const data = Buffer.from('two-factor secret');
+    expect(totp.base32Decode(totp.base32Encode(data)).equals(data)).toBe(true);
+  });
+
+  test('should accept codes from adjacent time steps only', () => {
+    const now = Date.now();
+    const previous = totp.generateCode(secret, now - 30 * 1000);
+    const stale = totp.generateCode(secret, now - 90 * 1000);
+
+    expect(totp.verifyCode(secret, previous, { timestamp: now })).toBe(totp.getTimeStep(now) - 1);
+    expect(totp.verifyCode(secret, stale, { timestamp: now })).toBeNull();
+  });
+
+  test('should reject malformed codes', () => {
+    expect(totp.verifyCode(secret, '12345')).toBeNull();
+    expect(totp.verifyCode(secret, 'abcdef')).toBeNull();
+    expect(totp.verifyCode(secret, undefined)).toBeNull();
+  });
+
+  test('should build an otpauth URI', () => {
+    const uri = totp.buildOtpauthUri(secret, 'john@example.com', 'BE Image Builder');
+
+    expect(uri).toMatch(/^otpauth:\/\/totp\/BE%20Image%20Builder%3Ajohn%40example\.com\?/);
+    expect(uri).toContain(`secret=${secret}`);
+  });
+});
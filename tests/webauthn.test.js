@@ -0,0 +1,131 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret';
+process.env.WEBAUTHN_RP_ID = 'localhost';
+process.env.WEBAUTHN_ORIGIN = 'http://localhost:3000';
+
+const webAuthnService = require('../src/services/webAuthnService');
+const twoFactorService = require('../src/services/twoFactorService');
+const SoftwareAuthenticator = require('./helpers/softwareAuthenticator');
+
+describe('WebAuthn', () => {
+  let user;
+  let authenticator;
+
+  const register = async () => {
+    const { options, challengeToken } = await webAuthnService.createRegistrationOptions(user);
+    const decoded = await webAuthnService.resolveChallengeToken(challengeToken, 'registration', { id: user._id });
+    const passkey = await webAuthnService.verifyRegistration(authenticator.createCredential(options), decoded);
+    user.passkeys.push(passkey);
+    return passkey;
+  };
+
+  const startLogin = async (purpose = 'login') => {
+    const { options, challengeToken } = await webAuthnService.createAuthenticationOptions({ user, purpose });
+    const decoded = await webAuthnService.resolveChallengeToken(challengeToken, purpose);
+    return { options, decoded };
+  };
+
+  beforeEach(() => {
+    user = {
+      _id: '64b7f0c2a1b2c3d4e5f60718',
+      email: 'passkey@example.com',
+      name: 'Passkey User',
+      passkeys: []
+    };
+    authenticator = new SoftwareAuthenticator();
+  });
+
+  test('should register a passkey from a software authenticator', async () => {
+    const passkey = await register();
+
+    expect(passkey.credentialId).toBe(authenticator.id);
+    expect(passkey.publicKey).toBeDefined();
+    expect(passkey.counter).toBe(0);
+    expect(passkey.transports).toEqual(['internal']);
+  });
+
+  test('should exclude already registered passkeys from new registrations', async () => {
+    await register();
+
+    const { options } = await webAuthnService.createRegistrationOptions(user);
+    expect(options.excludeCredentials.map(credential => credential.id)).toEqual([authenticator.id]);
+  });
+
+  test('should reject a registration signed for another origin', async () => {
+    const { options, challengeToken } = await webAuthnService.createRegistrationOptions(user);
+    const decoded = await webAuthnService.resolveChallengeToken(challengeToken, 'registration');
+    const response = authenticator.createCredential(options, { origin: 'https://evil.example.com' });
+
+    await expect(webAuthnService.verifyRegistration(response, decoded))
+      .rejects.toMatchObject({ statusCode: 400, code: 'WEBAUTHN_VERIFICATION_FAILED' });
+  });
+
+  test('should sign in with a registered passkey and advance the counter', async () => {
+    await register();
+    const { options, decoded } = await startLogin();
+
+    const passkey = await webAuthnService.verifyAuthentication(user, authenticator.getAssertion(options), decoded);
+
+    expect(passkey.counter).toBe(1);
+    expect(passkey.lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  test('should reject an assertion for a different challenge', async () => {
+    await register();
+    const { options } = await startLogin();
+    const { decoded: otherChallenge } = await startLogin();
+
+    await expect(webAuthnService.verifyAuthentication(user, authenticator.getAssertion(options), otherChallenge))
+      .rejects.toMatchObject({ statusCode: 401, code: 'WEBAUTHN_VERIFICATION_FAILED' });
+  });
+
+  test('should reject a signature counter that goes backwards (cloned authenticator)', async () => {
+    await register();
+    user.passkeys[0].counter = 5;
+    const { options, decoded } = await startLogin();
+
+    await expect(webAuthnService.verifyAuthentication(user, authenticator.getAssertion(options, { signCount: 3 }), decoded))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('should reject unknown credentials', async () => {
+    await register();
+    const { options, decoded } = await startLogin();
+    const stranger = new SoftwareAuthenticator();
+
+    await expect(webAuthnService.verifyAuthentication(user, stranger.getAssertion(options), decoded))
+      .rejects.toMatchObject({ statusCode: 401, code: 'WEBAUTHN_UNKNOWN_CREDENTIAL' });
+  });
+
+  test('should require user verification for passwordless login but not as a second factor', async () => {
+    authenticator = new SoftwareAuthenticator({ userVerification: false });
+    await register();
+
+    const login = await startLogin('login');
+    await expect(webAuthnService.verifyAuthentication(user, authenticator.getAssertion(login.options), login.decoded))
+      .rejects.toMatchObject({ statusCode: 401 });
+
+    const mfa = await startLogin('mfa');
+    await expect(webAuthnService.verifyAuthentication(user, authenticator.getAssertion(mfa.options), mfa.decoded))
+      .resolves.toMatchObject({ credentialId: authenticator.id });
+  });
+
+  test('should reject challenge tokens issued for another ceremony or user', async () => {
+    const { challengeToken } = await webAuthnService.createRegistrationOptions(user);
+
+    await expect(webAuthnService.resolveChallengeToken(challengeToken, 'login'))
+      .rejects.toMatchObject({ statusCode: 401, code: 'INVALID_CHALLENGE_TOKEN' });
+    await expect(webAuthnService.resolveChallengeToken(challengeToken, 'registration', { id: '000000000000000000000000' }))
+      .rejects.toMatchObject({ statusCode: 401, code: 'INVALID_CHALLENGE_TOKEN' });
+    await expect(webAuthnService.resolveChallengeToken('not-a-token', 'registration'))
+      .rejects.toMatchObject({ statusCode: 401, code: 'INVALID_CHALLENGE_TOKEN' });
+  });
+
+  test('should offer passkeys as a second factor once one is registered', async () => {
+    expect(twoFactorService.createChallenge(user, 'password').methods).not.toContain('webauthn');
+
+    await register();
+
+    expect(twoFactorService.createChallenge(user, 'password').methods).toContain('webauthn');
+  });
+});